@@ -0,0 +1,380 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * Activity Classifier
+ * Splits the accelerometer stream of each tag into fixed windows, computes
+ * magnitude, variance and orientation features and classifies every window as
+ * lying, standing, walking or high-activity. Windows and daily activity budgets
+ * (time per state per animal) are kept in SQLite.
+ */
+
+const EventEmitter = require('events');
+
+const STATES = ['lying', 'standing', 'walking', 'high-activity'];
+const AXES = ['x', 'y', 'z'];
+
+function normalizeMac(mac) {
+	return String(mac).trim().toUpperCase();
+}
+
+/**
+ * Local calendar day of a unix ms timestamp (YYYY-MM-DD)
+ */
+function dayKey(t) {
+	const date = new Date(t);
+	const pad = value => String(value).padStart(2, '0');
+	return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Magnitude mean/variance and tilt of the mean acceleration vector from the upright axis
+ */
+function computeFeatures(samples, uprightAxis) {
+	const count = samples.length;
+	const magnitudes = samples.map(s => Math.sqrt(s.x * s.x + s.y * s.y + s.z * s.z));
+	const mean = magnitudes.reduce((sum, m) => sum + m, 0) / count;
+	const variance = magnitudes.reduce((sum, m) => sum + (m - mean) * (m - mean), 0) / count;
+
+	const avg = {};
+	AXES.forEach(axis => {
+		avg[axis] = samples.reduce((sum, s) => sum + s[axis], 0) / count;
+	});
+	const gravity = Math.sqrt(avg.x * avg.x + avg.y * avg.y + avg.z * avg.z);
+	const tilt = gravity > 0
+		? Math.acos(Math.min(1, Math.abs(avg[uprightAxis]) / gravity)) * 180 / Math.PI
+		: 0;
+
+	return { magnitude_mean: mean, magnitude_variance: variance, tilt };
+}
+
+/**
+ * Per-tag activity classification
+ *
+ * Events:
+ *   'window' - (result) a window was classified
+ *   'error'  - (error) persisting a window failed
+ */
+class ActivityClassifier extends EventEmitter {
+	/**
+	 * @param {object} [config] - activity config
+	 * @param {number} [config.window_ms] - window length
+	 * @param {number} [config.min_samples] - samples needed to classify a window
+	 * @param {string} [config.upright_axis] - accelerometer axis aligned with gravity when standing
+	 * @param {number} [config.lying_tilt] - tilt in degrees from upright above which a still animal is lying
+	 * @param {number} [config.walking_variance] - magnitude variance from which an animal is walking
+	 * @param {number} [config.high_activity_variance] - magnitude variance from which it is highly active
+	 */
+	constructor(config = {}) {
+		super();
+
+		this.config = {
+			enabled: config.enabled !== false,
+			window_ms: config.window_ms || 60000,
+			min_samples: config.min_samples || 5,
+			upright_axis: AXES.includes(config.upright_axis) ? config.upright_axis : 'z',
+			lying_tilt: config.lying_tilt !== undefined ? config.lying_tilt : 45,
+			walking_variance: config.walking_variance !== undefined ? config.walking_variance : 0.02,
+			high_activity_variance: config.high_activity_variance !== undefined ? config.high_activity_variance : 0.15
+		};
+
+		// mac -> { start, samples }
+		this.windows = new Map();
+		// mac -> latest classified window
+		this.latest = new Map();
+		// mac -> day -> state -> ms, used while storage is disabled
+		this.budgets = new Map();
+		this.storage = null;
+		this.tablesReady = false;
+		this.persistChain = Promise.resolve();
+		this.timer = null;
+		this.stats = { samples: 0, windows: 0, skipped_windows: 0, late_samples: 0 };
+	}
+
+	/**
+	 * Attach (or detach with null) SQLite storage for windows and daily budgets
+	 */
+	async setStorage(storage) {
+		this.storage = storage;
+		this.tablesReady = false;
+		if (storage) {
+			await this.ensureTables();
+		}
+	}
+
+	async ensureTables() {
+		if (this.tablesReady) {
+			return;
+		}
+
+		await this.storage.run(`
+			CREATE TABLE IF NOT EXISTS biocv_activity (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				mac_address TEXT NOT NULL,
+				window_start INTEGER NOT NULL,
+				window_end INTEGER NOT NULL,
+				state TEXT NOT NULL,
+				samples INTEGER NOT NULL,
+				magnitude_mean REAL,
+				magnitude_variance REAL,
+				tilt REAL,
+				created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+				UNIQUE (mac_address, window_start)
+			)
+		`);
+		await this.storage.run(`
+			CREATE TABLE IF NOT EXISTS biocv_activity_daily (
+				mac_address TEXT NOT NULL,
+				day TEXT NOT NULL,
+				state TEXT NOT NULL,
+				duration_ms INTEGER DEFAULT 0,
+				windows INTEGER DEFAULT 0,
+				PRIMARY KEY (mac_address, day, state)
+			)
+		`);
+		this.tablesReady = true;
+	}
+
+	/**
+	 * Close windows of tags that stopped sending, checked once per window length
+	 */
+	start() {
+		this.stop();
+		this.timer = setInterval(() => this.closeStaleWindows(), this.config.window_ms);
+		this.timer.unref();
+	}
+
+	stop() {
+		clearInterval(this.timer);
+		this.timer = null;
+	}
+
+	/**
+	 * Add an accelerometer sample. Returns the classified window if the sample closed one.
+	 */
+	addSample(device, sample) {
+		const mac = normalizeMac(device);
+		const x = Number(sample.x);
+		const y = Number(sample.y);
+		const z = Number(sample.z);
+		if (!this.config.enabled || ![x, y, z].every(Number.isFinite)) {
+			return null;
+		}
+
+		const t = Number.isFinite(sample.t) ? sample.t : Date.now();
+		const start = Math.floor(t / this.config.window_ms) * this.config.window_ms;
+		this.stats.samples++;
+
+		let result = null;
+		let window = this.windows.get(mac);
+		if (window && start < window.start) {
+			this.stats.late_samples++;
+			return null;
+		}
+		if (window && start > window.start) {
+			result = this.closeWindow(mac, window);
+			window = null;
+		}
+		if (!window) {
+			window = { start, samples: [] };
+			this.windows.set(mac, window);
+		}
+
+		window.samples.push({ x, y, z });
+		return result;
+	}
+
+	/**
+	 * Classify a window from its features
+	 */
+	classify(features) {
+		if (features.magnitude_variance >= this.config.high_activity_variance) {
+			return 'high-activity';
+		}
+		if (features.magnitude_variance >= this.config.walking_variance) {
+			return 'walking';
+		}
+		return features.tilt >= this.config.lying_tilt ? 'lying' : 'standing';
+	}
+
+	closeWindow(mac, window) {
+		this.windows.delete(mac);
+
+		if (window.samples.length < this.config.min_samples) {
+			this.stats.skipped_windows++;
+			return null;
+		}
+
+		const features = computeFeatures(window.samples, this.config.upright_axis);
+		const result = {
+			mac,
+			window_start: window.start,
+			window_end: window.start + this.config.window_ms,
+			state: this.classify(features),
+			samples: window.samples.length,
+			magnitude_mean: Math.round(features.magnitude_mean * 10000) / 10000,
+			magnitude_variance: Math.round(features.magnitude_variance * 10000) / 10000,
+			tilt: Math.round(features.tilt * 10) / 10
+		};
+
+		this.latest.set(mac, result);
+		this.stats.windows++;
+		this.addToBudget(result);
+		this.persist(result);
+		this.emit('window', result);
+		return result;
+	}
+
+	closeStaleWindows(now = Date.now()) {
+		this.windows.forEach((window, mac) => {
+			if (now >= window.start + 2 * this.config.window_ms) {
+				this.closeWindow(mac, window);
+			}
+		});
+	}
+
+	/**
+	 * Close every open window (e.g. on shutdown)
+	 */
+	closeAll() {
+		this.windows.forEach((window, mac) => this.closeWindow(mac, window));
+		return this.flush();
+	}
+
+	addToBudget(result) {
+		if (this.storage) {
+			return;
+		}
+
+		const day = dayKey(result.window_start);
+		if (!this.budgets.has(result.mac)) {
+			this.budgets.set(result.mac, new Map());
+		}
+		const days = this.budgets.get(result.mac);
+		if (!days.has(day)) {
+			days.set(day, {});
+		}
+		const budget = days.get(day);
+		budget[result.state] = budget[result.state] || { duration_ms: 0, windows: 0 };
+		budget[result.state].duration_ms += this.config.window_ms;
+		budget[result.state].windows++;
+	}
+
+	/**
+	 * Store a window and add it to the daily budget; windows already stored
+	 * (e.g. when replaying an import) are not counted twice
+	 */
+	persist(result) {
+		if (!this.storage) {
+			return;
+		}
+
+		const storage = this.storage;
+		this.persistChain = this.persistChain.then(() => storage.withWriteLock(async () => {
+			await storage.run('BEGIN TRANSACTION');
+			try {
+				const inserted = await storage.run(`
+					INSERT OR IGNORE INTO biocv_activity
+						(mac_address, window_start, window_end, state, samples, magnitude_mean, magnitude_variance, tilt)
+					VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+				`, [result.mac, result.window_start, result.window_end, result.state, result.samples,
+					result.magnitude_mean, result.magnitude_variance, result.tilt]);
+
+				if (inserted.changes > 0) {
+					await storage.run(`
+						INSERT INTO biocv_activity_daily (mac_address, day, state, duration_ms, windows)
+						VALUES (?, ?, ?, ?, 1)
+						ON CONFLICT (mac_address, day, state) DO UPDATE SET
+							duration_ms = duration_ms + excluded.duration_ms,
+							windows = windows + 1
+					`, [result.mac, dayKey(result.window_start), result.state, result.window_end - result.window_start]);
+				}
+				await storage.run('COMMIT');
+			} catch (error) {
+				await storage.run('ROLLBACK').catch(() => {});
+				throw error;
+			}
+		})).catch(error => {
+			if (this.listenerCount('error') > 0) {
+				this.emit('error', error);
+			}
+		});
+	}
+
+	/**
+	 * Wait for pending writes
+	 */
+	flush() {
+		return this.persistChain;
+	}
+
+	/**
+	 * Minutes per state for a tag on a day (default today)
+	 */
+	async getDailyBudget(device, day = dayKey(Date.now())) {
+		const mac = normalizeMac(device);
+		const budget = { mac, day, minutes: {}, duration_ms: {}, windows: 0 };
+		STATES.forEach(state => {
+			budget.minutes[state] = 0;
+			budget.duration_ms[state] = 0;
+		});
+
+		let rows = [];
+		if (this.storage) {
+			await this.flush();
+			rows = await this.storage.all(`
+				SELECT state, duration_ms, windows FROM biocv_activity_daily WHERE mac_address = ? AND day = ?
+			`, [mac, day]);
+		} else {
+			const stored = (this.budgets.get(mac) || new Map()).get(day) || {};
+			rows = Object.entries(stored).map(([state, entry]) => ({ state, ...entry }));
+		}
+
+		rows.forEach(row => {
+			budget.duration_ms[row.state] = row.duration_ms;
+			budget.minutes[row.state] = Math.round(row.duration_ms / 60000 * 10) / 10;
+			budget.windows += row.windows;
+		});
+		return budget;
+	}
+
+	/**
+	 * Classified windows of a tag on a day (storage only)
+	 */
+	async getWindows(device, day = dayKey(Date.now())) {
+		const mac = normalizeMac(device);
+		if (!this.storage) {
+			return [];
+		}
+
+		await this.flush();
+		const start = new Date(`${day}T00:00:00`).getTime();
+		const end = start + 24 * 60 * 60 * 1000;
+		return this.storage.all(`
+			SELECT * FROM biocv_activity
+			WHERE mac_address = ? AND window_start >= ? AND window_start < ?
+			ORDER BY window_start
+		`, [mac, start, end]);
+	}
+
+	getLatestAll() {
+		return [...this.latest.values()];
+	}
+
+	getLatest(mac) {
+		return this.latest.get(normalizeMac(mac)) || null;
+	}
+
+	getStatus() {
+		return {
+			...this.config,
+			open_windows: this.windows.size,
+			tags: this.latest.size,
+			...this.stats
+		};
+	}
+}
+
+ActivityClassifier.STATES = STATES;
+ActivityClassifier.dayKey = dayKey;
+
+module.exports = ActivityClassifier;
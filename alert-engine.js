@@ -0,0 +1,232 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * Alert Engine
+ * Common bookkeeping for the alert engines: one open alert per device,
+ * acknowledge/snooze, notification suppression and ordered persistence to the
+ * alert history (AlertStore)
+ */
+
+const EventEmitter = require('events');
+
+function normalizeMac(mac) {
+	return String(mac).trim().toUpperCase();
+}
+
+/**
+ * Base class for alert engines
+ *
+ * Events:
+ *   'alert'    - (alert) a new alert or an escalation that should be shown
+ *   'resolved' - (alert) the condition cleared and the alert was closed
+ *   'error'    - (error) persisting the alert history failed
+ */
+class AlertEngine extends EventEmitter {
+	/**
+	 * @param {string} alertType - alert_type stored in the history
+	 * @param {object} [options]
+	 * @param {number} [options.snooze_minutes] - default snooze duration
+	 */
+	constructor(alertType, { snooze_minutes = 60 } = {}) {
+		super();
+
+		this.alertType = alertType;
+		this.snoozeMinutes = snooze_minutes;
+		// mac -> open alert
+		this.active = new Map();
+		// mac -> snoozed until (unix ms)
+		this.snoozes = new Map();
+		this.store = null;
+		this.persistChain = Promise.resolve();
+		this.stats = { raised: 0, escalated: 0, resolved: 0, suppressed: 0 };
+	}
+
+	/**
+	 * Attach (or detach with null) the alert history and restore open alerts from it
+	 */
+	async setStore(store) {
+		this.store = store;
+		if (!store) {
+			return;
+		}
+
+		const open = await store.getOpen(this.alertType);
+		for (const alert of open) {
+			if (!this.active.has(alert.mac)) {
+				this.active.set(alert.mac, alert);
+				const snoozedUntil = alert.snoozed_until ? Date.parse(alert.snoozed_until) : 0;
+				if (snoozedUntil > Date.now()) {
+					this.snoozes.set(alert.mac, snoozedUntil);
+				}
+			}
+		}
+
+		// Alerts raised while storage was disabled
+		this.active.forEach(alert => {
+			if (!alert.id) {
+				this.persist(alert, true);
+			}
+		});
+	}
+
+	/**
+	 * Open a new alert for a device and notify unless snoozed
+	 */
+	openAlert(mac, fields) {
+		const now = new Date().toISOString();
+		const alert = {
+			id: null,
+			alert_type: this.alertType,
+			mac,
+			details: null,
+			opened_at: now,
+			updated_at: now,
+			acknowledged_at: null,
+			snoozed_until: this.getSnoozedUntil(mac),
+			resolved_at: null,
+			...fields
+		};
+
+		this.active.set(mac, alert);
+		this.stats.raised++;
+		this.persist(alert, true);
+		this.notify(alert);
+		return alert;
+	}
+
+	/**
+	 * Raise the level of an open alert; it needs a new acknowledgement
+	 */
+	escalateAlert(alert, fields) {
+		Object.assign(alert, fields, { acknowledged_at: null, updated_at: new Date().toISOString() });
+		this.stats.escalated++;
+		this.persist(alert);
+		this.notify(alert);
+	}
+
+	/**
+	 * Close an open alert
+	 */
+	resolveAlert(alert) {
+		const now = new Date().toISOString();
+		alert.resolved_at = now;
+		alert.updated_at = now;
+		this.active.delete(alert.mac);
+		this.stats.resolved++;
+		this.persist(alert);
+		this.emit('resolved', alert);
+	}
+
+	notify(alert) {
+		if (this.isSnoozed(alert.mac)) {
+			this.stats.suppressed++;
+			return;
+		}
+		this.emit('alert', alert);
+	}
+
+	isSnoozed(mac) {
+		const until = this.snoozes.get(mac);
+		if (until && until <= Date.now()) {
+			this.snoozes.delete(mac);
+			return false;
+		}
+		return Boolean(until);
+	}
+
+	getSnoozedUntil(mac) {
+		return this.isSnoozed(mac) ? new Date(this.snoozes.get(mac)).toISOString() : null;
+	}
+
+	/**
+	 * Acknowledge the open alert of a device (or 'all'). Returns the number acknowledged.
+	 */
+	acknowledge(device) {
+		const mac = device === 'all' ? 'all' : normalizeMac(device);
+		const now = new Date().toISOString();
+		let count = 0;
+
+		this.active.forEach(alert => {
+			if ((mac === 'all' || alert.mac === mac) && !alert.acknowledged_at) {
+				alert.acknowledged_at = now;
+				alert.updated_at = now;
+				this.persist(alert);
+				count++;
+			}
+		});
+		return count;
+	}
+
+	/**
+	 * Silence alerts for a device, also for alerts raised while snoozed
+	 */
+	snooze(device, minutes = this.snoozeMinutes) {
+		const mac = normalizeMac(device);
+		const until = Date.now() + minutes * 60 * 1000;
+		this.snoozes.set(mac, until);
+
+		const alert = this.active.get(mac);
+		if (alert) {
+			alert.snoozed_until = new Date(until).toISOString();
+			alert.updated_at = new Date().toISOString();
+			this.persist(alert);
+		}
+		return until;
+	}
+
+	/**
+	 * Write an alert to the history in order; errors are reported, not thrown
+	 */
+	persist(alert, isNew = false) {
+		if (!this.store) {
+			return;
+		}
+
+		const store = this.store;
+		this.persistChain = this.persistChain.then(async () => {
+			if (isNew || !alert.id) {
+				alert.id = await store.open(alert);
+				if (alert.resolved_at || alert.acknowledged_at) {
+					await store.update(alert.id, alert);
+				}
+			} else {
+				await store.update(alert.id, alert);
+			}
+		}).catch(error => {
+			if (this.listenerCount('error') > 0) {
+				this.emit('error', error);
+			}
+		});
+	}
+
+	/**
+	 * Wait for pending history writes
+	 */
+	flush() {
+		return this.persistChain;
+	}
+
+	getAlert(mac) {
+		return this.active.get(normalizeMac(mac)) || null;
+	}
+
+	/**
+	 * Open alerts with their current snooze state
+	 */
+	getOpenAlerts() {
+		return [...this.active.values()]
+			.map(alert => ({ ...alert, snoozed_until: this.getSnoozedUntil(alert.mac) }));
+	}
+
+	getStatus() {
+		return {
+			open: this.active.size,
+			snoozed: [...this.snoozes.keys()].filter(mac => this.isSnoozed(mac)).length,
+			...this.stats
+		};
+	}
+}
+
+AlertEngine.normalizeMac = normalizeMac;
+
+module.exports = AlertEngine;
@@ -0,0 +1,162 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * Alert History
+ * Persists alerts raised by the alert engines in the biocv_alerts table so open
+ * alerts survive a restart and resolved ones remain available as history
+ */
+
+/**
+ * SQLite backed alert history shared by all alert types
+ */
+class AlertStore {
+	/**
+	 * @param {object} storage - StandaloneSQLiteStorage instance
+	 */
+	constructor(storage) {
+		this.storage = storage;
+		this.tableReady = false;
+	}
+
+	/**
+	 * Create the alert history table
+	 */
+	async ensureTable() {
+		if (this.tableReady) {
+			return;
+		}
+
+		await this.storage.run(`
+			CREATE TABLE IF NOT EXISTS biocv_alerts (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				alert_type TEXT NOT NULL,
+				mac_address TEXT NOT NULL,
+				level TEXT NOT NULL,
+				message TEXT,
+				value REAL,
+				last_value REAL,
+				peak_value REAL,
+				details TEXT,
+				opened_at DATETIME NOT NULL,
+				updated_at DATETIME,
+				acknowledged_at DATETIME,
+				snoozed_until DATETIME,
+				resolved_at DATETIME
+			)
+		`);
+		await this.storage.run(`
+			CREATE INDEX IF NOT EXISTS idx_biocv_alerts_open ON biocv_alerts(alert_type, resolved_at)
+		`);
+		this.tableReady = true;
+	}
+
+	/**
+	 * Insert a new open alert, returns its id
+	 */
+	async open(alert) {
+		await this.ensureTable();
+		const result = await this.storage.withWriteLock(() => this.storage.run(`
+			INSERT INTO biocv_alerts (alert_type, mac_address, level, message, value, last_value, peak_value, details, opened_at, updated_at, snoozed_until)
+			VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+		`, [
+			alert.alert_type,
+			alert.mac,
+			alert.level,
+			alert.message || null,
+			alert.value,
+			alert.last_value,
+			alert.peak_value,
+			alert.details ? JSON.stringify(alert.details) : null,
+			alert.opened_at,
+			alert.updated_at,
+			alert.snoozed_until || null
+		]));
+		return result.lastID;
+	}
+
+	/**
+	 * Update the mutable fields of an open alert
+	 */
+	async update(id, alert) {
+		await this.ensureTable();
+		await this.storage.withWriteLock(() => this.storage.run(`
+			UPDATE biocv_alerts
+			SET level = ?, message = ?, last_value = ?, peak_value = ?, details = ?, updated_at = ?,
+				acknowledged_at = ?, snoozed_until = ?, resolved_at = ?
+			WHERE id = ?
+		`, [
+			alert.level,
+			alert.message || null,
+			alert.last_value,
+			alert.peak_value,
+			alert.details ? JSON.stringify(alert.details) : null,
+			alert.updated_at,
+			alert.acknowledged_at || null,
+			alert.snoozed_until || null,
+			alert.resolved_at || null,
+			id
+		]));
+	}
+
+	/**
+	 * Get the unresolved alerts of a type
+	 */
+	async getOpen(alertType) {
+		await this.ensureTable();
+		const rows = await this.storage.all(`
+			SELECT * FROM biocv_alerts WHERE alert_type = ? AND resolved_at IS NULL ORDER BY id
+		`, [alertType]);
+		return rows.map(row => this.fromRow(row));
+	}
+
+	/**
+	 * Get the most recent alerts, optionally for one device and/or type
+	 */
+	async getHistory({ mac = null, alertType = null, limit = 20 } = {}) {
+		await this.ensureTable();
+		const conditions = [];
+		const params = [];
+		if (mac) {
+			conditions.push('mac_address = ?');
+			params.push(mac);
+		}
+		if (alertType) {
+			conditions.push('alert_type = ?');
+			params.push(alertType);
+		}
+
+		const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+		const rows = await this.storage.all(`
+			SELECT * FROM biocv_alerts ${where} ORDER BY id DESC LIMIT ?
+		`, [...params, limit]);
+		return rows.map(row => this.fromRow(row));
+	}
+
+	fromRow(row) {
+		let details = null;
+		try {
+			details = row.details ? JSON.parse(row.details) : null;
+		} catch (error) {
+			// Keep the alert even if its details can't be parsed
+		}
+
+		return {
+			id: row.id,
+			alert_type: row.alert_type,
+			mac: row.mac_address,
+			level: row.level,
+			message: row.message,
+			value: row.value,
+			last_value: row.last_value,
+			peak_value: row.peak_value,
+			details,
+			opened_at: row.opened_at,
+			updated_at: row.updated_at,
+			acknowledged_at: row.acknowledged_at,
+			snoozed_until: row.snoozed_until,
+			resolved_at: row.resolved_at
+		};
+	}
+}
+
+module.exports = AlertStore;
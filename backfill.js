@@ -0,0 +1,265 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * Gap Backfill
+ * Fetches readings missed while the WebSocket was down from the BioCV Node
+ * REST API and stores them with dedup
+ */
+
+/**
+ * Backfills per-device gaps from the last stored reading time up to now
+ */
+class GapBackfill {
+	/**
+	 * @param {object} options
+	 * @param {object} options.storage - StandaloneSQLiteStorage instance
+	 * @param {object} options.client - BioCVApiClient instance
+	 * @param {object} [options.config] - backfill config (max_gap_hours, min_gap_ms)
+	 * @param {Function} [options.validate] - checks and normalizes a { type, data } message
+	 *   like live messages are, returns the normalized message or null if it is invalid
+	 */
+	constructor({ storage, client, config = {}, validate }) {
+		this.storage = storage;
+		this.client = client;
+		this.validate = validate || (message => message);
+		this.config = {
+			max_gap_hours: config.max_gap_hours || 24,
+			min_gap_ms: config.min_gap_ms !== undefined ? config.min_gap_ms : 10000
+		};
+		this.running = null;
+		this.logTableReady = false;
+		this.lastSeen = new Map();
+		this.outage = null;
+	}
+
+	/**
+	 * Remember the reading time of a live row handed to storage
+	 */
+	noteReading(mac, t) {
+		if (mac && Number.isFinite(t) && !(this.lastSeen.get(mac) >= t)) {
+			this.lastSeen.set(mac, t);
+		}
+	}
+
+	/**
+	 * Freeze the gap start of every device when the WebSocket drops. Readings
+	 * stored after the reconnect must not move it past the outage. Failed
+	 * reconnect attempts keep the first drop.
+	 */
+	markDisconnected() {
+		if (!this.outage) {
+			this.outage = { at: Date.now(), lastSeen: new Map(this.lastSeen) };
+		}
+	}
+
+	/**
+	 * Hand over the recorded outage for a reconnect run and clear it
+	 */
+	takeOutage() {
+		const outage = this.outage;
+		this.outage = null;
+		return outage;
+	}
+
+	/**
+	 * Create the backfill run log table
+	 */
+	async ensureLogTable() {
+		if (this.logTableReady) {
+			return;
+		}
+
+		await this.storage.run(`
+			CREATE TABLE IF NOT EXISTS biocv_backfill_log (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				reason TEXT NOT NULL,
+				mac_address TEXT NOT NULL,
+				from_t INTEGER,
+				to_t INTEGER,
+				fetched INTEGER DEFAULT 0,
+				inserted INTEGER DEFAULT 0,
+				skipped INTEGER DEFAULT 0,
+				invalid INTEGER DEFAULT 0,
+				error TEXT,
+				started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+				finished_at DATETIME
+			)
+		`);
+		this.logTableReady = true;
+	}
+
+	/**
+	 * Convert a reading returned by the REST API into a storage row.
+	 * Accepts WebSocket style messages ({ type, data }), exported rows
+	 * (with data_type) and plain sensor/battery readings. Returns null for
+	 * readings without a usable reading time or that fail validation.
+	 */
+	readingToRow(mac, reading) {
+		if (!reading || typeof reading !== 'object') {
+			return null;
+		}
+
+		if (reading.data_type) {
+			return this.storage.recordToRow({ mac_address: mac, ...reading });
+		}
+
+		const type = reading.type && reading.data ? reading.type : null;
+		const data = type ? reading.data : reading;
+		const t = data.t || (data.timestamp ? Date.parse(data.timestamp) : NaN);
+		if (!Number.isFinite(t)) {
+			return null;
+		}
+
+		// Plain readings are battery updates if they carry a percentage
+		const messageType = type || (data.percentage !== undefined || data.battery_percentage !== undefined ? 'batteryData' : 'sensorData');
+		if (!['sensorData', 'batteryData', 'antData'].includes(messageType)) {
+			return null;
+		}
+
+		const message = this.validate({
+			type: messageType,
+			data: messageType === 'antData' ? { ...data, macTag: data.macTag || mac, t } : { ...data, mac: data.mac || mac, t }
+		});
+		if (!message) {
+			return null;
+		}
+
+		const normalized = message.data;
+		switch (messageType) {
+			case 'batteryData':
+				return this.storage.buildBatteryRow(normalized.mac, normalized);
+			case 'antData':
+				return this.storage.buildAntRow(normalized.macAnt, normalized.macTag, normalized.distance, normalized.t);
+			default:
+				return this.storage.buildSensorRow(normalized.mac, normalized);
+		}
+	}
+
+	/**
+	 * Last reading time of a device before the gap. With an outage this is the
+	 * last reading received before the drop, or for devices not seen since
+	 * startup the last one stored before the drop.
+	 */
+	async getGapStart(mac, outage) {
+		if (!outage) {
+			return this.storage.getLastReadingTime(mac);
+		}
+		if (outage.lastSeen.has(mac)) {
+			return outage.lastSeen.get(mac);
+		}
+		return this.storage.getLastReadingTime(mac, null, outage.at);
+	}
+
+	/**
+	 * Work out the gap to fetch for a device
+	 */
+	async resolveRange(mac, from, to, outage = null) {
+		const end = to || Date.now();
+		if (from) {
+			return { from, to: end };
+		}
+
+		// Never reach further back than max_gap_hours, even for long outages
+		const earliest = end - this.config.max_gap_hours * 60 * 60 * 1000;
+		const last = await this.getGapStart(mac, outage);
+		return { from: last ? Math.max(last + 1, earliest) : earliest, to: end };
+	}
+
+	/**
+	 * Backfill one device and log the run
+	 */
+	async runDevice(mac, { from, to, reason, outage }) {
+		const range = await this.resolveRange(mac, from, to, outage);
+		const entry = { mac, ...range, fetched: 0, inserted: 0, skipped: 0, invalid: 0, error: null };
+
+		if (range.to - range.from < this.config.min_gap_ms) {
+			entry.skippedRun = true;
+			return entry;
+		}
+
+		// Through the write lock so the log never lands in a write queue transaction
+		const logged = await this.storage.withWriteLock(() => this.storage.run(`
+			INSERT INTO biocv_backfill_log (reason, mac_address, from_t, to_t) VALUES (?, ?, ?, ?)
+		`, [reason, mac, range.from, range.to]));
+
+		try {
+			for await (const page of this.client.fetchReadingPages(mac, range)) {
+				entry.fetched += page.length;
+
+				const rows = [];
+				for (const reading of page) {
+					const row = this.readingToRow(mac, reading);
+					if (row) {
+						rows.push(row);
+					} else {
+						entry.invalid++;
+					}
+				}
+
+				const result = await this.storage.writeRowsDeduplicated(rows);
+				entry.inserted += result.inserted;
+				entry.skipped += result.skipped;
+			}
+		} catch (error) {
+			entry.error = error.message;
+		}
+
+		await this.storage.withWriteLock(() => this.storage.run(`
+			UPDATE biocv_backfill_log
+			SET fetched = ?, inserted = ?, skipped = ?, invalid = ?, error = ?, finished_at = CURRENT_TIMESTAMP
+			WHERE id = ?
+		`, [entry.fetched, entry.inserted, entry.skipped, entry.invalid, entry.error, logged.lastID]));
+
+		return entry;
+	}
+
+	/**
+	 * Backfill a list of devices (or 'all' stored devices), from the given
+	 * time, the outage recorded by markDisconnected() or the last stored
+	 * reading. Only one run can be active at a time.
+	 */
+	async run({ macs = 'all', from = null, to = null, reason = 'manual', outage = null } = {}) {
+		if (this.running) {
+			throw new Error('A backfill run is already in progress');
+		}
+
+		this.running = (async () => {
+			await this.ensureLogTable();
+
+			const devices = macs === 'all' ? await this.storage.getDeviceMacs() : [].concat(macs);
+			const summary = { reason, devices: [], fetched: 0, inserted: 0, skipped: 0, invalid: 0, errors: 0 };
+
+			for (const mac of devices) {
+				const entry = await this.runDevice(mac, { from, to, reason, outage });
+				summary.devices.push(entry);
+				summary.fetched += entry.fetched;
+				summary.inserted += entry.inserted;
+				summary.skipped += entry.skipped;
+				summary.invalid += entry.invalid;
+				if (entry.error) {
+					summary.errors++;
+				}
+			}
+
+			return summary;
+		})();
+
+		try {
+			return await this.running;
+		} finally {
+			this.running = null;
+		}
+	}
+
+	/**
+	 * Get the most recent logged backfill runs
+	 */
+	async getRecentRuns(limit = 10) {
+		await this.ensureLogTable();
+		return this.storage.all(`
+			SELECT * FROM biocv_backfill_log ORDER BY id DESC LIMIT ?
+		`, [limit]);
+	}
+}
+
+module.exports = GapBackfill;
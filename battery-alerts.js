@@ -0,0 +1,139 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * Battery Alert Engine
+ * Raises one alert per device when its battery drops below the warning or
+ * critical level, with hysteresis so a tag flapping around a threshold alerts
+ * only once, and per-device acknowledge/snooze
+ */
+
+const AlertEngine = require('./alert-engine');
+
+const ALERT_TYPE = 'battery';
+
+// Ordered by severity
+const LEVELS = ['warning', 'critical'];
+
+/**
+ * Battery alert engine, see AlertEngine for the events
+ */
+class BatteryAlertEngine extends AlertEngine {
+	/**
+	 * @param {object} [config] - alerts.battery config
+	 * @param {boolean} [config.enabled]
+	 * @param {number} [config.warning_level] - percentage below which a warning is raised
+	 * @param {number} [config.critical_level] - percentage below which the alert turns critical
+	 * @param {number} [config.hysteresis] - percentage points above a level needed to clear it
+	 * @param {number} [config.snooze_minutes] - default snooze duration
+	 */
+	constructor(config = {}) {
+		const snoozeMinutes = config.snooze_minutes || 60;
+		super(ALERT_TYPE, { snooze_minutes: snoozeMinutes });
+
+		this.config = {
+			enabled: config.enabled !== false,
+			warning_level: config.warning_level !== undefined ? config.warning_level : 20,
+			critical_level: config.critical_level !== undefined ? config.critical_level : 10,
+			hysteresis: config.hysteresis !== undefined ? config.hysteresis : 5,
+			snooze_minutes: snoozeMinutes
+		};
+	}
+
+	getThreshold(level) {
+		return level === 'critical' ? this.config.critical_level : this.config.warning_level;
+	}
+
+	/**
+	 * Level for a battery percentage ignoring hysteresis, or null
+	 */
+	getLevel(percentage) {
+		if (percentage < this.config.critical_level) {
+			return 'critical';
+		}
+		if (percentage < this.config.warning_level) {
+			return 'warning';
+		}
+		return null;
+	}
+
+	/**
+	 * Feed a battery reading. Returns the open alert for the device, if any.
+	 */
+	evaluate(device, percentage) {
+		const mac = AlertEngine.normalizeMac(device);
+		if (!this.config.enabled || typeof percentage !== 'number' || Number.isNaN(percentage)) {
+			return this.active.get(mac) || null;
+		}
+
+		const target = this.getLevel(percentage);
+		const alert = this.active.get(mac);
+
+		if (!alert) {
+			if (!target) {
+				return null;
+			}
+
+			return this.openAlert(mac, {
+				level: target,
+				message: this.describe(mac, target, percentage),
+				value: percentage,
+				last_value: percentage,
+				peak_value: percentage
+			});
+		}
+
+		// The lowest reading is the peak of a battery alert
+		const peak = percentage < alert.peak_value;
+		alert.last_value = percentage;
+		alert.peak_value = Math.min(alert.peak_value, percentage);
+		alert.updated_at = new Date().toISOString();
+
+		if (target && LEVELS.indexOf(target) > LEVELS.indexOf(alert.level)) {
+			this.escalateAlert(alert, { level: target, message: this.describe(mac, target, percentage) });
+			return alert;
+		}
+
+		if (percentage >= this.getThreshold(alert.level) + this.config.hysteresis) {
+			if (!target) {
+				this.resolveAlert(alert);
+				return null;
+			}
+
+			// Recovered from critical but still below the warning level
+			alert.level = target;
+			alert.message = this.describe(mac, target, percentage);
+			this.persist(alert);
+			return alert;
+		}
+
+		// Battery readings arrive with every message, only write when the peak changes
+		if (peak) {
+			this.persist(alert);
+		}
+		return alert;
+	}
+
+	describe(mac, level, percentage) {
+		return `${level === 'critical' ? 'CRITICAL' : 'LOW'} BATTERY for ${mac}: ${percentage}% (below ${this.getThreshold(level)}%)`;
+	}
+
+	/**
+	 * Open alerts, most severe first
+	 */
+	getOpenAlerts() {
+		return super.getOpenAlerts()
+			.sort((a, b) => LEVELS.indexOf(b.level) - LEVELS.indexOf(a.level) || a.last_value - b.last_value);
+	}
+
+	getStatus() {
+		return {
+			...this.config,
+			...super.getStatus()
+		};
+	}
+}
+
+BatteryAlertEngine.LEVELS = LEVELS;
+BatteryAlertEngine.ALERT_TYPE = ALERT_TYPE;
+
+module.exports = BatteryAlertEngine;
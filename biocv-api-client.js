@@ -0,0 +1,89 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * BioCV Node REST API Client
+ * Thin axios wrapper around the REST API of the BioCV Node (config.apiUrl)
+ */
+
+const axios = require('axios');
+
+/**
+ * REST client for the BioCV Node
+ */
+class BioCVApiClient {
+	/**
+	 * @param {object} options
+	 * @param {string} options.apiUrl - base URL of the BioCV Node REST API
+	 * @param {string} [options.readingsPath] - path template for device readings, {mac} is replaced
+	 * @param {number} [options.timeout] - request timeout in ms
+	 * @param {number} [options.pageSize] - readings requested per page
+	 */
+	constructor({ apiUrl, readingsPath = '/api/devices/{mac}/data', timeout = 10000, pageSize = 1000 }) {
+		this.readingsPath = readingsPath;
+		this.pageSize = pageSize;
+		this.http = axios.create({
+			baseURL: apiUrl,
+			timeout,
+			headers: { Accept: 'application/json' }
+		});
+	}
+
+	/**
+	 * Turn axios errors into short, readable messages
+	 */
+	describeError(error) {
+		if (error.response) {
+			return `HTTP ${error.response.status} from ${error.config.url}`;
+		}
+		if (error.code) {
+			return `${error.code} (${error.config ? error.config.baseURL : 'request'})`;
+		}
+		return error.message;
+	}
+
+	/**
+	 * Fetch one page of readings for a device between two unix ms timestamps
+	 */
+	async fetchReadingsPage(mac, { from, to, offset = 0 }) {
+		const url = this.readingsPath.replace('{mac}', encodeURIComponent(mac));
+
+		try {
+			const response = await this.http.get(url, {
+				params: { from, to, limit: this.pageSize, offset }
+			});
+			const body = response.data;
+			const readings = Array.isArray(body) ? body : body && Array.isArray(body.data) ? body.data : null;
+
+			if (!readings) {
+				throw new Error(`Unexpected response from ${url}: expected an array of readings`);
+			}
+			return readings;
+		} catch (error) {
+			if (error.isAxiosError) {
+				throw new Error(this.describeError(error));
+			}
+			throw error;
+		}
+	}
+
+	/**
+	 * Fetch readings for a device between two unix ms timestamps, yielding one page at a time
+	 */
+	async *fetchReadingPages(mac, { from, to }) {
+		let offset = 0;
+
+		for (;;) {
+			const page = await this.fetchReadingsPage(mac, { from, to, offset });
+			if (page.length > 0) {
+				yield page;
+			}
+
+			if (page.length < this.pageSize) {
+				break;
+			}
+			offset += page.length;
+		}
+	}
+}
+
+module.exports = BioCVApiClient;
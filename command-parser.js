@@ -0,0 +1,241 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * Command Parser
+ * Splits interactive commands into arguments (keeping their case and
+ * "quoted values"), parses options against a per-command spec and
+ * understands relative times and field predicates
+ */
+
+const RELATIVE_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const PREDICATE_OPERATORS = ['>=', '<=', '!=', '==', '=', '>', '<'];
+
+/**
+ * Split a command line into words. "double" or 'single' quotes keep spaces
+ * together, also inside a word (--name="Berta II").
+ */
+function tokenize(input) {
+	const tokens = [];
+	let current = null;
+	let quote = null;
+
+	for (const char of String(input)) {
+		if (quote) {
+			if (char === quote) {
+				quote = null;
+			} else {
+				current += char;
+			}
+		} else if (char === '"' || char === "'") {
+			quote = char;
+			current = current === null ? '' : current;
+		} else if (/\s/.test(char)) {
+			if (current !== null) {
+				tokens.push(current);
+				current = null;
+			}
+		} else {
+			current = current === null ? char : current + char;
+		}
+	}
+
+	if (quote) {
+		throw new Error(`Unterminated ${quote} quote`);
+	}
+	if (current !== null) {
+		tokens.push(current);
+	}
+	return tokens;
+}
+
+/**
+ * Parse a time: ISO date, unix ms, now, today, yesterday or a time relative
+ * to now (-2h, -30m, -7d, -1w, now-90s)
+ */
+function parseTime(value, now = Date.now()) {
+	const text = String(value).trim().toLowerCase();
+
+	if (/^\d+$/.test(text)) {
+		return parseInt(text, 10);
+	}
+	if (text === 'now') {
+		return now;
+	}
+	if (text === 'today' || text === 'yesterday') {
+		const day = new Date(now);
+		day.setHours(0, 0, 0, 0);
+		if (text === 'yesterday') {
+			day.setDate(day.getDate() - 1);
+		}
+		return day.getTime();
+	}
+
+	const relative = /^(?:now)?([+-])(\d+(?:\.\d+)?)([smhdw])$/.exec(text);
+	if (relative) {
+		const offset = parseFloat(relative[2]) * RELATIVE_UNITS[relative[3]];
+		return Math.round(relative[1] === '-' ? now - offset : now + offset);
+	}
+
+	const time = Date.parse(value);
+	if (Number.isNaN(time)) {
+		throw new Error(`Invalid time "${value}", use an ISO date (2024-06-01, 2024-06-01T12:00), unix ms, ` +
+			'now, today, yesterday or a relative time (-2h, -30m, -7d)');
+	}
+	return time;
+}
+
+/**
+ * Parse a field predicate like c>39.5, rssi>=-70 or ant_mac=AA:BB:CC:DD:EE:FF
+ * into { field, op, value }. Numbers are compared as numbers.
+ */
+function parsePredicate(expression) {
+	const text = String(expression).trim();
+	const match = /^([a-z_][a-z0-9_]*)\s*(>=|<=|!=|==|=|>|<)\s*(.+)$/i.exec(text);
+	if (!match) {
+		throw new Error(`Invalid condition "${expression}", expected <field><op><value> with op one of ${PREDICATE_OPERATORS.join(' ')} (e.g. "c>39.5")`);
+	}
+
+	const raw = match[3].trim();
+	const number = Number(raw);
+	return {
+		field: match[1].toLowerCase(),
+		op: match[2] === '==' ? '=' : match[2],
+		value: raw !== '' && Number.isFinite(number) ? number : raw
+	};
+}
+
+/**
+ * Convert an option or positional value to its spec type
+ */
+function convertValue(name, type, value) {
+	if (Array.isArray(type)) {
+		const choice = value.toLowerCase();
+		if (!type.includes(choice)) {
+			throw new Error(`${name} must be one of ${type.join(', ')}, got "${value}"`);
+		}
+		return choice;
+	}
+
+	switch (type) {
+		case 'int':
+			if (!/^\d+$/.test(value)) {
+				throw new Error(`${name} must be a whole number, got "${value}"`);
+			}
+			return parseInt(value, 10);
+		case 'number': {
+			const number = Number(value);
+			if (value.trim() === '' || !Number.isFinite(number)) {
+				throw new Error(`${name} must be a number, got "${value}"`);
+			}
+			return number;
+		}
+		case 'time':
+			try {
+				return parseTime(value);
+			} catch (error) {
+				throw new Error(`${name}: ${error.message}`);
+			}
+		case 'list':
+			return value.split(',').map(item => item.trim()).filter(Boolean);
+		case 'predicate':
+			return parsePredicate(value);
+		default:
+			return value;
+	}
+}
+
+/**
+ * Parse arguments (tokens after the command words) against a spec:
+ *   positional: names in order, 'name?' optional, 'name...' collects the rest
+ *   options: { name: type }, type one of 'flag', 'string', 'int', 'number',
+ *            'time', 'list', 'predicate' or an array of allowed values
+ * Options are given as --name value or --name=value, 'list' and 'predicate'
+ * options can be repeated. A positional with the name of an option shares
+ * its type and key (query <mac> [type] is the same as --type).
+ * Returns { name: value } for every argument given.
+ */
+function parseArgs(tokens, spec = {}) {
+	const options = spec.options || {};
+	const positional = (spec.positional || []).map(entry => ({
+		name: entry.replace(/[?]$|\.\.\.$/, ''),
+		optional: entry.endsWith('?') || entry.endsWith('...'),
+		rest: entry.endsWith('...')
+	}));
+	const result = {};
+	const values = [];
+
+	for (let i = 0; i < tokens.length; i++) {
+		const token = tokens[i];
+		if (!token.startsWith('--') || token === '--') {
+			values.push(token);
+			continue;
+		}
+
+		const equals = token.indexOf('=');
+		const name = (equals === -1 ? token.slice(2) : token.slice(2, equals)).toLowerCase();
+		const type = options[name];
+		if (type === undefined) {
+			const known = Object.keys(options).map(option => `--${option}`);
+			throw new Error(`Unknown option --${name}${known.length ? ` (options: ${known.join(', ')})` : ''}`);
+		}
+
+		if (type === 'flag') {
+			if (equals !== -1) {
+				throw new Error(`--${name} does not take a value`);
+			}
+			result[name] = true;
+			continue;
+		}
+
+		let value;
+		if (equals !== -1) {
+			value = token.slice(equals + 1);
+		} else if (i + 1 < tokens.length && !tokens[i + 1].startsWith('--')) {
+			value = tokens[++i];
+		}
+		if (value === undefined || value === '') {
+			throw new Error(`--${name} needs a value`);
+		}
+
+		const converted = convertValue(`--${name}`, type, value);
+		if (type === 'list') {
+			result[name] = (result[name] || []).concat(converted);
+		} else if (type === 'predicate') {
+			result[name] = (result[name] || []).concat([converted]);
+		} else if (result[name] !== undefined) {
+			throw new Error(`--${name} given twice`);
+		} else {
+			result[name] = converted;
+		}
+	}
+
+	positional.forEach(({ name, optional, rest }) => {
+		if (rest) {
+			result[name] = values.splice(0);
+			return;
+		}
+		if (values.length === 0) {
+			if (!optional) {
+				throw new Error(`Missing <${name}>`);
+			}
+			return;
+		}
+		const value = values.shift();
+		if (result[name] !== undefined) {
+			throw new Error(`${name} given twice ("${value}" and --${name})`);
+		}
+		result[name] = convertValue(name, options[name] === 'flag' ? 'string' : options[name], value);
+	});
+
+	if (values.length > 0) {
+		throw new Error(`Unexpected argument "${values[0]}"`);
+	}
+	return result;
+}
+
+module.exports = {
+	tokenize,
+	parseArgs,
+	parseTime,
+	parsePredicate
+};
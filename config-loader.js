@@ -0,0 +1,556 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * Configuration Loader
+ * Builds the effective configuration from layered sources:
+ * defaults < JSON config file < environment variables < CLI flags
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_FILE = './biocv.config.json';
+
+/**
+ * Configuration schema. Each entry maps a dotted config key to its type,
+ * default value, environment variable and CLI flag. envAlias names a second
+ * variable that wins over env; envShared marks an env variable other tools
+ * use too, values that are not valid for the key are ignored.
+ */
+const SCHEMA = [
+	{ key: 'wsUrl', type: 'url', protocols: ['ws:', 'wss:'], default: 'ws://localhost:8080', env: 'WS_URL', flag: '--ws-url' },
+	{ key: 'apiUrl', type: 'url', protocols: ['http:', 'https:'], default: 'http://localhost:3000', env: 'API_URL', flag: '--api-url' },
+	{ key: 'reconnectInterval', type: 'integer', min: 100, default: 5000, env: 'RECONNECT_INTERVAL', flag: '--reconnect-interval' },
+	{ key: 'connection.max_delay', type: 'integer', min: 100, default: 60000, env: 'RECONNECT_MAX_DELAY', flag: '--reconnect-max-delay' },
+	{ key: 'connection.backoff_multiplier', type: 'number', min: 1, default: 2, env: 'RECONNECT_BACKOFF_MULTIPLIER' },
+	{ key: 'connection.jitter', type: 'number', min: 0, max: 1, default: 0.5, env: 'RECONNECT_JITTER' },
+	{ key: 'connection.heartbeat_interval', type: 'integer', min: 1000, default: 15000, env: 'HEARTBEAT_INTERVAL', flag: '--heartbeat-interval' },
+	{ key: 'connection.heartbeat_timeout', type: 'integer', min: 1000, default: 45000, env: 'HEARTBEAT_TIMEOUT', flag: '--heartbeat-timeout' },
+	{ key: 'debug', type: 'boolean', default: false, env: 'DEBUG', envShared: true, envAlias: 'BIOCV_DEBUG', flag: '--debug' },
+	{ key: 'daemon', type: 'boolean', default: false, env: 'DAEMON', flag: '--daemon' },
+
+	{ key: 'subscriptions.types', type: 'array', default: ['all'], env: 'SUBSCRIBE_TYPES', flag: '--subscribe' },
+	{ key: 'subscriptions.allow_macs', type: 'array', default: [], env: 'ALLOW_MACS', flag: '--allow-macs' },
+	{ key: 'subscriptions.deny_macs', type: 'array', default: [], env: 'DENY_MACS', flag: '--deny-macs' },
+
+	{ key: 'validation.enabled', type: 'boolean', default: true, env: 'VALIDATION_ENABLED', flag: '--validation' },
+	{ key: 'validation.dead_letter', type: 'boolean', default: true, env: 'VALIDATION_DEAD_LETTER', flag: '--dead-letter' },
+	{ key: 'validation.max_dead_letters', type: 'integer', min: 1, default: 10000, env: 'VALIDATION_MAX_DEAD_LETTERS' },
+	{ key: 'validation.ranges', type: 'object', default: {}, env: 'VALIDATION_RANGES', flag: '--validation-ranges' },
+
+	{ key: 'storageConfig.enabled', type: 'boolean', default: false, env: 'STORAGE_ENABLED', flag: '--storage' },
+	{ key: 'storageConfig.database_path', type: 'string', default: './data/demo_biocv_data.db', env: 'STORAGE_DB_PATH', flag: '--db-path' },
+	{ key: 'storageConfig.max_table_size', type: 'integer', min: 1, default: 1000000, env: 'STORAGE_MAX_TABLE_SIZE', flag: '--max-table-size' },
+	{ key: 'storageConfig.data_type_quotas', type: 'object', default: {}, env: 'STORAGE_DATA_TYPE_QUOTAS', flag: '--data-type-quotas' },
+	{ key: 'storageConfig.retention_days', type: 'integer', min: 1, default: 7, env: 'STORAGE_RETENTION_DAYS', flag: '--retention-days' },
+	{ key: 'storageConfig.auto_create_tables', type: 'boolean', default: true },
+	{ key: 'storageConfig.enable_logging', type: 'boolean', default: true, env: 'STORAGE_LOGGING', flag: '--storage-logging' },
+	{ key: 'retention.enabled', type: 'boolean', default: true, env: 'RETENTION_ENABLED', flag: '--retention' },
+	{ key: 'retention.days', type: 'object', default: { battery: 90 }, env: 'RETENTION_DAYS', flag: '--retention-policy' },
+	{ key: 'retention.rollups', type: 'boolean', default: true, env: 'RETENTION_ROLLUPS', flag: '--rollups' },
+	{ key: 'retention.rollup_days', type: 'integer', min: 1, default: 365, env: 'RETENTION_ROLLUP_DAYS' },
+	{ key: 'retention.interval_ms', type: 'integer', min: 60000, default: 3600000, env: 'RETENTION_INTERVAL_MS' },
+
+	{ key: 'writeQueue.batch_size', type: 'integer', min: 1, default: 500, env: 'WRITE_QUEUE_BATCH_SIZE', flag: '--batch-size' },
+	{ key: 'writeQueue.flush_interval', type: 'integer', min: 10, default: 1000, env: 'WRITE_QUEUE_FLUSH_INTERVAL', flag: '--flush-interval' },
+	{ key: 'writeQueue.max_queue_size', type: 'integer', min: 1, default: 10000, env: 'WRITE_QUEUE_MAX_SIZE', flag: '--max-queue-size' },
+	{ key: 'writeQueue.overflow_policy', type: 'enum', values: ['drop-oldest', 'block', 'spill'], default: 'drop-oldest', env: 'WRITE_QUEUE_OVERFLOW', flag: '--overflow-policy' },
+	{ key: 'writeQueue.spill_path', type: 'string', default: './data/write_queue_spill.ndjson', env: 'WRITE_QUEUE_SPILL_PATH', flag: '--spill-path' },
+	{ key: 'writeQueue.max_retries', type: 'integer', min: 0, default: 3, env: 'WRITE_QUEUE_MAX_RETRIES' },
+	{ key: 'writeQueue.block_headroom', type: 'integer', min: 0, default: 1000, env: 'WRITE_QUEUE_BLOCK_HEADROOM' },
+	{ key: 'shutdown.timeout_ms', type: 'integer', min: 0, default: 10000, env: 'SHUTDOWN_TIMEOUT_MS', flag: '--shutdown-timeout' },
+
+	{ key: 'httpApi.enabled', type: 'boolean', default: false, env: 'HTTP_API_ENABLED', flag: '--http-api' },
+	{ key: 'httpApi.host', type: 'string', default: '127.0.0.1', env: 'HTTP_API_HOST', flag: '--http-host' },
+	{ key: 'httpApi.port', type: 'integer', min: 0, max: 65535, default: 8090, env: 'HTTP_API_PORT', flag: '--http-port' },
+	{ key: 'httpApi.api_key', type: 'string', default: null, secret: true, env: 'HTTP_API_KEY', flag: '--http-api-key' },
+	{ key: 'httpApi.max_limit', type: 'integer', min: 1, default: 10000, env: 'HTTP_API_MAX_LIMIT' },
+	{ key: 'httpApi.max_offset', type: 'integer', min: 0, default: 100000, env: 'HTTP_API_MAX_OFFSET' },
+
+	{ key: 'backfill.enabled', type: 'boolean', default: true, env: 'BACKFILL_ENABLED', flag: '--backfill' },
+	{ key: 'backfill.readings_path', type: 'string', default: '/api/devices/{mac}/data', env: 'BACKFILL_READINGS_PATH', flag: '--backfill-path' },
+	{ key: 'backfill.max_gap_hours', type: 'integer', min: 1, default: 24, env: 'BACKFILL_MAX_GAP_HOURS', flag: '--backfill-max-gap' },
+	{ key: 'backfill.min_gap_ms', type: 'integer', min: 0, default: 10000, env: 'BACKFILL_MIN_GAP_MS' },
+	{ key: 'backfill.page_size', type: 'integer', min: 1, default: 1000, env: 'BACKFILL_PAGE_SIZE' },
+	{ key: 'backfill.timeout', type: 'integer', min: 100, default: 10000, env: 'BACKFILL_TIMEOUT' },
+
+	{ key: 'alerts.battery.enabled', type: 'boolean', default: true, env: 'BATTERY_ALERTS_ENABLED', flag: '--battery-alerts' },
+	{ key: 'alerts.battery.warning_level', type: 'number', min: 0, max: 100, default: 20, env: 'BATTERY_WARNING_LEVEL', flag: '--battery-warning' },
+	{ key: 'alerts.battery.critical_level', type: 'number', min: 0, max: 100, default: 10, env: 'BATTERY_CRITICAL_LEVEL', flag: '--battery-critical' },
+	{ key: 'alerts.battery.hysteresis', type: 'number', min: 0, max: 100, default: 5, env: 'BATTERY_HYSTERESIS' },
+	{ key: 'alerts.battery.snooze_minutes', type: 'integer', min: 1, default: 60, env: 'BATTERY_SNOOZE_MINUTES' },
+
+	{ key: 'alerts.fever.enabled', type: 'boolean', default: true, env: 'FEVER_ALERTS_ENABLED', flag: '--fever-alerts' },
+	{ key: 'alerts.fever.delta', type: 'number', min: 0.1, default: 1.0, env: 'FEVER_DELTA', flag: '--fever-delta' },
+	{ key: 'alerts.fever.hysteresis', type: 'number', min: 0, default: 0.3, env: 'FEVER_HYSTERESIS' },
+	{ key: 'alerts.fever.sustained_minutes', type: 'integer', min: 0, default: 30, env: 'FEVER_SUSTAINED_MINUTES', flag: '--fever-sustained' },
+	{ key: 'alerts.fever.min_readings', type: 'integer', min: 1, default: 3, env: 'FEVER_MIN_READINGS' },
+	{ key: 'alerts.fever.baseline_days', type: 'integer', min: 1, default: 7, env: 'FEVER_BASELINE_DAYS' },
+	{ key: 'alerts.fever.min_baseline_readings', type: 'integer', min: 1, default: 50, env: 'FEVER_MIN_BASELINE_READINGS' },
+	{ key: 'alerts.fever.ambient_coefficient', type: 'number', min: 0, max: 1, default: 0.1, env: 'FEVER_AMBIENT_COEFFICIENT' },
+	{ key: 'alerts.fever.supporting_readings', type: 'integer', min: 1, default: 10, env: 'FEVER_SUPPORTING_READINGS' },
+	{ key: 'alerts.fever.snooze_minutes', type: 'integer', min: 1, default: 60, env: 'FEVER_SNOOZE_MINUTES' },
+
+	{ key: 'positioning.enabled', type: 'boolean', default: true, env: 'POSITIONING_ENABLED', flag: '--positioning' },
+	{ key: 'positioning.receivers', type: 'object', default: {}, env: 'ANT_RECEIVERS', flag: '--receivers' },
+	{ key: 'positioning.window_ms', type: 'integer', min: 100, default: 5000, env: 'POSITIONING_WINDOW_MS' },
+	{ key: 'positioning.min_receivers', type: 'integer', min: 3, default: 3, env: 'POSITIONING_MIN_RECEIVERS' },
+	{ key: 'positioning.max_residual', type: 'number', min: 0, default: 3, env: 'POSITIONING_MAX_RESIDUAL' },
+	{ key: 'positioning.smoothing', type: 'number', min: 0.01, max: 1, default: 0.3, env: 'POSITIONING_SMOOTHING' },
+	{ key: 'positioning.min_interval_ms', type: 'integer', min: 0, default: 1000, env: 'POSITIONING_MIN_INTERVAL_MS' },
+
+	{ key: 'activity.enabled', type: 'boolean', default: true, env: 'ACTIVITY_ENABLED', flag: '--activity' },
+	{ key: 'activity.window_ms', type: 'integer', min: 1000, default: 60000, env: 'ACTIVITY_WINDOW_MS', flag: '--activity-window' },
+	{ key: 'activity.min_samples', type: 'integer', min: 1, default: 5, env: 'ACTIVITY_MIN_SAMPLES' },
+	{ key: 'activity.upright_axis', type: 'enum', values: ['x', 'y', 'z'], default: 'z', env: 'ACTIVITY_UPRIGHT_AXIS' },
+	{ key: 'activity.lying_tilt', type: 'number', min: 0, max: 90, default: 45, env: 'ACTIVITY_LYING_TILT' },
+	{ key: 'activity.walking_variance', type: 'number', min: 0, default: 0.02, env: 'ACTIVITY_WALKING_VARIANCE' },
+	{ key: 'activity.high_activity_variance', type: 'number', min: 0, default: 0.15, env: 'ACTIVITY_HIGH_VARIANCE' },
+
+	{ key: 'heatStress.enabled', type: 'boolean', default: true, env: 'HEAT_STRESS_ENABLED', flag: '--heat-stress' },
+	{ key: 'heatStress.alerts', type: 'boolean', default: true, env: 'HEAT_STRESS_ALERTS', flag: '--heat-alerts' },
+	{ key: 'heatStress.bands.mild', type: 'number', default: 68, env: 'THI_MILD', flag: '--thi-mild' },
+	{ key: 'heatStress.bands.moderate', type: 'number', default: 72, env: 'THI_MODERATE', flag: '--thi-moderate' },
+	{ key: 'heatStress.bands.severe', type: 'number', default: 80, env: 'THI_SEVERE', flag: '--thi-severe' },
+	{ key: 'heatStress.hysteresis', type: 'number', min: 0, default: 1, env: 'THI_HYSTERESIS' },
+	{ key: 'heatStress.max_gap_minutes', type: 'integer', min: 1, default: 15, env: 'THI_MAX_GAP_MINUTES' },
+	{ key: 'heatStress.snooze_minutes', type: 'integer', min: 1, default: 60, env: 'HEAT_STRESS_SNOOZE_MINUTES' },
+
+	{ key: 'liveness.enabled', type: 'boolean', default: true, env: 'LIVENESS_ENABLED', flag: '--liveness' },
+	{ key: 'liveness.expected_interval_ms', type: 'integer', min: 0, default: 0, env: 'LIVENESS_EXPECTED_INTERVAL_MS', flag: '--expected-interval' },
+	{ key: 'liveness.silence_factor', type: 'number', min: 1, default: 5, env: 'LIVENESS_SILENCE_FACTOR' },
+	{ key: 'liveness.silence_ms', type: 'integer', min: 0, default: 0, env: 'LIVENESS_SILENCE_MS', flag: '--offline-after' },
+	{ key: 'liveness.min_silence_ms', type: 'integer', min: 0, default: 60000, env: 'LIVENESS_MIN_SILENCE_MS' },
+	{ key: 'liveness.default_silence_ms', type: 'integer', min: 1000, default: 300000, env: 'LIVENESS_DEFAULT_SILENCE_MS' },
+	{ key: 'liveness.check_interval_ms', type: 'integer', min: 100, default: 10000, env: 'LIVENESS_CHECK_INTERVAL_MS' },
+	{ key: 'liveness.snooze_minutes', type: 'integer', min: 1, default: 60, env: 'LIVENESS_SNOOZE_MINUTES' },
+
+	{ key: 'watch.max_rate', type: 'integer', min: 1, default: 10, env: 'WATCH_MAX_RATE', flag: '--watch-rate' },
+	{ key: 'watch.idle_notice_ms', type: 'integer', min: 1000, default: 10000, env: 'WATCH_IDLE_NOTICE_MS' },
+	{ key: 'dashboard.enabled', type: 'boolean', default: false, env: 'DASHBOARD_ENABLED', flag: '--dashboard' },
+	{ key: 'dashboard.refresh_ms', type: 'integer', min: 100, default: 1000, env: 'DASHBOARD_REFRESH_MS', flag: '--dashboard-refresh' }
+];
+
+/**
+ * Checks across several keys, run after all sources are applied
+ */
+const CONSTRAINTS = [
+	{
+		check: config => config.alerts.battery.critical_level < config.alerts.battery.warning_level,
+		message: 'alerts.battery.critical_level must be below alerts.battery.warning_level'
+	},
+	{
+		check: config => Object.values(config.positioning.receivers).every(position =>
+			position && Number.isFinite(position.x) && Number.isFinite(position.y)),
+		message: 'positioning.receivers must map receiver MACs to { "x": <m>, "y": <m> }'
+	},
+	{
+		check: config => config.alerts.fever.hysteresis < config.alerts.fever.delta,
+		message: 'alerts.fever.hysteresis must be below alerts.fever.delta'
+	},
+	{
+		check: config => config.activity.walking_variance < config.activity.high_activity_variance,
+		message: 'activity.walking_variance must be below activity.high_activity_variance'
+	},
+	{
+		check: config => config.heatStress.bands.mild < config.heatStress.bands.moderate &&
+			config.heatStress.bands.moderate < config.heatStress.bands.severe,
+		message: 'heatStress.bands must be ascending: mild < moderate < severe'
+	},
+	{
+		check: config => Object.entries(config.retention.days).every(([dataType, days]) =>
+			['sensor', 'battery', 'ant', 'position', 'environment'].includes(dataType) && Number.isInteger(days) && days >= 0),
+		message: 'retention.days must map sensor, battery, ant, position or environment to whole days (0 keeps data forever)'
+	},
+	{
+		check: config => Object.entries(config.validation.ranges).every(([field, range]) =>
+			['x', 'y', 'z', 'c', 'rssi', 'weight', 'percentage', 'distance', 'temperature', 'humidity'].includes(field) &&
+			Array.isArray(range) && range.length === 2 && range.every(Number.isFinite) && range[0] < range[1]),
+		message: 'validation.ranges must map x, y, z, c, rssi, weight, percentage, distance, temperature or humidity to [min, max]'
+	},
+	{
+		check: config => !(config.daemon && config.dashboard.enabled),
+		message: 'daemon and dashboard.enabled cannot both be set, the dashboard needs a terminal'
+	}
+];
+
+const TRUE_VALUES = ['true', '1', 'yes', 'on'];
+const FALSE_VALUES = ['false', '0', 'no', 'off'];
+
+/**
+ * Read a dotted key from a nested object
+ */
+function getPath(object, key) {
+	return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), object);
+}
+
+/**
+ * Write a dotted key into a nested object, creating intermediate objects
+ */
+function setPath(object, key, value) {
+	const parts = key.split('.');
+	let target = object;
+	for (const part of parts.slice(0, -1)) {
+		if (typeof target[part] !== 'object' || target[part] === null) {
+			target[part] = {};
+		}
+		target = target[part];
+	}
+	target[parts[parts.length - 1]] = value;
+}
+
+/**
+ * Convert and validate a raw value against a schema entry.
+ * Throws an Error describing the problem if the value is invalid.
+ */
+function coerce(entry, raw) {
+	switch (entry.type) {
+		case 'string':
+			if (typeof raw !== 'string' || raw.trim() === '') {
+				throw new Error('expected a non-empty string');
+			}
+			return raw;
+
+		case 'url': {
+			if (typeof raw !== 'string') {
+				throw new Error('expected a URL string');
+			}
+			let url;
+			try {
+				url = new URL(raw);
+			} catch (error) {
+				throw new Error(`"${raw}" is not a valid URL`);
+			}
+			if (entry.protocols && !entry.protocols.includes(url.protocol)) {
+				throw new Error(`"${raw}" must use ${entry.protocols.map(p => p.replace(':', '://')).join(' or ')}`);
+			}
+			return raw;
+		}
+
+		case 'boolean':
+			if (typeof raw === 'boolean') {
+				return raw;
+			}
+			if (typeof raw === 'string') {
+				const value = raw.trim().toLowerCase();
+				if (TRUE_VALUES.includes(value)) return true;
+				if (FALSE_VALUES.includes(value)) return false;
+			}
+			throw new Error(`"${raw}" is not a boolean (use ${TRUE_VALUES.join('/')} or ${FALSE_VALUES.join('/')})`);
+
+		case 'integer': {
+			const value = typeof raw === 'string' && /^-?\d+$/.test(raw.trim()) ? parseInt(raw, 10) : raw;
+			if (!Number.isInteger(value)) {
+				throw new Error(`"${raw}" is not an integer`);
+			}
+			if (entry.min !== undefined && value < entry.min) {
+				throw new Error(`${value} is below the minimum of ${entry.min}`);
+			}
+			if (entry.max !== undefined && value > entry.max) {
+				throw new Error(`${value} is above the maximum of ${entry.max}`);
+			}
+			return value;
+		}
+
+		case 'number': {
+			const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+			if (typeof value !== 'number' || !Number.isFinite(value)) {
+				throw new Error(`"${raw}" is not a number`);
+			}
+			if (entry.min !== undefined && value < entry.min) {
+				throw new Error(`${value} is below the minimum of ${entry.min}`);
+			}
+			if (entry.max !== undefined && value > entry.max) {
+				throw new Error(`${value} is above the maximum of ${entry.max}`);
+			}
+			return value;
+		}
+
+		case 'enum':
+			if (!entry.values.includes(raw)) {
+				throw new Error(`"${raw}" is not one of ${entry.values.join(', ')}`);
+			}
+			return raw;
+
+		case 'object': {
+			let value = raw;
+			if (typeof raw === 'string') {
+				try {
+					value = JSON.parse(raw);
+				} catch (error) {
+					throw new Error(`invalid JSON: ${error.message}`);
+				}
+			}
+			if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+				throw new Error('expected a JSON object');
+			}
+			return value;
+		}
+
+		case 'array': {
+			// Comma separated list or JSON array
+			let value = raw;
+			if (typeof raw === 'string') {
+				try {
+					value = raw.trim().startsWith('[')
+						? JSON.parse(raw)
+						: raw.split(',').map(item => item.trim()).filter(Boolean);
+				} catch (error) {
+					throw new Error(`invalid JSON: ${error.message}`);
+				}
+			}
+			if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+				throw new Error('expected a list of strings');
+			}
+			return value;
+		}
+	}
+
+	throw new Error(`unsupported type ${entry.type}`);
+}
+
+/**
+ * Collect the config file keys that do not exist in the schema
+ */
+function findUnknownKeys(object, prefix = '') {
+	const unknown = [];
+
+	for (const [name, value] of Object.entries(object)) {
+		const key = prefix ? `${prefix}.${name}` : name;
+		if (SCHEMA.some(entry => entry.key === key)) {
+			continue;
+		}
+		if (typeof value === 'object' && value !== null && !Array.isArray(value) &&
+			SCHEMA.some(entry => entry.key.startsWith(`${key}.`))) {
+			unknown.push(...findUnknownKeys(value, key));
+		} else {
+			unknown.push(key);
+		}
+	}
+
+	return unknown;
+}
+
+/**
+ * Split CLI arguments into flag values and positional arguments.
+ * Supports "--flag value", "--flag=value", bare boolean flags and "--no-flag".
+ */
+function parseArgs(argv) {
+	const flags = new Map();
+	const positional = [];
+	const errors = [];
+
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+
+		if (!arg.startsWith('--')) {
+			positional.push(arg);
+			continue;
+		}
+
+		let [flag, value] = arg.includes('=') ? [arg.slice(0, arg.indexOf('=')), arg.slice(arg.indexOf('=') + 1)] : [arg, undefined];
+		let entry = SCHEMA.find(candidate => candidate.flag === flag);
+
+		if (!entry && flag.startsWith('--no-')) {
+			entry = SCHEMA.find(candidate => candidate.flag === `--${flag.slice(5)}` && candidate.type === 'boolean');
+			if (entry) {
+				flags.set(entry.key, { flag, value: 'false' });
+				continue;
+			}
+		}
+
+		if (flag === '--config') {
+			entry = { key: 'config', flag };
+		}
+
+		if (!entry) {
+			errors.push(`Unknown option ${flag}`);
+			continue;
+		}
+
+		if (value === undefined) {
+			if (entry.type === 'boolean' && (i + 1 >= argv.length || !isBooleanWord(argv[i + 1]))) {
+				value = 'true';
+			} else if (i + 1 < argv.length) {
+				value = argv[++i];
+			} else {
+				errors.push(`Option ${flag} requires a value`);
+				continue;
+			}
+		}
+
+		flags.set(entry.key, { flag, value });
+	}
+
+	return { flags, positional, errors };
+}
+
+/**
+ * Separate configuration flags (and their values) from the arguments of a
+ * subcommand, so "query <mac> --from -2h --db-path x.db" can be parsed in two
+ * parts. Returns { configArgs, rest }.
+ */
+function splitConfigArgs(argv) {
+	const configArgs = [];
+	const rest = [];
+
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		const flag = arg.includes('=') ? arg.slice(0, arg.indexOf('=')) : arg;
+		const entry = flag === '--config'
+			? { type: 'string' }
+			: SCHEMA.find(candidate => candidate.flag === flag);
+		const negated = !entry && flag.startsWith('--no-') &&
+			SCHEMA.some(candidate => candidate.flag === `--${flag.slice(5)}` && candidate.type === 'boolean');
+
+		if (!entry && !negated) {
+			rest.push(arg);
+			continue;
+		}
+
+		configArgs.push(arg);
+		if (entry && !arg.includes('=') && i + 1 < argv.length &&
+			(entry.type !== 'boolean' || isBooleanWord(argv[i + 1]))) {
+			configArgs.push(argv[++i]);
+		}
+	}
+
+	return { configArgs, rest };
+}
+
+/**
+ * Check a raw value against a schema entry without throwing
+ */
+function isValid(entry, raw) {
+	try {
+		coerce(entry, raw);
+		return true;
+	} catch (error) {
+		return false;
+	}
+}
+
+function isBooleanWord(value) {
+	return TRUE_VALUES.includes(value.toLowerCase()) || FALSE_VALUES.includes(value.toLowerCase());
+}
+
+/**
+ * Load the effective configuration.
+ * Returns { config, sources, positional, configFile }; sources maps each key
+ * to the layer its value came from. Throws an Error listing every invalid value.
+ */
+function loadConfig({ argv = process.argv.slice(2), env = process.env } = {}) {
+	const config = {};
+	const sources = {};
+	const errors = [];
+
+	const apply = (entry, raw, source) => {
+		try {
+			setPath(config, entry.key, coerce(entry, raw));
+			sources[entry.key] = source;
+		} catch (error) {
+			errors.push(`${entry.key} (${source}): ${error.message}`);
+		}
+	};
+
+	// 1. Defaults
+	for (const entry of SCHEMA) {
+		setPath(config, entry.key, JSON.parse(JSON.stringify(entry.default)));
+		sources[entry.key] = 'default';
+	}
+
+	const args = parseArgs(argv);
+	errors.push(...args.errors);
+
+	// 2. JSON config file
+	const explicitFile = args.flags.has('config') ? args.flags.get('config').value : env.BIOCV_CONFIG;
+	const configFile = explicitFile || DEFAULT_CONFIG_FILE;
+
+	if (fs.existsSync(configFile)) {
+		let fileConfig = null;
+		try {
+			fileConfig = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+		} catch (error) {
+			errors.push(`Config file ${configFile}: ${error.message}`);
+		}
+
+		if (fileConfig) {
+			findUnknownKeys(fileConfig).forEach(key => errors.push(`Config file ${configFile}: unknown key "${key}"`));
+			for (const entry of SCHEMA) {
+				const value = getPath(fileConfig, entry.key);
+				if (value !== undefined) {
+					apply(entry, value, `file:${path.basename(configFile)}`);
+				}
+			}
+		}
+	} else if (explicitFile) {
+		errors.push(`Config file ${explicitFile} not found`);
+	}
+
+	// 3. Environment variables
+	const isSet = name => name && env[name] !== undefined && env[name] !== '';
+	for (const entry of SCHEMA) {
+		if (isSet(entry.envAlias)) {
+			apply(entry, env[entry.envAlias], `env:${entry.envAlias}`);
+		} else if (isSet(entry.env) && (!entry.envShared || isValid(entry, env[entry.env]))) {
+			apply(entry, env[entry.env], `env:${entry.env}`);
+		}
+	}
+
+	// 4. CLI flags
+	for (const entry of SCHEMA) {
+		if (args.flags.has(entry.key)) {
+			const { flag, value } = args.flags.get(entry.key);
+			apply(entry, value, `cli:${flag}`);
+		}
+	}
+
+	if (errors.length === 0) {
+		CONSTRAINTS.filter(constraint => !constraint.check(config)).forEach(constraint => errors.push(constraint.message));
+	}
+
+	if (errors.length > 0) {
+		throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+	}
+
+	return {
+		config,
+		sources,
+		positional: args.positional,
+		configFile: fs.existsSync(configFile) ? configFile : null
+	};
+}
+
+/**
+ * Build the default configuration without reading any source
+ */
+function defaultConfig() {
+	const config = {};
+	for (const entry of SCHEMA) {
+		setPath(config, entry.key, JSON.parse(JSON.stringify(entry.default)));
+	}
+	return config;
+}
+
+/**
+ * List every schema key with its effective value and source
+ */
+function describeConfig(config, sources) {
+	return SCHEMA.map(entry => ({
+		key: entry.key,
+		value: entry.secret && getPath(config, entry.key) ? '********' : getPath(config, entry.key),
+		source: sources[entry.key] || 'default',
+		env: entry.env || null,
+		flag: entry.flag || null
+	}));
+}
+
+module.exports = {
+	SCHEMA,
+	loadConfig,
+	defaultConfig,
+	describeConfig,
+	parseArgs,
+	splitConfigArgs,
+	coerce
+};
@@ -0,0 +1,380 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * WebSocket Connection Manager
+ * Keeps a single connection to the BioCV Node WebSocket alive with exponential
+ * backoff, ping/pong heartbeats and explicit connection state
+ */
+
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+const STATES = ['idle', 'connecting', 'open', 'subscribed', 'backing-off', 'closed'];
+
+/**
+ * Managed WebSocket connection
+ *
+ * Events:
+ *   'state'       - (state, previousState) on every state change
+ *   'message'     - (message) for every parsed JSON message while ingestion is active
+ *   'unparseable' - (text, reason) for every message that is not a JSON object while ingestion is active
+ *   'open'        - the socket connected (before subscribing)
+ *   'subscribed'  - the subscription message was sent
+ *   'backoff'     - ({ delay, attempt }) a reconnect is scheduled
+ *   'error'       - (error) socket or parse error
+ */
+class ConnectionManager extends EventEmitter {
+	constructor(config = {}) {
+		super();
+
+		this.config = {
+			url: config.url || 'ws://localhost:8080',
+			initial_delay: config.initial_delay || 1000,
+			max_delay: config.max_delay || 60000,
+			backoff_multiplier: config.backoff_multiplier || 2,
+			jitter: config.jitter !== undefined ? config.jitter : 0.5,
+			heartbeat_interval: config.heartbeat_interval || 15000,
+			heartbeat_timeout: config.heartbeat_timeout || 45000,
+			getSubscription: config.getSubscription || (() => ({ type: 'subscribe', subscriptions: ['all'] }))
+		};
+
+		this.ws = null;
+		this.state = 'idle';
+		this.attempt = 0;
+		this.reconnectTimer = null;
+		this.heartbeatTimer = null;
+		this.lastSeen = 0;
+		this.stopped = false;
+		this.ingestionPaused = false;
+		this.socketPaused = false;
+
+		this.stats = {
+			connects: 0,
+			reconnects: 0,
+			heartbeat_timeouts: 0,
+			parse_errors: 0,
+			messages_total: 0,
+			messages_ignored: 0,
+			messages_by_type: {},
+			connected_since: null,
+			total_uptime_ms: 0,
+			last_error: null,
+			last_close: null,
+			next_retry_at: null
+		};
+	}
+
+	setState(state) {
+		if (!STATES.includes(state) || state === this.state) {
+			return;
+		}
+		const previous = this.state;
+		this.state = state;
+		this.emit('state', state, previous);
+	}
+
+	/**
+	 * Open the connection (no-op if already connecting or connected)
+	 */
+	start() {
+		this.stopped = false;
+		if (!this.ws) {
+			this.connect();
+		}
+		return this;
+	}
+
+	connect() {
+		clearTimeout(this.reconnectTimer);
+		this.reconnectTimer = null;
+		this.stats.next_retry_at = null;
+		this.detachSocket();
+
+		this.setState('connecting');
+		const ws = new WebSocket(this.config.url);
+		this.ws = ws;
+
+		ws.on('open', () => this.handleOpen(ws));
+		ws.on('message', (data) => this.handleMessage(data));
+		ws.on('pong', () => {
+			this.lastSeen = Date.now();
+		});
+		ws.on('close', (code, reason) => this.handleClose(ws, code, reason));
+		ws.on('error', (err) => {
+			this.stats.last_error = err.message;
+			if (this.listenerCount('error') > 0) {
+				this.emit('error', err);
+			}
+		});
+	}
+
+	handleOpen(ws) {
+		if (ws !== this.ws) {
+			return;
+		}
+
+		if (this.stats.connects > 0) {
+			this.stats.reconnects++;
+		}
+		this.stats.connects++;
+		this.stats.connected_since = Date.now();
+		this.attempt = 0;
+		this.lastSeen = Date.now();
+
+		this.setState('open');
+		this.emit('open');
+
+		if (this.socketPaused) {
+			ws.pause();
+		}
+
+		this.sendSubscription();
+		this.startHeartbeat();
+	}
+
+	/**
+	 * (Re)send the current subscription over the live socket
+	 */
+	sendSubscription() {
+		if (!this.send(this.config.getSubscription())) {
+			return false;
+		}
+		this.setState('subscribed');
+		this.emit('subscribed');
+		return true;
+	}
+
+	handleMessage(data) {
+		this.lastSeen = Date.now();
+
+		let message;
+		let problem = null;
+		try {
+			message = JSON.parse(data);
+			// null, numbers, strings and arrays are valid JSON but no message
+			if (!message || typeof message !== 'object' || Array.isArray(message)) {
+				problem = 'not a JSON object';
+			}
+		} catch (error) {
+			problem = `invalid JSON: ${error.message}`;
+		}
+
+		if (problem) {
+			this.stats.parse_errors++;
+			if (!this.ingestionPaused) {
+				this.emit('unparseable', String(data), problem);
+			}
+			if (this.listenerCount('error') > 0) {
+				this.emit('error', new Error(`Invalid message: ${problem}`));
+			}
+			return;
+		}
+
+		const type = message.type || 'unknown';
+		this.stats.messages_total++;
+		this.stats.messages_by_type[type] = (this.stats.messages_by_type[type] || 0) + 1;
+
+		if (this.ingestionPaused) {
+			this.stats.messages_ignored++;
+			return;
+		}
+
+		this.emit('message', message);
+	}
+
+	handleClose(ws, code, reason) {
+		if (ws !== this.ws) {
+			return;
+		}
+
+		this.stopHeartbeat();
+		this.recordUptime();
+		this.stats.last_close = { code, reason: reason ? reason.toString() : '', at: new Date().toISOString() };
+		this.ws = null;
+
+		if (this.stopped) {
+			this.setState('closed');
+		} else {
+			this.scheduleReconnect();
+		}
+	}
+
+	recordUptime() {
+		if (this.stats.connected_since) {
+			this.stats.total_uptime_ms += Date.now() - this.stats.connected_since;
+			this.stats.connected_since = null;
+		}
+	}
+
+	/**
+	 * Exponential backoff with jitter, capped at max_delay
+	 */
+	getBackoffDelay(attempt) {
+		const { initial_delay, max_delay, backoff_multiplier, jitter } = this.config;
+		const base = Math.min(max_delay, initial_delay * Math.pow(backoff_multiplier, attempt));
+		return Math.round(base * (1 - jitter * Math.random()));
+	}
+
+	scheduleReconnect() {
+		const delay = this.getBackoffDelay(this.attempt);
+		this.attempt++;
+
+		this.stats.next_retry_at = Date.now() + delay;
+		this.setState('backing-off');
+		this.emit('backoff', { delay, attempt: this.attempt });
+
+		this.reconnectTimer = setTimeout(() => this.connect(), delay);
+	}
+
+	startHeartbeat() {
+		this.stopHeartbeat();
+		this.heartbeatTimer = setInterval(() => {
+			if (!this.ws || this.ws.readyState !== WebSocket.OPEN || this.socketPaused) {
+				return;
+			}
+
+			if (Date.now() - this.lastSeen > this.config.heartbeat_timeout) {
+				// Half-open connection: nothing received, not even pongs
+				this.stats.heartbeat_timeouts++;
+				this.stats.last_error = `No response for ${this.config.heartbeat_timeout} ms`;
+				this.ws.terminate();
+				return;
+			}
+
+			this.ws.ping();
+		}, this.config.heartbeat_interval);
+		this.heartbeatTimer.unref();
+	}
+
+	stopHeartbeat() {
+		clearInterval(this.heartbeatTimer);
+		this.heartbeatTimer = null;
+	}
+
+	/**
+	 * Drop the current socket without triggering a reconnect from its close event
+	 */
+	detachSocket() {
+		if (this.ws) {
+			const old = this.ws;
+			this.ws = null;
+			this.stopHeartbeat();
+			this.recordUptime();
+			old.removeAllListeners();
+			old.on('error', () => {});
+			old.terminate();
+		}
+	}
+
+	/**
+	 * Send a JSON message if the socket is open
+	 */
+	send(message) {
+		if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+			return false;
+		}
+		this.ws.send(JSON.stringify(message));
+		return true;
+	}
+
+	/**
+	 * Drop the current connection and connect again right away
+	 */
+	reconnect() {
+		this.stopped = false;
+		this.attempt = 0;
+		this.connect();
+	}
+
+	/**
+	 * Close the connection for good
+	 */
+	stop(code = 1000, reason = 'Client shutdown') {
+		this.stopped = true;
+		clearTimeout(this.reconnectTimer);
+		this.reconnectTimer = null;
+		this.stats.next_retry_at = null;
+		this.stopHeartbeat();
+
+		return new Promise((resolve) => {
+			const ws = this.ws;
+			if (!ws || ws.readyState === WebSocket.CLOSED) {
+				this.ws = null;
+				this.setState('closed');
+				resolve();
+				return;
+			}
+
+			const timer = setTimeout(() => ws.terminate(), 2000);
+			ws.once('close', () => {
+				clearTimeout(timer);
+				resolve();
+			});
+
+			if (ws.readyState === WebSocket.CONNECTING) {
+				ws.terminate();
+			} else {
+				ws.close(code, reason);
+			}
+		});
+	}
+
+	/**
+	 * Keep the connection but ignore incoming data messages
+	 */
+	pauseIngestion() {
+		this.ingestionPaused = true;
+	}
+
+	resumeIngestion() {
+		this.ingestionPaused = false;
+	}
+
+	/**
+	 * Stop reading from the socket (backpressure); heartbeat checks are suspended
+	 */
+	pauseSocket() {
+		if (this.ws && !this.socketPaused) {
+			this.ws.pause();
+		}
+		this.socketPaused = true;
+	}
+
+	resumeSocket() {
+		if (this.ws && this.socketPaused) {
+			this.ws.resume();
+		}
+		this.socketPaused = false;
+		this.lastSeen = Date.now();
+	}
+
+	isConnected() {
+		return this.state === 'open' || this.state === 'subscribed';
+	}
+
+	/**
+	 * Get connection state and counters
+	 */
+	getStatus() {
+		const now = Date.now();
+		const currentUptime = this.stats.connected_since ? now - this.stats.connected_since : 0;
+
+		return {
+			url: this.config.url,
+			state: this.state,
+			connected: this.isConnected(),
+			ingestion_paused: this.ingestionPaused,
+			socket_paused: this.socketPaused,
+			attempt: this.attempt,
+			uptime_ms: currentUptime,
+			...this.stats,
+			total_uptime_ms: this.stats.total_uptime_ms + currentUptime,
+			messages_by_type: { ...this.stats.messages_by_type },
+			last_message_ago_ms: this.lastSeen ? now - this.lastSeen : null
+		};
+	}
+}
+
+ConnectionManager.STATES = STATES;
+
+module.exports = ConnectionManager;
@@ -0,0 +1,619 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * Terminal Dashboard
+ * Full-screen, live-updating view of all tags (latest temperature, activity,
+ * RSSI, battery, last seen), the barn environment, open alerts, the
+ * connection and the storage write rate, with a detail view per tag showing
+ * sparklines of its recent readings. Drawn on the terminal's alternate
+ * screen, console output is shown in an events panel while it runs.
+ */
+
+const EventEmitter = require('events');
+const readline = require('readline');
+const chalk = require('chalk');
+
+const SORT_KEYS = ['mac', 'animal', 'temperature', 'activity', 'rssi', 'battery', 'last_seen', 'status'];
+const STATUS_ORDER = { offline: 0, unknown: 1, online: 2 };
+const STATUS_STYLES = { online: chalk.green, offline: chalk.red, unknown: chalk.gray };
+const BAND_STYLES = { none: chalk.green, mild: chalk.yellow, moderate: chalk.hex('#FFA500'), severe: chalk.red };
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+const MAX_EVENTS = 50;
+const RATE_WINDOW_MS = 10000;
+
+const COLUMNS = [
+	{ key: 'mac', title: 'MAC', width: 17 },
+	{ key: 'animal', title: 'Animal', width: 18 },
+	{ key: 'temperature', title: 'Temp', width: 7, align: 'right' },
+	{ key: 'activity', title: 'Activity', width: 13 },
+	{ key: 'rssi', title: 'RSSI', width: 5, align: 'right' },
+	{ key: 'battery', title: 'Battery', width: 7, align: 'right' },
+	{ key: 'last_seen', title: 'Seen', width: 6, align: 'right' },
+	{ key: 'status', title: 'Status', width: 8 },
+	{ key: 'alerts', title: 'Alerts', width: 20 }
+];
+
+/**
+ * Short age of a unix ms or ISO timestamp, e.g. "4s", "12m", "3h", "2d"
+ */
+function formatAge(t, now = Date.now()) {
+	const time = typeof t === 'string' ? Date.parse(t) : t;
+	if (!Number.isFinite(time)) {
+		return '-';
+	}
+	const seconds = Math.max(0, Math.round((now - time) / 1000));
+	if (seconds < 60) return `${seconds}s`;
+	if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+	if (seconds < 86400) return `${Math.floor(seconds / 3600)}h`;
+	return `${Math.floor(seconds / 86400)}d`;
+}
+
+/**
+ * Sparkline of the last `width` finite values, scaled between their min and max
+ */
+function sparkline(values, width) {
+	const points = values.filter(Number.isFinite).slice(-width);
+	if (points.length === 0) {
+		return '';
+	}
+	const min = Math.min(...points);
+	const max = Math.max(...points);
+	return points.map(value => SPARK_CHARS[max > min
+		? Math.round(((value - min) / (max - min)) * (SPARK_CHARS.length - 1))
+		: Math.floor(SPARK_CHARS.length / 2)]).join('');
+}
+
+function formatNumber(value, digits = 1, unit = '') {
+	return Number.isFinite(value) ? `${value.toFixed(digits)}${unit}` : '-';
+}
+
+/**
+ * Join [text, style] segments into one line of at most `width` characters
+ */
+function renderLine(segments, width) {
+	let remaining = width;
+	let output = '';
+	for (const segment of segments) {
+		if (remaining <= 0) {
+			break;
+		}
+		const [text, style] = Array.isArray(segment) ? segment : [segment, null];
+		const part = String(text).slice(0, remaining);
+		remaining -= part.length;
+		output += style ? style(part) : part;
+	}
+	return output;
+}
+
+function pad(text, width, align) {
+	const value = String(text).slice(0, width);
+	return align === 'right' ? value.padStart(width) : value.padEnd(width);
+}
+
+/**
+ * Dashboard. Emits
+ *   'quit' - when the user presses q or Ctrl+C
+ */
+class Dashboard extends EventEmitter {
+	/**
+	 * @param {object} sources
+	 * @param {function} sources.getSnapshot - () => { tags, environment, alerts, connection, storage }
+	 * @param {function} sources.getDevice - (mac) => tag details with its recent readings, or null
+	 * @param {object} [config] - dashboard config
+	 * @param {number} [config.refresh_ms] - redraw interval
+	 */
+	constructor(sources, config = {}) {
+		super();
+		this.sources = sources;
+		this.config = {
+			refresh_ms: config.refresh_ms || 1000
+		};
+		this.input = config.input || process.stdin;
+		this.output = config.output || process.stdout;
+
+		this.view = 'list';
+		this.selected = 0;
+		this.scroll = 0;
+		this.sortKey = 'mac';
+		this.sortDescending = false;
+		this.filter = '';
+		this.filterInput = null;
+		this.attentionOnly = false;
+		this.detailMac = null;
+		this.visibleMacs = [];
+		this.tableHeight = 10;
+
+		this.events = [];
+		this.rateSamples = [];
+		this.timer = null;
+		this.running = false;
+		this.originalConsole = null;
+
+		this.onKeypress = (text, key) => this.handleKey(text, key || {});
+		this.onResize = () => this.render();
+	}
+
+	start() {
+		if (this.running) {
+			return;
+		}
+		this.running = true;
+
+		this.captureConsole();
+		this.output.write('\x1b[?1049h\x1b[?25l');
+
+		readline.emitKeypressEvents(this.input);
+		if (this.input.isTTY) {
+			this.input.setRawMode(true);
+		}
+		this.input.on('keypress', this.onKeypress);
+		this.input.resume();
+		this.output.on('resize', this.onResize);
+
+		this.timer = setInterval(() => this.render(), this.config.refresh_ms);
+		this.render();
+	}
+
+	stop() {
+		if (!this.running) {
+			return;
+		}
+		this.running = false;
+
+		clearInterval(this.timer);
+		this.timer = null;
+		this.input.removeListener('keypress', this.onKeypress);
+		this.output.removeListener('resize', this.onResize);
+		if (this.input.isTTY) {
+			this.input.setRawMode(false);
+		}
+		this.input.pause();
+
+		this.output.write('\x1b[?25h\x1b[?1049l');
+		this.restoreConsole();
+	}
+
+	/**
+	 * Route console output into the events panel so it does not scroll the screen
+	 */
+	captureConsole() {
+		this.originalConsole = { log: console.log, warn: console.warn, error: console.error };
+		const capture = level => (...args) => {
+			const text = args.map(arg => (typeof arg === 'string' ? arg : String(arg instanceof Error ? arg.message : JSON.stringify(arg)))).join(' ');
+			text.replace(/\x1b\[[0-9;]*m/g, '').split('\n')
+				.filter(line => line.trim() !== '')
+				.forEach(line => this.addEvent(line.trim(), level));
+		};
+		console.log = capture('info');
+		console.warn = capture('warn');
+		console.error = capture('error');
+	}
+
+	restoreConsole() {
+		if (this.originalConsole) {
+			Object.assign(console, this.originalConsole);
+			this.originalConsole = null;
+		}
+	}
+
+	addEvent(text, level = 'info') {
+		this.events.push({ t: Date.now(), level, text });
+		if (this.events.length > MAX_EVENTS) {
+			this.events.shift();
+		}
+	}
+
+	handleKey(text, key) {
+		if (key.ctrl && key.name === 'c') {
+			this.emit('quit');
+			return;
+		}
+
+		if (this.filterInput !== null) {
+			this.handleFilterKey(text, key);
+		} else if (this.view === 'detail') {
+			this.handleDetailKey(text, key);
+		} else {
+			this.handleListKey(text, key);
+		}
+		this.render();
+	}
+
+	handleFilterKey(text, key) {
+		if (key.name === 'return' || key.name === 'enter') {
+			this.filter = this.filterInput.trim();
+			this.filterInput = null;
+			this.selected = 0;
+		} else if (key.name === 'escape') {
+			this.filter = '';
+			this.filterInput = null;
+		} else if (key.name === 'backspace') {
+			this.filterInput = this.filterInput.slice(0, -1);
+		} else if (text && text.length === 1 && text >= ' ') {
+			this.filterInput += text;
+		}
+	}
+
+	handleListKey(text, key) {
+		const page = Math.max(1, this.tableHeight - 1);
+		switch (key.name || text) {
+			case 'q':
+				this.emit('quit');
+				break;
+			case 'up':
+			case 'k':
+				this.selected--;
+				break;
+			case 'down':
+			case 'j':
+				this.selected++;
+				break;
+			case 'pageup':
+				this.selected -= page;
+				break;
+			case 'pagedown':
+				this.selected += page;
+				break;
+			case 'home':
+				this.selected = 0;
+				break;
+			case 'end':
+				this.selected = this.visibleMacs.length - 1;
+				break;
+			case 'return':
+			case 'enter':
+				if (this.visibleMacs[this.selected]) {
+					this.detailMac = this.visibleMacs[this.selected];
+					this.view = 'detail';
+				}
+				break;
+			case 's':
+				this.sortKey = SORT_KEYS[(SORT_KEYS.indexOf(this.sortKey) + 1) % SORT_KEYS.length];
+				break;
+			case 'r':
+				this.sortDescending = !this.sortDescending;
+				break;
+			case 'a':
+				this.attentionOnly = !this.attentionOnly;
+				this.selected = 0;
+				break;
+			case '/':
+				this.filterInput = this.filter;
+				break;
+			case 'escape':
+				this.filter = '';
+				this.attentionOnly = false;
+				break;
+		}
+	}
+
+	handleDetailKey(text, key) {
+		switch (key.name || text) {
+			case 'q':
+				this.emit('quit');
+				break;
+			case 'escape':
+			case 'left':
+			case 'backspace':
+				this.view = 'list';
+				this.detailMac = null;
+				break;
+			case 'up':
+			case 'k':
+			case 'down':
+			case 'j': {
+				// Step through the tags without going back to the list
+				const index = this.visibleMacs.indexOf(this.detailMac);
+				const step = ['up', 'k'].includes(key.name || text) ? -1 : 1;
+				const next = this.visibleMacs[index + step];
+				if (index !== -1 && next) {
+					this.detailMac = next;
+					this.selected = index + step;
+				}
+				break;
+			}
+		}
+	}
+
+	getSize() {
+		return {
+			width: Math.max(40, this.output.columns || 100),
+			height: Math.max(15, this.output.rows || 30)
+		};
+	}
+
+	/**
+	 * Storage rows written per second over the last few seconds
+	 */
+	getWriteRate(storage, now = Date.now()) {
+		if (!storage) {
+			this.rateSamples = [];
+			return null;
+		}
+		this.rateSamples.push({ t: now, written: storage.written });
+		while (this.rateSamples.length > 2 && now - this.rateSamples[0].t > RATE_WINDOW_MS) {
+			this.rateSamples.shift();
+		}
+		const first = this.rateSamples[0];
+		const elapsed = now - first.t;
+		return elapsed > 0 ? ((storage.written - first.written) * 1000) / elapsed : 0;
+	}
+
+	/**
+	 * Tags after the attention toggle, the text filter and sorting
+	 */
+	selectTags(tags) {
+		const filter = this.filter.toLowerCase();
+		const selected = tags.filter(tag => {
+			if (this.attentionOnly && tag.status !== 'offline' && tag.alerts.length === 0) {
+				return false;
+			}
+			if (!filter) {
+				return true;
+			}
+			return [tag.mac, tag.animal, tag.activity, tag.status, ...tag.alerts]
+				.some(value => value && String(value).toLowerCase().includes(filter));
+		});
+
+		const direction = this.sortDescending ? -1 : 1;
+		const sortValue = tag => (this.sortKey === 'status' ? STATUS_ORDER[tag.status] : tag[this.sortKey]);
+		return selected.sort((a, b) => {
+			const left = sortValue(a);
+			const right = sortValue(b);
+			// Tags without a value go last in either direction
+			if (left === null || left === undefined) return right === null || right === undefined ? a.mac.localeCompare(b.mac) : 1;
+			if (right === null || right === undefined) return -1;
+			const order = typeof left === 'number' ? left - right : String(left).localeCompare(String(right));
+			return order * direction || a.mac.localeCompare(b.mac);
+		});
+	}
+
+	render() {
+		if (!this.running) {
+			return;
+		}
+		const { width, height } = this.getSize();
+		let lines;
+		try {
+			const snapshot = this.sources.getSnapshot();
+			lines = this.view === 'detail'
+				? this.renderDetail(snapshot, width, height)
+				: this.renderList(snapshot, width, height);
+		} catch (error) {
+			lines = [renderLine([[`Dashboard error: ${error.message}`, chalk.red]], width)];
+		}
+
+		const screen = lines.slice(0, height);
+		while (screen.length < height) {
+			screen.push('');
+		}
+		this.output.write('\x1b[H' + screen.map(line => `${line}\x1b[K`).join('\n'));
+	}
+
+	renderHeader(snapshot, width) {
+		const now = Date.now();
+		const connection = snapshot.connection;
+		const segments = [['BioCV Dashboard', chalk.cyan.bold], `  ${new Date(now).toLocaleTimeString()}  `];
+
+		if (!connection) {
+			segments.push(['not connected', chalk.gray]);
+		} else {
+			const style = connection.connected ? chalk.green : (connection.state === 'backing-off' ? chalk.yellow : chalk.red);
+			segments.push([`● ${connection.state}`, style]);
+			if (connection.ingestion_paused) segments.push([' (paused)', chalk.yellow]);
+			segments.push([`  ${connection.messages_total} msgs`, chalk.gray]);
+			if (connection.last_message_ago_ms !== null) {
+				segments.push([`, last ${formatAge(now - connection.last_message_ago_ms, now)} ago`, chalk.gray]);
+			}
+		}
+
+		const rate = this.getWriteRate(snapshot.storage, now);
+		if (snapshot.storage) {
+			const storage = snapshot.storage;
+			segments.push(`  │ storage ${rate.toFixed(1)} rows/s, queue ${storage.depth}`);
+			if (storage.dropped || storage.failed) {
+				segments.push([`, ${storage.dropped} dropped, ${storage.failed} failed`, chalk.red]);
+			}
+		} else {
+			segments.push(['  │ storage disabled', chalk.gray]);
+		}
+
+		return [renderLine(segments, width), chalk.gray('─'.repeat(width))];
+	}
+
+	renderEnvironment(environment, width) {
+		if (!environment) {
+			return renderLine([['Environment  ', chalk.bold], ['no data yet', chalk.gray]], width);
+		}
+		const segments = [
+			['Environment  ', chalk.bold],
+			[`${environment.station}  `, chalk.gray],
+			`${formatNumber(environment.temperature, 1, '°C')}  ${formatNumber(environment.humidity, 0, '% RH')}`
+		];
+		if (Number.isFinite(environment.thi)) {
+			segments.push(`  THI ${formatNumber(environment.thi)}`);
+			if (environment.thi_band) {
+				segments.push(' ', [environment.thi_band, BAND_STYLES[environment.thi_band] || chalk.white]);
+			}
+		}
+		segments.push([`  (${formatAge(environment.updated)} ago)`, chalk.gray]);
+		return renderLine(segments, width);
+	}
+
+	renderRow(tag, width, now) {
+		const values = {
+			mac: tag.mac,
+			animal: tag.animal || '-',
+			temperature: formatNumber(tag.temperature, 1, '°C'),
+			activity: tag.activity || '-',
+			rssi: Number.isFinite(tag.rssi) ? tag.rssi : '-',
+			battery: Number.isFinite(tag.battery) ? `${tag.battery}%` : '-',
+			last_seen: formatAge(tag.last_seen, now),
+			status: tag.status,
+			alerts: tag.alerts.join(',')
+		};
+		const styles = {
+			status: STATUS_STYLES[tag.status],
+			alerts: chalk.red,
+			battery: Number.isFinite(tag.battery) && tag.battery <= 20 ? chalk.yellow : null
+		};
+		return renderLine(COLUMNS.flatMap(column => [
+			[pad(values[column.key], column.width, column.align), styles[column.key] || null],
+			' '
+		]), width);
+	}
+
+	renderList(snapshot, width, height) {
+		const now = Date.now();
+		const lines = this.renderHeader(snapshot, width);
+		lines.push(this.renderEnvironment(snapshot.environment, width), '');
+
+		const tags = this.selectTags(snapshot.tags);
+		this.visibleMacs = tags.map(tag => tag.mac);
+		this.selected = Math.max(0, Math.min(this.selected, tags.length - 1));
+
+		const offline = snapshot.tags.filter(tag => tag.status === 'offline').length;
+		const heading = [['Tags ', chalk.bold], `${tags.length}${tags.length !== snapshot.tags.length ? ` of ${snapshot.tags.length}` : ''}`];
+		if (offline) heading.push([`, ${offline} offline`, chalk.red]);
+		heading.push([`  sort ${this.sortKey} ${this.sortDescending ? '↓' : '↑'}`, chalk.gray]);
+		if (this.attentionOnly) heading.push(['  [attention only]', chalk.yellow]);
+		if (this.filter) heading.push([`  [filter "${this.filter}"]`, chalk.yellow]);
+		lines.push(renderLine(heading, width));
+
+		lines.push(renderLine(COLUMNS.flatMap(column => {
+			const marker = column.key === this.sortKey ? (this.sortDescending ? '↓' : '↑') : '';
+			return [[pad(`${column.title}${marker}`, column.width, column.align), chalk.bold.underline], ' '];
+		}), width));
+
+		// Alerts, events and the footer take the rest of the screen
+		const alerts = snapshot.alerts.slice(0, 4);
+		const more = snapshot.alerts.length > alerts.length ? 1 : 0;
+		const tableHeight = Math.max(3, height - lines.length - alerts.length - more - 3);
+		this.tableHeight = tableHeight;
+		if (this.selected < this.scroll) this.scroll = this.selected;
+		if (this.selected >= this.scroll + tableHeight) this.scroll = this.selected - tableHeight + 1;
+		this.scroll = Math.max(0, Math.min(this.scroll, Math.max(0, tags.length - tableHeight)));
+
+		const rows = tags.slice(this.scroll, this.scroll + tableHeight);
+		rows.forEach((tag, index) => {
+			const row = this.renderRow(tag, width, now);
+			lines.push(this.scroll + index === this.selected ? chalk.inverse(row) : row);
+		});
+		if (tags.length === 0) {
+			lines.push(chalk.gray(snapshot.tags.length ? '  No tags match the filter' : '  Waiting for data...'));
+		}
+		while (lines.length < 6 + tableHeight) {
+			lines.push('');
+		}
+
+		lines.push(renderLine([['Alerts ', chalk.bold], `${snapshot.alerts.length} open`], width));
+		alerts.forEach(alert => lines.push(this.renderAlert(alert, width)));
+		if (more) {
+			lines.push(chalk.gray(`  ... ${snapshot.alerts.length - alerts.length} more`));
+		}
+
+		const event = this.events[this.events.length - 1];
+		lines.push(event ? this.renderEvent(event, width) : '');
+		lines.push(this.renderFooter(width, [
+			'↑↓ select', 'Enter details', 's sort', 'r reverse', '/ filter', 'a attention', 'Esc clear', 'q quit'
+		]));
+		return lines;
+	}
+
+	renderAlert(alert, width) {
+		const style = ['critical', 'moderate', 'severe'].includes(alert.level) || alert.alert_type === 'fever' ? chalk.red : chalk.yellow;
+		return renderLine([
+			'  ',
+			[`${alert.alert_type.padEnd(11)} ${alert.level.toUpperCase().padEnd(9)}`, style],
+			` ${alert.mac}`,
+			[`  ${formatAge(alert.opened_at)} ago${alert.acknowledged_at ? ', acknowledged' : ''}`, chalk.gray]
+		], width);
+	}
+
+	renderEvent(event, width) {
+		const style = { info: chalk.gray, warn: chalk.yellow, error: chalk.red }[event.level];
+		return renderLine([[`${new Date(event.t).toLocaleTimeString()} ${event.text}`, style]], width);
+	}
+
+	renderFooter(width, keys) {
+		if (this.filterInput !== null) {
+			return renderLine([['Filter: ', chalk.cyan], this.filterInput, ['█', chalk.gray], ['  Enter apply, Esc clear', chalk.gray]], width);
+		}
+		return renderLine([[keys.join('  '), chalk.gray]], width);
+	}
+
+	renderDetail(snapshot, width, height) {
+		const now = Date.now();
+		const lines = this.renderHeader(snapshot, width);
+		const device = this.sources.getDevice(this.detailMac);
+		if (!device) {
+			lines.push(chalk.gray(`No data for ${this.detailMac}`));
+			lines.push(this.renderFooter(width, ['Esc back', 'q quit']));
+			return lines;
+		}
+
+		lines.push(renderLine([[device.mac, chalk.cyan.bold], device.label ? `  ${device.label}` : ['  not assigned to an animal', chalk.gray]], width));
+		lines.push(renderLine([
+			'Status ', [device.status, STATUS_STYLES[device.status]],
+			`  seen ${formatAge(device.last_seen, now)} ago`,
+			device.expected_interval_ms ? `  reports every ~${formatNumber(device.expected_interval_ms / 1000, device.expected_interval_ms < 10000 ? 1 : 0, 's')}` : '',
+			`  battery ${Number.isFinite(device.battery) ? `${device.battery}%` : '-'}`,
+			`  activity ${device.activity || '-'}`
+		], width));
+		if (device.baseline) {
+			lines.push(renderLine([`Temperature baseline from ${device.baseline.readings} readings`,
+				device.baseline.suspect_since ? [`, elevated since ${new Date(device.baseline.suspect_since).toLocaleTimeString()}`, chalk.yellow] : ''], width));
+		}
+		lines.push('');
+
+		// Sparklines of the in-memory history, oldest on the left
+		const readings = device.readings;
+		const sparkWidth = Math.max(10, width - 30);
+		const series = [
+			{ label: 'Temperature', values: readings.map(r => r.temperature), digits: 1, unit: '°C' },
+			{ label: 'RSSI', values: readings.map(r => r.rssi), digits: 0, unit: ' dBm' },
+			{ label: 'Acceleration', values: readings.map(r => r.magnitude), digits: 2, unit: '' }
+		];
+		series.forEach(({ label, values, digits, unit }) => {
+			const finite = values.filter(Number.isFinite);
+			if (finite.length === 0) {
+				lines.push(renderLine([label.padEnd(13), ['no readings', chalk.gray]], width));
+				return;
+			}
+			lines.push(renderLine([
+				label.padEnd(13),
+				[sparkline(finite, sparkWidth), chalk.cyan],
+				` ${formatNumber(finite[finite.length - 1], digits, unit)}`,
+				[` (${formatNumber(Math.min(...finite), digits)}..${formatNumber(Math.max(...finite), digits)})`, chalk.gray]
+			], width));
+		});
+		lines.push(chalk.gray(`${readings.length} readings in memory`), '');
+
+		lines.push(renderLine([['Alerts ', chalk.bold], device.alerts.length ? `${device.alerts.length} open` : ['none', chalk.gray]], width));
+		device.alerts.forEach(alert => lines.push(this.renderAlert(alert, width)));
+		lines.push('');
+
+		// As many recent readings as fit above the footer, newest first
+		const room = Math.max(0, height - lines.length - 3);
+		lines.push(renderLine([['Time       Temp    RSSI   x       y       z', chalk.bold.underline]], width));
+		readings.slice(-room).reverse().forEach(reading => {
+			lines.push(renderLine([
+				pad(reading.t ? new Date(reading.t).toLocaleTimeString() : '-', 10), ' ',
+				pad(formatNumber(reading.temperature, 1), 7, 'right'), ' ',
+				pad(Number.isFinite(reading.rssi) ? reading.rssi : '-', 5, 'right'), '  ',
+				['x', 'y', 'z'].map(axis => pad(formatNumber(reading[axis], 3), 7, 'right')).join(' ')
+			], width));
+		});
+
+		while (lines.length < height - 1) {
+			lines.push('');
+		}
+		lines.push(this.renderFooter(width, ['Esc back', '↑↓ previous/next tag', 'q quit']));
+		return lines;
+	}
+}
+
+Dashboard.SORT_KEYS = SORT_KEYS;
+Dashboard.sparkline = sparkline;
+
+module.exports = Dashboard;
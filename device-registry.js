@@ -0,0 +1,381 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * Device Registry
+ * Maps tag MAC addresses to animals (ear tag number, name), pens and groups.
+ * Every assignment is kept with the time it started and ended, so a tag moved
+ * to another animal doesn't mix the data of the two animals.
+ */
+
+const fs = require('fs');
+
+const MAC_PATTERN = /^([0-9a-f]{2}[:_-]){5}[0-9a-f]{2}$/i;
+
+// A change of any of these starts a new assignment, other fields are edited in place
+const ASSIGNMENT_FIELDS = ['animal_id', 'pen', 'group'];
+const FIELDS = ['animal_id', 'name', 'pen', 'group'];
+
+function normalizeMac(mac) {
+	return String(mac).trim().replace(/[_-]/g, ':').toUpperCase();
+}
+
+/**
+ * Split a CSV line, honouring double quotes
+ */
+function parseCSVLine(line) {
+	const values = [];
+	let value = '';
+	let quoted = false;
+
+	for (let i = 0; i < line.length; i++) {
+		const char = line[i];
+		if (quoted) {
+			if (char === '"' && line[i + 1] === '"') {
+				value += '"';
+				i++;
+			} else if (char === '"') {
+				quoted = false;
+			} else {
+				value += char;
+			}
+		} else if (char === '"') {
+			quoted = true;
+		} else if (char === ',') {
+			values.push(value.trim());
+			value = '';
+		} else {
+			value += char;
+		}
+	}
+	values.push(value.trim());
+	return values;
+}
+
+/**
+ * Parse a date: ISO date or unix ms
+ */
+function parseDate(value) {
+	const time = /^\d+$/.test(String(value)) ? parseInt(value, 10) : Date.parse(value);
+	if (Number.isNaN(time)) {
+		throw new Error(`Invalid date: ${value}`);
+	}
+	return time;
+}
+
+/**
+ * SQLite backed registry of tag assignments
+ */
+class DeviceRegistry {
+	/**
+	 * @param {object} storage - StandaloneSQLiteStorage instance
+	 */
+	constructor(storage) {
+		this.storage = storage;
+		this.tableReady = false;
+		// mac -> current assignment, for labelling output without a query
+		this.current = new Map();
+	}
+
+	/**
+	 * Create the registry table and load the current assignments
+	 */
+	async ensureTable() {
+		if (this.tableReady) {
+			return;
+		}
+
+		await this.storage.run(`
+			CREATE TABLE IF NOT EXISTS biocv_devices (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				mac_address TEXT NOT NULL,
+				animal_id TEXT,
+				name TEXT,
+				pen TEXT,
+				group_name TEXT,
+				installed_at INTEGER NOT NULL,
+				removed_at INTEGER,
+				created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+				updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+			)
+		`);
+		await this.storage.run(`
+			CREATE INDEX IF NOT EXISTS idx_biocv_devices_mac ON biocv_devices(mac_address, removed_at)
+		`);
+		await this.storage.run(`
+			CREATE INDEX IF NOT EXISTS idx_biocv_devices_animal ON biocv_devices(animal_id COLLATE NOCASE)
+		`);
+		this.tableReady = true;
+		await this.load();
+	}
+
+	async load() {
+		const rows = await this.storage.all('SELECT * FROM biocv_devices WHERE removed_at IS NULL');
+		this.current = new Map(rows.map(row => [row.mac_address, this.fromRow(row)]));
+	}
+
+	fromRow(row) {
+		return {
+			id: row.id,
+			mac: row.mac_address,
+			animal_id: row.animal_id,
+			name: row.name,
+			pen: row.pen,
+			group: row.group_name,
+			installed_at: row.installed_at,
+			removed_at: row.removed_at
+		};
+	}
+
+	/**
+	 * Current assignment of a tag, or null
+	 */
+	getCurrent(mac) {
+		return this.current.get(normalizeMac(mac)) || null;
+	}
+
+	/**
+	 * Short label of the animal currently wearing a tag, or null
+	 */
+	describe(mac) {
+		const entry = this.getCurrent(mac);
+		if (!entry) {
+			return null;
+		}
+		const parts = [`animal ${entry.animal_id}`];
+		if (entry.name) parts.push(`"${entry.name}"`);
+		if (entry.pen) parts.push(`pen ${entry.pen}`);
+		if (entry.group) parts.push(`group ${entry.group}`);
+		return parts.join(' ');
+	}
+
+	/**
+	 * Register a tag on an animal
+	 */
+	async add(device, fields = {}) {
+		await this.ensureTable();
+		const mac = normalizeMac(device);
+		if (!fields.animal_id) {
+			throw new Error('Animal ID is required');
+		}
+		if (this.current.has(mac)) {
+			throw new Error(`${mac} is already registered to animal ${this.current.get(mac).animal_id}, use "device edit"`);
+		}
+
+		return this.insert(mac, fields, fields.installed_at || Date.now());
+	}
+
+	async insert(mac, fields, installedAt) {
+		const result = await this.storage.withWriteLock(() => this.storage.run(`
+			INSERT INTO biocv_devices (mac_address, animal_id, name, pen, group_name, installed_at)
+			VALUES (?, ?, ?, ?, ?, ?)
+		`, [mac, fields.animal_id, fields.name || null, fields.pen || null, fields.group || null, installedAt]));
+
+		const entry = {
+			id: result.lastID,
+			mac,
+			animal_id: fields.animal_id,
+			name: fields.name || null,
+			pen: fields.pen || null,
+			group: fields.group || null,
+			installed_at: installedAt,
+			removed_at: null
+		};
+		this.current.set(mac, entry);
+		return entry;
+	}
+
+	/**
+	 * Change the assignment of a tag. Moving it to another animal, pen or group
+	 * ends the current assignment at `at` and starts a new one; with `at` equal
+	 * to the install time the current assignment is corrected instead.
+	 * Returns { entry, change: 'moved'|'updated'|'unchanged' }.
+	 */
+	async edit(device, fields = {}, at = Date.now()) {
+		await this.ensureTable();
+		const mac = normalizeMac(device);
+		const current = this.current.get(mac);
+		if (!current) {
+			throw new Error(`${mac} is not registered, use "device add"`);
+		}
+
+		const next = { ...current };
+		FIELDS.forEach(field => {
+			if (fields[field] !== undefined) {
+				next[field] = fields[field] || null;
+			}
+		});
+		// The name belongs to the animal, not the tag
+		if (next.animal_id !== current.animal_id && fields.name === undefined) {
+			next.name = null;
+		}
+		if (!next.animal_id) {
+			throw new Error('Animal ID is required');
+		}
+
+		if (FIELDS.every(field => next[field] === current[field])) {
+			return { entry: current, change: 'unchanged' };
+		}
+
+		const moved = ASSIGNMENT_FIELDS.some(field => next[field] !== current[field]);
+		if (moved && at > current.installed_at) {
+			await this.storage.withWriteLock(() => this.storage.run(`
+				UPDATE biocv_devices SET removed_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+			`, [at, current.id]));
+			this.current.delete(mac);
+			return { entry: await this.insert(mac, next, at), change: 'moved' };
+		}
+		if (moved && at < current.installed_at) {
+			throw new Error(`Change time is before the current assignment started (${new Date(current.installed_at).toISOString()})`);
+		}
+
+		await this.storage.withWriteLock(() => this.storage.run(`
+			UPDATE biocv_devices SET animal_id = ?, name = ?, pen = ?, group_name = ?, updated_at = CURRENT_TIMESTAMP
+			WHERE id = ?
+		`, [next.animal_id, next.name, next.pen, next.group, current.id]));
+		this.current.set(mac, next);
+		return { entry: next, change: 'updated' };
+	}
+
+	/**
+	 * End the current assignment of a tag (its data is kept)
+	 */
+	async remove(device, at = Date.now()) {
+		await this.ensureTable();
+		const mac = normalizeMac(device);
+		const current = this.current.get(mac);
+		if (!current) {
+			throw new Error(`${mac} is not registered`);
+		}
+		if (at < current.installed_at) {
+			throw new Error(`Removal time is before the tag was installed (${new Date(current.installed_at).toISOString()})`);
+		}
+
+		await this.storage.withWriteLock(() => this.storage.run(`
+			UPDATE biocv_devices SET removed_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+		`, [at, current.id]));
+		this.current.delete(mac);
+		return { ...current, removed_at: at };
+	}
+
+	/**
+	 * Current assignments, or all of them with history
+	 */
+	async list({ history = false } = {}) {
+		await this.ensureTable();
+		const rows = await this.storage.all(`
+			SELECT * FROM biocv_devices ${history ? '' : 'WHERE removed_at IS NULL'}
+			ORDER BY ${history ? 'mac_address, installed_at' : 'animal_id COLLATE NOCASE, mac_address'}
+		`);
+		return rows.map(row => this.fromRow(row));
+	}
+
+	/**
+	 * Assignment history of a tag, animal or group, oldest first
+	 */
+	async getHistory(identifier) {
+		const resolved = await this.resolve(identifier);
+		if (resolved.kind === 'mac') {
+			const rows = await this.storage.all(`
+				SELECT * FROM biocv_devices WHERE mac_address = ? ORDER BY installed_at
+			`, [resolved.segments[0].mac]);
+			return rows.map(row => this.fromRow(row));
+		}
+		return resolved.entries;
+	}
+
+	/**
+	 * Resolve a MAC, animal ID/name or pen/group name to the tags and time ranges
+	 * to read: { kind: 'mac'|'animal'|'group', label, entries, segments }.
+	 * Each segment is { mac, startDate, endDate } in unix ms (undefined = open).
+	 * Identifiers unknown to the registry are treated as MACs.
+	 */
+	async resolve(identifier) {
+		const value = String(identifier).trim();
+		const asMac = { kind: 'mac', label: normalizeMac(value), entries: [], segments: [{ mac: normalizeMac(value) }] };
+		if (MAC_PATTERN.test(value)) {
+			return asMac;
+		}
+
+		await this.ensureTable();
+		const lookups = [
+			{ kind: 'animal', where: 'animal_id = ? COLLATE NOCASE OR name = ? COLLATE NOCASE' },
+			{ kind: 'group', where: 'group_name = ? COLLATE NOCASE OR pen = ? COLLATE NOCASE' }
+		];
+
+		for (const lookup of lookups) {
+			const rows = await this.storage.all(`
+				SELECT * FROM biocv_devices WHERE ${lookup.where} ORDER BY installed_at
+			`, [value, value]);
+			if (rows.length > 0) {
+				const entries = rows.map(row => this.fromRow(row));
+				return {
+					kind: lookup.kind,
+					label: lookup.kind === 'animal' ? `animal ${entries[0].animal_id}` : `group ${value}`,
+					entries,
+					segments: entries.map(entry => ({
+						mac: entry.mac,
+						startDate: entry.installed_at,
+						endDate: entry.removed_at ? entry.removed_at - 1 : undefined
+					}))
+				};
+			}
+		}
+		return asMac;
+	}
+
+	/**
+	 * Register or update tags from a CSV file with a header row:
+	 * mac,animal_id[,name][,pen][,group][,installed_at]
+	 */
+	async importCSV(filePath) {
+		await this.ensureTable();
+		const lines = fs.readFileSync(filePath, 'utf8').split(/\r?\n/).filter(line => line.trim());
+		if (lines.length === 0) {
+			throw new Error('Empty file');
+		}
+
+		const header = parseCSVLine(lines[0]).map(column => column.toLowerCase().replace(/^mac_address$/, 'mac').replace(/^group_name$/, 'group'));
+		if (!header.includes('mac') || !header.includes('animal_id')) {
+			throw new Error('Header must contain mac and animal_id columns');
+		}
+
+		const result = { added: 0, moved: 0, updated: 0, unchanged: 0, errors: [] };
+		for (let i = 1; i < lines.length; i++) {
+			const values = parseCSVLine(lines[i]);
+			const record = {};
+			header.forEach((column, index) => {
+				record[column] = values[index] !== undefined && values[index] !== '' ? values[index] : undefined;
+			});
+
+			try {
+				if (!record.mac || !record.animal_id) {
+					throw new Error('mac and animal_id are required');
+				}
+				const fields = {
+					animal_id: record.animal_id,
+					name: record.name,
+					pen: record.pen,
+					group: record.group
+				};
+				const installedAt = record.installed_at ? parseDate(record.installed_at) : undefined;
+
+				if (this.getCurrent(record.mac)) {
+					const { change } = await this.edit(record.mac, fields, installedAt || Date.now());
+					result[change]++;
+				} else {
+					await this.add(record.mac, { ...fields, installed_at: installedAt });
+					result.added++;
+				}
+			} catch (error) {
+				result.errors.push(`Line ${i + 1}: ${error.message}`);
+			}
+		}
+		return result;
+	}
+}
+
+DeviceRegistry.normalizeMac = normalizeMac;
+DeviceRegistry.parseDate = parseDate;
+DeviceRegistry.MAC_PATTERN = MAC_PATTERN;
+
+module.exports = DeviceRegistry;
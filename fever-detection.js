@@ -0,0 +1,367 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * Fever Detection
+ * Keeps a rolling, time-of-day adjusted body temperature baseline per animal
+ * (falling back to the herd) and raises a temperature alert when an animal
+ * stays above its baseline by more than a configurable delta, after correcting
+ * for the ambient temperature reported by environmentData
+ */
+
+const AlertEngine = require('./alert-engine');
+
+const ALERT_TYPE = 'fever';
+const HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+
+function median(values) {
+	if (values.length === 0) {
+		return null;
+	}
+	const sorted = [...values].sort((a, b) => a - b);
+	const middle = Math.floor(sorted.length / 2);
+	return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function round(value, digits = 2) {
+	const factor = Math.pow(10, digits);
+	return Math.round(value * factor) / factor;
+}
+
+/**
+ * Rolling samples per local hour of day, bounded by count and age
+ */
+class HourlySamples {
+	constructor(maxPerHour, horizonMs) {
+		this.maxPerHour = maxPerHour;
+		this.horizonMs = horizonMs;
+		this.hours = Array.from({ length: HOURS }, () => []);
+	}
+
+	add(t, value) {
+		const bucket = this.hours[new Date(t).getHours()];
+		bucket.push({ t, value });
+		while (bucket.length > this.maxPerHour || (bucket.length > 0 && bucket[0].t < t - this.horizonMs)) {
+			bucket.shift();
+		}
+	}
+
+	hour(t) {
+		return this.hours[new Date(t).getHours()].map(sample => sample.value);
+	}
+
+	all() {
+		return this.hours.flat().map(sample => sample.value);
+	}
+
+	count() {
+		return this.hours.reduce((sum, bucket) => sum + bucket.length, 0);
+	}
+}
+
+/**
+ * Fever detector, see AlertEngine for the events
+ */
+class FeverDetector extends AlertEngine {
+	/**
+	 * @param {object} [config] - alerts.fever config
+	 * @param {number} [config.delta] - °C above baseline that counts as elevated
+	 * @param {number} [config.hysteresis] - °C below delta needed to clear
+	 * @param {number} [config.sustained_minutes] - how long the deviation must last to alert (and to clear)
+	 * @param {number} [config.min_readings] - elevated readings needed to alert
+	 * @param {number} [config.baseline_days] - age of the readings forming the baseline
+	 * @param {number} [config.min_baseline_readings] - readings needed before a baseline is used
+	 * @param {number} [config.ambient_coefficient] - °C body temperature change per °C ambient deviation
+	 * @param {number} [config.supporting_readings] - readings attached to an alert
+	 */
+	constructor(config = {}) {
+		const snoozeMinutes = config.snooze_minutes || 60;
+		super(ALERT_TYPE, { snooze_minutes: snoozeMinutes });
+
+		this.config = {
+			enabled: config.enabled !== false,
+			delta: config.delta !== undefined ? config.delta : 1.0,
+			hysteresis: config.hysteresis !== undefined ? config.hysteresis : 0.3,
+			sustained_minutes: config.sustained_minutes !== undefined ? config.sustained_minutes : 30,
+			min_readings: config.min_readings || 3,
+			baseline_days: config.baseline_days || 7,
+			min_baseline_readings: config.min_baseline_readings || 50,
+			ambient_coefficient: config.ambient_coefficient !== undefined ? config.ambient_coefficient : 0.1,
+			supporting_readings: config.supporting_readings || 10,
+			snooze_minutes: snoozeMinutes
+		};
+
+		const horizon = this.config.baseline_days * 24 * HOUR_MS;
+		this.horizon = horizon;
+		// mac -> { samples, recent, suspect, clearSince }
+		this.animals = new Map();
+		this.herd = new HourlySamples(500, horizon);
+		this.ambient = new HourlySamples(200, horizon);
+		this.currentAmbient = null;
+	}
+
+	getAnimal(mac) {
+		if (!this.animals.has(mac)) {
+			this.animals.set(mac, {
+				samples: new HourlySamples(100, this.horizon),
+				recent: [],
+				suspect: [],
+				clearSince: null,
+				latest: null
+			});
+		}
+		return this.animals.get(mac);
+	}
+
+	/**
+	 * Record an ambient temperature reading from environmentData
+	 */
+	addAmbient(temperature, t = Date.now()) {
+		const value = Number(temperature);
+		if (!Number.isFinite(value)) {
+			return;
+		}
+		this.currentAmbient = { value, t };
+		this.ambient.add(t, value);
+	}
+
+	/**
+	 * Expected temperature of an animal at this time of day: its own median for
+	 * the hour, else its overall median shifted by the herd's daily cycle, else
+	 * the herd median for the hour
+	 */
+	getBaseline(mac, t) {
+		const animal = this.animals.get(mac);
+		const min = this.config.min_baseline_readings;
+		const herdHour = median(this.herd.hour(t));
+		const herdAll = median(this.herd.all());
+
+		if (animal && animal.samples.count() >= min) {
+			const hourValues = animal.samples.hour(t);
+			if (hourValues.length >= Math.max(3, Math.round(min / HOURS))) {
+				return { value: median(hourValues), source: 'animal-hour' };
+			}
+			const diurnal = this.herd.count() >= min && herdHour !== null ? herdHour - herdAll : 0;
+			return { value: median(animal.samples.all()) + diurnal, source: 'animal' };
+		}
+
+		if (this.herd.count() >= min && this.herd.hour(t).length >= 3) {
+			return { value: herdHour, source: 'herd-hour' };
+		}
+		return null;
+	}
+
+	/**
+	 * Ambient correction: the share of today's ambient deviation from its usual
+	 * value at this hour that shows up in the tag temperature
+	 */
+	getAmbientCorrection(t) {
+		if (!this.currentAmbient || t - this.currentAmbient.t > HOUR_MS) {
+			return { correction: 0, ambient: null };
+		}
+
+		const hourValues = this.ambient.hour(t);
+		const usual = median(hourValues.length > 0 ? hourValues : this.ambient.all());
+		const correction = this.config.ambient_coefficient * (this.currentAmbient.value - usual);
+		return { correction, ambient: this.currentAmbient.value };
+	}
+
+	/**
+	 * Feed a tag temperature reading. Returns the open alert for the animal, if any.
+	 */
+	addReading(device, temperature, t = Date.now()) {
+		const mac = AlertEngine.normalizeMac(device);
+		const value = Number(temperature);
+		if (!this.config.enabled || temperature === null || temperature === undefined || !Number.isFinite(value)) {
+			return this.active.get(mac) || null;
+		}
+
+		const animal = this.getAnimal(mac);
+		const baseline = this.getBaseline(mac, t);
+		let alert = this.active.get(mac) || null;
+
+		if (!baseline) {
+			// Still learning what is normal
+			animal.samples.add(t, value);
+			this.herd.add(t, value);
+			animal.latest = { t, temperature: value, baseline: null };
+			return alert;
+		}
+
+		const { correction, ambient } = this.getAmbientCorrection(t);
+		const corrected = value - correction;
+		const deviation = corrected - baseline.value;
+		const reading = {
+			t,
+			temperature: value,
+			corrected: round(corrected),
+			baseline: round(baseline.value),
+			baseline_source: baseline.source,
+			deviation: round(deviation),
+			ambient
+		};
+
+		animal.latest = reading;
+		animal.recent.push(reading);
+		if (animal.recent.length > this.config.supporting_readings) {
+			animal.recent.shift();
+		}
+
+		const sustainedMs = this.config.sustained_minutes * 60 * 1000;
+		const elevated = deviation >= this.config.delta;
+		const cleared = deviation < this.config.delta - this.config.hysteresis;
+
+		if (alert) {
+			if (elevated || !cleared) {
+				animal.clearSince = null;
+			} else if (animal.clearSince === null) {
+				animal.clearSince = t;
+			}
+
+			const peak = value > alert.peak_value;
+			alert.last_value = value;
+			alert.peak_value = Math.max(alert.peak_value, value);
+			alert.updated_at = new Date().toISOString();
+			// Keep the readings that raised the alert, track the latest one
+			alert.details = { ...alert.details, latest: this.summarizeReading(reading) };
+
+			if (animal.clearSince !== null && t - animal.clearSince >= sustainedMs) {
+				animal.clearSince = null;
+				animal.suspect = [];
+				this.resolveAlert(alert);
+				return null;
+			}
+
+			// Sensor readings are frequent, only write when the peak changes
+			if (peak) {
+				this.persist(alert);
+			}
+			return alert;
+		}
+
+		if (elevated) {
+			animal.suspect.push(reading);
+			const since = animal.suspect[0].t;
+			if (t - since >= sustainedMs && animal.suspect.length >= this.config.min_readings) {
+				const supporting = animal.suspect.slice(-this.config.supporting_readings);
+				alert = this.openAlert(mac, {
+					level: 'suspected',
+					message: `SUSPECTED FEVER for ${mac}: ${value}°C, +${round(deviation, 1)}°C above baseline ` +
+						`${round(baseline.value, 1)}°C for ${Math.round((t - since) / 60000)} min`,
+					value,
+					last_value: value,
+					peak_value: Math.max(...animal.suspect.map(entry => entry.temperature)),
+					details: this.buildDetails(reading, supporting)
+				});
+			}
+			return alert;
+		}
+
+		if (cleared) {
+			// Only normal readings feed the baseline
+			animal.suspect = [];
+			animal.samples.add(t, value);
+			this.herd.add(t, value);
+		}
+		return null;
+	}
+
+	buildDetails(reading, readings) {
+		return {
+			baseline: reading.baseline,
+			baseline_source: reading.baseline_source,
+			deviation: reading.deviation,
+			ambient: reading.ambient,
+			delta: this.config.delta,
+			readings: readings.map(entry => this.summarizeReading(entry))
+		};
+	}
+
+	summarizeReading(reading) {
+		return {
+			t: reading.t,
+			temperature: reading.temperature,
+			corrected: reading.corrected,
+			deviation: reading.deviation
+		};
+	}
+
+	/**
+	 * Attach the alert history and warm up the baselines from the stored
+	 * sensor temperatures of the last baseline_days
+	 */
+	async setStorage(storage, store) {
+		await this.setStore(store);
+		if (!storage) {
+			return;
+		}
+
+		const since = Date.now() - this.horizon;
+		for (const mac of await storage.getDeviceMacs()) {
+			const animal = this.getAnimal(AlertEngine.normalizeMac(mac));
+			if (animal.samples.count() > 0) {
+				continue;
+			}
+
+			const rows = await storage.all(`
+				SELECT t, c FROM "${storage.sanitizeMacForTableName(mac)}"
+				WHERE data_type = 'sensor' AND c IS NOT NULL AND t >= ?
+				ORDER BY t DESC LIMIT ?
+			`, [since, HOURS * 100]);
+
+			rows.reverse().forEach(row => {
+				animal.samples.add(row.t, row.c);
+				this.herd.add(row.t, row.c);
+			});
+		}
+	}
+
+	/**
+	 * Per-animal state for the health overview
+	 */
+	getAnimalStatus(device) {
+		const mac = AlertEngine.normalizeMac(device);
+		const animal = this.animals.get(mac);
+		if (!animal) {
+			return null;
+		}
+
+		return {
+			mac,
+			baseline_readings: animal.samples.count(),
+			latest: animal.latest,
+			suspect_since: animal.suspect.length > 0 ? animal.suspect[0].t : null,
+			suspect_readings: animal.suspect.length,
+			recent: [...animal.recent],
+			alert: this.active.get(mac) || null
+		};
+	}
+
+	/**
+	 * Animals with an elevated temperature that has not lasted long enough to alert yet
+	 */
+	getSuspects() {
+		return [...this.animals.keys()]
+			.filter(mac => !this.active.has(mac) && this.animals.get(mac).suspect.length > 0)
+			.map(mac => this.getAnimalStatus(mac));
+	}
+
+	getOpenAlerts() {
+		return super.getOpenAlerts().sort((a, b) => b.last_value - a.last_value);
+	}
+
+	getStatus() {
+		return {
+			...this.config,
+			animals: this.animals.size,
+			herd_readings: this.herd.count(),
+			ambient: this.currentAmbient,
+			...super.getStatus()
+		};
+	}
+}
+
+FeverDetector.ALERT_TYPE = ALERT_TYPE;
+FeverDetector.median = median;
+
+module.exports = FeverDetector;
@@ -0,0 +1,397 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * Heat Stress Monitor
+ * Computes the temperature-humidity index (THI) for every environment reading,
+ * classifies it into stress bands, keeps hourly THI aggregates with the time
+ * spent in each band and raises an alert when the band changes
+ */
+
+const AlertEngine = require('./alert-engine');
+
+const ALERT_TYPE = 'heat_stress';
+const BANDS = ['none', 'mild', 'moderate', 'severe'];
+const HOUR_MS = 60 * 60 * 1000;
+const DEFAULT_STATION = 'ENVIRONMENT';
+
+/**
+ * THI = (1.8 T + 32) - (0.55 - 0.0055 RH) (1.8 T - 26), T in °C, RH in %
+ */
+function calculateTHI(temperature, humidity) {
+	return (1.8 * temperature + 32) - (0.55 - 0.0055 * humidity) * (1.8 * temperature - 26);
+}
+
+function round(value, digits = 1) {
+	const factor = Math.pow(10, digits);
+	return Math.round(value * factor) / factor;
+}
+
+function emptyHour(station, hourStart) {
+	const hour = {
+		station,
+		hour_start: hourStart,
+		readings: 0,
+		thi_sum: 0,
+		thi_min: null,
+		thi_max: null,
+		temperature_sum: 0,
+		humidity_sum: 0,
+		// Stored aggregate of the hour folded in, see mergeStoredHour()
+		merged: false
+	};
+	BANDS.forEach(band => {
+		hour[`time_${band}_ms`] = 0;
+	});
+	return hour;
+}
+
+/**
+ * Heat stress monitor, see AlertEngine for the events. Also emits
+ *   'band' - ({ station, from, to, thi, t }) on every band change
+ */
+class HeatStressMonitor extends AlertEngine {
+	/**
+	 * @param {object} [config] - heatStress config
+	 * @param {object} [config.bands] - lower THI bound of each band: { mild, moderate, severe }
+	 * @param {number} [config.hysteresis] - THI points below a bound needed to drop a band
+	 * @param {number} [config.max_gap_minutes] - longest gap between readings counted as time in band
+	 * @param {boolean} [config.alerts] - raise alerts on band changes
+	 */
+	constructor(config = {}) {
+		const snoozeMinutes = config.snooze_minutes || 60;
+		super(ALERT_TYPE, { snooze_minutes: snoozeMinutes });
+
+		const bands = config.bands || {};
+		this.config = {
+			enabled: config.enabled !== false,
+			alerts: config.alerts !== false,
+			bands: {
+				mild: bands.mild !== undefined ? bands.mild : 68,
+				moderate: bands.moderate !== undefined ? bands.moderate : 72,
+				severe: bands.severe !== undefined ? bands.severe : 80
+			},
+			hysteresis: config.hysteresis !== undefined ? config.hysteresis : 1,
+			max_gap_minutes: config.max_gap_minutes || 15,
+			snooze_minutes: snoozeMinutes
+		};
+
+		// station -> { thi, band, band_since, temperature, humidity, t }
+		this.current = new Map();
+		// station -> Map(hour_start -> aggregate), last 24 hours
+		this.hours = new Map();
+		this.storage = null;
+		this.tableReady = false;
+		this.writeChain = Promise.resolve();
+		this.stats.readings = 0;
+		this.stats.late_readings = 0;
+	}
+
+	/**
+	 * Attach (or detach with null) SQLite storage for the hourly aggregates and the alert history
+	 */
+	async setStorage(storage, store) {
+		this.storage = storage;
+		this.tableReady = false;
+		if (storage) {
+			await this.ensureTable();
+		}
+		await this.setStore(store);
+	}
+
+	async ensureTable() {
+		if (this.tableReady) {
+			return;
+		}
+
+		await this.storage.run(`
+			CREATE TABLE IF NOT EXISTS biocv_thi_hourly (
+				station TEXT NOT NULL,
+				hour_start INTEGER NOT NULL,
+				readings INTEGER DEFAULT 0,
+				thi_avg REAL,
+				thi_min REAL,
+				thi_max REAL,
+				temperature_avg REAL,
+				humidity_avg REAL,
+				time_none_ms INTEGER DEFAULT 0,
+				time_mild_ms INTEGER DEFAULT 0,
+				time_moderate_ms INTEGER DEFAULT 0,
+				time_severe_ms INTEGER DEFAULT 0,
+				PRIMARY KEY (station, hour_start)
+			)
+		`);
+		this.tableReady = true;
+	}
+
+	/**
+	 * Band for a THI value ignoring hysteresis
+	 */
+	getBand(thi) {
+		const { bands } = this.config;
+		if (thi >= bands.severe) return 'severe';
+		if (thi >= bands.moderate) return 'moderate';
+		if (thi >= bands.mild) return 'mild';
+		return 'none';
+	}
+
+	/**
+	 * Band for a THI value given the current band: dropping to a lower band
+	 * needs the THI to fall hysteresis points below the current band's bound
+	 */
+	nextBand(thi, currentBand) {
+		const band = this.getBand(thi);
+		if (!currentBand || BANDS.indexOf(band) >= BANDS.indexOf(currentBand)) {
+			return band;
+		}
+		return thi < this.config.bands[currentBand] - this.config.hysteresis
+			? this.getBand(thi + this.config.hysteresis)
+			: currentBand;
+	}
+
+	/**
+	 * Feed an environment reading. Returns { thi, band } or null for invalid readings.
+	 */
+	addReading(temperature, humidity, t = Date.now(), station = DEFAULT_STATION) {
+		const temp = Number(temperature);
+		const rh = Number(humidity);
+		if (!this.config.enabled || temperature === null || humidity === null || !Number.isFinite(temp) || !Number.isFinite(rh)) {
+			return null;
+		}
+
+		const previous = this.current.get(station);
+		if (previous && t < previous.t) {
+			this.stats.late_readings++;
+			return null;
+		}
+
+		const thi = round(calculateTHI(temp, rh));
+		const band = this.nextBand(thi, previous ? previous.band : null);
+		this.stats.readings++;
+
+		if (previous) {
+			this.addTimeInBand(station, previous.band, previous.t, t);
+		}
+
+		const hour = this.getHour(station, Math.floor(t / HOUR_MS) * HOUR_MS);
+		hour.readings++;
+		hour.thi_sum += thi;
+		hour.thi_min = hour.thi_min === null ? thi : Math.min(hour.thi_min, thi);
+		hour.thi_max = hour.thi_max === null ? thi : Math.max(hour.thi_max, thi);
+		hour.temperature_sum += temp;
+		hour.humidity_sum += rh;
+		this.saveHour(hour);
+
+		const changed = !previous || previous.band !== band;
+		const state = {
+			station,
+			thi,
+			band,
+			band_since: changed ? t : previous.band_since,
+			temperature: temp,
+			humidity: rh,
+			t
+		};
+		this.current.set(station, state);
+
+		if (previous && changed) {
+			this.emit('band', { station, from: previous.band, to: band, thi, t });
+		}
+		this.updateAlert(station, band, thi);
+
+		return { thi, band };
+	}
+
+	/**
+	 * Count the time since the previous reading in its band, split over hours
+	 */
+	addTimeInBand(station, band, from, to) {
+		const end = Math.min(to, from + this.config.max_gap_minutes * 60 * 1000);
+		let start = from;
+
+		while (start < end) {
+			const hourStart = Math.floor(start / HOUR_MS) * HOUR_MS;
+			const sliceEnd = Math.min(end, hourStart + HOUR_MS);
+			const hour = this.getHour(station, hourStart);
+			hour[`time_${band}_ms`] += sliceEnd - start;
+			if (sliceEnd < end) {
+				this.saveHour(hour);
+			}
+			start = sliceEnd;
+		}
+	}
+
+	getHour(station, hourStart) {
+		if (!this.hours.has(station)) {
+			this.hours.set(station, new Map());
+		}
+		const hours = this.hours.get(station);
+		if (!hours.has(hourStart)) {
+			hours.set(hourStart, emptyHour(station, hourStart));
+			// Keep the last 24 hours in memory
+			for (const key of hours.keys()) {
+				if (key < hourStart - 23 * HOUR_MS) {
+					hours.delete(key);
+				}
+			}
+		}
+		return hours.get(hourStart);
+	}
+
+	/**
+	 * Aggregate row as stored in biocv_thi_hourly
+	 */
+	toRow(hour) {
+		const row = {
+			station: hour.station,
+			hour_start: hour.hour_start,
+			readings: hour.readings,
+			thi_avg: hour.readings ? round(hour.thi_sum / hour.readings) : null,
+			thi_min: hour.thi_min,
+			thi_max: hour.thi_max,
+			temperature_avg: hour.readings ? round(hour.temperature_sum / hour.readings, 2) : null,
+			humidity_avg: hour.readings ? round(hour.humidity_sum / hour.readings, 2) : null
+		};
+		BANDS.forEach(band => {
+			row[`time_${band}_ms`] = hour[`time_${band}_ms`];
+		});
+		return row;
+	}
+
+	/**
+	 * Fold the stored aggregate of an hour into the in-memory one the first
+	 * time it is saved, so a restart mid-hour adds to the stored readings and
+	 * time in band instead of overwriting them. Sums are rebuilt from the
+	 * stored averages.
+	 */
+	async mergeStoredHour(storage, hour) {
+		const stored = await storage.get(`
+			SELECT * FROM biocv_thi_hourly WHERE station = ? AND hour_start = ?
+		`, [hour.station, hour.hour_start]);
+		hour.merged = true;
+		if (!stored) {
+			return;
+		}
+
+		if (stored.readings > 0) {
+			hour.readings += stored.readings;
+			hour.thi_sum += stored.thi_avg * stored.readings;
+			hour.temperature_sum += stored.temperature_avg * stored.readings;
+			hour.humidity_sum += stored.humidity_avg * stored.readings;
+			hour.thi_min = hour.thi_min === null ? stored.thi_min : Math.min(hour.thi_min, stored.thi_min);
+			hour.thi_max = hour.thi_max === null ? stored.thi_max : Math.max(hour.thi_max, stored.thi_max);
+		}
+		BANDS.forEach(band => {
+			hour[`time_${band}_ms`] += stored[`time_${band}_ms`] || 0;
+		});
+	}
+
+	/**
+	 * Upsert the hourly aggregate; once merged with the stored row the
+	 * in-memory aggregate is the source of truth for the hour
+	 */
+	saveHour(hour) {
+		if (!this.storage) {
+			return;
+		}
+
+		const storage = this.storage;
+		this.writeChain = this.writeChain.then(() => storage.withWriteLock(async () => {
+			if (!hour.merged) {
+				await this.mergeStoredHour(storage, hour);
+			}
+			const row = this.toRow(hour);
+			const columns = Object.keys(row);
+			await storage.run(`
+				INSERT INTO biocv_thi_hourly (${columns.join(', ')})
+				VALUES (${columns.map(() => '?').join(', ')})
+				ON CONFLICT (station, hour_start) DO UPDATE SET
+					${columns.filter(column => column !== 'station' && column !== 'hour_start')
+						.map(column => `${column} = excluded.${column}`).join(', ')}
+			`, columns.map(column => row[column]));
+		})).catch(error => {
+			if (this.listenerCount('error') > 0) {
+				this.emit('error', error);
+			}
+		});
+	}
+
+	/**
+	 * Open, escalate or resolve the heat stress alert of a station
+	 */
+	updateAlert(station, band, thi) {
+		if (!this.config.alerts) {
+			return;
+		}
+
+		const alert = this.active.get(station);
+		const message = `HEAT STRESS ${band.toUpperCase()} (${station}): THI ${thi}`;
+
+		if (!alert) {
+			if (band !== 'none') {
+				this.openAlert(station, { level: band, message, value: thi, last_value: thi, peak_value: thi });
+			}
+			return;
+		}
+
+		alert.last_value = thi;
+		alert.updated_at = new Date().toISOString();
+
+		if (band === 'none') {
+			this.resolveAlert(alert);
+		} else if (BANDS.indexOf(band) > BANDS.indexOf(alert.level)) {
+			alert.peak_value = Math.max(alert.peak_value, thi);
+			this.escalateAlert(alert, { level: band, message });
+		} else if (band !== alert.level || thi > alert.peak_value) {
+			alert.level = band;
+			alert.message = message;
+			alert.peak_value = Math.max(alert.peak_value, thi);
+			this.persist(alert);
+		}
+	}
+
+	/**
+	 * Wait for pending aggregate and alert writes
+	 */
+	flush() {
+		return Promise.all([this.writeChain, super.flush()]);
+	}
+
+	getCurrent(station = DEFAULT_STATION) {
+		return this.current.get(station) || null;
+	}
+
+	/**
+	 * Hourly aggregates of the last `hours` hours, oldest first
+	 */
+	async getTrend(station = DEFAULT_STATION, hours = 24) {
+		const since = Math.floor(Date.now() / HOUR_MS) * HOUR_MS - (hours - 1) * HOUR_MS;
+
+		if (this.storage) {
+			await this.flush();
+			return this.storage.all(`
+				SELECT * FROM biocv_thi_hourly WHERE station = ? AND hour_start >= ? ORDER BY hour_start
+			`, [station, since]);
+		}
+
+		const stored = this.hours.get(station) || new Map();
+		return [...stored.values()]
+			.filter(hour => hour.hour_start >= since)
+			.sort((a, b) => a.hour_start - b.hour_start)
+			.map(hour => this.toRow(hour));
+	}
+
+	getStatus() {
+		return {
+			...this.config,
+			stations: this.current.size,
+			...super.getStatus()
+		};
+	}
+}
+
+HeatStressMonitor.BANDS = BANDS;
+HeatStressMonitor.ALERT_TYPE = ALERT_TYPE;
+HeatStressMonitor.DEFAULT_STATION = DEFAULT_STATION;
+HeatStressMonitor.calculateTHI = calculateTHI;
+
+module.exports = HeatStressMonitor;
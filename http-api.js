@@ -0,0 +1,341 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * Local HTTP Query API
+ * Read-only JSON endpoints over the stored data and the live in-memory state,
+ * so dashboards and notebooks on the gateway don't need to open the SQLite file
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+/**
+ * Error with an HTTP status code
+ */
+class HttpError extends Error {
+	constructor(status, message) {
+		super(message);
+		this.status = status;
+	}
+}
+
+/**
+ * Parse a date query parameter: ISO date or unix ms
+ */
+function parseDateParam(name, value) {
+	if (value === null || value === '') {
+		return undefined;
+	}
+	const time = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+	if (Number.isNaN(time)) {
+		throw new HttpError(400, `Invalid ${name}: ${value}`);
+	}
+	return time;
+}
+
+/**
+ * Decode a percent-encoded path segment
+ */
+function decodeSegment(value) {
+	try {
+		return decodeURIComponent(value);
+	} catch (error) {
+		throw new HttpError(400, `Invalid path segment: ${value}`);
+	}
+}
+
+/**
+ * Parse a non-negative integer query parameter
+ */
+function parseIntParam(name, value, fallback) {
+	if (value === null || value === '') {
+		return fallback;
+	}
+	if (!/^\d+$/.test(value)) {
+		throw new HttpError(400, `Invalid ${name}: ${value}`);
+	}
+	return parseInt(value, 10);
+}
+
+/**
+ * Embedded HTTP server exposing storage queries, exports and the live data snapshot
+ */
+class HttpApi {
+	/**
+	 * @param {object} options
+	 * @param {object} options.config - httpApi config (host, port, api_key, max_limit, max_offset)
+	 * @param {Function} options.getStorage - returns the storage adapter or null if storage is disabled
+	 * @param {Function} options.getLiveData - returns the live dataStore snapshot
+	 * @param {Function} [options.resolveDevice] - resolves a MAC, animal or group to { kind, segments }, or null
+	 * @param {Function} [options.flush] - writes pending rows before storage reads
+	 */
+	constructor({ config = {}, getStorage, getLiveData, resolveDevice, flush }) {
+		this.config = {
+			host: config.host || '127.0.0.1',
+			port: config.port !== undefined ? config.port : 8090,
+			api_key: config.api_key || null,
+			max_limit: config.max_limit || 10000,
+			max_offset: config.max_offset !== undefined ? config.max_offset : 100000
+		};
+		this.getStorage = getStorage;
+		this.getLiveData = getLiveData;
+		this.resolveDevice = resolveDevice || (async () => null);
+		this.flush = flush || (async () => {});
+		this.server = null;
+		this.routes = [
+			{ pattern: /^\/api\/health$/, handler: () => this.handleHealth() },
+			{ pattern: /^\/api\/live$/, handler: () => this.getLiveData() },
+			{ pattern: /^\/api\/stats$/, handler: (match, query) => this.handleStats(query) },
+			{ pattern: /^\/api\/data$/, handler: (match, query) => this.handleQueryAll(query) },
+			{ pattern: /^\/api\/devices\/([^/]+)\/data$/, handler: (match, query) => this.handleQuery(decodeSegment(match[1]), query) },
+			{ pattern: /^\/api\/devices\/([^/]+)\/stats$/, handler: (match) => this.handleStats(new URLSearchParams({ mac: decodeSegment(match[1]) })) },
+			{ pattern: /^\/api\/environment$/, handler: (match, query) => this.handleEnvironment(query) },
+			{ pattern: /^\/api\/environment\/stations$/, handler: () => this.handleStations() },
+			{ pattern: /^\/api\/export$/, handler: (match, query, res) => this.handleExport(query, res), streaming: true }
+		];
+	}
+
+	/**
+	 * Start listening; resolves with the bound address
+	 */
+	start() {
+		return new Promise((resolve, reject) => {
+			this.server = http.createServer((req, res) => this.handleRequest(req, res));
+			this.server.once('error', reject);
+			this.server.listen(this.config.port, this.config.host, () => {
+				this.server.removeListener('error', reject);
+				resolve(this.server.address());
+			});
+		});
+	}
+
+	/**
+	 * Stop listening
+	 */
+	stop() {
+		return new Promise((resolve) => {
+			if (!this.server) {
+				resolve();
+				return;
+			}
+			this.server.close(() => resolve());
+			this.server = null;
+		});
+	}
+
+	/**
+	 * Check the API key from the X-API-Key header or an Authorization bearer token
+	 */
+	isAuthorized(req) {
+		if (!this.config.api_key) {
+			return true;
+		}
+
+		const header = req.headers['x-api-key'] ||
+			(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+		const expected = Buffer.from(this.config.api_key);
+		const provided = Buffer.from(header || '');
+
+		return provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+	}
+
+	async handleRequest(req, res) {
+		try {
+			const url = this.parseUrl(req.url);
+			if (req.method !== 'GET') {
+				throw new HttpError(405, `Method ${req.method} not allowed`);
+			}
+			if (!this.isAuthorized(req)) {
+				throw new HttpError(401, 'Invalid or missing API key');
+			}
+
+			for (const route of this.routes) {
+				const match = url.pathname.match(route.pattern);
+				if (match) {
+					const body = await route.handler(match, url.searchParams, res);
+					if (!route.streaming) {
+						this.sendJSON(res, 200, body);
+					}
+					return;
+				}
+			}
+
+			throw new HttpError(404, `Not found: ${url.pathname}`);
+		} catch (error) {
+			if (res.headersSent) {
+				res.destroy(error);
+				return;
+			}
+			this.sendJSON(res, error.status || 500, { error: error.message });
+		}
+	}
+
+	/**
+	 * Parse the request target, a malformed one is a client error
+	 */
+	parseUrl(target) {
+		try {
+			return new URL(target, 'http://localhost');
+		} catch (error) {
+			throw new HttpError(400, `Invalid request target: ${target}`);
+		}
+	}
+
+	sendJSON(res, status, body) {
+		const payload = JSON.stringify(body);
+		res.writeHead(status, {
+			'Content-Type': 'application/json',
+			'Content-Length': Buffer.byteLength(payload)
+		});
+		res.end(payload);
+	}
+
+	requireStorage() {
+		const storage = this.getStorage();
+		if (!storage) {
+			throw new HttpError(503, 'Storage not enabled');
+		}
+		return storage;
+	}
+
+	/**
+	 * Map query parameters onto the storage query options
+	 */
+	parseQueryOptions(query, defaultLimit) {
+		const limit = parseIntParam('limit', query.get('limit'), defaultLimit);
+		if (limit < 1 || limit > this.config.max_limit) {
+			throw new HttpError(400, `limit must be between 1 and ${this.config.max_limit}`);
+		}
+		// Every table is read up to limit + offset rows before paging
+		const offset = parseIntParam('offset', query.get('offset'), 0);
+		if (offset < 0 || offset > this.config.max_offset) {
+			throw new HttpError(400, `offset must be between 0 and ${this.config.max_offset}, narrow the range with from/to instead`);
+		}
+
+		return {
+			dataType: query.get('dataType') || query.get('type') || undefined,
+			startDate: parseDateParam('startDate', query.get('startDate') || query.get('from')),
+			endDate: parseDateParam('endDate', query.get('endDate') || query.get('to')),
+			limit,
+			offset
+		};
+	}
+
+	paginate(data, options) {
+		return {
+			data,
+			pagination: {
+				limit: options.limit,
+				offset: options.offset,
+				count: data.length,
+				next_offset: data.length === options.limit ? options.offset + options.limit : null
+			}
+		};
+	}
+
+	handleHealth() {
+		return {
+			status: 'ok',
+			storage: Boolean(this.getStorage()),
+			timestamp: new Date().toISOString()
+		};
+	}
+
+	/**
+	 * Device segments to read for an animal ID or group name, or null for a MAC
+	 */
+	async getSegments(identifier) {
+		const target = await this.resolveDevice(identifier);
+		return target && target.kind !== 'mac' ? target.segments : null;
+	}
+
+	/**
+	 * 404 for a MAC without a table, before it is read
+	 */
+	async requireDevice(storage, mac) {
+		if (!(await storage.tableExists(storage.sanitizeMacForTableName(mac)))) {
+			throw new HttpError(404, `Unknown device: ${mac}`);
+		}
+	}
+
+	async handleQuery(mac, query) {
+		const storage = this.requireStorage();
+		const options = this.parseQueryOptions(query, 100);
+		await this.flush();
+		const segments = await this.getSegments(mac);
+		if (!segments) {
+			await this.requireDevice(storage, mac);
+		}
+		const data = segments ? await storage.querySegments(segments, options) : await storage.queryData(mac, options);
+		return { mac, ...(segments ? { segments } : {}), ...this.paginate(data, options) };
+	}
+
+	async handleQueryAll(query) {
+		const storage = this.requireStorage();
+		const options = this.parseQueryOptions(query, 1000);
+		await this.flush();
+		return this.paginate(await storage.queryAllData(options), options);
+	}
+
+	async handleEnvironment(query) {
+		const storage = this.requireStorage();
+		const options = { ...this.parseQueryOptions(query, 100), station: query.get('station') || undefined };
+		await this.flush();
+		return { station: options.station || null, ...this.paginate(await storage.queryEnvironment(options), options) };
+	}
+
+	async handleStations() {
+		const storage = this.requireStorage();
+		await this.flush();
+		return { stations: await storage.getEnvironmentStations() };
+	}
+
+	async handleStats(query) {
+		const storage = this.requireStorage();
+		await this.flush();
+		const mac = query.get('mac') || null;
+		const segments = mac ? await this.getSegments(mac) : null;
+		if (mac && !segments) {
+			await this.requireDevice(storage, mac);
+		}
+		return segments ? { mac, ...(await storage.getSegmentStats(segments)) } : storage.getStorageStats(mac);
+	}
+
+	async handleExport(query, res) {
+		const storage = this.requireStorage();
+		const format = query.get('format') || 'json';
+		const contentType = storage.getExportContentType(format);
+		if (!contentType) {
+			throw new HttpError(400, `Unknown export format "${format}"`);
+		}
+
+		const gzip = ['1', 'true'].includes(query.get('gzip'));
+		const options = {
+			format,
+			gzip,
+			mac: query.get('mac') || undefined,
+			station: query.get('station') || undefined,
+			dataType: query.get('dataType') || query.get('type') || undefined,
+			startDate: parseDateParam('startDate', query.get('startDate') || query.get('from')),
+			endDate: parseDateParam('endDate', query.get('endDate') || query.get('to')),
+			limit: parseIntParam('limit', query.get('limit'), null)
+		};
+
+		const segments = options.mac ? await this.getSegments(options.mac) : null;
+		if (segments) {
+			delete options.mac;
+			options.segments = segments;
+		}
+
+		await this.flush();
+
+		const fileName = `biocv_export.${format}${gzip ? '.gz' : ''}`;
+		res.writeHead(200, {
+			'Content-Type': gzip ? 'application/gzip' : contentType,
+			'Content-Disposition': `attachment; filename="${fileName}"`
+		});
+		await storage.exportToStream(res, options);
+	}
+}
+
+module.exports = HttpApi;
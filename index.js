@@ -6,38 +6,68 @@
  * with standalone SQLite storage capabilities
  */
 
-const WebSocket = require("ws");
 const chalk = require("chalk");
 const readline = require("readline");
+const fs = require('fs');
 const StandaloneSQLiteStorage = require('./standalone-sqlite');
-
-// Configuration
+const WriteQueue = require('./write-queue');
+const { loadConfig, defaultConfig, describeConfig, splitConfigArgs } = require('./config-loader');
+const HttpApi = require('./http-api');
+const BioCVApiClient = require('./biocv-api-client');
+const GapBackfill = require('./backfill');
+const ConnectionManager = require('./connection-manager');
+const SubscriptionManager = require('./subscriptions');
+const AlertStore = require('./alerts');
+const BatteryAlertEngine = require('./battery-alerts');
+const FeverDetector = require('./fever-detection');
+const PositionEstimator = require('./positioning');
+const ActivityClassifier = require('./activity');
+const HeatStressMonitor = require('./heat-stress');
+const DeviceRegistry = require('./device-registry');
+const LivenessMonitor = require('./liveness');
+const { tokenize, parseArgs } = require('./command-parser');
+const Dashboard = require('./dashboard');
+const RetentionManager = require('./retention');
+const MessageValidator = require('./message-validator');
+
+// Configuration (defaults until main() loads the layered configuration)
 const config = {
-	wsUrl: "ws://localhost:8080",
-	apiUrl: "http://localhost:3000",
-	reconnectInterval: 5000,
-	storageEnabled: false,
-	storageConfig: {
-		enabled: false,
-		database_path: "./data/demo_biocv_data.db",
-		max_table_size: 1000,
-		retention_days: 7,
-		auto_create_tables: true,
-		enable_logging: true
-	}
+	...defaultConfig(),
+	storageEnabled: false
 };
+let configSources = {};
+let configFile = null;
 
 // Data storage for demo
 const dataStore = {
 	sensors: new Map(),
 	lastBatteryUpdate: new Map(),
 	animalPositions: new Map(),
-	environment: null,
+	environment: null,        // Latest reading of any station
+	stations: new Map(),      // station -> latest reading
 };
 
 // Storage management
 let storageAdapter = null;
+let writeQueue = null;
+let connection = null;
+let subscriptions = null;
 let rl = null;
+let httpApi = null;
+let backfill = null;
+let alertStore = null;
+let batteryAlerts = null;
+let feverDetector = null;
+let positioning = null;
+let activity = null;
+let heatStress = null;
+let deviceRegistry = null;
+let liveness = null;
+let watchSession = null;
+let dashboard = null;
+let retention = null;
+let validator = null;
+let shuttingDown = false;
 
 /**
  * Initialize standalone SQLite storage
@@ -47,12 +77,28 @@ async function initializeStorage() {
 		storageAdapter = new StandaloneSQLiteStorage(config.storageConfig);
 		
 		await storageAdapter.initialize();
+		setupWriteQueue();
+		setupBackfill();
+		await attachAlertStore();
+		deviceRegistry = new DeviceRegistry(storageAdapter);
+		await deviceRegistry.ensureTable();
+		await setupRetention();
+		if (validator) {
+			await validator.setStorage(storageAdapter);
+		}
 		config.storageEnabled = true;
 		
 		console.log(chalk.green('✓ Standalone SQLite storage initialized'));
 		console.log(chalk.gray(`  Database: ${config.storageConfig.database_path}`));
 		console.log(chalk.gray(`  Max table size: ${config.storageConfig.max_table_size}`));
-		console.log(chalk.gray(`  Retention: ${config.storageConfig.retention_days} days`));
+		console.log(chalk.gray(`  Retention: ${formatRetentionPolicies()}`));
+
+		if (config.retention.enabled) {
+			retention.on('run', (report) => {
+				console.log(chalk.gray(`[Retention] ${formatRetentionReport(report)}`));
+			});
+			retention.start();
+		}
 		
 	} catch (error) {
 		console.error(chalk.red('Failed to initialize storage:'), error.message);
@@ -60,10 +106,232 @@ async function initializeStorage() {
 	}
 }
 
+/**
+ * Create the retention manager that rolls up and deletes old raw data
+ */
+async function setupRetention() {
+	retention = new RetentionManager(storageAdapter, {
+		...config.retention,
+		default_days: config.storageConfig.retention_days
+	});
+	retention.on('error', (err) => {
+		console.error(chalk.red(`[Retention] ${err.message}`));
+	});
+	await retention.ensureTables();
+}
+
+/**
+ * Create the buffered write queue in front of the storage adapter
+ */
+function setupWriteQueue() {
+	writeQueue = new WriteQueue(storageAdapter, config.writeQueue);
+
+	writeQueue.on('retry', (err, rowCount) => {
+		console.error(chalk.yellow(`[Storage] Failed to write ${rowCount} queued rows, retrying: ${err.message}`));
+	});
+	writeQueue.on('error', (err, rowCount, spilled) => {
+		console.error(chalk.red(rowCount > 0
+			? `[Storage] Failed to write ${rowCount} queued rows${spilled ? `, moved them to ${config.writeQueue.spill_path}` : ''}: ${err.message}`
+			: `[Storage] Failed to recover spilled rows: ${err.message}`));
+	});
+
+	// Block policy: apply backpressure by pausing the WebSocket until the queue drains
+	writeQueue.on('full', () => {
+		console.log(chalk.yellow('[Storage] Write queue full, pausing ingestion'));
+		if (connection) connection.pauseSocket();
+	});
+	writeQueue.on('drain', (stats, rejected) => {
+		if (rejected > 0) {
+			console.error(chalk.red(`[Storage] ${rejected} rows arrived after the write queue headroom was used up and were not stored`));
+		}
+		console.log(chalk.green('[Storage] Write queue drained, resuming ingestion'));
+		if (connection) connection.resumeSocket();
+	});
+
+	writeQueue.start();
+}
+
+/**
+ * Create the REST API client and gap backfill on top of storage
+ */
+function setupBackfill() {
+	const client = new BioCVApiClient({
+		apiUrl: config.apiUrl,
+		readingsPath: config.backfill.readings_path,
+		timeout: config.backfill.timeout,
+		pageSize: config.backfill.page_size
+	});
+
+	backfill = new GapBackfill({
+		storage: storageAdapter,
+		client,
+		config: config.backfill,
+		// Same checks and MAC/alias normalization as live messages
+		validate: message => {
+			if (!validator) {
+				return message;
+			}
+			const result = validator.validate(message);
+			return result.valid ? result.message : null;
+		}
+	});
+}
+
+/**
+ * Create the alert engines and print their notifications
+ */
+function setupAlerts() {
+	batteryAlerts = new BatteryAlertEngine(config.alerts.battery);
+	batteryAlerts.on('alert', (alert) => {
+		const color = alert.level === 'critical' ? chalk.red.bold : chalk.red;
+		console.log(color(`⚠️  ${alert.message}`));
+	});
+	batteryAlerts.on('resolved', (alert) => {
+		console.log(chalk.green(`✓ Battery recovered for ${alert.mac}: ${alert.last_value}%`));
+	});
+
+	feverDetector = new FeverDetector(config.alerts.fever);
+	feverDetector.on('alert', (alert) => {
+		console.log(chalk.magenta.bold(`🌡️  ${alert.message}`));
+	});
+	feverDetector.on('resolved', (alert) => {
+		console.log(chalk.green(`✓ Temperature back to normal for ${alert.mac}: ${alert.last_value}°C`));
+	});
+
+	heatStress = new HeatStressMonitor(config.heatStress);
+	heatStress.on('alert', (alert) => {
+		const color = alert.level === 'severe' ? chalk.red.bold : alert.level === 'moderate' ? chalk.red : chalk.yellow;
+		console.log(color(`☀️  ${alert.message}`));
+	});
+	heatStress.on('band', (change) => {
+		// Rising bands are reported through the alert
+		if (HeatStressMonitor.BANDS.indexOf(change.to) < HeatStressMonitor.BANDS.indexOf(change.from)) {
+			console.log(chalk.cyan(`Heat stress (${change.station}) eased from ${change.from} to ${change.to}: THI ${change.thi}`));
+		}
+	});
+
+	getAlertEngines().forEach(engine => {
+		engine.on('error', (err) => {
+			console.error(chalk.red(`[Alerts] Failed to save alert history: ${err.message}`));
+		});
+	});
+}
+
+function getAlertEngines() {
+	return [batteryAlerts, feverDetector, heatStress, liveness].filter(Boolean);
+}
+
+/**
+ * Create the ANT position estimator from the configured receiver layout
+ */
+function setupPositioning() {
+	positioning = new PositionEstimator(config.positioning);
+	if (config.positioning.enabled && positioning.receivers.size < 3) {
+		console.log(chalk.gray('Positioning: configure at least 3 receivers in positioning.receivers to estimate positions'));
+	}
+}
+
+/**
+ * Create the accelerometer activity classifier
+ */
+function setupActivity() {
+	activity = new ActivityClassifier(config.activity);
+	activity.on('error', (err) => {
+		console.error(chalk.red(`[Activity] Failed to save activity window: ${err.message}`));
+	});
+	activity.start();
+}
+
+/**
+ * Create the last-seen tracker that flags silent tags as offline
+ */
+function setupLiveness() {
+	liveness = new LivenessMonitor(config.liveness);
+	liveness.on('alert', (alert) => {
+		console.log(chalk.red(`📡 ${alert.message}`));
+	});
+	liveness.on('resolved', (alert) => {
+		console.log(chalk.green(`✓ Tag ${alert.mac} back online after ${alert.last_value} min`));
+	});
+	liveness.on('error', (err) => {
+		console.error(chalk.red(`[Liveness] Failed to save device status: ${err.message}`));
+	});
+	liveness.start();
+}
+
+/**
+ * Create the schema check for inbound messages, rejected ones become dead letters
+ */
+function setupValidation() {
+	validator = new MessageValidator(config.validation);
+	validator.on('invalid', ({ type, reason }) => {
+		if (config.debug) {
+			console.log(chalk.gray(`[debug] rejected ${type}: ${reason}`));
+		}
+	});
+	validator.on('error', (err) => {
+		console.error(chalk.red(`[Validation] Failed to store dead letter: ${err.message}`));
+	});
+}
+
+/**
+ * Persist alert history in SQLite and restore alerts left open by the last run
+ */
+async function attachAlertStore() {
+	alertStore = new AlertStore(storageAdapter);
+	if (batteryAlerts) {
+		await batteryAlerts.setStore(alertStore);
+	}
+	if (feverDetector) {
+		await feverDetector.setStorage(storageAdapter, alertStore);
+	}
+	if (heatStress) {
+		await heatStress.setStorage(storageAdapter, alertStore);
+	}
+	if (activity) {
+		await activity.setStorage(storageAdapter);
+	}
+	if (liveness) {
+		await liveness.setStorage(storageAdapter, alertStore);
+	}
+}
+
+/**
+ * Backfill gaps from the REST API and log the outcome
+ */
+async function runBackfill(options = {}) {
+	if (!backfill || !config.storageEnabled) {
+		throw new Error('Storage not enabled');
+	}
+
+	await flushPendingWrites();
+	const summary = await backfill.run(options);
+	const ran = summary.devices.filter(entry => !entry.skippedRun);
+
+	console.log(chalk.green(`✓ Backfill (${summary.reason}): ${ran.length}/${summary.devices.length} devices, ` +
+		`${summary.fetched} fetched, ${summary.inserted} inserted, ${summary.skipped} duplicates, ${summary.invalid} invalid`));
+	summary.devices.filter(entry => entry.error).forEach(entry => {
+		console.log(chalk.yellow(`  ${entry.mac}: ${entry.error}`));
+	});
+	return summary;
+}
+
+/**
+ * Queue a row for storage if storage is enabled
+ */
+function queueForStorage(row) {
+	if (config.storageEnabled && writeQueue) {
+		writeQueue.enqueue(row);
+		if (backfill) {
+			backfill.noteReading(row.mac, row.columns.t);
+		}
+	}
+}
+
 /**
  * Process incoming sensor data
  */
-function processSensorData(data) {
+function processSensorData(data, options = {}) {
 	const { mac, rssi, timestamp } = data;
 
 	if (!dataStore.sensors.has(mac)) {
@@ -82,18 +350,26 @@ function processSensorData(data) {
 		sensorHistory.shift();
 	}
 
-	// Store in SQLite if enabled
-	if (config.storageEnabled && storageAdapter) {
-		storageAdapter.storeSensorData(mac, data).catch(err => {
-			console.error(chalk.red(`[Storage] Failed to store sensor data: ${err.message}`));
-		});
+	// Classify activity from the accelerometer values
+	if (activity) {
+		activity.addSample(mac, data);
+	}
+
+	// Compare the eartag temperature with the animal's baseline
+	if (feverDetector) {
+		feverDetector.addReading(mac, data.c !== undefined ? data.c : data.T, data.t || Date.now());
+	}
+
+	// Store in SQLite if enabled (replayed records are already stored)
+	if (config.storageEnabled && storageAdapter && options.store !== false) {
+		queueForStorage(storageAdapter.buildSensorRow(mac, data));
 	}
 }
 
 /**
  * Process battery updates
  */
-function processBatteryData(data) {
+function processBatteryData(data, options = {}) {
 	const { mac, percentage, timestamp } = data;
 
 	dataStore.lastBatteryUpdate.set(mac, {
@@ -102,25 +378,21 @@ function processBatteryData(data) {
 		lastUpdate: new Date(),
 	});
 
-	// Alert on low battery
-	if (percentage < 20) {
-		console.log(
-			chalk.red(`⚠️  LOW BATTERY WARNING for ${mac}: ${percentage}%`)
-		);
+	// Alert on low battery (levels, hysteresis and snoozing are handled by the engine)
+	if (batteryAlerts) {
+		batteryAlerts.evaluate(mac, percentage);
 	}
 
-	// Store in SQLite if enabled
-	if (config.storageEnabled && storageAdapter) {
-		storageAdapter.storeBatteryData(mac, data).catch(err => {
-			console.error(chalk.red(`[Storage] Failed to store battery data: ${err.message}`));
-		});
+	// Store in SQLite if enabled (replayed records are already stored)
+	if (config.storageEnabled && storageAdapter && options.store !== false) {
+		queueForStorage(storageAdapter.buildBatteryRow(mac, data));
 	}
 }
 
 /**
  * Process ANT positioning data
  */
-function processAntData(data) {
+function processAntData(data, options = {}) {
 	const { macAnt, macTag, distance, timestamp } = data;
 
 	if (!dataStore.animalPositions.has(macTag)) {
@@ -134,28 +406,119 @@ function processAntData(data) {
 		lastUpdate: new Date(),
 	});
 
-	// Store in SQLite if enabled
-	if (config.storageEnabled && storageAdapter) {
-		storageAdapter.storeAntData(macAnt, macTag, distance).catch(err => {
-			console.error(chalk.red(`[Storage] Failed to store ANT data: ${err.message}`));
-		});
+	const store = config.storageEnabled && storageAdapter && options.store !== false;
+	const time = data.t || (timestamp ? Date.parse(timestamp) : NaN);
+	const t = Number.isFinite(time) ? time : Date.now();
+
+	// Store in SQLite if enabled (replayed records are already stored)
+	if (store) {
+		queueForStorage(storageAdapter.buildAntRow(macAnt, macTag, distance, t));
+	}
+
+	// Estimate the tag position from the recent distances of all receivers
+	if (positioning) {
+		const estimate = positioning.addDistance(macTag, macAnt, distance, t);
+		if (estimate && store) {
+			queueForStorage(storageAdapter.buildPositionRow(estimate));
+		}
 	}
 }
 
 /**
- * Process environmental data
+ * Process environmental data of a station (station ID from the message)
  */
-function processEnvironmentData(data) {
-	dataStore.environment = {
+function processEnvironmentData(data, options = {}) {
+	const temperature = data.temperature !== undefined ? data.temperature : data.Temperature;
+	const humidity = data.humidity !== undefined ? data.humidity : data.Humidity;
+	const t = Number.isFinite(data.t) ? data.t : (data.timestamp ? Date.parse(data.timestamp) : NaN);
+	const station = StandaloneSQLiteStorage.getStationId(data);
+
+	const reading = {
 		...data,
+		station,
 		lastUpdate: new Date(),
 	};
+	dataStore.environment = reading;
+	dataStore.stations.set(station, reading);
 
-	// Store in SQLite if enabled
-	if (config.storageEnabled && storageAdapter) {
-		storageAdapter.storeEnvironmentData(data).catch(err => {
-			console.error(chalk.red(`[Storage] Failed to store environment data: ${err.message}`));
-		});
+	// Ambient temperature corrects the fever baseline
+	if (feverDetector) {
+		feverDetector.addAmbient(temperature);
+	}
+
+	// Temperature-humidity index and heat stress band
+	if (heatStress) {
+		const result = heatStress.addReading(temperature, humidity, Number.isFinite(t) ? t : Date.now(), station);
+		if (result) {
+			reading.thi = result.thi;
+			reading.thi_band = result.band;
+		}
+	}
+
+	// Store in SQLite if enabled (replayed records are already stored)
+	if (config.storageEnabled && storageAdapter && options.store !== false) {
+		queueForStorage(storageAdapter.buildEnvironmentRow(data));
+	}
+}
+
+const LIVENESS_TYPES = { sensorData: 'sensor', batteryData: 'battery', antData: 'ant' };
+
+/**
+ * Dispatch a parsed WebSocket message to its handler
+ */
+function handleMessage(message) {
+	try {
+		// Schema check first so the MAC filters below see normalized MACs
+		if (validator) {
+			const result = validator.validate(message);
+			if (!result.valid) {
+				return;
+			}
+			message = result.message;
+		}
+
+		// Client-side subscription and MAC allow/deny filtering
+		if (subscriptions && !subscriptions.accepts(message)) {
+			return;
+		}
+
+		if (config.debug) {
+			console.log(chalk.gray(`[debug] ${message.type}: ${JSON.stringify(message.data || message.message || '')}`));
+		}
+
+		// Last seen per tag and data type
+		const livenessType = LIVENESS_TYPES[message.type];
+		const tag = message.data && (message.data.macTag || message.data.mac);
+		if (liveness && livenessType && tag) {
+			liveness.record(tag, livenessType, message.data);
+		}
+
+		switch (message.type) {
+			case "sensorData":
+				processSensorData(message.data);
+				break;
+			case "batteryData":
+				processBatteryData(message.data);
+				break;
+			case "antData":
+				processAntData(message.data);
+				break;
+			case "environmentData":
+				processEnvironmentData(message.data);
+				break;
+			case "connection":
+				console.log(chalk.gray("Server info received:", message.message));
+				break;
+			default:
+				// Ignore other message types
+				break;
+		}
+
+		if (watchSession) {
+			watchMessage(message);
+		}
+	} catch (err) {
+		console.error(chalk.red("Error processing message:"), err);
 	}
 }
 
@@ -165,59 +528,64 @@ function processEnvironmentData(data) {
 function connectWebSocket() {
 	console.log(chalk.gray("Connecting to WebSocket..."));
 
-	const ws = new WebSocket(config.wsUrl);
+	if (!subscriptions) {
+		subscriptions = new SubscriptionManager(config.subscriptions);
+	}
+
+	connection = new ConnectionManager({
+		url: config.wsUrl,
+		getSubscription: () => subscriptions.getSubscriptionMessage(),
+		initial_delay: config.reconnectInterval,
+		max_delay: config.connection.max_delay,
+		backoff_multiplier: config.connection.backoff_multiplier,
+		jitter: config.connection.jitter,
+		heartbeat_interval: config.connection.heartbeat_interval,
+		heartbeat_timeout: config.connection.heartbeat_timeout
+	});
 
-	ws.on("open", () => {
+	connection.on("open", () => {
 		console.log(chalk.green("✓ Connected to BioCV Node WebSocket"));
 
-		// Subscribe to all data types
-		ws.send(
-			JSON.stringify({
-				type: "subscribe",
-				subscriptions: ["all"],
-			})
-		);
+		// Fetch whatever was sent while we were disconnected. Failed attempts
+		// before the first connect leave an outage too, it is dropped here.
+		const outage = backfill ? backfill.takeOutage() : null;
+		if (connection.stats.reconnects > 0 && config.backfill.enabled && backfill && config.storageEnabled) {
+			runBackfill({ macs: 'all', reason: 'reconnect', outage }).catch(err => {
+				console.error(chalk.red(`[Backfill] ${err.message}`));
+			});
+		}
 	});
 
-	ws.on("message", (data) => {
-		try {
-			const message = JSON.parse(data);
+	connection.on("message", handleMessage);
 
-			switch (message.type) {
-				case "sensorData":
-					processSensorData(message.data);
-					break;
-				case "batteryData":
-					processBatteryData(message.data);
-					break;
-				case "antData":
-					processAntData(message.data);
-					break;
-				case "environmentData":
-					processEnvironmentData(message.data);
-					break;
-				case "connection":
-					console.log(chalk.gray("Server info received:", message.message));
-					break;
-				default:
-					// Ignore other message types
-					break;
-			}
-		} catch (err) {
-			console.error(chalk.red("Error processing message:"), err);
+	// Messages that are not a JSON object are kept as dead letters too
+	connection.on("unparseable", (text, reason) => {
+		if (validator) {
+			// Counted by the kind of problem, without the parser's details
+			validator.reject(text, reason, reason.split(':')[0]);
+		}
+	});
+
+	// Tags can't report while disconnected, don't count that as silence
+	connection.on("state", (state) => {
+		if (liveness && !connection.ingestionPaused) {
+			liveness.setReceiving(state === 'open' || state === 'subscribed');
+		}
+		// The gap to backfill starts at the drop, not at the last stored reading
+		if (state === 'backing-off' && backfill) {
+			backfill.markDisconnected();
 		}
 	});
 
-	ws.on("close", () => {
-		console.log(chalk.yellow("Disconnected from WebSocket, reconnecting..."));
-		setTimeout(() => connectWebSocket(), config.reconnectInterval);
+	connection.on("backoff", ({ delay, attempt }) => {
+		console.log(chalk.yellow(`Disconnected from WebSocket, reconnecting in ${(delay / 1000).toFixed(1)}s (attempt ${attempt})...`));
 	});
 
-	ws.on("error", (err) => {
+	connection.on("error", (err) => {
 		console.error(chalk.red("WebSocket error:"), err.message);
 	});
 
-	return ws;
+	return connection.start();
 }
 
 /**
@@ -245,59 +613,123 @@ async function getStorageStatus() {
 	}
 
 	try {
+		await flushPendingWrites();
 		const stats = await storageAdapter.getStorageStats();
-		return { enabled: true, stats };
+		const stations = await storageAdapter.getEnvironmentStations();
+		return { enabled: true, stats, stations, queue: writeQueue ? writeQueue.getStats() : null };
 	} catch (error) {
 		return { enabled: true, error: error.message };
 	}
 }
 
-async function queryStoredData(mac, dataType = 'all', limit = 10) {
+/**
+ * Write queued rows so queries see everything received so far
+ */
+async function flushPendingWrites() {
+	if (writeQueue) {
+		await writeQueue.flush();
+	}
+}
+
+/**
+ * Resolve a MAC, animal ID/name or pen/group name to the tags and time ranges to read
+ */
+async function resolveDevice(identifier) {
+	if (!deviceRegistry) {
+		return { kind: 'mac', label: identifier, entries: [], segments: [{ mac: identifier }] };
+	}
+	return deviceRegistry.resolve(identifier);
+}
+
+/**
+ * Query stored data of a tag, animal or group. options: startDate, endDate,
+ * where ([{ field, op, value }]) and order ('asc' or 'desc')
+ */
+async function queryStoredData(identifier, dataType = 'all', limit = 10, options = {}) {
 	if (!storageAdapter || !config.storageEnabled) {
 		throw new Error('Storage not enabled');
 	}
 
 	try {
-		const data = await storageAdapter.queryData(mac, { dataType, limit });
+		await flushPendingWrites();
+		const target = await resolveDevice(identifier);
+		const queryOptions = { ...options, dataType, limit };
+		const data = target.kind === 'mac'
+			? await storageAdapter.queryData(identifier, queryOptions)
+			: await storageAdapter.querySegments(target.segments, queryOptions);
 		return data;
 	} catch (error) {
 		throw new Error(`Failed to query data: ${error.message}`);
 	}
 }
 
-async function cleanupOldData(days = 7) {
+/**
+ * Apply the retention policies now. days overrides the retention of every
+ * data type for this run. Returns the number of raw rows deleted.
+ */
+async function cleanupOldData(days = null) {
 	if (!storageAdapter || !config.storageEnabled) {
 		throw new Error('Storage not enabled');
 	}
 
 	try {
-		const deletedCount = await storageAdapter.cleanupOldData(null, days);
-		console.log(chalk.green(`✓ Cleaned up ${deletedCount} old records`));
-		return deletedCount;
+		await flushPendingWrites();
+		const report = await retention.run({ days });
+		console.log(chalk.green(`✓ ${formatRetentionReport(report)}`));
+		return report.deleted;
 	} catch (error) {
 		throw new Error(`Failed to cleanup data: ${error.message}`);
 	}
 }
 
 /**
- * Export data to JSON file
+ * Export data to a JSON, NDJSON or CSV file (optionally gzip compressed)
  */
-async function exportData(filePath = './data/demo_export.json', options = {}) {
+async function exportData(filePath = null, options = {}) {
 	if (!storageAdapter || !config.storageEnabled) {
 		throw new Error('Storage not enabled');
 	}
 
+	const format = options.format || 'json';
+	const outputPath = filePath || `./data/demo_export.${format}${options.gzip ? '.gz' : ''}`;
+
 	try {
-		const exportData = await storageAdapter.exportToJSON(filePath, options);
-		console.log(chalk.green(`✓ Exported ${exportData.record_count} records to ${filePath}`));
-		return exportData;
+		await flushPendingWrites();
+		const exportOptions = { ...options, format };
+		// Animals and groups export the tags they wore, each for its own time range
+		if (options.mac) {
+			const target = await resolveDevice(options.mac);
+			if (target.kind !== 'mac') {
+				delete exportOptions.mac;
+				exportOptions.segments = target.segments;
+			}
+		}
+		const exportInfo = await storageAdapter.exportToFile(outputPath, exportOptions);
+		console.log(chalk.green(`✓ Exported ${exportInfo.record_count} records to ${outputPath}`));
+		return exportInfo;
 	} catch (error) {
 		throw new Error(`Failed to export data: ${error.message}`);
 	}
 }
 
 /**
- * Query all data across all devices
+ * Query environment readings of one station (options.station) or all
+ */
+async function queryEnvironment(options = {}) {
+	if (!storageAdapter || !config.storageEnabled) {
+		throw new Error('Storage not enabled');
+	}
+
+	try {
+		await flushPendingWrites();
+		return await storageAdapter.queryEnvironment(options);
+	} catch (error) {
+		throw new Error(`Failed to query environment data: ${error.message}`);
+	}
+}
+
+/**
+ * Query all data across all devices and environment stations
  */
 async function queryAllData(options = {}) {
 	if (!storageAdapter || !config.storageEnabled) {
@@ -305,6 +737,7 @@ async function queryAllData(options = {}) {
 	}
 
 	try {
+		await flushPendingWrites();
 		const data = await storageAdapter.queryAllData(options);
 		return data;
 	} catch (error) {
@@ -314,100 +747,590 @@ async function queryAllData(options = {}) {
 
 
 /**
- * Interactive command interface
+ * Feed a stored/exported record back through the message handlers
+ * so in-memory state and alerts are rebuilt without storing it again
  */
-function setupInteractiveInterface() {
-	rl = readline.createInterface({
-		input: process.stdin,
-		output: process.stdout,
-		prompt: chalk.cyan('BioCV> ')
-	});
+function replayRecord(record) {
+	let data = {};
+	try {
+		data = JSON.parse(record.raw_data || '{}');
+	} catch (error) {
+		// Fall back to the flattened columns below
+	}
 
-	rl.on('line', async (input) => {
-		const command = input.trim().toLowerCase();
-		
-		switch (command) {
-			case 'help':
-			case 'h':
-				showHelp();
-				break;
-			case 'storage enable':
-			case 'se':
-				await enableStorage();
-				break;
-			case 'storage disable':
-			case 'sd':
-				await disableStorage();
-				break;
-			case 'storage status':
-			case 'ss':
-				await showStorageStatus();
-				break;
-			case 'query':
-			case 'q':
-				await showQueryHelp();
-				break;
-			case 'query all':
-			case 'qa':
-				await handleQueryAllCommand();
-				break;
-			case 'export':
-			case 'e':
-				await handleExportCommand();
-				break;
-			case 'cleanup':
-			case 'c':
-				await cleanupOldData();
-				break;
-			case 'config':
-				await showConfig();
-				break;
-			case 'exit':
-			case 'quit':
-				console.log(chalk.yellow('Exiting demo...'));
-				process.exit(0);
-				break;
-			default:
-				if (command.startsWith('query ')) {
-					await handleQueryCommand(command);
-				} else if (command.startsWith('export ')) {
-					await handleExportCommand(command);
-				} else if (command) {
-					console.log(chalk.red(`Unknown command: ${command}`));
-					console.log(chalk.gray('Type "help" for available commands'));
-				}
+	switch (record.data_type) {
+		case 'sensor':
+			processSensorData({ x: record.x, y: record.y, z: record.z, c: record.c, t: record.t, rssi: record.rssi, ...data, mac: record.mac_address }, { store: false });
+			break;
+		case 'battery':
+			processBatteryData({ percentage: record.battery_percentage, ...data, mac: record.mac_address }, { store: false });
+			break;
+		case 'ant':
+			processAntData({ macAnt: record.ant_mac, distance: record.distance, ...data, macTag: record.mac_address }, { store: false });
+			break;
+		case 'environment':
+			processEnvironmentData({
+				temperature: record.temperature,
+				humidity: record.humidity,
+				t: record.t || parseStoredTimestamp(record.timestamp),
+				...data,
+				station: record.station
+			}, { store: false });
+			break;
+	}
+}
+
+/**
+ * Unix ms of a stored DATETIME; SQLite CURRENT_TIMESTAMP is UTC without a zone
+ */
+function parseStoredTimestamp(value) {
+	if (!value) {
+		return undefined;
+	}
+	const text = String(value);
+	const t = Date.parse(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(text) ? `${text.replace(' ', 'T')}Z` : text);
+	return Number.isFinite(t) ? t : undefined;
+}
+
+/**
+ * Import a JSON or NDJSON export into storage, optionally replaying it
+ */
+async function importData(filePath, options = {}) {
+	if (!storageAdapter || !config.storageEnabled) {
+		throw new Error('Storage not enabled');
+	}
+
+	try {
+		await flushPendingWrites();
+		const importOptions = {
+			onProgress: options.onProgress,
+			onRecord: options.replay ? replayRecord : undefined
+		};
+		const result = /\.ndjson(\.gz)?$/i.test(filePath)
+			? await storageAdapter.importFromNDJSON(filePath, importOptions)
+			: await storageAdapter.importFromJSON(filePath, importOptions);
+
+		if (options.onProgress) {
+			process.stdout.write('\n');
 		}
-		rl.prompt();
+		console.log(chalk.green(`✓ Imported ${filePath}: ${result.inserted} inserted, ${result.skipped} skipped, ${result.invalid} invalid`));
+		if (options.replay) {
+			console.log(chalk.gray(`  Replayed ${result.inserted + result.skipped} records through the message handlers`));
+		}
+		result.errors.forEach(error => console.log(chalk.yellow(`  ${error}`)));
+		return result;
+	} catch (error) {
+		throw new Error(`Failed to import data: ${error.message}`);
+	}
+}
+
+/**
+ * Build a JSON-friendly snapshot of the live in-memory data
+ */
+function getLiveSnapshot() {
+	const sensors = {};
+	dataStore.sensors.forEach((history, mac) => {
+		sensors[mac] = history[history.length - 1] || null;
 	});
 
-	rl.on('close', () => {
-		console.log(chalk.yellow('\nGoodbye!'));
-		process.exit(0);
+	const animalPositions = {};
+	dataStore.animalPositions.forEach((receivers, macTag) => {
+		animalPositions[macTag] = Object.fromEntries(receivers);
 	});
-}
 
-function showHelp() {
-	console.log(chalk.cyan.bold('\n=== Available Commands ==='));
-	console.log(chalk.white('help, h              - Show this help'));
-	console.log(chalk.white('storage enable, se   - Enable standalone SQLite storage'));
-	console.log(chalk.white('storage disable, sd  - Disable SQLite storage'));
-	console.log(chalk.white('storage status, ss   - Show storage status'));
-	console.log(chalk.white('query, q             - Show query help'));
-	console.log(chalk.white('query all, qa        - Query all data across devices'));
-	console.log(chalk.white('export, e            - Export data to JSON'));
-	console.log(chalk.white('cleanup, c           - Clean up old data'));
-	console.log(chalk.white('config               - Show storage configuration'));
-	console.log(chalk.white('exit, quit           - Exit the demo'));
-	console.log(chalk.gray('\nQuery commands:'));
-	console.log(chalk.white('query <mac> [type] [limit] - Query stored data'));
-	console.log(chalk.gray('  mac: MAC address (required)'));
-	console.log(chalk.gray('  type: sensor|battery|ant|environment|all (default: all)'));
-	console.log(chalk.gray('  limit: number of records (default: 10)'));
-	console.log(chalk.gray('\nExport commands:'));
-	console.log(chalk.white('export [file] [options] - Export data to JSON'));
-	console.log(chalk.gray('  file: output file path (default: ./data/demo_export.json)'));
-	console.log(chalk.gray('  options: --type <type> --mac <mac> --limit <number>'));
-	console.log(chalk.cyan('========================\n'));
+	return {
+		timestamp: new Date().toISOString(),
+		sensors,
+		lastBatteryUpdate: Object.fromEntries(dataStore.lastBatteryUpdate),
+		animalPositions,
+		positions: positioning ? Object.fromEntries(positioning.getPositions().map(estimate => [estimate.mac, estimate])) : {},
+		environment: dataStore.environment,
+		stations: Object.fromEntries(dataStore.stations)
+	};
+}
+
+/**
+ * Latest values of every tag heard from, for the dashboard
+ */
+function getDashboardTags() {
+	const tags = new Map();
+	const getTag = (mac) => {
+		const key = SubscriptionManager.normalizeMac(mac);
+		if (!tags.has(key)) {
+			tags.set(key, {
+				mac: key,
+				animal: null,
+				temperature: null,
+				activity: null,
+				rssi: null,
+				battery: null,
+				last_seen: null,
+				status: 'unknown',
+				alerts: []
+			});
+		}
+		return tags.get(key);
+	};
+
+	dataStore.sensors.forEach((history, mac) => {
+		const latest = history[history.length - 1];
+		if (!latest) return;
+		const tag = getTag(mac);
+		const temperature = latest.c !== undefined ? latest.c : latest.T;
+		tag.temperature = Number.isFinite(temperature) ? temperature : null;
+		tag.rssi = Number.isFinite(latest.rssi) ? latest.rssi : null;
+	});
+	dataStore.lastBatteryUpdate.forEach((battery, mac) => {
+		getTag(mac).battery = battery.percentage;
+	});
+	liveness.getDevices().forEach(device => {
+		const tag = getTag(device.mac);
+		tag.status = device.status;
+		tag.last_seen = device.last_seen;
+		if (device.last_rssi !== null) tag.rssi = device.last_rssi;
+		if (tag.battery === null) tag.battery = device.battery;
+	});
+	activity.getLatestAll().forEach(result => {
+		getTag(result.mac).activity = result.state;
+	});
+
+	getAlertEngines().flatMap(engine => engine.getOpenAlerts()).forEach(alert => {
+		const tag = tags.get(SubscriptionManager.normalizeMac(alert.mac));
+		if (tag) tag.alerts.push(alert.alert_type);
+	});
+	if (deviceRegistry) {
+		tags.forEach(tag => {
+			const entry = deviceRegistry.getCurrent(tag.mac);
+			if (entry) tag.animal = entry.name ? `${entry.animal_id} ${entry.name}` : String(entry.animal_id);
+		});
+	}
+
+	return [...tags.values()];
+}
+
+/**
+ * Everything the dashboard shows on its main screen
+ */
+function getDashboardSnapshot() {
+	const environment = dataStore.environment;
+	return {
+		tags: getDashboardTags(),
+		environment: environment ? {
+			station: environment.station,
+			temperature: environment.temperature !== undefined ? environment.temperature : environment.Temperature,
+			humidity: environment.humidity !== undefined ? environment.humidity : environment.Humidity,
+			thi: environment.thi,
+			thi_band: environment.thi_band,
+			updated: environment.lastUpdate.getTime()
+		} : null,
+		alerts: getAlertEngines().flatMap(engine => engine.getOpenAlerts()),
+		connection: connection ? connection.getStatus() : null,
+		storage: config.storageEnabled && writeQueue ? writeQueue.getStats() : null
+	};
+}
+
+/**
+ * One tag with its in-memory reading history for the dashboard detail view
+ */
+function getDashboardDevice(mac) {
+	const tag = getDashboardTags().find(candidate => candidate.mac === SubscriptionManager.normalizeMac(mac));
+	if (!tag) {
+		return null;
+	}
+
+	let history = [];
+	dataStore.sensors.forEach((readings, key) => {
+		if (SubscriptionManager.normalizeMac(key) === tag.mac) history = readings;
+	});
+	const status = liveness.getDeviceStatus(tag.mac);
+	const fever = feverDetector.getAnimalStatus(tag.mac);
+
+	return {
+		...tag,
+		label: deviceRegistry ? deviceRegistry.describe(tag.mac) : null,
+		expected_interval_ms: status ? status.expected_interval_ms : null,
+		baseline: fever ? { readings: fever.baseline_readings, suspect_since: fever.suspect_since } : null,
+		alerts: getAlertEngines().flatMap(engine => engine.getOpenAlerts())
+			.filter(alert => SubscriptionManager.normalizeMac(alert.mac) === tag.mac),
+		readings: history.map(reading => {
+			const temperature = reading.c !== undefined ? reading.c : reading.T;
+			const axes = ['x', 'y', 'z'].map(axis => reading[axis]);
+			return {
+				t: reading.t || (reading.timestamp ? Date.parse(reading.timestamp) : null),
+				temperature,
+				rssi: reading.rssi,
+				x: reading.x,
+				y: reading.y,
+				z: reading.z,
+				magnitude: axes.every(Number.isFinite) ? Math.sqrt(axes.reduce((sum, value) => sum + value * value, 0)) : null
+			};
+		})
+	};
+}
+
+/**
+ * Start the full-screen dashboard in place of the interactive prompt
+ */
+function startDashboard() {
+	dashboard = new Dashboard({
+		getSnapshot: getDashboardSnapshot,
+		getDevice: getDashboardDevice
+	}, config.dashboard);
+	// Raw mode turns Ctrl+C into a key press, the dashboard reports it as 'quit'
+	dashboard.on('quit', () => requestShutdown());
+	dashboard.start();
+}
+
+/**
+ * Start the local HTTP query API
+ */
+async function startHttpApi() {
+	httpApi = new HttpApi({
+		config: config.httpApi,
+		getStorage: () => (config.storageEnabled ? storageAdapter : null),
+		getLiveData: getLiveSnapshot,
+		resolveDevice: (identifier) => (deviceRegistry ? deviceRegistry.resolve(identifier) : null),
+		flush: flushPendingWrites
+	});
+
+	try {
+		const address = await httpApi.start();
+		console.log(chalk.green(`✓ HTTP API listening on http://${address.address}:${address.port}`));
+		if (!config.httpApi.api_key) {
+			console.log(chalk.gray('  No API key configured, requests are not authenticated'));
+		}
+	} catch (error) {
+		console.error(chalk.red('Failed to start HTTP API:'), error.message);
+		httpApi = null;
+	}
+}
+
+/**
+ * Connection control
+ */
+function reconnectWebSocket() {
+	if (!connection) {
+		console.log(chalk.yellow('WebSocket not started'));
+		return;
+	}
+	console.log(chalk.gray('Reconnecting to WebSocket...'));
+	connection.reconnect();
+}
+
+function pauseIngestion() {
+	if (connection) {
+		connection.pauseIngestion();
+		if (liveness) liveness.setReceiving(false);
+		console.log(chalk.yellow('⚠ Ingestion paused, incoming data is ignored'));
+	}
+}
+
+function resumeIngestion() {
+	if (connection) {
+		connection.resumeIngestion();
+		if (liveness) liveness.setReceiving(['open', 'subscribed'].includes(connection.state));
+		console.log(chalk.green('✓ Ingestion resumed'));
+	}
+}
+
+/**
+ * Format a duration in ms as e.g. "1h 02m 03s"
+ */
+function formatDuration(ms) {
+	const seconds = Math.floor(ms / 1000);
+	const h = Math.floor(seconds / 3600);
+	const m = Math.floor((seconds % 3600) / 60);
+	const s = seconds % 60;
+	return h > 0
+		? `${h}h ${String(m).padStart(2, '0')}m ${String(s).padStart(2, '0')}s`
+		: `${m}m ${String(s).padStart(2, '0')}s`;
+}
+
+/**
+ * Interactive command interface
+ */
+function setupInteractiveInterface() {
+	rl = readline.createInterface({
+		input: process.stdin,
+		output: process.stdout,
+		prompt: chalk.cyan('BioCV> ')
+	});
+
+	rl.on('line', async (input) => {
+		// Commands are matched case-insensitively, handlers get the original
+		// line so MACs, animal names and file paths keep their case
+		const line = input.trim();
+		const command = line.toLowerCase();
+		
+		// A failing command must not take the ingesting process down
+		try {
+			switch (command) {
+				case 'help':
+				case 'h':
+					showHelp();
+					break;
+				case 'storage enable':
+				case 'se':
+					await enableStorage();
+					break;
+				case 'storage disable':
+				case 'sd':
+					await disableStorage();
+					break;
+				case 'storage status':
+				case 'ss':
+					await showStorageStatus();
+					break;
+				case 'query':
+				case 'q':
+					await showQueryHelp();
+					break;
+				case 'query all':
+				case 'qa':
+					await handleQueryCommand('query all');
+					break;
+				case 'export':
+				case 'e':
+					await handleExportCommand();
+					break;
+				case 'cleanup':
+				case 'c':
+					await handleCleanupCommand(line);
+					break;
+				case 'retention':
+					await showRetention();
+					break;
+				case 'connection status':
+				case 'cs':
+					showConnectionStatus();
+					break;
+				case 'connection reconnect':
+					reconnectWebSocket();
+					break;
+				case 'connection pause':
+					pauseIngestion();
+					break;
+				case 'connection resume':
+					resumeIngestion();
+					break;
+				case 'subscriptions':
+					showSubscriptions();
+					break;
+				case 'validation':
+					await showValidationStats();
+					break;
+				case 'alerts':
+					showAlerts();
+					break;
+				case 'position':
+					showPositions();
+					break;
+				case 'activity':
+					showActivityOverview();
+					break;
+				case 'health':
+					showHealth();
+					break;
+				case 'environment':
+				case 'env':
+					await showEnvironment();
+					break;
+				case 'aggregate':
+					await handleAggregateCommand(command);
+					break;
+				case 'device':
+					await handleDeviceCommand('device list');
+					break;
+				case 'devices':
+					showDevices();
+					break;
+				case 'watch':
+					await handleWatchCommand(line);
+					break;
+				case 'watch stop':
+				case '':
+					// Enter on an empty line stops a running watch
+					if (watchSession) {
+						stopWatch();
+					}
+					break;
+				case 'queue status':
+				case 'qs':
+					showQueueStatus();
+					break;
+				case 'config':
+					await showConfig();
+					break;
+				case 'exit':
+				case 'quit':
+					// Same path as Ctrl+D and signals: write what is queued, then close
+					await requestShutdown();
+					return;
+				default:
+					if (command.startsWith('query ')) {
+						await handleQueryCommand(line);
+					} else if (command.startsWith('export ')) {
+						await handleExportCommand(line);
+					} else if (command.startsWith('subscribe ') || command.startsWith('unsubscribe')) {
+						handleSubscribeCommand(line);
+					} else if (command.startsWith('subscriptions ')) {
+						handleSubscriptionFilterCommand(line);
+					} else if (command.startsWith('health ')) {
+						await runCommand(line, { positional: ['mac'] }, args => showAnimalHealth(args.mac));
+					} else if (command.startsWith('activity ')) {
+						await runCommand(line, { positional: ['mac', 'day?'] }, args => showActivity(args.mac, args.day));
+					} else if (command.startsWith('position ')) {
+						await runCommand(line, { positional: ['mac'] }, args => showPosition(args.mac));
+					} else if (command.startsWith('alerts ')) {
+						await handleAlertsCommand(line);
+					} else if (command.startsWith('cleanup ')) {
+						await handleCleanupCommand(line);
+					} else if (command.startsWith('environment ') || command.startsWith('env ')) {
+						await runCommand(line, { positional: ['station'] }, args => showEnvironment(args.station));
+					} else if (command === 'stations' || command.startsWith('stations ')) {
+						await handleStationsCommand(line);
+					} else if (command.startsWith('validation ')) {
+						await handleValidationCommand(line);
+					} else if (command.startsWith('rollups ')) {
+						await handleRollupsCommand(line);
+					} else if (command === 'backfill log') {
+						await showBackfillLog();
+					} else if (command.startsWith('backfill ')) {
+						await handleBackfillCommand(line);
+					} else if (command.startsWith('device ')) {
+						await handleDeviceCommand(line);
+					} else if (command.startsWith('devices ')) {
+						await runCommand(line, { positional: ['mac'] }, args => showDeviceLiveness(args.mac));
+					} else if (command.startsWith('watch ')) {
+						await handleWatchCommand(line);
+					} else if (command.startsWith('aggregate ')) {
+						await handleAggregateCommand(line);
+					} else if (command.startsWith('stats ')) {
+						await runCommand(line, { positional: ['identifier...'] }, args => showDeviceStats(args.identifier.join(' ')));
+					} else if (command.startsWith('import ')) {
+						await handleImportCommand(line);
+					} else if (command) {
+						console.log(chalk.red(`Unknown command: ${command}`));
+						console.log(chalk.gray('Type "help" for available commands'));
+					}
+			}
+		} catch (error) {
+			console.error(chalk.red('Command failed:'), error.message);
+		}
+		rl.prompt();
+	});
+
+	// Ctrl+C stops a running watch, otherwise it exits as before
+	rl.on('SIGINT', () => {
+		if (watchSession) {
+			stopWatch();
+			rl.prompt();
+		} else {
+			rl.close();
+		}
+	});
+
+	// Esc stops a running watch without touching the line being typed
+	process.stdin.on('keypress', (text, key) => {
+		if (watchSession && key && key.name === 'escape') {
+			stopWatch();
+			rl.prompt(true);
+		}
+	});
+
+	// Ctrl+D or the end of piped input
+	rl.on('close', () => {
+		if (!shuttingDown) {
+			requestShutdown();
+		}
+	});
+}
+
+function showHelp() {
+	console.log(chalk.cyan.bold('\n=== Available Commands ==='));
+	console.log(chalk.white('help, h              - Show this help'));
+	console.log(chalk.white('storage enable, se   - Enable standalone SQLite storage'));
+	console.log(chalk.white('storage disable, sd  - Disable SQLite storage'));
+	console.log(chalk.white('storage status, ss   - Show storage status'));
+	console.log(chalk.white('query, q             - Show query help'));
+	console.log(chalk.white('query all, qa        - Query all data across devices'));
+	console.log(chalk.white('export, e            - Export data (JSON, NDJSON or CSV)'));
+	console.log(chalk.white('import <file>        - Import exported data'));
+	console.log(chalk.white('backfill <mac|all>   - Fetch missed readings from the REST API'));
+	console.log(chalk.white('backfill log         - Show recent backfill runs'));
+	console.log(chalk.white('cleanup [days], c    - Roll up and delete data past its retention now (days overrides every policy)'));
+	console.log(chalk.white('retention            - Show retention policies and recent cleanup runs'));
+	console.log(chalk.white('rollups <mac|station|environment> <field> - Show hourly/daily aggregates (--period hour|day --from --to --limit)'));
+	console.log(chalk.white('stats <mac|animal|group> - Show stored record counts of a tag, animal or group'));
+	console.log(chalk.white('device [list]        - Show registered tags and the animals wearing them'));
+	console.log(chalk.white('devices [mac]        - Show every known tag with last seen, RSSI, battery and online status'));
+	console.log(chalk.white('watch [mac...]       - Live tail of incoming readings (--type sensor,battery,ant,environment --rate <n>)'));
+	console.log(chalk.white('                       stop with Esc, Ctrl+C, Enter on an empty line or "watch stop"'));
+	console.log(chalk.white('alerts               - Show open battery, fever and heat stress alerts'));
+	console.log(chalk.white('health [mac]         - Show animals flagged for suspected fever'));
+	console.log(chalk.white('position [mac]       - Show estimated tag positions'));
+	console.log(chalk.white('activity <mac> [day] - Show the activity budget of a tag (day: YYYY-MM-DD, default today)'));
+	console.log(chalk.white('environment, env [station] - Show barn climate, THI heat stress and the last 24 h'));
+	console.log(chalk.white('stations [station]   - List environment stations, or the stored readings of one'));
+	console.log(chalk.white('queue status, qs     - Show write queue depth and flush latency'));
+	console.log(chalk.white('subscriptions        - Show subscriptions and MAC filters'));
+	console.log(chalk.white('validation [stats]   - Show accepted, normalized and rejected messages per type and reason'));
+	console.log(chalk.white('validation dead-letters [limit] - Show stored rejected messages (--type <message type>)'));
+	console.log(chalk.white('connection status, cs - Show WebSocket state and counters'));
+	console.log(chalk.white('connection reconnect - Drop and reopen the WebSocket now'));
+	console.log(chalk.white('connection pause     - Stay connected but ignore incoming data'));
+	console.log(chalk.white('connection resume    - Resume processing incoming data'));
+	console.log(chalk.white('config               - Show effective configuration and sources'));
+	console.log(chalk.white('exit, quit           - Exit the demo'));
+	console.log(chalk.gray('\nQuery commands:'));
+	console.log(chalk.white('query <mac|all> [type] [limit] [options] - Query stored data'));
+	console.log(chalk.gray('  mac: MAC address, animal ID/name, pen/group name or all (required)'));
+	console.log(chalk.gray('  type: sensor|battery|ant|position|environment|all (default: all)'));
+	console.log(chalk.gray('  environment: query <station|all> environment [limit] [options]'));
+	console.log(chalk.gray('  limit: number of records (default: 10)'));
+	console.log(chalk.gray('  options: --from <time> --to <time> --where <condition> --fields <a,b,...>'));
+	console.log(chalk.gray('           --order asc|desc --output table|json|csv'));
+	console.log(chalk.gray('  times: ISO date, unix ms, now, today, yesterday or relative (-2h, -30m, -7d)'));
+	console.log(chalk.gray('  conditions: "c>39.5", rssi>=-70, ant_mac=<mac> (=, !=, >, >=, <, <=), repeatable'));
+	console.log(chalk.gray('\nAggregate commands:'));
+	console.log(chalk.white('aggregate <mac|animal|group|all|environment> <field> [bucket] [fn] - Values per time bucket'));
+	console.log(chalk.gray('  field: x|y|z|c|rssi|battery_percentage|distance, environment: temperature|humidity'));
+	console.log(chalk.gray('  environment: all stations, or one with --station <station>'));
+	console.log(chalk.gray('  bucket: 1m|15m|1h|1d|... (default: 1h), fn: avg|min|max|count|stddev (default: avg)'));
+	console.log(chalk.gray('  options: --from <time> --to <time> (default: last 24 buckets) --type <type> --where <condition>'));
+	console.log(chalk.gray('           --fill null|previous|none (empty buckets, default: null) --output table|json|csv'));
+	console.log(chalk.gray('\nExport commands:'));
+	console.log(chalk.white('export [file] [options] - Export data to file'));
+	console.log(chalk.gray('  file: output file path (default: ./data/demo_export.<format>)'));
+	console.log(chalk.gray('  options: --format json|ndjson|csv --gzip --type <type> --mac <mac> --station <station>'));
+	console.log(chalk.gray('           --from <time> --to <time> --where <condition> --limit <number>'));
+	console.log(chalk.gray('  --mac also accepts an animal ID/name or pen/group name'));
+	console.log(chalk.gray('\nSubscription commands:'));
+	console.log(chalk.white('subscribe <types...> [--mac <mac...>]   - Subscribe (types: sensor|battery|ant|environment|all)'));
+	console.log(chalk.white('unsubscribe [types...] [--mac <mac...>] - Remove subscriptions'));
+	console.log(chalk.white('subscriptions allow|deny <mac...>       - Only accept / always ignore devices'));
+	console.log(chalk.white('subscriptions clear                     - Clear the allow and deny lists'));
+	console.log(chalk.gray('\nAlert commands:'));
+	console.log(chalk.white('alerts ack <mac|all>          - Acknowledge open alerts'));
+	console.log(chalk.white('alerts snooze <mac> [minutes] - Silence alerts for a device'));
+	console.log(chalk.white('alerts history [mac] [limit]  - Show stored alert history'));
+	console.log(chalk.gray('\nDevice registry commands:'));
+	console.log(chalk.white('device add <mac> <animal_id> [--name <name>] [--pen <pen>] [--group <group>] [--installed <date>]'));
+	console.log(chalk.white('device edit <mac> [--animal <id>] [--name <name>] [--pen <pen>] [--group <group>] [--at <date>]'));
+	console.log(chalk.gray('  a new animal, pen or group starts a new assignment at --at (default now);'));
+	console.log(chalk.gray('  --at <install date> corrects the current assignment instead'));
+	console.log(chalk.white('device remove <mac> [--at <date>]     - End the assignment, data is kept'));
+	console.log(chalk.white('device list [--all]                   - Current assignments (--all: with history)'));
+	console.log(chalk.white('device history <mac|animal|group>     - Assignment history'));
+	console.log(chalk.white('device import <file.csv>              - Bulk register: mac,animal_id,name,pen,group,installed_at'));
+	console.log(chalk.gray('  quote values with spaces: --name "Berta II"'));
+	console.log(chalk.gray('\nBackfill commands:'));
+	console.log(chalk.white('backfill <mac|all> [--from <date>] [--to <date>] - Backfill a gap'));
+	console.log(chalk.gray('  default range: last stored reading -> now (max backfill.max_gap_hours)'));
+	console.log(chalk.gray('\nImport commands:'));
+	console.log(chalk.white('import <file> [--replay] - Import a JSON/NDJSON export (optionally .gz)'));
+	console.log(chalk.gray('  --replay: also feed records through the message handlers to rebuild state'));
+	console.log(chalk.cyan('========================\n'));
 }
 
 async function showStorageStatus() {
@@ -421,153 +1344,1725 @@ async function showStorageStatus() {
 				console.log(chalk.gray(`  Tables: ${status.stats.length}`));
 				if (status.stats.length > 0) {
 					const totalRows = status.stats.reduce((sum, table) => sum + (table.row_count || 0), 0);
+					const totalEvicted = status.stats.reduce((sum, table) => sum + (table.evicted_count || 0), 0);
 					console.log(chalk.gray(`  Total records: ${totalRows}`));
+					console.log(chalk.gray(`  Evicted by size cap: ${totalEvicted}`));
 					console.log(chalk.gray('\n  Tables:'));
 					status.stats.forEach(table => {
-						console.log(chalk.gray(`    ${table.mac_address}: ${table.row_count} records`));
+						const evicted = table.evicted_count ? `, ${table.evicted_count} evicted` : '';
+						const animal = deviceRegistry && table.mac_address ? deviceRegistry.describe(table.mac_address) : null;
+						console.log(chalk.gray(`    ${table.mac_address}${animal ? ` (${animal})` : ''}: ${table.row_count} records${evicted}`));
 					});
 				}
 			}
-		} else {
-			console.log(chalk.yellow('⚠ Storage not enabled'));
-			console.log(chalk.gray(`  Status: ${status.message}`));
+			if (status.stations && status.stations.length > 0) {
+				console.log(chalk.gray('\n  Environment stations:'));
+				status.stations.forEach(station => {
+					const span = station.first_entry ? `, ${new Date(station.first_entry).toLocaleString()} - ${new Date(station.last_entry).toLocaleString()}` : '';
+					console.log(chalk.gray(`    ${station.station}: ${station.readings} records${span}`));
+				});
+			}
+			if (status.queue) {
+				console.log(chalk.gray(`\n  Write queue: ${status.queue.depth}/${status.queue.max_queue_size} queued, ${status.queue.written} written`));
+			}
+		} else {
+			console.log(chalk.yellow('⚠ Storage not enabled'));
+			console.log(chalk.gray(`  Status: ${status.message}`));
+		}
+	} catch (error) {
+		console.error(chalk.red('Error getting storage status:'), error.message);
+	}
+}
+
+function showConnectionStatus() {
+	if (!connection) {
+		console.log(chalk.yellow('WebSocket not started'));
+		return;
+	}
+
+	const status = connection.getStatus();
+	const stateColor = status.connected ? chalk.green : chalk.yellow;
+	console.log(chalk.cyan.bold('\n=== Connection Status ==='));
+	console.log(chalk.white(`URL: ${status.url}`));
+	console.log(chalk.white('State: ') + stateColor(status.state) +
+		(status.ingestion_paused ? chalk.yellow(' (ingestion paused)') : '') +
+		(status.socket_paused ? chalk.yellow(' (backpressure)') : ''));
+	if (status.next_retry_at) {
+		console.log(chalk.white(`Next retry in: ${formatDuration(Math.max(0, status.next_retry_at - Date.now()))} (attempt ${status.attempt})`));
+	}
+	console.log(chalk.white(`Uptime: ${formatDuration(status.uptime_ms)} (total ${formatDuration(status.total_uptime_ms)})`));
+	console.log(chalk.white(`Connects: ${status.connects}  Reconnects: ${status.reconnects}  Heartbeat timeouts: ${status.heartbeat_timeouts}`));
+	if (status.last_message_ago_ms !== null) {
+		console.log(chalk.white(`Last message: ${formatDuration(status.last_message_ago_ms)} ago`));
+	}
+	console.log(chalk.white(`Messages: ${status.messages_total} (ignored ${status.messages_ignored}, unparseable ${status.parse_errors})`));
+	Object.entries(status.messages_by_type).forEach(([type, count]) => {
+		console.log(chalk.gray(`  ${type}: ${count}`));
+	});
+	if (status.last_error) {
+		console.log(chalk.gray(`Last error: ${status.last_error}`));
+	}
+	if (status.last_close) {
+		console.log(chalk.gray(`Last close: code ${status.last_close.code} at ${status.last_close.at}`));
+	}
+	console.log(chalk.cyan('=========================\n'));
+}
+
+async function handleValidationCommand(line) {
+	let args;
+	try {
+		args = parseArgs(tokenize(line).slice(1), {
+			positional: ['action', 'limit?'],
+			options: { type: 'string', limit: 'int' }
+		});
+		args.action = args.action.toLowerCase();
+		if (!['stats', 'dead-letters'].includes(args.action)) {
+			throw new Error(`Unknown validation command "${args.action}"`);
+		}
+	} catch (error) {
+		console.error(chalk.red('Validation error:'), error.message);
+		console.log(chalk.gray('Usage: validation stats | validation dead-letters [limit] [--type <message type>]'));
+		return;
+	}
+
+	if (args.action === 'stats') {
+		await showValidationStats();
+	} else {
+		await showDeadLetters(args.type, args.limit || 20);
+	}
+}
+
+async function showValidationStats() {
+	const stats = validator.getStats();
+	const stored = await validator.countDeadLetters();
+
+	console.log(chalk.cyan.bold('\n=== Message Validation ==='));
+	console.log(chalk.white(`Validation: ${stats.enabled ? 'enabled' : 'disabled'}  ` +
+		`Dead letters: ${stats.dead_letter ? `stored (${stored} kept, max ${validator.config.max_dead_letters})` : 'not stored'}`));
+	console.log(chalk.white(`Since ${new Date(stats.since).toLocaleString()}: ${stats.received} received, ${stats.valid} valid ` +
+		`(${stats.normalized} normalized), ${stats.invalid} rejected`));
+	if (stats.dead_letters_failed > 0) {
+		console.log(chalk.red(`${stats.dead_letters_failed} dead letters could not be stored`));
+	}
+
+	const types = Object.entries(stats.by_type);
+	if (types.length > 0) {
+		console.log(chalk.gray(`\n${'type'.padEnd(18)}${'received'.padStart(10)}${'valid'.padStart(10)}${'normalized'.padStart(12)}${'rejected'.padStart(10)}`));
+		types.forEach(([type, entry]) => {
+			const color = entry.invalid > 0 ? chalk.yellow : chalk.white;
+			console.log(color(type.padEnd(18) + String(entry.received).padStart(10) + String(entry.valid).padStart(10) +
+				String(entry.normalized).padStart(12) + String(entry.invalid).padStart(10)));
+		});
+	}
+
+	const reasons = Object.entries(stats.reasons).sort((a, b) => b[1] - a[1]);
+	if (reasons.length > 0) {
+		console.log(chalk.gray('\nRejected by reason:'));
+		reasons.forEach(([reason, count]) => {
+			console.log(chalk.white(`  ${String(count).padStart(6)}  ${reason}`));
+		});
+	}
+	console.log(chalk.cyan('==========================\n'));
+}
+
+async function showDeadLetters(type, limit) {
+	if (!validator.storage) {
+		console.log(chalk.yellow('Storage not initialized, dead letters are not kept'));
+		return;
+	}
+
+	const rows = await validator.getDeadLetters({ type, limit });
+	if (rows.length === 0) {
+		console.log(chalk.green(`No dead letters${type ? ` of type ${type}` : ''}`));
+		return;
+	}
+
+	console.log(chalk.cyan.bold(`\n=== Dead Letters (${rows.length}) ===`));
+	rows.forEach(row => {
+		console.log(chalk.white(`${new Date(row.received_at).toISOString()}  ${row.message_type}` +
+			`${row.mac_address ? ` ${row.mac_address}` : ''}  `) + chalk.yellow(row.reason));
+		console.log(chalk.gray(`  ${row.raw_message.length > 200 ? `${row.raw_message.slice(0, 200)}...` : row.raw_message}`));
+	});
+	console.log(chalk.cyan('=======================\n'));
+}
+
+function showQueueStatus() {
+	if (!writeQueue) {
+		console.log(chalk.yellow('Write queue not initialized'));
+		return;
+	}
+
+	const stats = writeQueue.getStats();
+	console.log(chalk.cyan.bold('\n=== Write Queue ==='));
+	console.log(chalk.white(`Depth: ${stats.depth}/${stats.max_queue_size} (max seen: ${stats.max_depth})`));
+	console.log(chalk.white(`Overflow policy: ${stats.overflow_policy}${stats.blocked ? ' (blocking)' : ''}`));
+	console.log(chalk.white(`Enqueued: ${stats.enqueued}  Written: ${stats.written}  Retried: ${stats.retried}  Failed: ${stats.failed}`));
+	console.log(chalk.white(`Dropped: ${stats.dropped}  Rejected: ${stats.rejected}  Spilled: ${stats.spilled}  Recovered: ${stats.recovered}`));
+	console.log(chalk.white(`Flushes: ${stats.flushes}  Latency last/avg/max: ${stats.last_flush_ms}/${stats.avg_flush_ms}/${stats.max_flush_ms} ms`));
+	console.log(chalk.cyan('===================\n'));
+}
+
+function showQueryHelp() {
+	console.log(chalk.cyan.bold('\n=== Query Commands ==='));
+	console.log(chalk.white('query <mac|all> [type] [limit] [options]'));
+	console.log(chalk.gray('\nParameters:'));
+	console.log(chalk.gray('  mac     - MAC address, animal ID/name, pen/group name or all (required)'));
+	console.log(chalk.gray('  type    - Data type filter (optional, also --type):'));
+	console.log(chalk.gray('            sensor     - Sensor readings'));
+	console.log(chalk.gray('            battery    - Battery updates'));
+	console.log(chalk.gray('            ant        - ANT positioning data'));
+	console.log(chalk.gray('            position   - Position estimates'));
+	console.log(chalk.gray('            all        - All data types (default)'));
+	console.log(chalk.gray('  limit   - Maximum number of records (default: 10, all: 20, also --limit)'));
+	console.log(chalk.gray('\nOptions:'));
+	console.log(chalk.gray('  --from <time> --to <time>  ISO date, unix ms, now, today, yesterday or relative (-2h, -30m, -7d)'));
+	console.log(chalk.gray('  --where <condition>        Field condition like "c>39.5" or rssi>=-70 (=, !=, >, >=, <, <=), repeatable'));
+	console.log(chalk.gray('  --fields <a,b,...>         Columns to show, e.g. time,c,rssi'));
+	console.log(chalk.gray('  --order asc|desc           Oldest or newest first (default: desc)'));
+	console.log(chalk.gray('  --output table|json|csv    Output format (default: table)'));
+	console.log(chalk.gray('\nExamples:'));
+	console.log(chalk.white('  query AA:BB:CC:DD:EE:FF'));
+	console.log(chalk.white('  query AA:BB:CC:DD:EE:FF sensor 20'));
+	console.log(chalk.white('  query AA:BB:CC:DD:EE:FF sensor --from -2h --where "c>39.5"'));
+	console.log(chalk.white('  query DE0123456789 sensor 50 --from today --fields time,c --order asc --output csv'));
+	console.log(chalk.white('  query all battery --where "battery_percentage<20"'));
+	console.log(chalk.gray('\nAnimals and groups return the data of each tag for the time it was assigned.'));
+	console.log(chalk.gray('Quote values with spaces: query "Berta II"'));
+	console.log(chalk.cyan('=====================\n'));
+}
+
+const QUERY_OPTIONS = {
+	type: 'string',
+	limit: 'int',
+	from: 'time',
+	to: 'time',
+	where: 'predicate',
+	fields: 'list',
+	order: ['asc', 'desc'],
+	output: ['table', 'json', 'csv']
+};
+
+/**
+ * Fields a query can show; time is t as ISO date (or the environment timestamp)
+ */
+const RECORD_FIELDS = [
+	'time', 't', 'mac_address', 'station', 'data_type', 'x', 'y', 'z', 'c', 'rssi', 'battery_percentage',
+	'ant_mac', 'distance', 'weight', 'accuracy', 'temperature', 'humidity', 'raw_data', 'id', 'created_at'
+];
+const VALUE_FIELDS = ['x', 'y', 'z', 'c', 'rssi', 'battery_percentage', 'ant_mac', 'distance', 'accuracy', 'weight', 'temperature', 'humidity'];
+
+function getRecordValue(record, field) {
+	if (field === 'time') {
+		return record.t ? new Date(record.t).toISOString() : record.timestamp || null;
+	}
+	return record[field] === undefined ? null : record[field];
+}
+
+/**
+ * Print records as an aligned table, JSON or CSV. Without fields the table
+ * shows time, data type and every value column set in any of the records.
+ */
+function printRecords(records, { fields, output = 'table', showMac = false } = {}) {
+	const columns = fields && fields.length > 0 ? fields : [
+		'time',
+		...(showMac ? ['mac_address'] : []),
+		...(records.some(record => record.station) ? ['station'] : []),
+		'data_type',
+		...VALUE_FIELDS.filter(field => records.some(record => getRecordValue(record, field) !== null))
+	];
+	const rows = records.map(record => columns.map(field => getRecordValue(record, field)));
+
+	if (output === 'json') {
+		console.log(JSON.stringify(rows.map(row => {
+			const entry = {};
+			columns.forEach((field, index) => {
+				entry[field] = row[index];
+			});
+			return entry;
+		}), null, 2));
+		return;
+	}
+
+	if (output === 'csv') {
+		console.log(columns.join(','));
+		rows.forEach(row => console.log(row.map(StandaloneSQLiteStorage.csvField).join(',')));
+		return;
+	}
+
+	const cells = rows.map(row => row.map(value => (value === null ? '-' : String(value))));
+	const widths = columns.map((field, index) => Math.max(field.length, ...cells.map(row => row[index].length)));
+	const pad = (values) => values.map((value, index) => value.padEnd(widths[index])).join('  ').trimEnd();
+	console.log(chalk.gray(pad(columns)));
+	cells.forEach(row => console.log(chalk.white(pad(row))));
+}
+
+/**
+ * Words of a command, from a typed line or from the argv of a one-shot subcommand
+ */
+function commandTokens(input) {
+	return Array.isArray(input) ? input : tokenize(input);
+}
+
+/**
+ * Parse the arguments after the command word and run the handler,
+ * printing parse errors with the command's usage
+ */
+async function runCommand(line, spec, handler) {
+	const tokens = tokenize(line);
+	let args;
+	try {
+		args = parseArgs(tokens.slice(1), spec);
+	} catch (error) {
+		const usage = (spec.positional || []).map(entry => (entry.endsWith('?') ? `[${entry.slice(0, -1)}]` : `<${entry}>`));
+		console.log(chalk.red(`Error: ${error.message}`));
+		console.log(chalk.gray(`Usage: ${tokens[0].toLowerCase()} ${usage.join(' ')}`));
+		return;
+	}
+
+	try {
+		await handler(args);
+	} catch (error) {
+		console.error(chalk.red('Error:'), error.message);
+	}
+}
+
+async function handleQueryCommand(line) {
+	let args;
+	try {
+		args = parseArgs(commandTokens(line).slice(1), { positional: ['target', 'type?', 'limit?'], options: QUERY_OPTIONS });
+		const unknown = (args.fields || []).map(field => field.toLowerCase()).find(field => !RECORD_FIELDS.includes(field));
+		if (unknown) {
+			throw new Error(`Unknown field ${unknown}, use any of: ${RECORD_FIELDS.join(', ')}`);
+		}
+		if (args.limit === 0) {
+			throw new Error('limit must be at least 1');
+		}
+	} catch (error) {
+		console.log(chalk.red(`Error: ${error.message}`));
+		console.log(chalk.gray('Usage: query <mac|animal|group|all> [type] [limit] [--from <time>] [--to <time>] [--where <condition>]'));
+		console.log(chalk.gray('       [--fields <a,b,...>] [--order asc|desc] [--output table|json|csv]   (see "query")'));
+		return false;
+	}
+
+	const all = args.target.toLowerCase() === 'all';
+	const dataType = args.type ? args.type.toLowerCase() : 'all';
+	const limit = args.limit || (all ? 20 : 10);
+	const options = { startDate: args.from, endDate: args.to, where: args.where, order: args.order };
+	const fields = args.fields ? args.fields.map(field => field.toLowerCase()) : null;
+
+	try {
+		let data;
+		let label = 'all devices';
+		let showMac = true;
+		if (dataType === 'environment') {
+			// The target is an environment station instead of a tag
+			data = await queryEnvironment({ ...options, station: all ? null : args.target, limit });
+			label = all ? 'all stations' : args.target;
+			showMac = false;
+		} else if (all) {
+			data = await queryAllData({ ...options, dataType, limit });
+		} else {
+			data = await queryStoredData(args.target, dataType, limit, options);
+			const target = await resolveDevice(args.target);
+			label = target.kind === 'mac' ? args.target : `${target.label} (${[...new Set(target.segments.map(segment => segment.mac))].join(', ')})`;
+			showMac = target.kind !== 'mac';
+		}
+
+		if (args.output === 'json' || args.output === 'csv') {
+			printRecords(data, { fields, output: args.output, showMac });
+		} else if (data.length === 0) {
+			console.log(chalk.yellow(`No data found for ${label} (${dataType})`));
+		} else {
+			console.log(chalk.green(`\nFound ${data.length} records for ${label} (${dataType}):`));
+			printRecords(data, { fields, showMac });
+			console.log();
+		}
+		return true;
+	} catch (error) {
+		console.error(chalk.red('Query error:'), error.message);
+		return false;
+	}
+}
+
+const EXPORT_OPTIONS = {
+	gzip: 'flag',
+	type: 'string',
+	mac: 'string',
+	station: 'string',
+	limit: 'int',
+	format: ['json', 'ndjson', 'csv'],
+	from: 'time',
+	to: 'time',
+	where: 'predicate'
+};
+
+async function handleExportCommand(line = '') {
+	let filePath = null;
+	let options;
+	try {
+		const args = parseArgs(commandTokens(line).slice(1), { positional: ['file?'], options: EXPORT_OPTIONS });
+		filePath = args.file || null;
+		options = {
+			gzip: args.gzip,
+			dataType: args.type ? args.type.toLowerCase() : undefined,
+			mac: args.mac,
+			station: args.station,
+			limit: args.limit,
+			format: args.format,
+			startDate: args.from,
+			endDate: args.to,
+			where: args.where
+		};
+	} catch (error) {
+		console.error(chalk.red('Export error:'), error.message);
+		console.log(chalk.gray('Usage: export [file] [--format json|ndjson|csv] [--gzip] [--type <type>] [--mac <mac>] [--station <station>]'));
+		console.log(chalk.gray('       [--from <time>] [--to <time>] [--where <condition>] [--limit <number>]'));
+		return false;
+	}
+
+	if (!options.format && filePath) {
+		const match = filePath.match(/\.(json|ndjson|csv)(\.gz)?$/i);
+		options.format = match ? match[1].toLowerCase() : 'json';
+	}
+
+	// Progress only on a terminal, not in logs of scheduled exports
+	if (process.stdout.isTTY) {
+		options.onProgress = ({ written, total, done }) => {
+			const percent = total ? Math.round((written / total) * 100) : 100;
+			process.stdout.write(chalk.gray(`\r  Exporting... ${percent}% (${written}/${total})`));
+			if (done) {
+				process.stdout.write('\n');
+			}
+		};
+	}
+
+	try {
+		await exportData(filePath, options);
+		return true;
+	} catch (error) {
+		console.error(chalk.red('Export error:'), error.message);
+		return false;
+	}
+}
+
+const DEVICE_OPTIONS = {
+	animal: 'string',
+	name: 'string',
+	pen: 'string',
+	group: 'string',
+	installed: 'time',
+	at: 'time',
+	all: 'flag'
+};
+
+function formatAssignment(entry) {
+	const period = `${new Date(entry.installed_at).toLocaleString()} - ${entry.removed_at ? new Date(entry.removed_at).toLocaleString() : 'now'}`;
+	return chalk.white(`${entry.mac}  ${String(entry.animal_id).padEnd(16)} ${String(entry.name || '-').padEnd(12)} ` +
+		`${String(entry.pen || '-').padEnd(8)} ${String(entry.group || '-').padEnd(10)}`) + chalk.gray(`  ${period}`);
+}
+
+async function handleDeviceCommand(input) {
+	if (!deviceRegistry || !config.storageEnabled) {
+		console.log(chalk.yellow('Storage not enabled, the device registry is kept in SQLite'));
+		return;
+	}
+
+	try {
+		const [, action = 'list', ...args] = tokenize(input);
+		const { values: positional, ...options } = parseArgs(args, { positional: ['values...'], options: DEVICE_OPTIONS });
+		const fields = { animal_id: options.animal, name: options.name, pen: options.pen, group: options.group };
+
+		switch (action.toLowerCase()) {
+			case 'add': {
+				const [mac, animalId] = positional;
+				if (!mac || !animalId) {
+					throw new Error('Usage: device add <mac> <animal_id> [--name <name>] [--pen <pen>] [--group <group>] [--installed <date>]');
+				}
+				const entry = await deviceRegistry.add(mac, { ...fields, animal_id: animalId, installed_at: options.installed });
+				console.log(chalk.green(`✓ ${entry.mac} registered to ${deviceRegistry.describe(entry.mac)}`));
+				break;
+			}
+			case 'edit': {
+				if (!positional[0]) {
+					throw new Error('Usage: device edit <mac> [--animal <id>] [--name <name>] [--pen <pen>] [--group <group>] [--at <date>]');
+				}
+				const { entry, change } = await deviceRegistry.edit(positional[0], fields, options.at || Date.now());
+				const messages = {
+					moved: `✓ ${entry.mac} reassigned to ${deviceRegistry.describe(entry.mac)} from ${new Date(entry.installed_at).toLocaleString()}`,
+					updated: `✓ ${entry.mac} updated: ${deviceRegistry.describe(entry.mac)}`,
+					unchanged: `${entry.mac} unchanged`
+				};
+				console.log(change === 'unchanged' ? chalk.gray(messages[change]) : chalk.green(messages[change]));
+				break;
+			}
+			case 'remove': {
+				if (!positional[0]) {
+					throw new Error('Usage: device remove <mac> [--at <date>]');
+				}
+				const entry = await deviceRegistry.remove(positional[0], options.at || Date.now());
+				console.log(chalk.green(`✓ ${entry.mac} removed from animal ${entry.animal_id} (stored data is kept)`));
+				break;
+			}
+			case 'list':
+			case 'history': {
+				if (action.toLowerCase() === 'history' && positional.length === 0) {
+					throw new Error('Usage: device history <mac|animal|group>');
+				}
+				const entries = action.toLowerCase() === 'history'
+					? await deviceRegistry.getHistory(positional.join(' ') || '')
+					: await deviceRegistry.list({ history: options.all });
+				console.log(chalk.cyan.bold(`\n=== Device Registry${action.toLowerCase() === 'history' ? ` History ${positional.join(' ')}` : ''} ===`));
+				if (entries.length === 0) {
+					console.log(chalk.yellow('No registered devices'));
+				} else {
+					console.log(chalk.gray(`${'MAC'.padEnd(17)}  ${'Animal'.padEnd(16)} ${'Name'.padEnd(12)} ${'Pen'.padEnd(8)} ${'Group'.padEnd(10)}  Assigned`));
+				}
+				entries.forEach(entry => console.log(formatAssignment(entry)));
+				console.log(chalk.cyan('========================\n'));
+				break;
+			}
+			case 'import': {
+				if (!positional[0]) {
+					throw new Error('Usage: device import <file.csv>');
+				}
+				const result = await deviceRegistry.importCSV(positional[0]);
+				console.log(chalk.green(`✓ Imported ${positional[0]}: ${result.added} added, ${result.moved} reassigned, ${result.updated} updated, ${result.unchanged} unchanged`));
+				result.errors.forEach(error => console.log(chalk.yellow(`  ${error}`)));
+				break;
+			}
+			default:
+				throw new Error(`Unknown device command: ${action} (add, edit, remove, list, history, import)`);
+		}
+	} catch (error) {
+		console.error(chalk.red('Device error:'), error.message);
+	}
+}
+
+/**
+ * Stored record counts of a tag, animal or group, per assigned tag
+ */
+async function showDeviceStats(identifier) {
+	if (!storageAdapter || !config.storageEnabled) {
+		console.log(chalk.yellow('Storage not enabled'));
+		return;
+	}
+
+	try {
+		await flushPendingWrites();
+		const target = await resolveDevice(identifier);
+		const stats = await storageAdapter.getSegmentStats(target.segments);
+		const formatTime = (t) => (t === null || t === undefined ? '-' : new Date(t).toLocaleString());
+
+		console.log(chalk.cyan.bold(`\n=== Stats ${target.kind === 'mac' ? identifier : target.label} ===`));
+		stats.segments.forEach(segment => {
+			const animal = target.kind === 'mac' && deviceRegistry ? deviceRegistry.describe(segment.mac) : null;
+			const range = segment.startDate !== undefined ? chalk.gray(`  assigned ${formatTime(segment.startDate)} - ${segment.endDate !== undefined ? formatTime(segment.endDate + 1) : 'now'}`) : '';
+			console.log(chalk.white(`${segment.mac}${animal ? ` (${animal})` : ''}: ${segment.total_rows} records, ${segment.data_types} data types`) + range);
+			console.log(chalk.gray(`  ${formatTime(segment.first_entry)} - ${formatTime(segment.last_entry)}`));
+		});
+		if (stats.segments.length > 1) {
+			console.log(chalk.white(`Total: ${stats.total_rows} records, ${formatTime(stats.first_entry)} - ${formatTime(stats.last_entry)}`));
+		}
+		console.log(chalk.cyan('==================\n'));
+	} catch (error) {
+		console.error(chalk.red('Stats error:'), error.message);
+	}
+}
+
+const ENVIRONMENT_FIELDS = ['temperature', 'humidity'];
+const AGGREGATE_OPTIONS = {
+	from: 'time',
+	to: 'time',
+	type: 'string',
+	station: 'string',
+	where: 'predicate',
+	fill: ['null', 'previous', 'none'],
+	output: ['table', 'json', 'csv']
+};
+
+/**
+ * aggregate <mac|animal|group|all|environment> <field> [bucket] [fn] [--from] [--to] [--type] [--where] [--fill] [--output]
+ */
+async function handleAggregateCommand(input) {
+	if (!storageAdapter || !config.storageEnabled) {
+		console.log(chalk.yellow('Storage not enabled'));
+		return;
+	}
+
+	let args;
+	try {
+		args = parseArgs(tokenize(input).slice(1), { positional: ['target', 'field', 'bucket?', 'fn?'], options: AGGREGATE_OPTIONS });
+	} catch (error) {
+		console.log(chalk.red(`Error: ${error.message}`));
+		console.log(chalk.gray('Usage: aggregate <mac|animal|group|all|environment> <field> [bucket] [avg|min|max|count|stddev]'));
+		console.log(chalk.gray('       [--from <time>] [--to <time>] [--type <type>] [--station <station>] [--where <condition>] [--fill null|previous|none] [--output table|json|csv]'));
+		return;
+	}
+
+	try {
+		const identifier = args.target;
+		const options = {
+			field: args.field.toLowerCase(),
+			bucket: (args.bucket || '1h').toLowerCase(),
+			fn: (args.fn || 'avg').toLowerCase(),
+			fill: args.fill,
+			dataType: args.type ? args.type.toLowerCase() : undefined,
+			station: args.station,
+			where: args.where,
+			startDate: args.from,
+			endDate: args.to
+		};
+
+		const environment = ['environment', 'env'].includes(identifier.toLowerCase());
+		if (environment !== ENVIRONMENT_FIELDS.includes(options.field)) {
+			throw new Error(environment
+				? `Environment fields: ${ENVIRONMENT_FIELDS.join(', ')}`
+				: `${options.field} is not a tag field, use: aggregate environment ${options.field}`);
+		}
+
+		let target = null;
+		let label = 'all devices';
+		if (environment) {
+			label = args.station ? `station ${args.station}` : 'environment';
+		} else if (args.station) {
+			throw new Error('--station only applies to: aggregate environment <field>');
+		} else if (identifier.toLowerCase() !== 'all') {
+			const resolved = await resolveDevice(identifier);
+			target = resolved.kind === 'mac' ? identifier : resolved.segments;
+			label = resolved.kind === 'mac' ? identifier : resolved.label;
+		}
+
+		// Default to the last 24 buckets
+		if (!options.startDate) {
+			const end = options.endDate || Date.now();
+			options.endDate = end;
+			options.startDate = end - 23 * StandaloneSQLiteStorage.parseBucket(options.bucket);
+		}
+
+		await flushPendingWrites();
+		const result = await storageAdapter.aggregate(target, options);
+		if (args.output === 'json') {
+			console.log(JSON.stringify(result, null, 2));
+			return;
+		}
+		if (args.output === 'csv') {
+			console.log(`start,end,${result.fn},count`);
+			result.buckets.forEach(entry => console.log([
+				new Date(entry.start).toISOString(), new Date(entry.end).toISOString(), entry.value === null ? '' : entry.value, entry.count
+			].join(',')));
+			return;
+		}
+		const values = result.buckets.map(entry => entry.value).filter(value => value !== null);
+		const min = values.length ? Math.min(...values) : 0;
+		const max = values.length ? Math.max(...values) : 0;
+		const format = (value) => (value === null ? '-' : String(Math.round(value * 100) / 100));
+
+		console.log(chalk.cyan.bold(`\n=== ${result.fn}(${result.field}) per ${result.bucket}, ${label} ===`));
+		if (result.buckets.length === 0) {
+			console.log(chalk.yellow('No data in range'));
+		} else {
+			const counts = result.fn !== 'count';
+			console.log(chalk.gray(`${'Bucket'.padEnd(24)} ${result.fn.padStart(10)}${counts ? ` ${'count'.padStart(7)}` : ''}`));
+			result.buckets.forEach(entry => {
+				const time = new Date(entry.start).toLocaleString();
+				const line = `${time.padEnd(24)} ${format(entry.value).padStart(10)}${counts ? ` ${String(entry.count).padStart(7)}` : ''}`;
+				if (entry.count === 0) {
+					console.log(chalk.gray(line));
+					return;
+				}
+				const width = max > min ? Math.round(((entry.value - min) / (max - min)) * 29) + 1 : 1;
+				console.log(chalk.white(line) + chalk.cyan(`  ${'█'.repeat(width)}`));
+			});
+			const total = result.buckets.reduce((sum, entry) => sum + entry.count, 0);
+			console.log(chalk.gray(`\n${result.buckets.length} buckets, ${total} readings, ${result.buckets.filter(entry => entry.count === 0).length} empty`));
+		}
+		console.log(chalk.cyan('==================\n'));
+	} catch (error) {
+		console.error(chalk.red('Aggregate error:'), error.message);
+	}
+}
+
+async function handleImportCommand(line) {
+	let args;
+	try {
+		args = parseArgs(commandTokens(line).slice(1), { positional: ['file'], options: { replay: 'flag' } });
+	} catch (error) {
+		console.log(chalk.red(`Error: ${error.message}`));
+		console.log(chalk.gray('Usage: import <file> [--replay]'));
+		return false;
+	}
+
+	try {
+		const result = await importData(args.file, {
+			replay: args.replay === true,
+			onProgress: process.stdout.isTTY ? ({ inserted, skipped, invalid }) => {
+				process.stdout.write(chalk.gray(`\r  Importing... ${inserted} inserted, ${skipped} skipped, ${invalid} invalid`));
+			} : undefined
+		});
+		return result.invalid === 0;
+	} catch (error) {
+		if (process.stdout.isTTY) process.stdout.write('\n');
+		console.error(chalk.red('Import error:'), error.message);
+		return false;
+	}
+}
+
+/**
+ * Split "<words...> [--mac <mac...>]" into words and MACs
+ */
+function parseTypesAndMacs(parts) {
+	const macIndex = parts.indexOf('--mac');
+	if (macIndex === -1) {
+		return { types: parts, macs: [] };
+	}
+	return { types: parts.slice(0, macIndex), macs: parts.slice(macIndex + 1) };
+}
+
+/**
+ * Send the updated subscription over the live socket (it is resent on every reconnect)
+ */
+function resendSubscription() {
+	if (connection && connection.sendSubscription()) {
+		console.log(chalk.gray('  Subscription sent to BioCV Node'));
+	} else {
+		console.log(chalk.gray('  Not connected, subscription will be sent on reconnect'));
+	}
+}
+
+function handleSubscribeCommand(line) {
+	const parts = tokenize(line.toLowerCase());
+	const { types, macs } = parseTypesAndMacs(parts.slice(1));
+
+	try {
+		if (parts[0] === 'subscribe') {
+			if (types.length === 0) {
+				throw new Error('At least one type is required');
+			}
+			const resolved = subscriptions.subscribe(types, macs);
+			console.log(chalk.green(`✓ Subscribed to ${resolved.join(', ')}${macs.length ? ` for ${macs.join(', ')}` : ''}`));
+		} else {
+			const removed = subscriptions.unsubscribe(types, macs);
+			if (removed.length > 0 && connection) {
+				connection.send({ type: 'unsubscribe', subscriptions: removed });
+			}
+			console.log(chalk.green(`✓ Unsubscribed${removed.length ? ` from ${removed.join(', ')}` : ''}${macs.length ? ` (${macs.join(', ')})` : ''}`));
+		}
+		resendSubscription();
+	} catch (error) {
+		console.error(chalk.red('Subscription error:'), error.message);
+		console.log(chalk.gray('Usage: subscribe <types...> [--mac <mac...>] | unsubscribe [types...] [--mac <mac...>]'));
+	}
+}
+
+function handleSubscriptionFilterCommand(line) {
+	const parts = tokenize(line.toLowerCase());
+	const action = parts[1];
+	const macs = parts.slice(2);
+
+	if (action === 'clear') {
+		subscriptions.clearFilters();
+		console.log(chalk.green('✓ MAC allow/deny lists cleared'));
+	} else if ((action === 'allow' || action === 'deny') && macs.length > 0) {
+		subscriptions[action](macs);
+		console.log(chalk.green(`✓ ${action === 'allow' ? 'Allowing' : 'Ignoring'} ${macs.map(SubscriptionManager.normalizeMac).join(', ')}`));
+	} else {
+		console.log(chalk.red('Usage: subscriptions allow|deny <mac...> | subscriptions clear'));
+	}
+}
+
+function showSubscriptions() {
+	const status = subscriptions.getStatus();
+	console.log(chalk.cyan.bold('\n=== Subscriptions ==='));
+	const entries = Object.entries(status.subscriptions);
+	if (entries.length === 0) {
+		console.log(chalk.yellow('Not subscribed to anything'));
+	}
+	entries.forEach(([type, devices]) => {
+		console.log(chalk.white(`${type}: ${Array.isArray(devices) ? devices.join(', ') : devices}`));
+	});
+	console.log(chalk.white(`Allow list: ${status.allow_macs.length ? status.allow_macs.join(', ') : '(all devices)'}`));
+	console.log(chalk.white(`Deny list: ${status.deny_macs.length ? status.deny_macs.join(', ') : '(none)'}`));
+	console.log(chalk.gray(`Messages accepted: ${status.accepted}, filtered: ${status.filtered}`));
+	console.log(chalk.cyan('=====================\n'));
+}
+
+function showActivityOverview() {
+	const status = activity.getStatus();
+	console.log(chalk.cyan.bold('\n=== Activity ==='));
+	const latest = activity.getLatestAll();
+	if (latest.length === 0) {
+		console.log(chalk.yellow('No activity windows classified yet'));
+	}
+	latest.forEach(result => {
+		console.log(chalk.white(`${result.mac}  ${result.state.padEnd(13)}`) +
+			chalk.gray(` since ${new Date(result.window_start).toLocaleTimeString()} (${result.samples} samples)`));
+	});
+	console.log(chalk.gray(`Window: ${status.window_ms / 1000}s, windows: ${status.windows}, skipped (too few samples): ${status.skipped_windows}`));
+	console.log(chalk.gray('Use "activity <mac> [day]" for the daily budget of a tag'));
+	console.log(chalk.cyan('================\n'));
+}
+
+async function showActivity(mac, day) {
+	if (day && !/^\d{4}-\d{2}-\d{2}$/.test(day)) {
+		console.log(chalk.red('Usage: activity <mac> [YYYY-MM-DD]'));
+		return;
+	}
+
+	try {
+		const budget = await activity.getDailyBudget(mac, day);
+		const total = Object.values(budget.duration_ms).reduce((sum, ms) => sum + ms, 0);
+
+		console.log(chalk.cyan.bold(`\n=== Activity ${budget.mac} on ${budget.day} ===`));
+		if (budget.windows === 0) {
+			console.log(chalk.yellow('No activity recorded for this day'));
+		}
+		ActivityClassifier.STATES.forEach(state => {
+			const duration = budget.duration_ms[state];
+			const share = total > 0 ? Math.round(duration / total * 100) : 0;
+			console.log(chalk.white(`${state.padEnd(14)} ${formatDuration(duration).padStart(10)}  ${String(share).padStart(3)}%  `) +
+				chalk.green('█'.repeat(Math.round(share / 5))));
+		});
+		console.log(chalk.gray(`Covered: ${formatDuration(total)} in ${budget.windows} windows${config.storageEnabled ? '' : ' (this session only, storage disabled)'}`));
+
+		const latest = activity.getLatest(mac);
+		if (latest && ActivityClassifier.dayKey(latest.window_start) === budget.day) {
+			console.log(chalk.gray(`Current: ${latest.state} (tilt ${latest.tilt}°, variance ${latest.magnitude_variance})`));
+		}
+		console.log(chalk.cyan('==========================\n'));
+	} catch (error) {
+		console.error(chalk.red('Activity error:'), error.message);
+	}
+}
+
+function formatPosition(estimate) {
+	const age = Math.round((Date.now() - estimate.t) / 1000);
+	return chalk.white(`${estimate.mac}  x=${estimate.x.toFixed(2)} m  y=${estimate.y.toFixed(2)} m`) +
+		chalk.gray(`  ±${estimate.accuracy.toFixed(2)} m, confidence ${Math.round(estimate.confidence * 100)}%, ` +
+			`${estimate.receivers.length} receivers${estimate.rejected ? ` (${estimate.rejected} rejected)` : ''}, ${age}s ago`);
+}
+
+function showPositions() {
+	const status = positioning.getStatus();
+	const positions = positioning.getPositions();
+
+	console.log(chalk.cyan.bold('\n=== Tag Positions ==='));
+	if (Object.keys(status.receivers).length < 3) {
+		console.log(chalk.yellow('Configure at least 3 receivers in positioning.receivers (see README "Position Estimation")'));
+	} else if (positions.length === 0) {
+		console.log(chalk.yellow('No position estimates yet'));
+	}
+	positions.forEach(estimate => console.log(formatPosition(estimate)));
+	console.log(chalk.gray(`Receivers: ${Object.keys(status.receivers).length}, estimates: ${status.estimates}, rejected distances: ${status.rejected_distances}`));
+	if (status.unknown_receivers.length > 0) {
+		console.log(chalk.yellow(`Distances from unconfigured receivers ignored: ${status.unknown_receivers.join(', ')}`));
+	}
+	console.log(chalk.cyan('=====================\n'));
+}
+
+function showPosition(mac) {
+	const estimate = positioning.getPosition(mac);
+	if (!estimate) {
+		console.log(chalk.yellow(`No position estimate for ${mac}`));
+		return;
+	}
+
+	console.log(formatPosition(estimate));
+	console.log(chalk.gray(`  Receivers: ${estimate.receivers.join(', ')}`));
+}
+
+function formatTemperatureReading(reading) {
+	const sign = reading.deviation >= 0 ? '+' : '';
+	return `${new Date(reading.t).toLocaleString()}  ${reading.temperature}°C` +
+		(reading.corrected !== undefined ? `  corrected ${reading.corrected}°C  ${sign}${reading.deviation}°C` : '');
+}
+
+function showHealth() {
+	const flagged = feverDetector.getOpenAlerts();
+	const suspects = feverDetector.getSuspects();
+	const status = feverDetector.getStatus();
+
+	console.log(chalk.cyan.bold('\n=== Animal Health ==='));
+	if (flagged.length === 0) {
+		console.log(chalk.green('No animals flagged for suspected fever'));
+	}
+	flagged.forEach(alert => {
+		const details = alert.details || {};
+		console.log(chalk.red.bold(`🌡️  ${alert.mac}  ${alert.last_value}°C (peak ${alert.peak_value}°C), baseline ${details.baseline}°C`) +
+			chalk.gray(`  since ${new Date(alert.opened_at).toLocaleString()}${alert.acknowledged_at ? '  [acknowledged]' : ''}`));
+	});
+
+	if (suspects.length > 0) {
+		console.log(chalk.yellow('\nElevated, not yet sustained:'));
+		suspects.forEach(animal => {
+			console.log(chalk.yellow(`  ${animal.mac}  ${animal.latest.temperature}°C, +${animal.latest.deviation}°C`) +
+				chalk.gray(`  for ${formatDuration(animal.latest.t - animal.suspect_since)} (${animal.suspect_readings} readings)`));
+		});
+	}
+
+	const ambient = status.ambient ? `${status.ambient.value}°C` : 'none yet';
+	console.log(chalk.gray(`\nAnimals tracked: ${status.animals}, herd baseline readings: ${status.herd_readings}, ambient: ${ambient}`));
+	console.log(chalk.gray(`Threshold: +${status.delta}°C above baseline for ${status.sustained_minutes} min${status.enabled ? '' : ' (disabled)'}`));
+	console.log(chalk.gray('Use "health <mac>" for the readings of one animal'));
+	console.log(chalk.cyan('=====================\n'));
+}
+
+function showAnimalHealth(mac) {
+	const animal = feverDetector.getAnimalStatus(mac);
+	if (!animal) {
+		console.log(chalk.yellow(`No temperature readings for ${mac}`));
+		return;
+	}
+
+	console.log(chalk.cyan.bold(`\n=== Health ${animal.mac} ===`));
+	if (!animal.latest || animal.latest.baseline === null) {
+		console.log(chalk.yellow(`Learning baseline (${animal.baseline_readings} readings so far)`));
+	} else {
+		console.log(chalk.white(`Baseline: ${animal.latest.baseline}°C (${animal.latest.baseline_source}, ${animal.baseline_readings} readings)`));
+		console.log(chalk.white(`Latest:   ${formatTemperatureReading(animal.latest)}`));
+	}
+
+	if (animal.alert) {
+		console.log(chalk.red.bold(`\n${animal.alert.message}`));
+		const readings = (animal.alert.details && animal.alert.details.readings) || [];
+		console.log(chalk.gray('Supporting readings:'));
+		readings.forEach(reading => console.log(chalk.gray(`  ${formatTemperatureReading(reading)}`)));
+	} else if (animal.recent.length > 0) {
+		console.log(chalk.gray('\nRecent readings:'));
+		animal.recent.forEach(reading => console.log(chalk.gray(`  ${formatTemperatureReading(reading)}`)));
+	}
+	console.log(chalk.cyan('=====================\n'));
+}
+
+const STATUS_COLORS = {
+	online: chalk.green,
+	offline: chalk.red,
+	unknown: chalk.gray
+};
+
+function formatAgo(t) {
+	return t === null || t === undefined ? 'never' : `${formatDuration(Math.max(0, Date.now() - t))} ago`;
+}
+
+function showDevices() {
+	const devices = liveness.getDevices();
+	const status = liveness.getStatus();
+
+	console.log(chalk.cyan.bold('\n=== Devices ==='));
+	if (devices.length === 0) {
+		console.log(chalk.yellow('No tags seen yet'));
+	} else {
+		console.log(chalk.gray(`${'MAC'.padEnd(17)}  ${'Status'.padEnd(8)} ${'Last seen'.padEnd(16)} ${'RSSI'.padStart(5)} ${'Battery'.padStart(8)}  Interval`));
+	}
+	devices.forEach(device => {
+		const animal = deviceRegistry ? deviceRegistry.describe(device.mac) : null;
+		const interval = device.expected_interval_ms !== null ? `${Math.round(device.expected_interval_ms / 1000)}s` : 'learning';
+		console.log(chalk.white(`${device.mac}  `) + STATUS_COLORS[device.status](device.status.padEnd(8)) +
+			chalk.white(` ${formatAgo(device.last_seen).padEnd(16)} ${String(device.last_rssi !== null ? device.last_rssi : '-').padStart(5)} ` +
+				`${(device.battery !== null ? `${device.battery}%` : '-').padStart(8)}  ${interval}`) +
+			(animal ? chalk.gray(`  ${animal}`) : ''));
+	});
+	console.log(chalk.gray(`Online: ${status.online}, offline: ${status.offline}, unknown: ${status.unknown}` +
+		`${status.receiving ? '' : ' - not receiving, offline detection paused'}${status.enabled ? '' : ' (disabled)'}`));
+	console.log(chalk.gray('Use "devices <mac>" for per data type last seen and online/offline history'));
+	console.log(chalk.cyan('===============\n'));
+}
+
+async function showDeviceLiveness(mac) {
+	const device = liveness.getDeviceStatus(mac);
+	if (!device) {
+		console.log(chalk.yellow(`Tag ${mac} not seen`));
+		return;
+	}
+
+	console.log(chalk.cyan.bold(`\n=== Device ${device.mac} ===`));
+	const animal = deviceRegistry ? deviceRegistry.describe(device.mac) : null;
+	if (animal) {
+		console.log(chalk.white(`Animal: ${animal}`));
+	}
+	console.log(chalk.white('Status: ') + STATUS_COLORS[device.status](device.status) +
+		(device.offline_since ? chalk.gray(` since ${new Date(device.offline_since).toLocaleString()}`) : ''));
+	console.log(chalk.white(`Last seen: ${formatAgo(device.last_seen)}`));
+	LivenessMonitor.DATA_TYPES.forEach(type => {
+		console.log(chalk.gray(`  ${type.padEnd(8)} ${formatAgo(device.last_seen_by_type[type])}`));
+	});
+	console.log(chalk.white(`RSSI: ${device.last_rssi !== null ? device.last_rssi : '-'}  Battery: ${device.battery !== null ? `${device.battery}%` : '-'}`));
+	console.log(chalk.white(`Expected interval: ${device.expected_interval_ms !== null ? formatDuration(device.expected_interval_ms) : 'learning'}` +
+		`, offline after ${formatDuration(device.threshold_ms)} of silence`));
+
+	try {
+		const transitions = await liveness.getTransitions({ mac: device.mac, limit: 10 });
+		if (transitions.length > 0) {
+			console.log(chalk.gray('\nTransitions:'));
+			transitions.forEach(transition => {
+				const silent = transition.silent_ms !== null ? ` after ${formatDuration(transition.silent_ms)} silent` : '';
+				console.log(STATUS_COLORS[transition.status](`  ${new Date(transition.at).toLocaleString()}  ${transition.status}`) + chalk.gray(silent));
+			});
+		}
+	} catch (error) {
+		console.error(chalk.red('Devices error:'), error.message);
+	}
+	console.log(chalk.cyan('=====================\n'));
+}
+
+const WATCH_TYPES = { sensor: 'sensorData', battery: 'batteryData', ant: 'antData', environment: 'environmentData' };
+const WATCH_COLORS = { sensorData: chalk.cyan, batteryData: chalk.yellow, antData: chalk.magenta, environmentData: chalk.green };
+const WATCH_LABELS = { sensorData: 'sensor', batteryData: 'battery', antData: 'ant', environmentData: 'env' };
+
+/**
+ * Print a line above the prompt without mangling what is being typed
+ */
+function printAbovePrompt(text) {
+	if (!rl || !process.stdout.isTTY) {
+		console.log(text);
+		return;
+	}
+	readline.clearLine(process.stdout, 0);
+	readline.cursorTo(process.stdout, 0);
+	console.log(text);
+	rl.prompt(true);
+}
+
+/**
+ * watch [mac|animal...] [--type sensor,battery,ant,environment] [--rate <lines/s>]
+ */
+async function handleWatchCommand(line) {
+	let args;
+	try {
+		args = parseArgs(tokenize(line).slice(1), { positional: ['devices...'], options: { type: 'list', rate: 'int' } });
+		const unknown = (args.type || []).map(type => type.toLowerCase()).find(type => type !== 'all' && !WATCH_TYPES[type]);
+		if (unknown) {
+			throw new Error(`Unknown type ${unknown}, use ${Object.keys(WATCH_TYPES).join(', ')} or all`);
+		}
+		if (args.rate === 0) {
+			throw new Error('--rate must be at least 1');
+		}
+	} catch (error) {
+		console.log(chalk.red(`Error: ${error.message}`));
+		console.log(chalk.gray('Usage: watch [mac|animal...] [--type sensor,battery,ant,environment] [--rate <lines/s>]'));
+		return;
+	}
+
+	if (args.devices.length === 1 && args.devices[0].toLowerCase() === 'stop') {
+		stopWatch();
+		return;
+	}
+
+	// Animals and groups watch the tags they wear now
+	const macs = new Set();
+	for (const identifier of args.devices) {
+		const target = await resolveDevice(identifier);
+		const current = target.kind === 'mac'
+			? [identifier]
+			: target.segments.filter(segment => segment.endDate === undefined).map(segment => segment.mac);
+		if (current.length === 0) {
+			console.log(chalk.yellow(`${target.label} has no tag assigned now`));
+			return;
+		}
+		current.forEach(mac => macs.add(SubscriptionManager.normalizeMac(mac)));
+	}
+
+	const types = (args.type || []).map(type => type.toLowerCase());
+	if (watchSession) {
+		stopWatch();
+	}
+	watchSession = {
+		macs: macs.size > 0 ? macs : null,
+		types: types.length > 0 && !types.includes('all') ? new Set(types.map(type => WATCH_TYPES[type])) : null,
+		maxRate: args.rate || config.watch.max_rate,
+		started: Date.now(),
+		lastMatch: Date.now(),
+		lastNotice: 0,
+		shown: 0,
+		skipped: 0,
+		windowCount: 0,
+		windowSkipped: 0,
+		timer: null
+	};
+
+	const devices = watchSession.macs ? [...watchSession.macs].join(', ') : 'all tags';
+	console.log(chalk.cyan(`Watching ${devices}${types.length ? ` (${types.join(', ')})` : ''}, max ${watchSession.maxRate} lines/s. ` +
+		'Press Esc, Ctrl+C or Enter on an empty line to stop.'));
+	if (watchSession.macs && liveness) {
+		watchSession.macs.forEach(mac => {
+			const device = liveness.getDeviceStatus(mac);
+			console.log(chalk.gray(`  ${mac}: ${device ? `${device.status}, last seen ${formatAgo(device.last_seen)}` : 'not seen yet'}`));
+		});
+	}
+	if (!connection || !connection.getStatus().connected) {
+		console.log(chalk.yellow('  Not connected, lines appear once the WebSocket is back'));
+	}
+
+	const session = watchSession;
+	session.timer = setInterval(() => {
+		if (session.windowSkipped > 0) {
+			printAbovePrompt(chalk.gray(`  … ${session.windowSkipped} reading${session.windowSkipped === 1 ? '' : 's'} skipped (max ${session.maxRate}/s)`));
+		}
+		session.windowCount = 0;
+		session.windowSkipped = 0;
+		// Remind that nothing matched, e.g. a freshly installed tag that is not sending
+		const now = Date.now();
+		if (now - Math.max(session.lastMatch, session.lastNotice) >= config.watch.idle_notice_ms) {
+			printAbovePrompt(chalk.gray(`  … no matching data for ${formatDuration(now - session.lastMatch)}`));
+			session.lastNotice = now;
+		}
+	}, 1000);
+	session.timer.unref();
+}
+
+function stopWatch() {
+	if (!watchSession) {
+		console.log(chalk.gray('Not watching'));
+		return;
+	}
+	const session = watchSession;
+	watchSession = null;
+	clearInterval(session.timer);
+	printAbovePrompt(chalk.cyan(`Stopped watching after ${formatDuration(Date.now() - session.started)}: ` +
+		`${session.shown} readings shown${session.skipped ? `, ${session.skipped} skipped by the rate limit` : ''}`));
+}
+
+/**
+ * Tags a message belongs to (ANT distances match the tag and the receiver)
+ */
+function getMessageMacs(message) {
+	const data = message.data || {};
+	return [data.mac, data.macTag, data.macAnt].filter(Boolean).map(SubscriptionManager.normalizeMac);
+}
+
+function formatWatchLine(message) {
+	const data = message.data || {};
+	const time = chalk.gray(new Date().toTimeString().slice(0, 8));
+	const label = WATCH_COLORS[message.type](WATCH_LABELS[message.type].padEnd(7));
+	const value = (name, number, unit = '') => (number === undefined || number === null ? null : `${name} ${number}${unit}`);
+	let device = '';
+	let values = [];
+
+	switch (message.type) {
+		case 'sensorData':
+			device = data.mac;
+			values = [
+				value('x', data.x), value('y', data.y), value('z', data.z),
+				value('c', data.c !== undefined ? data.c : data.T, '°C'), value('rssi', data.rssi)
+			];
+			break;
+		case 'batteryData':
+			device = data.mac;
+			values = [value('battery', data.percentage, '%'), value('rssi', data.rssi)];
+			break;
+		case 'antData':
+			device = `${data.macTag} ← ${data.macAnt}`;
+			values = [value('distance', data.distance, ' m'), value('rssi', data.rssi)];
+			break;
+		case 'environmentData': {
+			device = StandaloneSQLiteStorage.getStationId(data);
+			const env = dataStore.stations.get(device) || {};
+			values = [
+				value('temperature', data.temperature !== undefined ? data.temperature : data.Temperature, '°C'),
+				value('humidity', data.humidity !== undefined ? data.humidity : data.Humidity, '%'),
+				value('THI', env.thi)
+			];
+			if (env.thi_band) {
+				values.push(BAND_COLORS[env.thi_band](env.thi_band));
+			}
+			break;
 		}
-	} catch (error) {
-		console.error(chalk.red('Error getting storage status:'), error.message);
 	}
-}
 
-function showQueryHelp() {
-	console.log(chalk.cyan.bold('\n=== Query Commands ==='));
-	console.log(chalk.white('query <mac> [type] [limit]'));
-	console.log(chalk.gray('\nParameters:'));
-	console.log(chalk.gray('  mac     - MAC address of the device (required)'));
-	console.log(chalk.gray('  type    - Data type filter (optional):'));
-	console.log(chalk.gray('            sensor     - Sensor readings'));
-	console.log(chalk.gray('            battery    - Battery updates'));
-	console.log(chalk.gray('            ant        - ANT positioning data'));
-	console.log(chalk.gray('            environment - Environmental data'));
-	console.log(chalk.gray('            all        - All data types (default)'));
-	console.log(chalk.gray('  limit   - Maximum number of records (default: 10)'));
-	console.log(chalk.gray('\nExamples:'));
-	console.log(chalk.white('  query AA:BB:CC:DD:EE:FF'));
-	console.log(chalk.white('  query AA:BB:CC:DD:EE:FF sensor 20'));
-	console.log(chalk.white('  query AA:BB:CC:DD:EE:FF battery 5'));
-	console.log(chalk.cyan('=====================\n'));
+	const animal = deviceRegistry && data.mac ? deviceRegistry.getCurrent(data.mac) : null;
+	return `${time} ${label} ${chalk.white(device)}${animal ? chalk.gray(` [${animal.animal_id}${animal.name ? ` ${animal.name}` : ''}]`) : ''}  ` +
+		values.filter(Boolean).join('  ');
 }
 
-async function handleQueryCommand(command) {
-	const parts = command.split(' ');
-	if (parts.length < 2) {
-		console.log(chalk.red('Error: MAC address required'));
-		console.log(chalk.gray('Usage: query <mac> [type] [limit]'));
+/**
+ * Print an incoming message if it matches the running watch, within the rate limit
+ */
+function watchMessage(message) {
+	const session = watchSession;
+	if (!WATCH_LABELS[message.type] || (session.types && !session.types.has(message.type))) {
+		return;
+	}
+	if (session.macs && !getMessageMacs(message).some(mac => session.macs.has(mac))) {
+		return;
+	}
+
+	session.lastMatch = Date.now();
+	if (session.windowCount >= session.maxRate) {
+		session.windowSkipped++;
+		session.skipped++;
 		return;
 	}
+	session.windowCount++;
+	session.shown++;
+	printAbovePrompt(formatWatchLine(message));
+}
+
+const BAND_COLORS = {
+	none: chalk.green,
+	mild: chalk.yellow,
+	moderate: chalk.red,
+	severe: chalk.red.bold
+};
+
+/**
+ * Climate, THI band and 24 h trend of a station, by default the one that
+ * reported last
+ */
+async function showEnvironment(stationId = null) {
+	const latest = dataStore.environment;
+	const station = stationId || (latest ? latest.station : HeatStressMonitor.DEFAULT_STATION);
+	const env = dataStore.stations.get(station);
+	const current = heatStress.getCurrent(station);
+	const status = heatStress.getStatus();
+
+	console.log(chalk.cyan.bold(`\n=== Environment: ${station} ===`));
+	if (dataStore.stations.size > 1) {
+		console.log(chalk.gray(`Stations: ${[...dataStore.stations.keys()].join(', ')} (environment <station>, stations)`));
+	}
+	if (!env) {
+		console.log(chalk.yellow(`No environment data received from ${station} yet`));
+	} else {
+		const temperature = env.temperature !== undefined ? env.temperature : env.Temperature;
+		const humidity = env.humidity !== undefined ? env.humidity : env.Humidity;
+		console.log(chalk.white(`Temperature: ${temperature}°C  Humidity: ${humidity}%`) +
+			chalk.gray(`  (${env.lastUpdate.toLocaleTimeString()})`));
+	}
 
-	const mac = parts[1];
-	const dataType = parts[2] || 'all';
-	const limit = parseInt(parts[3]) || 10;
+	if (current) {
+		const color = BAND_COLORS[current.band];
+		console.log(color(`THI: ${current.thi}  heat stress: ${current.band}`) +
+			chalk.gray(`  for ${formatDuration(current.t - current.band_since)}`));
+	}
 
 	try {
-		const data = await queryStoredData(mac, dataType, limit);
-		if (data.length === 0) {
-			console.log(chalk.yellow(`No data found for ${mac} (${dataType})`));
-		} else {
-			console.log(chalk.green(`\nFound ${data.length} records for ${mac} (${dataType}):`));
-			data.forEach((record, index) => {
-				const timestamp = record.t ? new Date(record.t).toISOString() : record.timestamp || 'N/A';
-				console.log(chalk.gray(`\n${index + 1}. ${record.data_type} - ${timestamp}`));
-				
-				// Display new sensor data columns
-				if (record.x !== null) console.log(chalk.gray(`   X: ${record.x}`));
-				if (record.y !== null) console.log(chalk.gray(`   Y: ${record.y}`));
-				if (record.z !== null) console.log(chalk.gray(`   Z: ${record.z}`));
-				if (record.c !== null) console.log(chalk.gray(`   Temperature: ${record.c}°C`));
-				if (record.t !== null) console.log(chalk.gray(`   Timestamp: ${record.t} (unix ms)`));
-				
-				// Display other data
-				if (record.rssi !== null) console.log(chalk.gray(`   RSSI: ${record.rssi}`));
-				if (record.battery_percentage !== null) console.log(chalk.gray(`   Battery: ${record.battery_percentage}%`));
-				if (record.ant_mac) console.log(chalk.gray(`   ANT: ${record.ant_mac}`));
-				if (record.distance !== null) console.log(chalk.gray(`   Distance: ${record.distance}`));
+		const trend = await heatStress.getTrend(station, 24);
+		if (trend.length > 0) {
+			const totals = {};
+			HeatStressMonitor.BANDS.forEach(band => {
+				totals[band] = trend.reduce((sum, hour) => sum + hour[`time_${band}_ms`], 0);
+			});
+			console.log(chalk.gray('\nTime in band (24 h): ') + HeatStressMonitor.BANDS
+				.map(band => BAND_COLORS[band](`${band} ${formatDuration(totals[band])}`)).join(chalk.gray(', ')));
+
+			console.log(chalk.gray('\nHour   THI avg  min   max   °C     %RH'));
+			trend.forEach(hour => {
+				const hourLabel = new Date(hour.hour_start).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+				if (!hour.readings) {
+					console.log(chalk.gray(`${hourLabel}  -`));
+					return;
+				}
+				const band = heatStress.getBand(hour.thi_avg);
+				console.log(chalk.white(`${hourLabel}  ${String(hour.thi_avg).padStart(6)}  ${String(hour.thi_min).padStart(4)}  ${String(hour.thi_max).padStart(4)}  ` +
+					`${String(hour.temperature_avg).padStart(5)}  ${String(hour.humidity_avg).padStart(5)}  `) +
+					BAND_COLORS[band]('█'.repeat(Math.max(1, Math.round((hour.thi_avg - 50) / 2))) + ` ${band}`));
 			});
 		}
 	} catch (error) {
-		console.error(chalk.red('Query error:'), error.message);
+		console.error(chalk.red('Environment error:'), error.message);
 	}
+
+	console.log(chalk.gray(`\nBands: mild ≥ ${status.bands.mild}, moderate ≥ ${status.bands.moderate}, severe ≥ ${status.bands.severe} THI` +
+		`${status.enabled ? '' : ' (disabled)'}${config.storageEnabled ? '' : ' - trend of this session only, storage disabled'}`));
+	console.log(chalk.cyan('===================\n'));
 }
 
-async function handleQueryAllCommand() {
+/**
+ * stations: every station with its latest reading and stored readings
+ * stations <station> [limit] [--from] [--to] [--output]: readings of a station
+ */
+async function handleStationsCommand(line) {
+	let args;
+	try {
+		args = parseArgs(tokenize(line).slice(1), {
+			positional: ['station?', 'limit?'],
+			options: { limit: 'int', from: 'time', to: 'time', order: ['asc', 'desc'], output: ['table', 'json', 'csv'] }
+		});
+		if (args.limit === 0) {
+			throw new Error('limit must be at least 1');
+		}
+	} catch (error) {
+		console.log(chalk.red(`Error: ${error.message}`));
+		console.log(chalk.gray('Usage: stations [station] [limit] [--from <time>] [--to <time>] [--order asc|desc] [--output table|json|csv]'));
+		return;
+	}
+
 	try {
-		const data = await queryAllData({ limit: 20 });
-		if (data.length === 0) {
-			console.log(chalk.yellow('No data found across all devices'));
+		if (args.station) {
+			await showStationReadings(args);
 		} else {
-			console.log(chalk.green(`\nFound ${data.length} records across all devices:`));
-			data.forEach((record, index) => {
-				const timestamp = record.t ? new Date(record.t).toISOString() : record.timestamp || 'N/A';
-				console.log(chalk.gray(`\n${index + 1}. ${record.mac_address} - ${record.data_type} - ${timestamp}`));
-				
-				// Display new sensor data columns
-				if (record.x !== null) console.log(chalk.gray(`   X: ${record.x}`));
-				if (record.y !== null) console.log(chalk.gray(`   Y: ${record.y}`));
-				if (record.z !== null) console.log(chalk.gray(`   Z: ${record.z}`));
-				if (record.c !== null) console.log(chalk.gray(`   Temperature: ${record.c}°C`));
-				if (record.t !== null) console.log(chalk.gray(`   Timestamp: ${record.t} (unix ms)`));
-				
-				// Display other data
-				if (record.rssi !== null) console.log(chalk.gray(`   RSSI: ${record.rssi}`));
-				if (record.battery_percentage !== null) console.log(chalk.gray(`   Battery: ${record.battery_percentage}%`));
-				if (record.ant_mac) console.log(chalk.gray(`   ANT: ${record.ant_mac}`));
-				if (record.distance !== null) console.log(chalk.gray(`   Distance: ${record.distance}`));
-			});
+			await showStations();
 		}
 	} catch (error) {
-		console.error(chalk.red('Query all error:'), error.message);
+		console.error(chalk.red('Stations error:'), error.message);
+	}
+}
+
+async function showStations() {
+	let stored = [];
+	if (config.storageEnabled && storageAdapter) {
+		await flushPendingWrites();
+		stored = await storageAdapter.getEnvironmentStations();
+	}
+	const stations = new Map(stored.map(entry => [entry.station, { stored: entry }]));
+	dataStore.stations.forEach((reading, station) => {
+		stations.set(station, { ...(stations.get(station) || {}), live: reading });
+	});
+
+	console.log(chalk.cyan.bold('\n=== Environment Stations ==='));
+	if (stations.size === 0) {
+		console.log(chalk.yellow('No environment data received or stored yet'));
+		console.log(chalk.cyan('============================\n'));
+		return;
+	}
+
+	const formatTime = (t) => (t === null || t === undefined ? '-' : new Date(t).toLocaleString());
+	[...stations.keys()].sort().forEach(station => {
+		const { live, stored } = stations.get(station);
+		const latest = live || stored;
+		const temperature = live ? (live.temperature !== undefined ? live.temperature : live.Temperature) : stored.temperature;
+		const humidity = live ? (live.humidity !== undefined ? live.humidity : live.Humidity) : stored.humidity;
+		const band = live && live.thi_band ? BAND_COLORS[live.thi_band](`  THI ${live.thi} ${live.thi_band}`) : '';
+		const seen = live ? live.lastUpdate.getTime() : latest.last_entry;
+		console.log(chalk.white(`${station.padEnd(16)} ${temperature === null || temperature === undefined ? '-' : temperature}°C  ` +
+			`${humidity === null || humidity === undefined ? '-' : humidity}% RH`) + band + chalk.gray(`  last ${formatTime(seen)}`));
+		if (stored) {
+			console.log(chalk.gray(`${''.padEnd(16)} ${stored.readings} stored, ${formatTime(stored.first_entry)} - ${formatTime(stored.last_entry)}`));
+		}
+	});
+	console.log(chalk.gray('\nReadings: stations <station> [limit] [--from <time>] [--to <time>]'));
+	console.log(chalk.cyan('============================\n'));
+}
+
+async function showStationReadings(args) {
+	const limit = args.limit || 20;
+	const data = await queryEnvironment({
+		station: args.station,
+		startDate: args.from,
+		endDate: args.to,
+		order: args.order,
+		limit
+	});
+
+	if (args.output === 'json' || args.output === 'csv') {
+		printRecords(data, { output: args.output });
+	} else if (data.length === 0) {
+		console.log(chalk.yellow(`No environment data stored for ${args.station}`));
+	} else {
+		console.log(chalk.green(`\nFound ${data.length} environment records for ${args.station}:`));
+		printRecords(data);
+		console.log();
+	}
+}
+
+function formatAlert(alert) {
+	const color = ['critical', 'moderate', 'severe'].includes(alert.level) || alert.alert_type === 'fever' ? chalk.red : chalk.yellow;
+	const flags = [];
+	if (alert.acknowledged_at) flags.push('acknowledged');
+	if (alert.snoozed_until) flags.push(`snoozed until ${new Date(alert.snoozed_until).toLocaleTimeString()}`);
+	if (alert.resolved_at) flags.push(`resolved ${new Date(alert.resolved_at).toLocaleString()}`);
+
+	let values = `${alert.last_value}% (lowest ${alert.peak_value}%)`;
+	if (alert.alert_type === 'fever') {
+		values = `${alert.last_value}°C (peak ${alert.peak_value}°C)`;
+	} else if (alert.alert_type === HeatStressMonitor.ALERT_TYPE) {
+		values = `THI ${alert.last_value} (peak ${alert.peak_value})`;
+	} else if (alert.alert_type === LivenessMonitor.ALERT_TYPE) {
+		values = `silent ${alert.last_value !== null ? `${alert.last_value} min` : 'since start'}` +
+			(alert.peak_value !== null ? `, last battery ${alert.peak_value}%` : '');
+	}
+
+	return color(`${alert.alert_type.padEnd(11)} ${alert.level.toUpperCase().padEnd(10)} ${alert.mac}  ${values}`) +
+		chalk.gray(`  since ${new Date(alert.opened_at).toLocaleString()}${flags.length ? `  [${flags.join(', ')}]` : ''}`);
+}
+
+function showAlerts() {
+	const open = getAlertEngines().flatMap(engine => engine.getOpenAlerts());
+	const battery = batteryAlerts.getStatus();
+	const fever = feverDetector.getStatus();
+	const heat = heatStress.getStatus();
+	const offline = liveness.getStatus();
+
+	console.log(chalk.cyan.bold('\n=== Open Alerts ==='));
+	if (open.length === 0) {
+		console.log(chalk.green('No open alerts'));
 	}
+	open.forEach(alert => console.log(formatAlert(alert)));
+	console.log(chalk.gray(`Battery: warning < ${battery.warning_level}%, critical < ${battery.critical_level}%, hysteresis ${battery.hysteresis}%${battery.enabled ? '' : ' (disabled)'}` +
+		` - raised ${battery.raised}, escalated ${battery.escalated}, resolved ${battery.resolved}, suppressed ${battery.suppressed}`));
+	console.log(chalk.gray(`Fever: +${fever.delta}°C for ${fever.sustained_minutes} min${fever.enabled ? '' : ' (disabled)'}` +
+		` - raised ${fever.raised}, resolved ${fever.resolved}, suppressed ${fever.suppressed} (see "health")`));
+	console.log(chalk.gray(`Heat stress: THI mild ≥ ${heat.bands.mild}, moderate ≥ ${heat.bands.moderate}, severe ≥ ${heat.bands.severe}${heat.alerts ? '' : ' (alerts disabled)'}` +
+		` - raised ${heat.raised}, escalated ${heat.escalated}, resolved ${heat.resolved}, suppressed ${heat.suppressed} (see "environment")`));
+	console.log(chalk.gray(`Offline tags: ${offline.offline} of ${offline.devices}${offline.enabled ? '' : ' (disabled)'}` +
+		` - raised ${offline.raised}, resolved ${offline.resolved}, suppressed ${offline.suppressed} (see "devices")`));
+	console.log(chalk.cyan('===================\n'));
 }
 
-async function handleExportCommand(command = '') {
-	const parts = command.split(' ');
-	const filePath = parts[1] || './data/demo_export.json';
-	
-	// Parse options
-	const options = {};
-	for (let i = 2; i < parts.length; i += 2) {
-		if (parts[i] === '--type' && parts[i + 1]) {
-			options.dataType = parts[i + 1];
-		} else if (parts[i] === '--mac' && parts[i + 1]) {
-			options.mac = parts[i + 1];
-		} else if (parts[i] === '--limit' && parts[i + 1]) {
-			options.limit = parseInt(parts[i + 1]);
+const ALERTS_ARGS = {
+	ack: { positional: ['mac'] },
+	snooze: { positional: ['mac', 'minutes?'], options: { minutes: 'int' } },
+	history: { positional: ['mac?', 'limit?'], options: { limit: 'int' } }
+};
+
+async function handleAlertsCommand(line) {
+	const [, word = '', ...tokens] = tokenize(line);
+	const action = word.toLowerCase();
+
+	try {
+		if (!ALERTS_ARGS[action]) {
+			throw new Error('Usage: alerts [ack <mac|all> | snooze <mac> [minutes] | history [mac] [limit]]');
+		}
+		let args;
+		try {
+			args = parseArgs(tokens, ALERTS_ARGS[action]);
+		} catch (error) {
+			const usage = { ack: 'alerts ack <mac|all>', snooze: 'alerts snooze <mac> [minutes]', history: 'alerts history [mac] [limit]' };
+			throw new Error(`${error.message}. Usage: ${usage[action]}`);
+		}
+
+		switch (action) {
+			case 'ack': {
+				const device = args.mac.toLowerCase() === 'all' ? 'all' : args.mac;
+				const count = getAlertEngines().reduce((sum, engine) => sum + engine.acknowledge(device), 0);
+				console.log(count > 0
+					? chalk.green(`✓ Acknowledged ${count} alert${count === 1 ? '' : 's'}`)
+					: chalk.yellow(`No unacknowledged alerts for ${args.mac}`));
+				break;
+			}
+			case 'snooze': {
+				if (args.minutes === 0) {
+					throw new Error('minutes must be at least 1');
+				}
+				let until = null;
+				getAlertEngines().forEach(engine => {
+					until = engine.snooze(args.mac, args.minutes);
+				});
+				console.log(chalk.green(`✓ Alerts for ${args.mac} snoozed until ${new Date(until).toLocaleString()}`));
+				break;
+			}
+			case 'history': {
+				if (!alertStore || !config.storageEnabled) {
+					throw new Error('Storage not enabled, alert history is only kept in SQLite');
+				}
+				await Promise.all(getAlertEngines().map(engine => engine.flush()));
+				const history = await alertStore.getHistory({ mac: args.mac ? args.mac.toUpperCase() : null, limit: args.limit || 20 });
+				console.log(chalk.cyan.bold('\n=== Alert History ==='));
+				if (history.length === 0) {
+					console.log(chalk.yellow('No alerts recorded'));
+				}
+				history.forEach(alert => console.log(formatAlert(alert)));
+				console.log(chalk.cyan('=====================\n'));
+				break;
+			}
 		}
+	} catch (error) {
+		console.error(chalk.red(error.message));
 	}
+}
 
+async function handleBackfillCommand(line) {
 	try {
-		await exportData(filePath, options);
+		const args = parseArgs(tokenize(line).slice(1), { positional: ['target'], options: { from: 'time', to: 'time' } });
+		const target = args.target.toLowerCase() === 'all' ? 'all' : args.target;
+		await runBackfill({ macs: target, from: args.from, to: args.to, reason: 'manual' });
 	} catch (error) {
-		console.error(chalk.red('Export error:'), error.message);
+		console.error(chalk.red('Backfill error:'), error.message);
+		console.log(chalk.gray('Usage: backfill <mac|all> [--from <date>] [--to <date>]'));
 	}
 }
 
-async function showConfig() {
-	if (!storageAdapter) {
+async function showBackfillLog() {
+	if (!backfill) {
+		console.log(chalk.yellow('Storage not initialized'));
+		return;
+	}
+
+	const runs = await backfill.getRecentRuns(10);
+	if (runs.length === 0) {
+		console.log(chalk.yellow('No backfill runs logged yet'));
+		return;
+	}
+
+	console.log(chalk.cyan.bold('\n=== Recent Backfill Runs ==='));
+	runs.forEach(run => {
+		const range = `${new Date(run.from_t).toISOString()} -> ${new Date(run.to_t).toISOString()}`;
+		const outcome = run.error
+			? chalk.red(`error: ${run.error}`)
+			: chalk.gray(`${run.fetched} fetched, ${run.inserted} inserted, ${run.skipped} duplicates, ${run.invalid} invalid`);
+		console.log(chalk.white(`${run.started_at} [${run.reason}] ${run.mac_address} ${range}`));
+		console.log(`  ${outcome}`);
+	});
+	console.log(chalk.cyan('============================\n'));
+}
+
+async function handleCleanupCommand(line) {
+	try {
+		const args = parseArgs(tokenize(line).slice(1), { positional: ['days?'], options: { days: 'int' } });
+		if (args.days === 0) {
+			throw new Error('days must be at least 1');
+		}
+		await cleanupOldData(args.days);
+	} catch (error) {
+		console.error(chalk.red('Cleanup error:'), error.message);
+		console.log(chalk.gray('Usage: cleanup [days]'));
+	}
+}
+
+/**
+ * "sensor 7d, battery 90d, environment forever"
+ */
+function formatRetentionPolicies() {
+	return retention.getPolicies()
+		.map(policy => `${policy.data_type} ${policy.days > 0 ? `${policy.days}d` : 'forever'}`)
+		.join(', ');
+}
+
+function formatRetentionReport(report) {
+	const byType = Object.entries(report.deleted_by_type).map(([dataType, count]) => `${dataType} ${count}`);
+	const parts = [`Deleted ${report.deleted} old records${byType.length ? ` (${byType.join(', ')})` : ''}`];
+	if (report.rollup_buckets > 0) {
+		parts.push(`${report.rollup_buckets} rollup buckets updated`);
+	}
+	if (report.rollups_deleted > 0) {
+		parts.push(`${report.rollups_deleted} expired rollups removed`);
+	}
+	return parts.join(', ');
+}
+
+async function showRetention() {
+	if (!retention) {
+		console.log(chalk.yellow('Storage not initialized'));
+		return;
+	}
+
+	const status = retention.getStatus();
+	console.log(chalk.cyan.bold('\n=== Retention ==='));
+	console.log(chalk.white(`Schedule: ${status.scheduled ? `every ${formatDuration(status.interval_ms)}` : 'off (cleanup runs it manually)'}`));
+	console.log(chalk.white(`Rollups: ${status.rollups ? `hourly and daily, kept ${status.rollup_days} days` : 'off'}`));
+	retention.getPolicies().forEach(policy => {
+		const kept = policy.days > 0
+			? `${policy.days} days (older than ${new Date(policy.cutoff).toISOString()})`
+			: 'forever';
+		console.log(chalk.white(`  ${policy.data_type.padEnd(12)} ${kept}`) + chalk.gray(`  rollups: ${policy.rollup_fields.join(', ')}`));
+	});
+
+	const runs = await retention.getRecentRuns(10);
+	console.log(chalk.cyan.bold('\nRecent runs:'));
+	if (runs.length === 0) {
+		console.log(chalk.gray('  none yet'));
+	}
+	runs.forEach(run => {
+		const outcome = run.error
+			? chalk.red(`error: ${run.error}`)
+			: chalk.gray(formatRetentionReport(run));
+		console.log(chalk.white(`  ${run.started_at}`) + ` ${outcome}`);
+	});
+	console.log(chalk.cyan('=================\n'));
+}
+
+async function handleRollupsCommand(line) {
+	let args;
+	try {
+		args = parseArgs(tokenize(line).slice(1), {
+			positional: ['source', 'field'],
+			options: { period: ['hour', 'day'], from: 'time', to: 'time', limit: 'int' }
+		});
+	} catch (error) {
+		console.error(chalk.red('Rollups error:'), error.message);
+		console.log(chalk.gray('Usage: rollups <mac|station|environment> <field> [--period hour|day] [--from <date>] [--to <date>] [--limit <n>]'));
+		return;
+	}
+
+	if (!retention) {
 		console.log(chalk.yellow('Storage not initialized'));
 		return;
 	}
 
-	const config = storageAdapter.getConfig();
-	console.log(chalk.cyan.bold('\n=== Storage Configuration ==='));
-	Object.entries(config).forEach(([key, value]) => {
-		console.log(chalk.white(`${key}: ${value}`));
+	const rows = await retention.getRollups({
+		source: args.source,
+		field: args.field.toLowerCase(),
+		period: args.period || 'hour',
+		startDate: args.from,
+		endDate: args.to,
+		limit: args.limit || 48
+	});
+	if (rows.length === 0) {
+		console.log(chalk.yellow(`No ${args.period || 'hour'} rollups of ${args.field} for ${args.source}`));
+		return;
+	}
+
+	console.log(chalk.cyan.bold(`\n=== ${args.source} ${args.field} per ${args.period || 'hour'} ===`));
+	console.log(chalk.gray(`${'bucket'.padEnd(26)}${'type'.padEnd(13)}${'count'.padStart(7)}${'avg'.padStart(10)}${'min'.padStart(10)}${'max'.padStart(10)}`));
+	rows.forEach(row => {
+		console.log(chalk.white(new Date(row.bucket_start).toISOString().padEnd(26) + row.data_type.padEnd(13) +
+			String(row.count).padStart(7) + row.avg.toFixed(2).padStart(10) +
+			row.min.toFixed(2).padStart(10) + row.max.toFixed(2).padStart(10)));
+	});
+	console.log(chalk.cyan('================\n'));
+}
+
+async function showConfig() {
+	console.log(chalk.cyan.bold('\n=== Effective Configuration ==='));
+	if (configFile) {
+		console.log(chalk.gray(`Config file: ${configFile}`));
+	}
+	describeConfig(config, configSources).forEach(({ key, value, source }) => {
+		const shown = typeof value === 'object' ? JSON.stringify(value) : value;
+		const sourceColor = source === 'default' ? chalk.gray : chalk.green;
+		console.log(chalk.white(`${key}: ${shown}`) + ' ' + sourceColor(`(${source})`));
 	});
+
+	if (storageAdapter) {
+		console.log(chalk.cyan.bold('\n=== Storage Configuration ==='));
+		Object.entries(storageAdapter.getConfig()).forEach(([key, value]) => {
+			const shown = typeof value === 'object' ? JSON.stringify(value) : value;
+			console.log(chalk.white(`${key}: ${shown}`));
+		});
+	} else {
+		console.log(chalk.yellow('\nStorage not initialized'));
+	}
 	console.log(chalk.cyan('=============================\n'));
 }
 
+/**
+ * Load layered configuration (defaults < config file < env < CLI flags)
+ */
+function applyConfig(argv = process.argv.slice(2), env = process.env) {
+	const loaded = loadConfig({ argv, env });
+	Object.assign(config, loaded.config);
+	configSources = loaded.sources;
+	configFile = loaded.configFile;
+	return loaded;
+}
+
+const EXIT_CODES = { ok: 0, failed: 1, usage: 2 };
+
+/**
+ * cleanup [days] for the command line, without days the retention policies apply
+ */
+async function runCleanupCommand(tokens) {
+	let args;
+	try {
+		args = parseArgs(tokens.slice(1), { positional: ['days?'], options: { days: 'int' } });
+	} catch (error) {
+		console.error(chalk.red(`Error: ${error.message}`));
+		console.error(chalk.gray('Usage: cleanup [days]'));
+		return false;
+	}
+
+	try {
+		await cleanupOldData(args.days || null);
+		return true;
+	} catch (error) {
+		console.error(chalk.red('Cleanup error:'), error.message);
+		return false;
+	}
+}
+
+/**
+ * stats [--output table|json] for the command line
+ */
+async function runStatsCommand(tokens) {
+	let args;
+	try {
+		args = parseArgs(tokens.slice(1), { options: { output: ['table', 'json'] } });
+	} catch (error) {
+		console.error(chalk.red(`Error: ${error.message}`));
+		console.error(chalk.gray('Usage: stats [--output table|json]'));
+		return false;
+	}
+
+	const status = await getStorageStatus();
+	if (status.error) {
+		console.error(chalk.red('Error getting storage status:'), status.error);
+		return false;
+	}
+	if (args.output === 'json') {
+		console.log(JSON.stringify({ database: config.storageConfig.database_path, tables: status.stats, stations: status.stations }, null, 2));
+	} else {
+		await showStorageStatus();
+	}
+	return true;
+}
+
+/**
+ * One-shot subcommands, run against the database without connecting:
+ *   node index.js <command> [arguments] [configuration flags]
+ */
+const CLI_COMMANDS = {
+	query: handleQueryCommand,
+	export: handleExportCommand,
+	import: handleImportCommand,
+	cleanup: runCleanupCommand,
+	stats: runStatsCommand
+};
+
+/**
+ * Open the database, run a subcommand and return its exit code
+ */
+async function runCliCommand(name, args) {
+	const databasePath = config.storageConfig.database_path;
+	if (name !== 'import' && !fs.existsSync(databasePath)) {
+		console.error(chalk.red(`Database ${databasePath} not found`));
+		return EXIT_CODES.failed;
+	}
+
+	// Storage log lines would end up in the output of query/export pipes
+	if (configSources['storageConfig.enable_logging'] === 'default') {
+		config.storageConfig.enable_logging = false;
+	}
+
+	try {
+		storageAdapter = new StandaloneSQLiteStorage(config.storageConfig);
+		await storageAdapter.initialize();
+		deviceRegistry = new DeviceRegistry(storageAdapter);
+		await deviceRegistry.ensureTable();
+		await setupRetention();
+		config.storageEnabled = true;
+	} catch (error) {
+		console.error(chalk.red(`Failed to open ${databasePath}:`), error.message);
+		return EXIT_CODES.failed;
+	}
+
+	let ok = false;
+	try {
+		ok = await CLI_COMMANDS[name]([name, ...args]);
+	} finally {
+		try {
+			await storageAdapter.close();
+		} catch (error) {
+			ok = false;
+			console.error(chalk.red('Failed to close the database:'), error.message);
+		}
+	}
+	return ok ? EXIT_CODES.ok : EXIT_CODES.failed;
+}
+
 /**
  * Main application
  */
 async function main() {
+	// Configuration flags can go before or after a subcommand
+	const argv = process.argv.slice(2);
+	const split = splitConfigArgs(argv);
+	const command = split.rest.length > 0 && CLI_COMMANDS[split.rest[0]] ? split.rest[0] : null;
+
+	try {
+		const loaded = applyConfig(command ? split.configArgs : argv);
+		if (!command && loaded.positional.length > 0) {
+			console.error(chalk.red(`Unknown command "${loaded.positional[0]}", use one of: ${Object.keys(CLI_COMMANDS).join(', ')}`));
+			process.exit(EXIT_CODES.usage);
+		}
+	} catch (error) {
+		console.error(chalk.red(error.message));
+		console.error(chalk.gray('See README "Configuration" for the available options.'));
+		process.exit(1);
+	}
+
+	if (command) {
+		process.exitCode = await runCliCommand(command, split.rest.slice(1));
+		return;
+	}
+
 	console.log(chalk.cyan.bold("BioCV Standalone Mode - Enhanced Integration Demo"));
 	console.log(
 		chalk.gray(
@@ -576,11 +3071,41 @@ async function main() {
 	);
 	console.log(chalk.gray("Now featuring completely independent SQLite storage!"));
 
+	if (config.dashboard.enabled && !(process.stdout.isTTY && process.stdin.isTTY)) {
+		console.error(chalk.red('--dashboard needs an interactive terminal'));
+		process.exit(1);
+	}
+
+	setupAlerts();
+	setupPositioning();
+	setupActivity();
+	setupLiveness();
+	setupValidation();
+
 	// Initialize storage if enabled
 	if (config.storageConfig.enabled) {
 		await initializeStorage();
 	}
 
+	// Start the local HTTP query API if enabled
+	if (config.httpApi.enabled) {
+		await startHttpApi();
+	}
+
+	// The dashboard takes over the terminal instead of the prompt
+	if (config.dashboard.enabled) {
+		startDashboard();
+		connectWebSocket();
+		return;
+	}
+
+	// Headless: only ingest, without reading commands from stdin
+	if (config.daemon) {
+		connectWebSocket();
+		console.log(chalk.gray(`Running headless (pid ${process.pid}). Send SIGINT or SIGTERM to stop.\n`));
+		return;
+	}
+
 	// Connect to WebSocket
 	connectWebSocket();
 
@@ -591,26 +3116,121 @@ async function main() {
 	rl.prompt();
 }
 
-// Handle graceful shutdown
-process.on("SIGINT", async () => {
-	console.log(chalk.yellow("\nShutting down demo..."));
-	
-	// Clean up storage adapter
+/**
+ * Resolve to true if the promise settles within ms, false otherwise
+ */
+function settleWithin(promise, ms) {
+	let timer;
+	const timeout = new Promise(resolve => {
+		timer = setTimeout(() => resolve(false), ms);
+	});
+	return Promise.race([promise.then(() => true, () => true), timeout])
+		.finally(() => clearTimeout(timer));
+}
+
+/**
+ * Graceful shutdown: stop taking in messages, write what is queued (for at
+ * most shutdown.timeout_ms), close the WebSocket and the database. Exits with
+ * 1 if the writes did not finish in time, rows could not be written or the
+ * database failed to close. A second signal exits right away.
+ */
+async function shutdown(signal) {
+	if (shuttingDown) {
+		if (signal) {
+			console.error(chalk.red(`\n${signal} again, exiting without waiting for pending writes`));
+			process.exit(EXIT_CODES.failed);
+		}
+		return;
+	}
+	shuttingDown = true;
+
+	// Leave the dashboard screen first so the messages below stay visible
+	if (dashboard) {
+		dashboard.stop();
+	}
+
+	console.log(chalk.yellow(`\nShutting down${signal ? ` (${signal})` : ''}...`));
+
+	// Nothing new is processed from here on
+	if (connection) {
+		connection.pauseIngestion();
+	}
+	if (liveness) liveness.stop();
+	if (activity) activity.stop();
+	if (retention) retention.stop();
+	if (watchSession) {
+		clearInterval(watchSession.timer);
+		watchSession = null;
+	}
+
+	const failedBefore = writeQueue ? writeQueue.getStats().failed : 0;
+	const pending = writeQueue ? writeQueue.getStats().depth : 0;
+	const writes = Promise.all([
+		writeQueue ? writeQueue.drain() : null,
+		...getAlertEngines().map(engine => engine.flush()),
+		activity ? activity.flush() : null,
+		validator ? validator.flush() : null,
+		retention ? retention.running : null
+	]);
+
+	const [, drained] = await Promise.all([
+		connection ? connection.stop(1001, 'Client shutting down') : null,
+		settleWithin(writes, config.shutdown.timeout_ms),
+		httpApi ? httpApi.stop() : null
+	]);
+
+	let lost = 0;
+	if (writeQueue) {
+		writeQueue.stop();
+		const stats = writeQueue.getStats();
+		if (!drained && stats.depth > 0 && stats.overflow_policy === 'spill') {
+			const spilled = writeQueue.spillQueued();
+			console.log(chalk.yellow(`Moved ${spilled} queued rows to ${config.writeQueue.spill_path}, they are written on the next start`));
+		}
+		// Rows of a batch still being written when the timeout expired count as lost
+		const remaining = writeQueue.getStats();
+		lost = remaining.depth + remaining.in_flight + remaining.failed - failedBefore;
+	}
+
+	if (!drained) {
+		console.error(chalk.red(`Pending writes did not finish within ${config.shutdown.timeout_ms} ms` +
+			(lost > 0 ? `, ${lost} rows were not written` : '')));
+	} else if (lost > 0) {
+		console.error(chalk.red(`${lost} rows failed to write`));
+	} else if (pending > 0) {
+		console.log(chalk.green(`✓ Wrote ${pending} queued rows`));
+	}
+
+	// After a timeout writes may still be running, closing can fail then
+	let closed = true;
 	if (storageAdapter) {
 		try {
-			await storageAdapter.cleanup();
+			await storageAdapter.close();
 		} catch (error) {
-			console.error(chalk.red('Error cleaning up storage:'), error.message);
+			closed = false;
+			console.error(chalk.red('Failed to close the database:'), error.message);
 		}
 	}
-	
-	// Close readline interface
+
 	if (rl) {
 		rl.close();
 	}
-	
-	process.exit(0);
-});
+	console.log(chalk.yellow('Goodbye!'));
+	process.exit(drained && closed && lost === 0 ? EXIT_CODES.ok : EXIT_CODES.failed);
+}
+
+/**
+ * Shut down, exiting with 1 if shutting down itself fails
+ */
+function requestShutdown(signal) {
+	return shutdown(signal).catch(error => {
+		console.error(chalk.red('Shutdown failed:'), error.message);
+		process.exit(EXIT_CODES.failed);
+	});
+}
+
+process.on('SIGINT', () => requestShutdown('SIGINT'));
+process.on('SIGTERM', () => requestShutdown('SIGTERM'));
 
 // Start the demo
 if (require.main === module) {
@@ -626,12 +3246,21 @@ module.exports = {
 	processAntData,
 	processEnvironmentData,
 	initializeStorage,
+	flushPendingWrites,
 	enableStorage,
 	disableStorage,
 	getStorageStatus,
 	queryStoredData,
 	queryAllData,
+	queryEnvironment,
 	exportData,
+	importData,
+	replayRecord,
+	runBackfill,
 	cleanupOldData,
 	showConfig,
+	applyConfig,
+	getLiveSnapshot,
+	startHttpApi,
+	handleMessage,
 };
@@ -0,0 +1,407 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * Device Liveness
+ * Tracks when every tag was last heard from (overall and per data type),
+ * learns how often each tag normally reports and flags tags that stay silent
+ * past a threshold as offline, and as recovered when they report again.
+ * Online/offline transitions are kept in SQLite.
+ */
+
+const AlertEngine = require('./alert-engine');
+
+const ALERT_TYPE = 'offline';
+const DATA_TYPES = ['sensor', 'battery', 'ant'];
+const INTERVAL_SAMPLES = 20;
+const MIN_INTERVAL_SAMPLES = 5;
+
+function median(values) {
+	const sorted = [...values].sort((a, b) => a - b);
+	const middle = Math.floor(sorted.length / 2);
+	return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function describeDuration(ms) {
+	return ms >= 60000 ? `${Math.round(ms / 60000)} min` : `${Math.round(ms / 1000)}s`;
+}
+
+function toMinutes(ms) {
+	return Math.round(ms / 6000) / 10;
+}
+
+/**
+ * Liveness monitor, see AlertEngine for the events. Also emits
+ *   'transition' - ({ mac, status, at, last_seen, silent_ms }) when a tag goes online or offline
+ */
+class LivenessMonitor extends AlertEngine {
+	/**
+	 * @param {object} [config] - liveness config
+	 * @param {number} [config.expected_interval_ms] - reporting interval of every tag, 0 to learn it per tag
+	 * @param {number} [config.silence_factor] - expected intervals of silence before a tag is offline
+	 * @param {number} [config.silence_ms] - fixed silence threshold, 0 to derive it from the interval
+	 * @param {number} [config.min_silence_ms] - lower bound of the derived threshold
+	 * @param {number} [config.default_silence_ms] - threshold until a tag's interval is learned
+	 * @param {number} [config.check_interval_ms] - how often silent tags are checked
+	 */
+	constructor(config = {}) {
+		const snoozeMinutes = config.snooze_minutes || 60;
+		super(ALERT_TYPE, { snooze_minutes: snoozeMinutes });
+
+		this.config = {
+			enabled: config.enabled !== false,
+			expected_interval_ms: config.expected_interval_ms || 0,
+			silence_factor: config.silence_factor || 5,
+			silence_ms: config.silence_ms || 0,
+			min_silence_ms: config.min_silence_ms !== undefined ? config.min_silence_ms : 60000,
+			default_silence_ms: config.default_silence_ms || 300000,
+			check_interval_ms: config.check_interval_ms || 10000,
+			snooze_minutes: snoozeMinutes
+		};
+
+		// mac -> device state
+		this.devices = new Map();
+		this.storage = null;
+		this.tableReady = false;
+		this.writeChain = Promise.resolve();
+		this.timer = null;
+		// Silence is only counted while messages can arrive
+		this.receiving = true;
+		this.receivingSince = Date.now();
+		this.stats.messages = 0;
+	}
+
+	/**
+	 * Attach (or detach with null) SQLite storage: stored devices become known
+	 * with their last reading, open offline alerts are restored
+	 */
+	async setStorage(storage, store) {
+		this.storage = storage;
+		this.tableReady = false;
+		if (storage) {
+			await this.ensureTable();
+			await this.restoreDevices();
+		}
+		await this.setStore(store);
+
+		this.active.forEach(alert => {
+			const device = this.getDevice(alert.mac, true);
+			device.status = 'offline';
+			device.offline_since = device.offline_since || Date.parse(alert.opened_at);
+		});
+	}
+
+	async ensureTable() {
+		if (this.tableReady) {
+			return;
+		}
+
+		await this.storage.run(`
+			CREATE TABLE IF NOT EXISTS biocv_device_transitions (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				mac_address TEXT NOT NULL,
+				status TEXT NOT NULL,
+				at INTEGER NOT NULL,
+				last_seen INTEGER,
+				silent_ms INTEGER,
+				expected_interval_ms INTEGER
+			)
+		`);
+		await this.storage.run(`
+			CREATE INDEX IF NOT EXISTS idx_biocv_device_transitions_mac ON biocv_device_transitions(mac_address, at)
+		`);
+		this.tableReady = true;
+	}
+
+	async restoreDevices() {
+		for (const storedMac of await this.storage.getDeviceMacs()) {
+			const mac = AlertEngine.normalizeMac(storedMac);
+			if (this.devices.has(mac)) {
+				continue;
+			}
+
+			const table = this.storage.sanitizeMacForTableName(storedMac);
+			const byType = await this.storage.all(`
+				SELECT data_type, MAX(t) as last FROM "${table}" GROUP BY data_type
+			`);
+			const latest = await this.storage.get(`
+				SELECT
+					(SELECT battery_percentage FROM "${table}" WHERE data_type = 'battery' ORDER BY t DESC LIMIT 1) as battery,
+					(SELECT rssi FROM "${table}" WHERE rssi IS NOT NULL ORDER BY t DESC LIMIT 1) as rssi
+			`);
+			const transition = await this.storage.get(`
+				SELECT status FROM biocv_device_transitions WHERE mac_address = ? ORDER BY at DESC, id DESC LIMIT 1
+			`, [mac]);
+
+			const device = this.getDevice(mac, true);
+			byType.filter(row => DATA_TYPES.includes(row.data_type) && row.last).forEach(row => {
+				device.last_seen_by_type[row.data_type] = row.last;
+				device.last_seen = Math.max(device.last_seen || 0, row.last);
+			});
+			device.battery = latest ? latest.battery : null;
+			device.last_rssi = latest ? latest.rssi : null;
+			device.status = transition ? transition.status : 'unknown';
+		}
+	}
+
+	/**
+	 * Check for silent tags periodically
+	 */
+	start() {
+		this.stop();
+		this.timer = setInterval(() => this.check(), this.config.check_interval_ms);
+		this.timer.unref();
+	}
+
+	stop() {
+		clearInterval(this.timer);
+		this.timer = null;
+	}
+
+	/**
+	 * Pause silence detection while no messages can arrive (disconnected, ingestion paused)
+	 */
+	setReceiving(receiving, now = Date.now()) {
+		if (receiving && !this.receiving) {
+			this.receivingSince = now;
+		}
+		this.receiving = receiving;
+	}
+
+	getDevice(mac, create = false) {
+		if (!this.devices.has(mac) && create) {
+			this.devices.set(mac, {
+				mac,
+				status: 'unknown',
+				first_seen: null,
+				last_seen: null,
+				last_seen_by_type: {},
+				last_rssi: null,
+				battery: null,
+				gaps: [],
+				messages: 0,
+				offline_since: null
+			});
+		}
+		return this.devices.get(mac) || null;
+	}
+
+	/**
+	 * Record a message from a tag
+	 */
+	record(device, dataType, data = {}, now = Date.now()) {
+		if (!this.config.enabled) {
+			return;
+		}
+
+		const mac = AlertEngine.normalizeMac(device);
+		const entry = this.getDevice(mac, true);
+		const previousSeen = entry.last_seen;
+
+		// Gaps of a tag that was offline, or spanning a time messages couldn't
+		// arrive (restart, disconnect), are outages, not its reporting interval
+		if (previousSeen !== null && entry.status === 'online' && previousSeen >= this.receivingSince && now > previousSeen) {
+			entry.gaps.push(now - previousSeen);
+			if (entry.gaps.length > INTERVAL_SAMPLES) {
+				entry.gaps.shift();
+			}
+		}
+
+		entry.first_seen = entry.first_seen || now;
+		entry.last_seen = now;
+		entry.last_seen_by_type[dataType] = now;
+		entry.messages++;
+		this.stats.messages++;
+		if (Number.isFinite(data.rssi)) {
+			entry.last_rssi = data.rssi;
+		}
+		if (dataType === 'battery' && Number.isFinite(data.percentage)) {
+			entry.battery = data.percentage;
+		}
+
+		if (entry.status !== 'online') {
+			const wasOffline = entry.status === 'offline';
+			entry.status = 'online';
+			entry.offline_since = null;
+			this.saveTransition(entry, now, previousSeen !== null ? now - previousSeen : null);
+
+			const alert = this.active.get(mac);
+			if (wasOffline && alert) {
+				alert.last_value = previousSeen !== null ? toMinutes(now - previousSeen) : alert.value;
+				alert.peak_value = entry.battery;
+				this.resolveAlert(alert);
+			}
+		}
+	}
+
+	/**
+	 * Expected reporting interval of a tag: configured, else learned, else null
+	 */
+	getExpectedInterval(entry) {
+		if (this.config.expected_interval_ms) {
+			return this.config.expected_interval_ms;
+		}
+		return entry.gaps.length >= MIN_INTERVAL_SAMPLES ? Math.round(median(entry.gaps)) : null;
+	}
+
+	getSilenceThreshold(entry) {
+		if (this.config.silence_ms) {
+			return this.config.silence_ms;
+		}
+		const expected = this.getExpectedInterval(entry);
+		return expected !== null
+			? Math.max(this.config.min_silence_ms, expected * this.config.silence_factor)
+			: this.config.default_silence_ms;
+	}
+
+	/**
+	 * Silence counted for offline detection: since the last message, or since
+	 * messages could arrive again if that is later
+	 */
+	getSilence(entry, now = Date.now()) {
+		return now - Math.max(entry.last_seen || 0, this.receivingSince);
+	}
+
+	/**
+	 * Flag tags silent past their threshold as offline
+	 */
+	check(now = Date.now()) {
+		if (!this.config.enabled || !this.receiving) {
+			return;
+		}
+
+		this.devices.forEach(entry => {
+			if (entry.status !== 'offline' && this.getSilence(entry, now) > this.getSilenceThreshold(entry)) {
+				this.markOffline(entry, now);
+			}
+		});
+	}
+
+	markOffline(entry, now) {
+		const silentMs = entry.last_seen !== null ? now - entry.last_seen : null;
+		const expected = this.getExpectedInterval(entry);
+		entry.status = 'offline';
+		entry.offline_since = now;
+		this.saveTransition(entry, now, silentMs);
+
+		const silentMinutes = silentMs !== null ? toMinutes(silentMs) : null;
+		const battery = entry.battery !== null ? `, last battery ${entry.battery}%` : '';
+		this.openAlert(entry.mac, {
+			level: 'offline',
+			message: `TAG OFFLINE ${entry.mac}: ` +
+				(silentMs !== null ? `silent for ${describeDuration(silentMs)}` : 'not heard from since start') +
+				(expected !== null ? ` (reports every ${describeDuration(expected)})` : '') + battery,
+			value: silentMinutes,
+			last_value: silentMinutes,
+			peak_value: entry.battery,
+			details: {
+				last_seen: entry.last_seen,
+				last_seen_by_type: { ...entry.last_seen_by_type },
+				expected_interval_ms: expected,
+				threshold_ms: this.getSilenceThreshold(entry),
+				last_rssi: entry.last_rssi,
+				battery: entry.battery
+			}
+		});
+	}
+
+	saveTransition(entry, at, silentMs) {
+		const transition = {
+			mac: entry.mac,
+			status: entry.status,
+			at,
+			last_seen: entry.last_seen,
+			silent_ms: silentMs,
+			expected_interval_ms: this.getExpectedInterval(entry)
+		};
+		this.emit('transition', transition);
+
+		if (!this.storage) {
+			return;
+		}
+
+		const storage = this.storage;
+		this.writeChain = this.writeChain.then(() => storage.withWriteLock(() => storage.run(`
+			INSERT INTO biocv_device_transitions (mac_address, status, at, last_seen, silent_ms, expected_interval_ms)
+			VALUES (?, ?, ?, ?, ?, ?)
+		`, [transition.mac, transition.status, transition.at, transition.last_seen, transition.silent_ms, transition.expected_interval_ms])))
+			.catch(error => {
+				if (this.listenerCount('error') > 0) {
+					this.emit('error', error);
+				}
+			});
+	}
+
+	/**
+	 * Wait for pending transition and alert writes
+	 */
+	flush() {
+		return Promise.all([this.writeChain, super.flush()]);
+	}
+
+	/**
+	 * Stored transitions, newest first
+	 */
+	async getTransitions({ mac = null, limit = 20 } = {}) {
+		if (!this.storage) {
+			return [];
+		}
+
+		await this.flush();
+		return mac
+			? this.storage.all(`
+				SELECT * FROM biocv_device_transitions WHERE mac_address = ? ORDER BY at DESC, id DESC LIMIT ?
+			`, [AlertEngine.normalizeMac(mac), limit])
+			: this.storage.all(`
+				SELECT * FROM biocv_device_transitions ORDER BY at DESC, id DESC LIMIT ?
+			`, [limit]);
+	}
+
+	summarize(entry, now = Date.now()) {
+		return {
+			mac: entry.mac,
+			status: entry.status,
+			first_seen: entry.first_seen,
+			last_seen: entry.last_seen,
+			last_seen_by_type: { ...entry.last_seen_by_type },
+			silent_ms: entry.last_seen !== null ? now - entry.last_seen : null,
+			last_rssi: entry.last_rssi,
+			battery: entry.battery,
+			messages: entry.messages,
+			expected_interval_ms: this.getExpectedInterval(entry),
+			threshold_ms: this.getSilenceThreshold(entry),
+			offline_since: entry.offline_since
+		};
+	}
+
+	/**
+	 * Every known tag, offline first, then by MAC
+	 */
+	getDevices() {
+		const order = { offline: 0, unknown: 1, online: 2 };
+		return [...this.devices.values()]
+			.map(entry => this.summarize(entry))
+			.sort((a, b) => order[a.status] - order[b.status] || a.mac.localeCompare(b.mac));
+	}
+
+	getDeviceStatus(mac) {
+		const entry = this.devices.get(AlertEngine.normalizeMac(mac));
+		return entry ? this.summarize(entry) : null;
+	}
+
+	getStatus() {
+		const counts = { online: 0, offline: 0, unknown: 0 };
+		this.devices.forEach(entry => counts[entry.status]++);
+		return {
+			...this.config,
+			devices: this.devices.size,
+			...counts,
+			receiving: this.receiving,
+			...super.getStatus()
+		};
+	}
+}
+
+LivenessMonitor.ALERT_TYPE = ALERT_TYPE;
+LivenessMonitor.DATA_TYPES = DATA_TYPES;
+
+module.exports = LivenessMonitor;
@@ -0,0 +1,399 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * Message Validator
+ * Checks every inbound sensorData, batteryData, antData and environmentData
+ * message against a schema (field types and plausible ranges), normalizes MAC
+ * addresses to AA:BB:CC:DD:EE:FF and field aliases to one name (T -> c,
+ * battery_percentage -> percentage, Temperature -> temperature). Messages that
+ * fail are kept with the reason in a SQLite dead-letter table.
+ */
+
+const EventEmitter = require('events');
+
+/**
+ * Plausible [min, max] per numeric field, overridable with config.ranges
+ */
+const DEFAULT_RANGES = {
+	x: [-16, 16],
+	y: [-16, 16],
+	z: [-16, 16],
+	c: [-20, 60],
+	rssi: [-150, 20],
+	weight: [0, 2000],
+	percentage: [0, 100],
+	distance: [0, 1000],
+	temperature: [-50, 60],
+	humidity: [0, 100]
+};
+
+/**
+ * Schema per message type:
+ *   macs    - fields holding a MAC address (all required)
+ *   fields  - numeric fields with their aliases, required ones are marked
+ *   anyOf   - at least one of these fields must be present
+ */
+const SCHEMAS = {
+	sensorData: {
+		macs: ['mac'],
+		fields: {
+			x: {},
+			y: {},
+			z: {},
+			c: { aliases: ['T'] },
+			rssi: {},
+			weight: {}
+		},
+		anyOf: ['x', 'y', 'z', 'c']
+	},
+	batteryData: {
+		macs: ['mac'],
+		fields: {
+			percentage: { aliases: ['battery_percentage'], required: true },
+			rssi: {}
+		}
+	},
+	antData: {
+		macs: ['macAnt', 'macTag'],
+		fields: {
+			distance: { required: true },
+			rssi: {}
+		}
+	},
+	environmentData: {
+		macs: [],
+		fields: {
+			temperature: { aliases: ['Temperature'] },
+			humidity: { aliases: ['Humidity'] }
+		},
+		anyOf: ['temperature', 'humidity']
+	}
+};
+
+const MESSAGE_TYPES = Object.keys(SCHEMAS);
+
+function isSet(value) {
+	return value !== undefined && value !== null;
+}
+
+/**
+ * Canonical AA:BB:CC:DD:EE:FF form of a MAC written with colons, dashes,
+ * dots or no separators in any case, null if it is not a MAC
+ */
+function normalizeMac(value) {
+	if (typeof value !== 'string') {
+		return null;
+	}
+	const hex = value.trim().replace(/[:.\-\s]/g, '');
+	return /^[0-9a-f]{12}$/i.test(hex) ? hex.toUpperCase().match(/../g).join(':') : null;
+}
+
+/**
+ * Numbers and numeric strings as a number, NaN otherwise
+ */
+function toNumber(value) {
+	if (typeof value === 'number') {
+		return value;
+	}
+	if (typeof value === 'string' && value.trim() !== '') {
+		return Number(value);
+	}
+	return NaN;
+}
+
+function counters() {
+	return { received: 0, valid: 0, invalid: 0, normalized: 0 };
+}
+
+/**
+ * Message validator. Emits
+ *   'invalid' - ({ type, reason, message }) for every rejected message
+ *   'error'   - (error) when a dead letter could not be stored
+ */
+class MessageValidator extends EventEmitter {
+	/**
+	 * @param {object} [config] - validation config
+	 * @param {boolean} [config.enabled] - validate messages, false passes them through unchanged
+	 * @param {boolean} [config.dead_letter] - keep rejected messages in SQLite
+	 * @param {number} [config.max_dead_letters] - dead letters kept, older ones are deleted
+	 * @param {object} [config.ranges] - [min, max] per field, merged over DEFAULT_RANGES
+	 */
+	constructor(config = {}) {
+		super();
+		this.config = {
+			enabled: config.enabled !== false,
+			dead_letter: config.dead_letter !== false,
+			max_dead_letters: config.max_dead_letters || 10000,
+			ranges: { ...DEFAULT_RANGES, ...(config.ranges || {}) }
+		};
+
+		const unknown = Object.keys(this.config.ranges).find(field => !DEFAULT_RANGES[field]);
+		if (unknown) {
+			throw new Error(`Unknown field "${unknown}" in validation ranges (expected ${Object.keys(DEFAULT_RANGES).join(', ')})`);
+		}
+
+		this.storage = null;
+		this.tableReady = false;
+		this.writeChain = Promise.resolve();
+		this.resetStats();
+	}
+
+	/**
+	 * Attach (or detach with null) the SQLite storage dead letters are written to
+	 */
+	async setStorage(storage) {
+		this.storage = storage;
+		this.tableReady = false;
+		if (storage) {
+			await this.ensureTable();
+		}
+	}
+
+	async ensureTable() {
+		if (this.tableReady) {
+			return;
+		}
+
+		await this.storage.run(`
+			CREATE TABLE IF NOT EXISTS biocv_dead_letters (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				received_at INTEGER NOT NULL,
+				message_type TEXT,
+				mac_address TEXT,
+				reason TEXT NOT NULL,
+				raw_message TEXT
+			)
+		`);
+		await this.storage.run(`
+			CREATE INDEX IF NOT EXISTS idx_biocv_dead_letters_received ON biocv_dead_letters(received_at)
+		`);
+		this.tableReady = true;
+	}
+
+	resetStats() {
+		this.stats = {
+			since: Date.now(),
+			...counters(),
+			by_type: {},
+			reasons: {},
+			dead_letters_stored: 0,
+			dead_letters_failed: 0
+		};
+	}
+
+	/**
+	 * Validate and normalize a parsed message. Returns { valid: true, message }
+	 * with a normalized copy, or { valid: false, reason }. Message types
+	 * without a schema (e.g. connection) pass through unchanged.
+	 */
+	validate(message) {
+		const schema = message && SCHEMAS[message.type];
+		if (!this.config.enabled || !schema) {
+			return { valid: true, message };
+		}
+
+		const typeStats = this.getTypeStats(message.type);
+		this.stats.received++;
+		typeStats.received++;
+
+		const result = this.check(message, schema);
+		if (!result.valid) {
+			this.reject(message, result.reason, result.code);
+			return result;
+		}
+
+		this.stats.valid++;
+		typeStats.valid++;
+		if (result.normalized) {
+			this.stats.normalized++;
+			typeStats.normalized++;
+		}
+		return { valid: true, message: result.message };
+	}
+
+	check(message, schema) {
+		const fail = (field, problem, detail = '') => ({
+			valid: false,
+			code: `${field} ${problem}`,
+			reason: `${field} ${problem}${detail}`
+		});
+
+		if (!message.data || typeof message.data !== 'object' || Array.isArray(message.data)) {
+			return fail('data', 'missing');
+		}
+
+		const data = { ...message.data };
+		let normalized = false;
+
+		for (const field of schema.macs) {
+			if (!isSet(data[field])) {
+				return fail(field, 'missing');
+			}
+			const mac = normalizeMac(data[field]);
+			if (!mac) {
+				return fail(field, 'is not a MAC address', `: ${JSON.stringify(data[field])}`);
+			}
+			normalized = normalized || mac !== data[field];
+			data[field] = mac;
+		}
+
+		for (const [field, spec] of Object.entries(schema.fields)) {
+			// The first alias that is set wins when the canonical name is missing
+			const alias = (spec.aliases || []).find(name => isSet(data[name]));
+			if (!isSet(data[field]) && alias) {
+				data[field] = data[alias];
+				normalized = true;
+			}
+			(spec.aliases || []).forEach(name => delete data[name]);
+
+			if (!isSet(data[field])) {
+				if (spec.required) {
+					return fail(field, 'missing');
+				}
+				continue;
+			}
+
+			const value = toNumber(data[field]);
+			if (!Number.isFinite(value)) {
+				return fail(field, 'is not a number', `: ${JSON.stringify(data[field])}`);
+			}
+			const [min, max] = this.config.ranges[field];
+			if (value < min || value > max) {
+				return fail(field, 'out of range', ` ${min}..${max}: ${value}`);
+			}
+			normalized = normalized || value !== data[field];
+			data[field] = value;
+		}
+
+		if (schema.anyOf && !schema.anyOf.some(field => isSet(data[field]))) {
+			return fail(schema.anyOf.join('/'), 'missing');
+		}
+
+		if (isSet(data.t)) {
+			const t = toNumber(data.t);
+			if (!Number.isFinite(t) || t <= 0) {
+				return fail('t', 'is not a unix ms time', `: ${JSON.stringify(data.t)}`);
+			}
+			normalized = normalized || t !== data.t;
+			data.t = t;
+		}
+		if (isSet(data.timestamp) && !Number.isFinite(Date.parse(data.timestamp))) {
+			return fail('timestamp', 'is not a date', `: ${JSON.stringify(data.timestamp)}`);
+		}
+
+		return { valid: true, normalized, message: { ...message, data } };
+	}
+
+	/**
+	 * Count a rejected message and keep it as a dead letter. Also used for
+	 * messages that could not be parsed at all (message is the raw text then).
+	 */
+	reject(message, reason, code = reason) {
+		const type = message && typeof message === 'object' && message.type ? String(message.type) : 'unknown';
+		if (!SCHEMAS[type]) {
+			this.stats.received++;
+			this.getTypeStats(type).received++;
+		}
+		this.stats.invalid++;
+		this.getTypeStats(type).invalid++;
+		const key = `${type}: ${code}`;
+		this.stats.reasons[key] = (this.stats.reasons[key] || 0) + 1;
+
+		this.emit('invalid', { type, reason, message });
+		this.saveDeadLetter(type, reason, message);
+	}
+
+	getTypeStats(type) {
+		if (!this.stats.by_type[type]) {
+			this.stats.by_type[type] = counters();
+		}
+		return this.stats.by_type[type];
+	}
+
+	saveDeadLetter(type, reason, message) {
+		if (!this.storage || !this.config.dead_letter) {
+			return;
+		}
+
+		const data = message && typeof message === 'object' && message.data && typeof message.data === 'object' ? message.data : {};
+		const mac = [data.mac, data.macTag].find(value => typeof value === 'string') || null;
+		const raw = typeof message === 'string' ? message : JSON.stringify(message);
+		const storage = this.storage;
+		const limit = this.config.max_dead_letters;
+
+		this.writeChain = this.writeChain.then(() => storage.withWriteLock(async () => {
+			await this.ensureTable();
+			const inserted = await storage.run(`
+				INSERT INTO biocv_dead_letters (received_at, message_type, mac_address, reason, raw_message)
+				VALUES (?, ?, ?, ?, ?)
+			`, [Date.now(), type, mac, reason, raw]);
+			await storage.run('DELETE FROM biocv_dead_letters WHERE id <= ?', [inserted.lastID - limit]);
+		}))
+			.then(() => {
+				this.stats.dead_letters_stored++;
+			})
+			.catch(error => {
+				this.stats.dead_letters_failed++;
+				if (this.listenerCount('error') > 0) {
+					this.emit('error', error);
+				}
+			});
+	}
+
+	/**
+	 * Wait for pending dead-letter writes
+	 */
+	flush() {
+		return this.writeChain;
+	}
+
+	/**
+	 * Stored dead letters, newest first, optionally of one message type
+	 */
+	async getDeadLetters({ type = null, limit = 20 } = {}) {
+		if (!this.storage) {
+			return [];
+		}
+
+		await this.flush();
+		await this.ensureTable();
+		return type
+			? this.storage.all(`
+				SELECT * FROM biocv_dead_letters WHERE message_type = ? ORDER BY id DESC LIMIT ?
+			`, [type, limit])
+			: this.storage.all(`
+				SELECT * FROM biocv_dead_letters ORDER BY id DESC LIMIT ?
+			`, [limit]);
+	}
+
+	/**
+	 * Number of stored dead letters, null without storage
+	 */
+	async countDeadLetters() {
+		if (!this.storage) {
+			return null;
+		}
+
+		await this.flush();
+		await this.ensureTable();
+		const row = await this.storage.get('SELECT COUNT(*) AS count FROM biocv_dead_letters');
+		return row.count;
+	}
+
+	getStats() {
+		return {
+			enabled: this.config.enabled,
+			dead_letter: this.config.dead_letter && Boolean(this.storage),
+			...this.stats,
+			by_type: Object.fromEntries(Object.entries(this.stats.by_type).map(([type, entry]) => [type, { ...entry }])),
+			reasons: { ...this.stats.reasons }
+		};
+	}
+}
+
+MessageValidator.SCHEMAS = SCHEMAS;
+MessageValidator.MESSAGE_TYPES = MESSAGE_TYPES;
+MessageValidator.DEFAULT_RANGES = DEFAULT_RANGES;
+MessageValidator.normalizeMac = normalizeMac;
+
+module.exports = MessageValidator;
@@ -0,0 +1,252 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * Position Estimator
+ * Estimates the x/y position of each tag from the distances reported by ANT
+ * receivers at known barn coordinates, using weighted multilateration with
+ * outlier rejection and exponential smoothing
+ */
+
+const MAX_ITERATIONS = 30;
+const CONVERGENCE = 1e-4;
+
+function normalizeMac(mac) {
+	return String(mac).trim().toUpperCase();
+}
+
+/**
+ * Validate and normalize receiver coordinates: { macAnt: { x, y } }
+ */
+function parseReceivers(receivers = {}) {
+	const parsed = new Map();
+
+	for (const [mac, position] of Object.entries(receivers)) {
+		const x = position ? Number(position.x) : NaN;
+		const y = position ? Number(position.y) : NaN;
+		if (!Number.isFinite(x) || !Number.isFinite(y)) {
+			throw new Error(`Receiver ${mac} needs numeric x and y coordinates`);
+		}
+		parsed.set(normalizeMac(mac), { x, y });
+	}
+
+	return parsed;
+}
+
+/**
+ * Weighted least squares fit of a point to range measurements (Gauss-Newton).
+ * Each measurement is { x, y, distance, weight }.
+ */
+function solve(measurements) {
+	// Start from the centroid of the receivers, closer receivers pulling harder
+	let totalWeight = 0;
+	let px = 0;
+	let py = 0;
+	for (const m of measurements) {
+		const w = 1 / Math.max(m.distance, 0.1);
+		px += m.x * w;
+		py += m.y * w;
+		totalWeight += w;
+	}
+	px /= totalWeight;
+	py /= totalWeight;
+
+	for (let i = 0; i < MAX_ITERATIONS; i++) {
+		let a11 = 0, a12 = 0, a22 = 0, b1 = 0, b2 = 0;
+
+		for (const m of measurements) {
+			const dx = px - m.x;
+			const dy = py - m.y;
+			const range = Math.max(Math.hypot(dx, dy), 1e-6);
+			const jx = dx / range;
+			const jy = dy / range;
+			const residual = m.distance - range;
+
+			a11 += m.weight * jx * jx;
+			a12 += m.weight * jx * jy;
+			a22 += m.weight * jy * jy;
+			b1 += m.weight * jx * residual;
+			b2 += m.weight * jy * residual;
+		}
+
+		const det = a11 * a22 - a12 * a12;
+		if (Math.abs(det) < 1e-12) {
+			// Receivers on one line: the position is ambiguous
+			return null;
+		}
+
+		const stepX = (a22 * b1 - a12 * b2) / det;
+		const stepY = (a11 * b2 - a12 * b1) / det;
+		px += stepX;
+		py += stepY;
+
+		if (Math.hypot(stepX, stepY) < CONVERGENCE) {
+			break;
+		}
+	}
+
+	const residuals = measurements.map(m => m.distance - Math.hypot(px - m.x, py - m.y));
+	const weightSum = measurements.reduce((sum, m) => sum + m.weight, 0);
+	const rms = Math.sqrt(measurements.reduce((sum, m, i) => sum + m.weight * residuals[i] * residuals[i], 0) / weightSum);
+
+	return { x: px, y: py, residuals, rms };
+}
+
+/**
+ * Per-tag position estimation from concurrent ANT distances
+ */
+class PositionEstimator {
+	/**
+	 * @param {object} [config] - positioning config
+	 * @param {object} [config.receivers] - { macAnt: { x, y } } receiver coordinates in metres
+	 * @param {number} [config.window_ms] - distances older than this are not combined
+	 * @param {number} [config.min_receivers] - receivers needed for an estimate (>= 3)
+	 * @param {number} [config.max_residual] - residual in metres above which a distance is rejected
+	 * @param {number} [config.smoothing] - EMA factor for new estimates (1 = no smoothing)
+	 * @param {number} [config.min_interval_ms] - minimum time between estimates per tag
+	 */
+	constructor(config = {}) {
+		this.config = {
+			enabled: config.enabled !== false,
+			window_ms: config.window_ms || 5000,
+			min_receivers: Math.max(3, config.min_receivers || 3),
+			max_residual: config.max_residual || 3,
+			smoothing: config.smoothing !== undefined ? config.smoothing : 0.3,
+			min_interval_ms: config.min_interval_ms !== undefined ? config.min_interval_ms : 1000
+		};
+		this.receivers = parseReceivers(config.receivers);
+
+		// macTag -> Map(macAnt -> { distance, t })
+		this.distances = new Map();
+		// macTag -> latest estimate
+		this.positions = new Map();
+		this.stats = { estimates: 0, insufficient: 0, ambiguous: 0, rejected_distances: 0, unknown_receivers: new Set() };
+	}
+
+	/**
+	 * Record a distance and estimate the tag position if enough recent distances exist.
+	 * Returns the new estimate or null.
+	 */
+	addDistance(macTag, macAnt, distance, t = Date.now()) {
+		const tag = normalizeMac(macTag);
+		const receiver = normalizeMac(macAnt);
+		const value = parseFloat(distance);
+
+		if (!this.config.enabled || !Number.isFinite(value) || value < 0) {
+			return null;
+		}
+		if (!this.receivers.has(receiver)) {
+			this.stats.unknown_receivers.add(receiver);
+			return null;
+		}
+
+		if (!this.distances.has(tag)) {
+			this.distances.set(tag, new Map());
+		}
+		this.distances.get(tag).set(receiver, { distance: value, t });
+
+		const previous = this.positions.get(tag);
+		if (previous && t - previous.t < this.config.min_interval_ms) {
+			return null;
+		}
+
+		return this.estimate(tag, t);
+	}
+
+	/**
+	 * Estimate a tag position from the distances within the window ending at t
+	 */
+	estimate(tag, t = Date.now()) {
+		const readings = this.distances.get(tag);
+		if (!readings) {
+			return null;
+		}
+
+		let measurements = [];
+		readings.forEach((reading, receiver) => {
+			if (t - reading.t <= this.config.window_ms) {
+				const { x, y } = this.receivers.get(receiver);
+				// Range errors grow with distance, so near receivers count more
+				measurements.push({ receiver, x, y, distance: reading.distance, weight: 1 / Math.max(reading.distance, 0.5) ** 2 });
+			}
+		});
+
+		if (measurements.length < this.config.min_receivers) {
+			this.stats.insufficient++;
+			return null;
+		}
+
+		const total = measurements.length;
+		let fit = solve(measurements);
+
+		// Drop the worst distance while it is an outlier and enough receivers remain
+		while (fit && measurements.length > this.config.min_receivers) {
+			let worst = 0;
+			fit.residuals.forEach((residual, i) => {
+				if (Math.abs(residual) > Math.abs(fit.residuals[worst])) {
+					worst = i;
+				}
+			});
+			if (Math.abs(fit.residuals[worst]) <= this.config.max_residual) {
+				break;
+			}
+			measurements = measurements.filter((m, i) => i !== worst);
+			this.stats.rejected_distances++;
+			fit = solve(measurements);
+		}
+
+		if (!fit) {
+			this.stats.ambiguous++;
+			return null;
+		}
+
+		// Smooth against the previous estimate unless it is stale
+		const previous = this.positions.get(tag);
+		let { x, y } = fit;
+		if (previous && t - previous.t <= this.config.window_ms * 2 && this.config.smoothing < 1) {
+			x = previous.x + this.config.smoothing * (x - previous.x);
+			y = previous.y + this.config.smoothing * (y - previous.y);
+		}
+
+		const estimate = {
+			mac: tag,
+			x: Math.round(x * 100) / 100,
+			y: Math.round(y * 100) / 100,
+			// Weighted RMS range residual in metres
+			accuracy: Math.round(fit.rms * 100) / 100,
+			// 0..1, lower with larger residuals and rejected receivers
+			confidence: Math.round((measurements.length / total) / (1 + fit.rms) * 100) / 100,
+			receivers: measurements.map(m => m.receiver),
+			rejected: total - measurements.length,
+			t
+		};
+
+		this.positions.set(tag, estimate);
+		this.stats.estimates++;
+		return estimate;
+	}
+
+	getPosition(macTag) {
+		return this.positions.get(normalizeMac(macTag)) || null;
+	}
+
+	getPositions() {
+		return [...this.positions.values()];
+	}
+
+	getStatus() {
+		return {
+			...this.config,
+			receivers: Object.fromEntries(this.receivers),
+			tags: this.positions.size,
+			estimates: this.stats.estimates,
+			insufficient: this.stats.insufficient,
+			ambiguous: this.stats.ambiguous,
+			rejected_distances: this.stats.rejected_distances,
+			unknown_receivers: [...this.stats.unknown_receivers]
+		};
+	}
+}
+
+PositionEstimator.parseReceivers = parseReceivers;
+
+module.exports = PositionEstimator;
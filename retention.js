@@ -0,0 +1,394 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * Tiered Retention
+ * Deletes raw readings once they are older than the retention of their data
+ * type (by reading time t), after rolling them up into hourly and daily
+ * aggregates (count, sum, min, max per field) that are kept much longer.
+ * Runs on a schedule; every run is logged in SQLite.
+ */
+
+const EventEmitter = require('events');
+
+const DATA_TYPES = ['sensor', 'battery', 'ant', 'position', 'environment'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PERIODS = { hour: 60 * 60 * 1000, day: DAY_MS };
+const ENVIRONMENT_TABLE = 'ENVIRONMENT_DATA';
+const DEFAULT_STATION = 'ENVIRONMENT';
+
+/**
+ * Numeric fields rolled up per data type
+ */
+const ROLLUP_FIELDS = {
+	sensor: ['x', 'y', 'z', 'c', 'rssi'],
+	battery: ['battery_percentage'],
+	ant: ['distance'],
+	position: ['x', 'y', 'accuracy'],
+	environment: ['temperature', 'humidity']
+};
+
+// Reading time of a row; rows stored without t fall back to their insert time
+const DEVICE_TIME = "COALESCE(t, CAST(strftime('%s', created_at) AS INTEGER) * 1000)";
+const DEVICE_BEFORE = "(t < ? OR (t IS NULL AND created_at < datetime(? / 1000, 'unixepoch')))";
+const ENVIRONMENT_TIME = "COALESCE(t, CAST(strftime('%s', timestamp) AS INTEGER) * 1000)";
+const ENVIRONMENT_BEFORE = "(t < ? OR (t IS NULL AND timestamp < datetime(? / 1000, 'unixepoch')))";
+
+/**
+ * Retention manager. Emits
+ *   'run'   - (report) after every run that deleted or rolled up something
+ *   'error' - (error) when a scheduled run fails
+ */
+class RetentionManager extends EventEmitter {
+	/**
+	 * @param {object} storage - StandaloneSQLiteStorage instance
+	 * @param {object} [config] - retention config
+	 * @param {object} [config.days] - days of raw data to keep per data type, 0 keeps it forever
+	 * @param {number} [config.default_days] - days for data types missing from config.days
+	 * @param {boolean} [config.rollups] - roll raw data up before deleting it
+	 * @param {number} [config.rollup_days] - days of hourly and daily rollups to keep
+	 * @param {number} [config.interval_ms] - time between scheduled runs
+	 */
+	constructor(storage, config = {}) {
+		super();
+		this.storage = storage;
+		this.config = {
+			enabled: config.enabled !== false,
+			days: { ...(config.days || {}) },
+			default_days: config.default_days || 7,
+			rollups: config.rollups !== false,
+			rollup_days: config.rollup_days || 365,
+			interval_ms: config.interval_ms || 60 * 60 * 1000
+		};
+
+		const unknown = Object.keys(this.config.days).find(type => !DATA_TYPES.includes(type));
+		if (unknown) {
+			throw new Error(`Unknown data type "${unknown}" in retention days (expected ${DATA_TYPES.join(', ')})`);
+		}
+
+		this.timer = null;
+		this.running = null;
+		this.tablesReady = false;
+	}
+
+	async ensureTables() {
+		if (this.tablesReady) {
+			return;
+		}
+
+		await this.storage.run(`
+			CREATE TABLE IF NOT EXISTS biocv_rollups (
+				source TEXT NOT NULL,
+				data_type TEXT NOT NULL,
+				field TEXT NOT NULL,
+				period TEXT NOT NULL,
+				bucket_start INTEGER NOT NULL,
+				count INTEGER NOT NULL,
+				sum REAL,
+				min REAL,
+				max REAL,
+				PRIMARY KEY (source, data_type, field, period, bucket_start)
+			)
+		`);
+		await this.storage.run(`
+			CREATE INDEX IF NOT EXISTS idx_biocv_rollups_bucket ON biocv_rollups(bucket_start)
+		`);
+		await this.storage.run(`
+			CREATE TABLE IF NOT EXISTS biocv_retention_log (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+				finished_at DATETIME,
+				deleted INTEGER DEFAULT 0,
+				deleted_by_type TEXT DEFAULT '{}',
+				rollup_buckets INTEGER DEFAULT 0,
+				rollups_deleted INTEGER DEFAULT 0,
+				error TEXT
+			)
+		`);
+		this.tablesReady = true;
+	}
+
+	/**
+	 * Run now and then every interval_ms
+	 */
+	start() {
+		this.stop();
+		const tick = () => this.run().catch(error => this.emit('error', error));
+		this.timer = setInterval(tick, this.config.interval_ms);
+		this.timer.unref();
+		setImmediate(tick);
+	}
+
+	stop() {
+		clearInterval(this.timer);
+		this.timer = null;
+	}
+
+	/**
+	 * Days of raw data kept for a data type, 0 for forever
+	 */
+	getDays(dataType, override = null) {
+		if (override) {
+			return override;
+		}
+		return this.config.days[dataType] !== undefined ? this.config.days[dataType] : this.config.default_days;
+	}
+
+	/**
+	 * Retention per data type with the cutoff a run now would use
+	 */
+	getPolicies(now = Date.now()) {
+		return DATA_TYPES.map(dataType => {
+			const days = this.getDays(dataType);
+			return {
+				data_type: dataType,
+				days,
+				cutoff: days > 0 ? now - days * DAY_MS : null,
+				rollup_fields: ROLLUP_FIELDS[dataType]
+			};
+		});
+	}
+
+	/**
+	 * Apply the policies once. options.days overrides the raw retention of
+	 * every data type for this run. Concurrent calls share one run.
+	 */
+	async run(options = {}) {
+		if (this.running) {
+			return this.running;
+		}
+
+		this.running = this.runOnce(options).finally(() => {
+			this.running = null;
+		});
+		return this.running;
+	}
+
+	async runOnce({ days = null, now = Date.now() } = {}) {
+		await this.ensureTables();
+
+		const logged = await this.storage.withWriteLock(() => this.storage.run('INSERT INTO biocv_retention_log DEFAULT VALUES'));
+		const report = {
+			started: now,
+			finished: null,
+			deleted: 0,
+			deleted_by_type: {},
+			rollup_buckets: 0,
+			rollups_deleted: 0,
+			error: null
+		};
+
+		try {
+			const tables = await this.storage.all(`
+				SELECT table_name, mac_address FROM biocv_metadata WHERE table_name != ?
+			`, [ENVIRONMENT_TABLE]);
+
+			for (const dataType of DATA_TYPES) {
+				const typeDays = this.getDays(dataType, days);
+				if (!typeDays) {
+					continue;
+				}
+
+				const cutoff = now - typeDays * DAY_MS;
+				let deleted = 0;
+				if (dataType === 'environment') {
+					deleted += await this.expireEnvironment(cutoff, report);
+				} else {
+					for (const table of tables) {
+						deleted += await this.expireDeviceTable(table, dataType, cutoff, report);
+					}
+				}
+				if (deleted > 0) {
+					report.deleted_by_type[dataType] = deleted;
+					report.deleted += deleted;
+				}
+			}
+
+			const rollupCutoff = now - this.config.rollup_days * DAY_MS;
+			const expired = await this.storage.withWriteLock(() => this.storage.run(`
+				DELETE FROM biocv_rollups WHERE bucket_start < ?
+			`, [rollupCutoff]));
+			report.rollups_deleted = expired.changes;
+		} catch (error) {
+			report.error = error.message;
+		}
+
+		report.finished = Date.now();
+		await this.storage.withWriteLock(() => this.storage.run(`
+			UPDATE biocv_retention_log
+			SET finished_at = CURRENT_TIMESTAMP, deleted = ?, deleted_by_type = ?, rollup_buckets = ?, rollups_deleted = ?, error = ?
+			WHERE id = ?
+		`, [report.deleted, JSON.stringify(report.deleted_by_type), report.rollup_buckets, report.rollups_deleted, report.error, logged.lastID]));
+
+		if (report.error) {
+			throw new Error(`Retention run failed: ${report.error}`);
+		}
+		if (report.deleted > 0 || report.rollups_deleted > 0) {
+			this.emit('run', report);
+		}
+		return report;
+	}
+
+	/**
+	 * Roll up and delete the rows of one data type older than cutoff in a device table
+	 */
+	async expireDeviceTable(table, dataType, cutoff, report) {
+		const name = `"${table.table_name}"`;
+		const where = `data_type = ? AND ${DEVICE_BEFORE}`;
+		const params = [dataType, cutoff, cutoff];
+
+		const deleted = await this.storage.withWriteLock(async () => {
+			const pending = await this.storage.get(`SELECT COUNT(*) as count FROM ${name} WHERE ${where}`, params);
+			if (pending.count === 0) {
+				return 0;
+			}
+
+			await this.storage.run('BEGIN TRANSACTION');
+			try {
+				if (this.config.rollups) {
+					report.rollup_buckets += await this.rollUp(String(table.mac_address).toUpperCase(), dataType, name, DEVICE_TIME, where, params);
+				}
+				const result = await this.storage.run(`DELETE FROM ${name} WHERE ${where}`, params);
+				await this.storage.run('COMMIT');
+				return result.changes;
+			} catch (error) {
+				await this.storage.run('ROLLBACK').catch(() => {});
+				throw error;
+			}
+		});
+
+		if (deleted > 0) {
+			await this.storage.withWriteLock(() => this.storage.updateMetadata(table.table_name, table.mac_address));
+		}
+		return deleted;
+	}
+
+	/**
+	 * Roll up (per station) and delete environment readings older than cutoff
+	 */
+	async expireEnvironment(cutoff, report) {
+		if (!(await this.storage.tableExists(ENVIRONMENT_TABLE))) {
+			return 0;
+		}
+
+		const deleted = await this.storage.withWriteLock(async () => {
+			const stations = await this.storage.all(`
+				SELECT DISTINCT station FROM ${ENVIRONMENT_TABLE} WHERE ${ENVIRONMENT_BEFORE}
+			`, [cutoff, cutoff]);
+			if (stations.length === 0) {
+				return 0;
+			}
+
+			await this.storage.run('BEGIN TRANSACTION');
+			try {
+				if (this.config.rollups) {
+					for (const { station } of stations) {
+						report.rollup_buckets += await this.rollUp(station, 'environment', ENVIRONMENT_TABLE,
+							ENVIRONMENT_TIME, `station = ? AND ${ENVIRONMENT_BEFORE}`, [station, cutoff, cutoff]);
+					}
+				}
+				const result = await this.storage.run(`DELETE FROM ${ENVIRONMENT_TABLE} WHERE ${ENVIRONMENT_BEFORE}`, [cutoff, cutoff]);
+				await this.storage.run('COMMIT');
+				return result.changes;
+			} catch (error) {
+				await this.storage.run('ROLLBACK').catch(() => {});
+				throw error;
+			}
+		});
+
+		if (deleted > 0) {
+			await this.storage.withWriteLock(() => this.storage.updateMetadata(ENVIRONMENT_TABLE, DEFAULT_STATION));
+		}
+		return deleted;
+	}
+
+	/**
+	 * Add the rows matching where to the hourly and daily rollups, merging
+	 * with buckets rolled up by earlier runs. Returns the buckets written.
+	 */
+	async rollUp(source, dataType, table, timeExpression, where, params) {
+		let buckets = 0;
+		for (const [period, periodMs] of Object.entries(PERIODS)) {
+			for (const field of ROLLUP_FIELDS[dataType]) {
+				const result = await this.storage.run(`
+					INSERT INTO biocv_rollups (source, data_type, field, period, bucket_start, count, sum, min, max)
+					SELECT ?, ?, ?, ?, (${timeExpression} / ?) * ? as bucket, COUNT(${field}), SUM(${field}), MIN(${field}), MAX(${field})
+					FROM ${table}
+					WHERE ${where} AND ${field} IS NOT NULL
+					GROUP BY bucket
+					ON CONFLICT (source, data_type, field, period, bucket_start) DO UPDATE SET
+						count = count + excluded.count,
+						sum = sum + excluded.sum,
+						min = MIN(min, excluded.min),
+						max = MAX(max, excluded.max)
+				`, [source, dataType, field, period, periodMs, periodMs, ...params]);
+				buckets += result.changes;
+			}
+		}
+		return buckets;
+	}
+
+	/**
+	 * Stored rollups of a tag or environment station ('environment' for the
+	 * default station) and field, oldest first
+	 */
+	async getRollups({ source, field, period = 'hour', dataType = null, startDate, endDate, limit = 1000 } = {}) {
+		if (!PERIODS[period]) {
+			throw new Error(`Unknown period: ${period}, use ${Object.keys(PERIODS).join(' or ')}`);
+		}
+		await this.ensureTables();
+
+		// Tags are rolled up by their upper case MAC, stations by their ID as received
+		const name = String(source).toLowerCase() === 'environment' ? DEFAULT_STATION : String(source);
+		let where = 'source IN (?, ?) AND field = ? AND period = ?';
+		const params = [name, name.toUpperCase(), field, period];
+		if (dataType) {
+			where += ' AND data_type = ?';
+			params.push(dataType);
+		}
+		if (startDate) {
+			where += ' AND bucket_start >= ?';
+			params.push(startDate);
+		}
+		if (endDate) {
+			where += ' AND bucket_start <= ?';
+			params.push(endDate);
+		}
+
+		const rows = await this.storage.all(`
+			SELECT * FROM (
+				SELECT data_type, field, period, bucket_start, count, sum, min, max
+				FROM biocv_rollups WHERE ${where}
+				ORDER BY bucket_start DESC LIMIT ?
+			) ORDER BY bucket_start ASC
+		`, [...params, limit]);
+		return rows.map(row => ({
+			...row,
+			bucket_end: row.bucket_start + PERIODS[period],
+			avg: row.count > 0 ? row.sum / row.count : null
+		}));
+	}
+
+	/**
+	 * Most recent logged runs, newest first
+	 */
+	async getRecentRuns(limit = 10) {
+		await this.ensureTables();
+		const rows = await this.storage.all(`
+			SELECT * FROM biocv_retention_log ORDER BY id DESC LIMIT ?
+		`, [limit]);
+		return rows.map(row => ({ ...row, deleted_by_type: JSON.parse(row.deleted_by_type || '{}') }));
+	}
+
+	getStatus() {
+		return {
+			...this.config,
+			scheduled: this.timer !== null,
+			running: this.running !== null
+		};
+	}
+}
+
+RetentionManager.DATA_TYPES = DATA_TYPES;
+RetentionManager.ROLLUP_FIELDS = ROLLUP_FIELDS;
+
+module.exports = RetentionManager;
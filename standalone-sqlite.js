@@ -9,6 +9,152 @@
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
 const fs = require('fs');
+const zlib = require('zlib');
+const util = require('util');
+const readline = require('readline');
+const { Readable } = require('stream');
+
+const pipeline = util.promisify(require('stream').pipeline);
+
+/**
+ * Columns written by the CSV exporter
+ */
+const CSV_COLUMNS = [
+	'mac_address', 'data_type', 'time', 't', 'x', 'y', 'z', 'c',
+	'rssi', 'battery_percentage', 'ant_mac', 'distance', 'weight', 'accuracy',
+	'station', 'temperature', 'humidity'
+];
+
+/**
+ * Environment readings of every station share one table; readings without
+ * a station ID belong to the default station
+ */
+const ENVIRONMENT_TABLE = 'ENVIRONMENT_DATA';
+const DEFAULT_STATION = 'ENVIRONMENT';
+
+/**
+ * Data types and columns restored by the importer
+ */
+const IMPORT_DATA_TYPES = ['sensor', 'battery', 'ant', 'position', 'environment'];
+const DEVICE_COLUMNS = [
+	'x', 'y', 'z', 'c', 't', 'rssi', 'battery_percentage', 'ant_mac',
+	'distance', 'weight', 'accuracy', 'raw_data', 'created_at'
+];
+const ENVIRONMENT_COLUMNS = ['station', 'temperature', 'humidity', 't', 'timestamp', 'raw_data', 'created_at'];
+
+/**
+ * Columns field predicates (options.where) may compare
+ */
+const FILTER_COLUMNS = ['id', 'data_type', 'mac_address', ...DEVICE_COLUMNS.filter(column => column !== 'raw_data')];
+const ENVIRONMENT_FILTER_COLUMNS = ['id', 'data_type', ...ENVIRONMENT_COLUMNS.filter(column => column !== 'raw_data')];
+const FILTER_OPERATORS = ['=', '!=', '>', '>=', '<', '<='];
+
+/**
+ * Numeric columns aggregate() can bucket and the table they live in
+ */
+const AGGREGATE_FIELDS = {
+	x: 'device',
+	y: 'device',
+	z: 'device',
+	c: 'device',
+	rssi: 'device',
+	battery_percentage: 'device',
+	distance: 'device',
+	temperature: 'environment',
+	humidity: 'environment'
+};
+const AGGREGATE_FUNCTIONS = ['avg', 'min', 'max', 'count', 'stddev'];
+const AGGREGATE_FILLS = ['null', 'previous', 'none'];
+const BUCKET_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const MAX_BUCKETS = 10000;
+
+/**
+ * Bucket width in ms from a size like 1m, 15m, 1h or 1d
+ */
+function parseBucket(bucket) {
+	const match = /^(\d+)([smhd])$/.exec(String(bucket));
+	if (!match || parseInt(match[1], 10) === 0) {
+		throw new Error(`Invalid bucket: ${bucket} (e.g. 1m, 15m, 1h, 1d)`);
+	}
+	return parseInt(match[1], 10) * BUCKET_UNITS[match[2]];
+}
+
+/**
+ * Station ID of an environment message (station, stationId or source),
+ * DEFAULT_STATION if it has none
+ */
+function getStationId(data = {}) {
+	const station = [data.station, data.stationId, data.station_id, data.source]
+		.find(value => value !== undefined && value !== null && String(value).trim() !== '');
+	return station === undefined ? DEFAULT_STATION : String(station).trim();
+}
+
+/**
+ * First value that is set, so 0 and false are kept; null if none is
+ */
+function firstDefined(...values) {
+	const value = values.find(candidate => candidate !== undefined && candidate !== null);
+	return value === undefined ? null : value;
+}
+
+/**
+ * SQLite DATETIME (UTC, like CURRENT_TIMESTAMP) of a unix ms time
+ */
+function toSqliteDatetime(t) {
+	return new Date(t).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+/**
+ * Detect gzip files by extension or magic bytes
+ */
+function isGzipFile(filePath) {
+	if (filePath.endsWith('.gz')) {
+		return true;
+	}
+	const fd = fs.openSync(filePath, 'r');
+	const header = Buffer.alloc(2);
+	fs.readSync(fd, header, 0, 2, 0);
+	fs.closeSync(fd);
+	return header[0] === 0x1f && header[1] === 0x8b;
+}
+
+/**
+ * Quote a CSV field if it contains a delimiter, quote or newline
+ */
+function csvField(value) {
+	if (value === null || value === undefined) {
+		return '';
+	}
+	const text = String(value);
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Line formatters used by exportToFile()
+ */
+const EXPORT_FORMATS = {
+	json: {
+		contentType: 'application/json',
+		header: info => `{"export_timestamp":${JSON.stringify(info.export_timestamp)},` +
+			`"export_options":${JSON.stringify(info.export_options)},"data":[\n`,
+		row: (row, first) => (first ? '' : ',\n') + JSON.stringify(row),
+		footer: info => `\n],"record_count":${info.record_count}}\n`
+	},
+	ndjson: {
+		contentType: 'application/x-ndjson',
+		header: () => '',
+		row: row => JSON.stringify(row) + '\n',
+		footer: () => ''
+	},
+	csv: {
+		contentType: 'text/csv',
+		header: () => CSV_COLUMNS.join(',') + '\n',
+		row: row => CSV_COLUMNS.map(column => csvField(
+			column === 'time' ? (row.t ? new Date(row.t).toISOString() : row.created_at) : row[column]
+		)).join(',') + '\n',
+		footer: () => ''
+	}
+};
 
 /**
  * Standalone SQLite Storage Manager
@@ -18,7 +164,8 @@ class StandaloneSQLiteStorage {
 	constructor(config = {}) {
 		this.config = {
 			database_path: config.database_path || './data/biocv_standalone.db',
-			max_table_size: config.max_table_size || 10000,
+			max_table_size: config.max_table_size || 1000000,
+			data_type_quotas: config.data_type_quotas || {},
 			retention_days: config.retention_days || 30,
 			auto_create_tables: config.auto_create_tables !== false,
 			enable_logging: config.enable_logging !== false,
@@ -28,6 +175,8 @@ class StandaloneSQLiteStorage {
 		this.db = null;
 		this.isConnected = false;
 		this.createdTables = new Set();
+		this.tableDataTypes = new Map();
+		this.writeLock = Promise.resolve();
 		this.eventListeners = new Map();
 	}
 
@@ -79,6 +228,11 @@ class StandaloneSQLiteStorage {
 			// Create metadata table for tracking
 			await this.createMetadataTable();
 
+			// Bring an environment table of an older version up to date
+			if (await this.tableExists(ENVIRONMENT_TABLE)) {
+				await this.createEnvironmentTable();
+			}
+
 			this.log('success', 'SQLite database initialized');
 			this.log('info', `Database: ${this.config.database_path}`);
 			this.log('info', `Max table size: ${this.config.max_table_size}`);
@@ -118,11 +272,48 @@ class StandaloneSQLiteStorage {
 				created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
 				last_updated DATETIME DEFAULT CURRENT_TIMESTAMP,
 				row_count INTEGER DEFAULT 0,
-				data_types TEXT DEFAULT '[]'
+				data_types TEXT DEFAULT '[]',
+				evicted_count INTEGER DEFAULT 0,
+				evicted_by_type TEXT DEFAULT '{}',
+				last_eviction DATETIME
 			)
 		`;
 
 		await this.run(sql);
+		await this.addMissingColumns('biocv_metadata', {
+			evicted_count: 'INTEGER DEFAULT 0',
+			evicted_by_type: "TEXT DEFAULT '{}'",
+			last_eviction: 'DATETIME'
+		});
+	}
+
+	/**
+	 * Add columns introduced by newer versions to a table created by an older one.
+	 * Returns the names of the columns added.
+	 */
+	async addMissingColumns(tableName, columns) {
+		const existing = await this.all(`PRAGMA table_info("${tableName}")`);
+		const names = new Set(existing.map(column => column.name));
+		const added = [];
+
+		for (const [name, definition] of Object.entries(columns)) {
+			if (!names.has(name)) {
+				await this.run(`ALTER TABLE "${tableName}" ADD COLUMN ${name} ${definition}`);
+				this.log('info', `Added column ${name} to ${tableName}`);
+				added.push(name);
+			}
+		}
+		return added;
+	}
+
+	/**
+	 * Check whether a table exists
+	 */
+	async tableExists(tableName) {
+		const exists = await this.get(`
+			SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?
+		`, [tableName]);
+		return Boolean(exists);
 	}
 
 	/**
@@ -157,12 +348,14 @@ class StandaloneSQLiteStorage {
 				ant_mac TEXT,
 				distance REAL,
 				weight REAL,
+				accuracy REAL,
 				raw_data TEXT,
 				created_at DATETIME DEFAULT CURRENT_TIMESTAMP
 			)
 		`;
 
 		await this.run(sql);
+		await this.addMissingColumns(tableName, { accuracy: 'REAL' });
 
 		// Create indexes for performance
 		await this.run(`CREATE INDEX IF NOT EXISTS "idx_${tableName}_t" ON "${tableName}"(t)`);
@@ -180,64 +373,171 @@ class StandaloneSQLiteStorage {
 	}
 
 	/**
-	 * Store sensor data
+	 * Create the shared environment data table if it doesn't exist and register
+	 * it in biocv_metadata. Tables of older versions get the station and reading
+	 * time (t) columns, existing rows the default station and t from timestamp.
 	 */
-	async storeSensorData(mac, data) {
-		if (!this.isConnected) {
-			throw new Error('Database not connected');
+	async createEnvironmentTable() {
+		const tableName = ENVIRONMENT_TABLE;
+
+		if (this.createdTables.has(tableName)) {
+			return tableName;
 		}
 
-		const tableName = await this.createTableForMac(mac);
-		
 		const sql = `
-			INSERT INTO "${tableName}" (
-				data_type, mac_address, x, y, z, c, t, rssi, weight, raw_data
-			) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+			CREATE TABLE IF NOT EXISTS ${tableName} (
+				id INTEGER PRIMARY KEY AUTOINCREMENT,
+				data_type TEXT NOT NULL,
+				station TEXT NOT NULL DEFAULT '${DEFAULT_STATION}',
+				temperature REAL,
+				humidity REAL,
+				t INTEGER,
+				timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+				raw_data TEXT,
+				created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+			)
 		`;
 
-		const values = [
-			'sensor',
+		await this.run(sql);
+		const added = await this.addMissingColumns(tableName, {
+			station: `TEXT NOT NULL DEFAULT '${DEFAULT_STATION}'`,
+			t: 'INTEGER'
+		});
+		if (added.includes('t')) {
+			await this.run(`UPDATE ${tableName} SET t = CAST(strftime('%s', timestamp) AS INTEGER) * 1000 WHERE t IS NULL`);
+		}
+
+		await this.run(`CREATE INDEX IF NOT EXISTS idx_${tableName}_timestamp ON ${tableName}(timestamp)`);
+		await this.run(`CREATE INDEX IF NOT EXISTS idx_${tableName}_t ON ${tableName}(t)`);
+		await this.run(`CREATE INDEX IF NOT EXISTS idx_${tableName}_station_t ON ${tableName}(station, t)`);
+
+		// Registered like the device tables, rows written before were never counted
+		const registered = await this.run(`
+			INSERT OR IGNORE INTO biocv_metadata (table_name, mac_address)
+			VALUES (?, ?)
+		`, [tableName, DEFAULT_STATION]);
+		if (registered.changes > 0) {
+			await this.updateMetadata(tableName, DEFAULT_STATION, 'environment');
+		}
+
+		this.createdTables.add(tableName);
+		return tableName;
+	}
+
+	/**
+	 * Build a sensor row ready to be written with writeRows()
+	 */
+	buildSensorRow(mac, data) {
+		return {
 			mac,
-			data.x || null,
-			data.y || null,
-			data.z || null,
-			data.c || data.T || null,  // Use c field or fallback to T for temperature
-			data.t || Date.now(),     // Use t field or current timestamp in unix ms
-			data.rssi || null,
-			data.weight || null,
-			JSON.stringify(data)
-		];
-
-		await this.run(sql, values);
-		await this.updateMetadata(tableName, mac, 'sensor');
-		this.log('info', `Stored sensor data for ${mac}`);
+			dataType: 'sensor',
+			columns: {
+				data_type: 'sensor',
+				mac_address: mac,
+				x: firstDefined(data.x),
+				y: firstDefined(data.y),
+				z: firstDefined(data.z),
+				c: firstDefined(data.c, data.T),  // Use c field or fallback to T for temperature
+				t: data.t || Date.now(),         // Use t field or current timestamp in unix ms
+				rssi: firstDefined(data.rssi),
+				weight: firstDefined(data.weight),
+				raw_data: JSON.stringify(data)
+			}
+		};
 	}
 
 	/**
-	 * Store battery data
+	 * Build a battery row ready to be written with writeRows()
 	 */
-	async storeBatteryData(mac, data) {
-		if (!this.isConnected) {
-			throw new Error('Database not connected');
-		}
+	buildBatteryRow(mac, data) {
+		return {
+			mac,
+			dataType: 'battery',
+			columns: {
+				data_type: 'battery',
+				mac_address: mac,
+				battery_percentage: firstDefined(data.percentage, data.battery_percentage),
+				t: data.t || Date.now(),
+				raw_data: JSON.stringify(data)
+			}
+		};
+	}
 
-		const tableName = await this.createTableForMac(mac);
-		
-		const sql = `
-			INSERT INTO "${tableName}" (
-				data_type, mac_address, battery_percentage, raw_data
-			) VALUES (?, ?, ?, ?)
-		`;
+	/**
+	 * Build an ANT row ready to be written with writeRows()
+	 */
+	buildAntRow(macAnt, macTag, distance, t = Date.now()) {
+		const value = parseFloat(distance);
+		return {
+			mac: macTag,
+			dataType: 'ant',
+			columns: {
+				data_type: 'ant',
+				mac_address: macTag,
+				ant_mac: macAnt,
+				distance: Number.isFinite(value) ? value : null,
+				t,
+				raw_data: JSON.stringify({ macAnt, macTag, distance })
+			}
+		};
+	}
 
-		const values = [
-			'battery',
-			mac,
-			data.percentage || data.battery_percentage || null,
-			JSON.stringify(data)
-		];
+	/**
+	 * Build a position estimate row ready to be written with writeRows().
+	 * weight holds the confidence (0..1), accuracy the estimated error in metres.
+	 */
+	buildPositionRow(estimate) {
+		return {
+			mac: estimate.mac,
+			dataType: 'position',
+			columns: {
+				data_type: 'position',
+				mac_address: estimate.mac,
+				x: estimate.x,
+				y: estimate.y,
+				t: estimate.t,
+				weight: estimate.confidence,
+				accuracy: estimate.accuracy,
+				raw_data: JSON.stringify({ receivers: estimate.receivers, rejected: estimate.rejected })
+			}
+		};
+	}
+
+	/**
+	 * Build an environment row ready to be written with writeRows().
+	 * The reading time is t or timestamp from the message, else now.
+	 */
+	buildEnvironmentRow(data) {
+		const time = Number.isFinite(data.t) ? data.t : Date.parse(data.timestamp);
+		const t = Number.isFinite(time) ? time : Date.now();
+		return {
+			mac: null,
+			dataType: 'environment',
+			columns: {
+				data_type: 'environment',
+				station: getStationId(data),
+				temperature: firstDefined(data.temperature, data.Temperature),
+				humidity: firstDefined(data.humidity, data.Humidity),
+				t,
+				timestamp: toSqliteDatetime(t),
+				raw_data: JSON.stringify(data)
+			}
+		};
+	}
+
+	/**
+	 * Store sensor data
+	 */
+	async storeSensorData(mac, data) {
+		await this.writeRows([this.buildSensorRow(mac, data)]);
+		this.log('info', `Stored sensor data for ${mac}`);
+	}
 
-		await this.run(sql, values);
-		await this.updateMetadata(tableName, mac, 'battery');
+	/**
+	 * Store battery data
+	 */
+	async storeBatteryData(mac, data) {
+		await this.writeRows([this.buildBatteryRow(mac, data)]);
 		this.log('info', `Stored battery data for ${mac}`);
 	}
 
@@ -245,28 +545,7 @@ class StandaloneSQLiteStorage {
 	 * Store ANT data
 	 */
 	async storeAntData(macAnt, macTag, distance) {
-		if (!this.isConnected) {
-			throw new Error('Database not connected');
-		}
-
-		const tableName = await this.createTableForMac(macTag);
-		
-		const sql = `
-			INSERT INTO "${tableName}" (
-				data_type, mac_address, ant_mac, distance, raw_data
-			) VALUES (?, ?, ?, ?, ?)
-		`;
-
-		const values = [
-			'ant',
-			macTag,
-			macAnt,
-			parseFloat(distance) || null,
-			JSON.stringify({ macAnt, macTag, distance })
-		];
-
-		await this.run(sql, values);
-		await this.updateMetadata(tableName, macTag, 'ant');
+		await this.writeRows([this.buildAntRow(macAnt, macTag, distance)]);
 		this.log('info', `Stored ANT data: ${macTag} -> ${macAnt} (${distance})`);
 	}
 
@@ -274,46 +553,84 @@ class StandaloneSQLiteStorage {
 	 * Store environment data
 	 */
 	async storeEnvironmentData(data) {
+		const row = this.buildEnvironmentRow(data);
+		await this.writeRows([row]);
+		this.log('info', `Stored environment data for ${row.columns.station}`);
+	}
+
+	/**
+	 * Write built rows, grouped per table with one transaction per table.
+	 * Returns the number of rows written.
+	 */
+	async writeRows(rows) {
 		if (!this.isConnected) {
 			throw new Error('Database not connected');
 		}
 
-		// Use a special table for environment data
-		const tableName = 'ENVIRONMENT_DATA';
-		
-		if (!this.createdTables.has(tableName)) {
-			const sql = `
-				CREATE TABLE IF NOT EXISTS ${tableName} (
-					id INTEGER PRIMARY KEY AUTOINCREMENT,
-					data_type TEXT NOT NULL,
-					temperature REAL,
-					humidity REAL,
-					timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-					raw_data TEXT,
-					created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-				)
-			`;
+		const groups = new Map();
+		for (const row of rows) {
+			const key = row.mac ? this.sanitizeMacForTableName(row.mac) : ENVIRONMENT_TABLE;
+			if (!groups.has(key)) {
+				groups.set(key, { mac: row.mac, rows: [] });
+			}
+			groups.get(key).rows.push(row);
+		}
 
-			await this.run(sql);
-			await this.run(`CREATE INDEX IF NOT EXISTS idx_${tableName}_timestamp ON ${tableName}(timestamp)`);
-			this.createdTables.add(tableName);
+		let written = 0;
+		for (const group of groups.values()) {
+			written += await this.withWriteLock(() => this.writeTableRows(group.mac, group.rows));
 		}
+		return written;
+	}
 
-		const sql = `
-			INSERT INTO ${tableName} (
-				data_type, temperature, humidity, raw_data
-			) VALUES (?, ?, ?, ?)
-		`;
+	/**
+	 * Insert rows of a single table inside one transaction and update its metadata
+	 */
+	async writeTableRows(mac, rows) {
+		const tableName = mac ? await this.createTableForMac(mac) : await this.createEnvironmentTable();
+
+		let rowCount;
+		await this.run('BEGIN TRANSACTION');
+		try {
+			for (const row of rows) {
+				const columns = Object.keys(row.columns);
+				await this.run(`
+					INSERT INTO "${tableName}" (${columns.join(', ')})
+					VALUES (${columns.map(() => '?').join(', ')})
+				`, columns.map(column => row.columns[column]));
+			}
+
+			rowCount = await this.incrementMetadata(tableName, rows.length, rows.map(row => row.dataType));
+
+			await this.run('COMMIT');
+		} catch (error) {
+			await this.run('ROLLBACK').catch(() => {});
+			throw error;
+		}
+
+		// The rows are committed; a failed eviction must not report them as failed.
+		// The cap is checked again on the next write to this table.
+		if (mac && this.config.max_table_size > 0 && rowCount > this.config.max_table_size) {
+			await this.run('BEGIN TRANSACTION');
+			try {
+				await this.enforceTableCap(tableName, mac, rowCount);
+				await this.run('COMMIT');
+			} catch (error) {
+				await this.run('ROLLBACK').catch(() => {});
+				this.log('error', `Failed to enforce the size cap of ${tableName}: ${error.message}`);
+			}
+		}
 
-		const values = [
-			'environment',
-			data.temperature || data.Temperature || null,
-			data.humidity || data.Humidity || null,
-			JSON.stringify(data)
-		];
+		return rows.length;
+	}
 
-		await this.run(sql, values);
-		this.log('info', 'Stored environment data');
+	/**
+	 * Serialize writers so transactions never interleave on the shared connection
+	 */
+	withWriteLock(fn) {
+		const result = this.writeLock.then(fn);
+		this.writeLock = result.catch(() => {});
+		return result;
 	}
 
 	/**
@@ -325,211 +642,1112 @@ class StandaloneSQLiteStorage {
 		}
 
 		const tableName = this.sanitizeMacForTableName(mac);
-		const { dataType, startDate, endDate, limit = 100 } = options;
-
-		let sql = `SELECT * FROM "${tableName}" WHERE 1=1`;
-		const params = [];
-
-		if (dataType && dataType !== 'all') {
-			sql += ` AND data_type = ?`;
-			params.push(dataType);
-		}
-
-		if (startDate) {
-			sql += ` AND t >= ?`;
-			params.push(startDate);
-		}
-
-		if (endDate) {
-			sql += ` AND t <= ?`;
-			params.push(endDate);
-		}
-
-		sql += ` ORDER BY t DESC LIMIT ?`;
-		params.push(limit);
+		const { limit = 100, offset = 0 } = options;
+		const { where, params } = this.buildRowFilter(options);
 
-		const results = await this.all(sql, params);
+		const results = await this.all(`
+			SELECT * FROM "${tableName}" WHERE ${where}
+			ORDER BY t ${this.getSortDirection(options.order)} LIMIT ? OFFSET ?
+		`, [...params, limit, offset]);
 		this.log('info', `Queried ${results.length} records for ${mac}`);
 		return results;
 	}
 
 	/**
-	 * Query all data across all devices
+	 * Query data of several devices, each limited to its own time range
+	 * (segments: [{ mac, startDate, endDate }]), newest first unless order is 'asc'
 	 */
-	async queryAllData(options = {}) {
+	async querySegments(segments, options = {}) {
 		if (!this.isConnected) {
 			throw new Error('Database not connected');
 		}
 
-		const { dataType, startDate, endDate, limit = 1000 } = options;
+		const { limit = 100, offset = 0 } = options;
+		let results = [];
 
-		// Get all table names from metadata
-		const tables = await this.all(`
-			SELECT table_name, mac_address FROM biocv_metadata
-			WHERE table_name != 'ENVIRONMENT_DATA'
-		`);
+		for (const segment of segments) {
+			const range = this.intersectRange(options, segment);
+			if (!range || (await this.getExportTables(segment.mac)).length === 0) {
+				continue;
+			}
+			const rows = await this.queryData(segment.mac, { ...options, ...range, limit: limit + offset, offset: 0 });
+			results = results.concat(rows);
+		}
 
-		let allResults = [];
+		this.sortByTime(results, options.order);
+		return results.slice(offset, offset + limit);
+	}
 
-		for (const table of tables) {
-			let sql = `SELECT * FROM "${table.table_name}" WHERE 1=1`;
-			const params = [];
+	/**
+	 * Row counts and time span per segment ([{ mac, startDate, endDate }])
+	 */
+	async getSegmentStats(segments) {
+		if (!this.isConnected) {
+			throw new Error('Database not connected');
+		}
 
-			if (dataType && dataType !== 'all') {
-				sql += ` AND data_type = ?`;
-				params.push(dataType);
+		const stats = { total_rows: 0, first_entry: null, last_entry: null, segments: [] };
+		for (const segment of segments) {
+			const entry = { ...segment, total_rows: 0, data_types: 0, first_entry: null, last_entry: null };
+			const tables = await this.getExportTables(segment.mac);
+			if (tables.length > 0) {
+				const { where, params } = this.buildRowFilter(segment);
+				Object.assign(entry, await this.get(`
+					SELECT
+						COUNT(*) as total_rows,
+						COUNT(DISTINCT data_type) as data_types,
+						MIN(t) as first_entry,
+						MAX(t) as last_entry
+					FROM "${tables[0].table_name}" WHERE ${where}
+				`, params));
 			}
 
-			if (startDate) {
-				sql += ` AND t >= ?`;
-				params.push(startDate);
+			stats.segments.push(entry);
+			stats.total_rows += entry.total_rows;
+			if (entry.first_entry !== null && (stats.first_entry === null || entry.first_entry < stats.first_entry)) {
+				stats.first_entry = entry.first_entry;
 			}
-
-			if (endDate) {
-				sql += ` AND t <= ?`;
-				params.push(endDate);
+			if (entry.last_entry !== null && (stats.last_entry === null || entry.last_entry > stats.last_entry)) {
+				stats.last_entry = entry.last_entry;
 			}
+		}
+		return stats;
+	}
+
+	/**
+	 * Query all data across all devices and environment stations
+	 */
+	async queryAllData(options = {}) {
+		if (!this.isConnected) {
+			throw new Error('Database not connected');
+		}
 
-			sql += ` ORDER BY t DESC`;
+		const { limit = 1000, offset = 0 } = options;
+		const direction = this.getSortDirection(options.order);
+
+		let allResults = [];
 
-			const results = await this.all(sql, params);
+		for (const table of await this.getReadTargets({ ...options, mac: null })) {
+			const results = await this.all(`
+				SELECT * FROM "${table.table_name}" WHERE ${table.where}
+				ORDER BY t ${direction} LIMIT ?
+			`, [...table.params, limit + offset]);
 			allResults = allResults.concat(results);
 		}
 
 		// Sort by timestamp and limit
-		allResults.sort((a, b) => (b.t || 0) - (a.t || 0));
-		allResults = allResults.slice(0, limit);
+		this.sortByTime(allResults, options.order);
+		allResults = allResults.slice(offset, offset + limit);
 
 		this.log('info', `Queried ${allResults.length} records across all devices`);
 		return allResults;
 	}
 
 	/**
-	 * Get storage statistics
+	 * Query environment readings, newest first unless order is 'asc'.
+	 * options.station limits them to one station; startDate, endDate and
+	 * where filter as in queryData().
 	 */
-	async getStorageStats(mac = null) {
+	async queryEnvironment(options = {}) {
 		if (!this.isConnected) {
 			throw new Error('Database not connected');
 		}
 
-		if (mac) {
-			const tableName = this.sanitizeMacForTableName(mac);
-			const stats = await this.get(`
-				SELECT 
-					COUNT(*) as total_rows,
-					COUNT(DISTINCT data_type) as data_types,
-					MIN(t) as first_entry,
-					MAX(t) as last_entry
-				FROM "${tableName}"
-			`);
-			return { mac, ...stats };
-		} else {
-			const stats = await this.all(`
-				SELECT 
-					table_name,
-					mac_address,
-					row_count,
-					last_updated,
-					data_types
-				FROM biocv_metadata
-				ORDER BY last_updated DESC
-			`);
-			return stats;
+		if (!(await this.tableExists(ENVIRONMENT_TABLE))) {
+			return [];
 		}
+
+		const { limit = 100, offset = 0 } = options;
+		const { where, params } = this.buildRowFilter({ ...options, dataType: null }, ENVIRONMENT_FILTER_COLUMNS);
+		const results = await this.all(`
+			SELECT * FROM ${ENVIRONMENT_TABLE} WHERE ${where}
+			ORDER BY t ${this.getSortDirection(options.order)} LIMIT ? OFFSET ?
+		`, [...params, limit, offset]);
+		this.log('info', `Queried ${results.length} environment records${options.station ? ` for ${options.station}` : ''}`);
+		return results;
 	}
 
 	/**
-	 * Clean up old data
+	 * Stored environment stations with their reading count, time span and latest values
 	 */
-	async cleanupOldData(mac = null, olderThanDays = null) {
+	async getEnvironmentStations() {
 		if (!this.isConnected) {
 			throw new Error('Database not connected');
 		}
 
-		const days = olderThanDays || this.config.retention_days;
-		const cutoffDate = new Date();
-		cutoffDate.setDate(cutoffDate.getDate() - days);
-
-		if (mac) {
-			const tableName = this.sanitizeMacForTableName(mac);
-			const result = await this.run(`
-				DELETE FROM "${tableName}" 
-				WHERE created_at < ?
-			`, [cutoffDate.toISOString()]);
-			
-			await this.updateMetadata(tableName, mac);
-			this.log('info', `Cleaned up ${result.changes} old records for ${mac}`);
-			return result.changes;
-		} else {
-			// Clean up all tables
-			const tables = await this.all(`
-				SELECT table_name FROM biocv_metadata
-			`);
-
-			let totalDeleted = 0;
-			for (const table of tables) {
-				const result = await this.run(`
-					DELETE FROM "${table.table_name}" 
-					WHERE created_at < ?
-				`, [cutoffDate.toISOString()]);
-				
-				totalDeleted += result.changes;
-				await this.updateMetadata(table.table_name, table.mac_address);
-			}
+		if (!(await this.tableExists(ENVIRONMENT_TABLE))) {
+			return [];
+		}
 
-			this.log('info', `Cleaned up ${totalDeleted} old records across all tables`);
-			return totalDeleted;
+		const stations = await this.all(`
+			SELECT station, COUNT(*) as readings, MIN(t) as first_entry, MAX(t) as last_entry
+			FROM ${ENVIRONMENT_TABLE}
+			GROUP BY station ORDER BY station
+		`);
+		for (const station of stations) {
+			const latest = await this.get(`
+				SELECT temperature, humidity FROM ${ENVIRONMENT_TABLE}
+				WHERE station = ? ORDER BY t DESC LIMIT 1
+			`, [station.station]);
+			Object.assign(station, latest);
 		}
+		return stations;
 	}
 
 	/**
-	 * Drop table for specific MAC address
+	 * Downsample a numeric column into fixed time buckets aligned to UTC.
+	 * target is a MAC, a list of segments ([{ mac, startDate, endDate }]) or null
+	 * for all devices; temperature and humidity are read from the environment table
+	 * (options.station limits them to one station).
+	 * Tag fields can be filtered with where, as in buildRowFilter().
+	 * Buckets without data get a null value (count 0) between startDate and endDate,
+	 * or the first and last bucket with data; fill: 'previous' carries the last value
+	 * forward and 'none' leaves them out.
 	 */
-	async dropTable(mac) {
+	async aggregate(target, options = {}) {
 		if (!this.isConnected) {
 			throw new Error('Database not connected');
 		}
 
-		const tableName = this.sanitizeMacForTableName(mac);
-		
-		await this.run(`DROP TABLE IF EXISTS "${tableName}"`);
-		await this.run(`DELETE FROM biocv_metadata WHERE table_name = ?`, [tableName]);
-		
-		this.createdTables.delete(tableName);
-		this.log('info', `Dropped table for ${mac}`);
+		const { field, bucket = '1h', fn = 'avg', fill = 'null', startDate, endDate } = options;
+		if (!AGGREGATE_FIELDS[field]) {
+			throw new Error(`Cannot aggregate ${field}, use one of: ${Object.keys(AGGREGATE_FIELDS).join(', ')}`);
+		}
+		if (!AGGREGATE_FUNCTIONS.includes(fn)) {
+			throw new Error(`Unknown function: ${fn}, use one of: ${AGGREGATE_FUNCTIONS.join(', ')}`);
+		}
+		if (!AGGREGATE_FILLS.includes(fill)) {
+			throw new Error(`Unknown fill: ${fill}, use one of: ${AGGREGATE_FILLS.join(', ')}`);
+		}
+
+		const bucketMs = parseBucket(bucket);
+		const bucketCount = (first, last) => Math.floor(last / bucketMs) - Math.floor(first / bucketMs) + 1;
+		if (fill !== 'none' && startDate && endDate && bucketCount(startDate, endDate) > MAX_BUCKETS) {
+			throw new Error(`Range too long for ${bucket} buckets (max ${MAX_BUCKETS}), use a larger bucket`);
+		}
+
+		const partials = AGGREGATE_FIELDS[field] === 'environment'
+			? await this.aggregateEnvironment(field, bucketMs, options)
+			: await this.aggregateDevices(target, field, bucketMs, options);
+
+		// Each table returns its own partial sums per bucket, merge them
+		const merged = new Map();
+		partials.forEach(row => {
+			const entry = merged.get(row.bucket);
+			if (!entry) {
+				merged.set(row.bucket, { ...row });
+				return;
+			}
+			entry.count += row.count;
+			entry.sum += row.sum;
+			entry.sum_sq += row.sum_sq;
+			entry.min = Math.min(entry.min, row.min);
+			entry.max = Math.max(entry.max, row.max);
+		});
+
+		const keys = [...merged.keys()].sort((a, b) => a - b);
+		const first = startDate ? Math.floor(startDate / bucketMs) * bucketMs : keys[0];
+		const last = endDate ? Math.floor(endDate / bucketMs) * bucketMs : keys[keys.length - 1];
+		let starts = keys;
+		if (fill !== 'none' && first !== undefined && last !== undefined) {
+			if (bucketCount(first, last) > MAX_BUCKETS) {
+				throw new Error(`Range too long for ${bucket} buckets (max ${MAX_BUCKETS}), use a larger bucket or a shorter range`);
+			}
+			starts = [];
+			for (let start = first; start <= last; start += bucketMs) {
+				starts.push(start);
+			}
+		}
+
+		let previous = null;
+		const buckets = starts.map(start => {
+			const entry = merged.get(start);
+			let value = null;
+			if (entry) {
+				const mean = entry.sum / entry.count;
+				value = {
+					avg: mean,
+					min: entry.min,
+					max: entry.max,
+					count: entry.count,
+					stddev: Math.sqrt(Math.max(0, entry.sum_sq / entry.count - mean * mean))
+				}[fn];
+				previous = value;
+			} else if (fn === 'count') {
+				value = 0;
+			} else if (fill === 'previous') {
+				value = previous;
+			}
+			return { start, end: start + bucketMs, value, count: entry ? entry.count : 0 };
+		});
+
+		this.log('info', `Aggregated ${field} into ${buckets.length} buckets of ${bucket}`);
+		return { field, fn, bucket, bucket_ms: bucketMs, buckets };
 	}
 
 	/**
-	 * Export data to JSON file
+	 * Partial sums per bucket of a device column, one set per table read
 	 */
-	async exportToJSON(filePath, options = {}) {
+	async aggregateDevices(target, field, bucketMs, options = {}) {
+		const { dataType, startDate, endDate, where } = options;
+		const targets = await this.getReadTargets(Array.isArray(target)
+			? { dataType, startDate, endDate, where, segments: target }
+			: { dataType, startDate, endDate, where, mac: target || null });
+
+		let partials = [];
+		for (const table of targets.filter(target => target.table_name !== ENVIRONMENT_TABLE)) {
+			const rows = await this.all(`
+				SELECT
+					(t / ?) * ? as bucket,
+					COUNT(${field}) as count,
+					SUM(${field}) as sum,
+					SUM(${field} * ${field}) as sum_sq,
+					MIN(${field}) as min,
+					MAX(${field}) as max
+				FROM "${table.table_name}"
+				WHERE ${table.where} AND t IS NOT NULL AND ${field} IS NOT NULL
+				GROUP BY bucket
+			`, [bucketMs, bucketMs, ...table.params]);
+			partials = partials.concat(rows);
+		}
+		return partials;
+	}
+
+	/**
+	 * Partial sums per bucket of an environment column of one or all stations
+	 */
+	async aggregateEnvironment(field, bucketMs, options = {}) {
+		if (!(await this.tableExists(ENVIRONMENT_TABLE))) {
+			return [];
+		}
+
+		const { station, startDate, endDate } = options;
+		const { where, params } = this.buildRowFilter({ station, startDate, endDate }, ENVIRONMENT_FILTER_COLUMNS);
+		return this.all(`
+			SELECT
+				(t / ?) * ? as bucket,
+				COUNT(${field}) as count,
+				SUM(${field}) as sum,
+				SUM(${field} * ${field}) as sum_sq,
+				MIN(${field}) as min,
+				MAX(${field}) as max
+			FROM ${ENVIRONMENT_TABLE}
+			WHERE ${where} AND t IS NOT NULL AND ${field} IS NOT NULL
+			GROUP BY bucket
+		`, [bucketMs, bucketMs, ...params]);
+	}
+
+	/**
+	 * Get storage statistics
+	 */
+	async getStorageStats(mac = null) {
 		if (!this.isConnected) {
 			throw new Error('Database not connected');
 		}
 
-		const { mac, dataType, startDate, endDate } = options;
-		let data;
-
 		if (mac) {
-			data = await this.queryData(mac, { dataType, startDate, endDate, limit: 10000 });
+			const tableName = this.sanitizeMacForTableName(mac);
+			const stats = await this.get(`
+				SELECT 
+					COUNT(*) as total_rows,
+					COUNT(DISTINCT data_type) as data_types,
+					MIN(t) as first_entry,
+					MAX(t) as last_entry
+				FROM "${tableName}"
+			`);
+			const eviction = await this.get(`
+				SELECT evicted_count, evicted_by_type, last_eviction
+				FROM biocv_metadata WHERE table_name = ?
+			`, [tableName]);
+			return {
+				mac,
+				...stats,
+				evicted_count: eviction ? eviction.evicted_count : 0,
+				evicted_by_type: eviction ? JSON.parse(eviction.evicted_by_type || '{}') : {},
+				last_eviction: eviction ? eviction.last_eviction : null
+			};
 		} else {
-			data = await this.queryAllData({ dataType, startDate, endDate, limit: 10000 });
+			const stats = await this.all(`
+				SELECT 
+					table_name,
+					mac_address,
+					row_count,
+					last_updated,
+					data_types,
+					evicted_count,
+					evicted_by_type,
+					last_eviction
+				FROM biocv_metadata
+				ORDER BY last_updated DESC
+			`);
+			return stats;
+		}
+	}
+
+	/**
+	 * Drop table for specific MAC address
+	 */
+	async dropTable(mac) {
+		if (!this.isConnected) {
+			throw new Error('Database not connected');
+		}
+
+		const tableName = this.sanitizeMacForTableName(mac);
+		
+		await this.run(`DROP TABLE IF EXISTS "${tableName}"`);
+		await this.run(`DELETE FROM biocv_metadata WHERE table_name = ?`, [tableName]);
+		
+		this.createdTables.delete(tableName);
+		this.tableDataTypes.delete(tableName);
+		this.log('info', `Dropped table for ${mac}`);
+	}
+
+	/**
+	 * Build the WHERE clause shared by the queries and streaming readers.
+	 * where: [{ field, op, value }] adds field predicates (e.g. c > 39.5),
+	 * columns are the ones of the table read (device or environment).
+	 */
+	buildRowFilter({ dataType, station, startDate, endDate, where: predicates = [] } = {}, columns = FILTER_COLUMNS) {
+		let where = '1=1';
+		const params = [];
+
+		if (dataType && dataType !== 'all') {
+			where += ' AND data_type = ?';
+			params.push(dataType);
+		}
+
+		if (station && columns === ENVIRONMENT_FILTER_COLUMNS) {
+			where += ' AND station = ?';
+			params.push(station);
+		}
+
+		if (startDate) {
+			where += ' AND t >= ?';
+			params.push(startDate);
+		}
+
+		if (endDate) {
+			where += ' AND t <= ?';
+			params.push(endDate);
+		}
+
+		predicates.forEach(({ field, op, value }) => {
+			if (!columns.includes(field)) {
+				throw new Error(`Cannot filter on ${field}, use one of: ${columns.join(', ')}`);
+			}
+			if (!FILTER_OPERATORS.includes(op)) {
+				throw new Error(`Unknown operator ${op}, use one of: ${FILTER_OPERATORS.join(' ')}`);
+			}
+			where += ` AND ${field} ${op} ?`;
+			params.push(value);
+		});
+
+		return { where, params };
+	}
+
+	/**
+	 * SQL sort direction for an order option (default newest first)
+	 */
+	getSortDirection(order) {
+		if (order && order !== 'asc' && order !== 'desc') {
+			throw new Error(`Unknown order: ${order}, use asc or desc`);
 		}
+		return order === 'asc' ? 'ASC' : 'DESC';
+	}
+
+	/**
+	 * Sort merged rows by t, newest first unless order is 'asc'
+	 */
+	sortByTime(rows, order) {
+		return order === 'asc'
+			? rows.sort((a, b) => (a.t || 0) - (b.t || 0))
+			: rows.sort((a, b) => (b.t || 0) - (a.t || 0));
+	}
+
+	/**
+	 * Get the device tables a streaming read covers
+	 */
+	async getExportTables(mac = null) {
+		if (mac) {
+			const tableName = this.sanitizeMacForTableName(mac);
+			return this.all(`
+				SELECT table_name, mac_address FROM biocv_metadata WHERE table_name = ?
+			`, [tableName]);
+		}
+
+		return this.all(`
+			SELECT table_name, mac_address FROM biocv_metadata
+			WHERE table_name != '${ENVIRONMENT_TABLE}'
+			ORDER BY mac_address
+		`);
+	}
+
+	/**
+	 * Date range of a read limited to a segment, or null if they don't overlap
+	 */
+	intersectRange({ startDate, endDate } = {}, segment = {}) {
+		const starts = [startDate, segment.startDate].filter(value => value !== undefined && value !== null);
+		const ends = [endDate, segment.endDate].filter(value => value !== undefined && value !== null);
+		const range = {
+			startDate: starts.length ? Math.max(...starts) : undefined,
+			endDate: ends.length ? Math.min(...ends) : undefined
+		};
+		if (range.startDate !== undefined && range.endDate !== undefined && range.startDate > range.endDate) {
+			return null;
+		}
+		return range;
+	}
+
+	/**
+	 * Which of the device tables and the environment table a read covers.
+	 * A mac or segments only read devices, a station only the environment table;
+	 * the data type and the filtered columns have to exist in the table.
+	 */
+	getReadKinds({ mac, segments, station, dataType, where: predicates = [] } = {}) {
+		const fields = predicates.map(predicate => predicate.field);
+		const unknown = fields.find(field => !FILTER_COLUMNS.includes(field) && !ENVIRONMENT_FILTER_COLUMNS.includes(field));
+		if (unknown) {
+			const columns = [...new Set([...FILTER_COLUMNS, ...ENVIRONMENT_FILTER_COLUMNS])];
+			throw new Error(`Cannot filter on ${unknown}, use one of: ${columns.join(', ')}`);
+		}
+
+		const anyType = !dataType || dataType === 'all';
+		return {
+			devices: !station && (anyType || dataType !== 'environment') &&
+				fields.every(field => FILTER_COLUMNS.includes(field)),
+			environment: !mac && !segments && (anyType || dataType === 'environment') &&
+				fields.every(field => ENVIRONMENT_FILTER_COLUMNS.includes(field))
+		};
+	}
+
+	/**
+	 * Tables and WHERE clauses a streaming read covers. options.segments
+	 * ([{ mac, startDate, endDate }], e.g. the tags an animal wore) limits each
+	 * device to its own time range instead of reading options.mac. Without a
+	 * mac the environment table is read as well (options.station for one station).
+	 */
+	async getReadTargets(options = {}) {
+		const kinds = this.getReadKinds(options);
+		const targets = [];
+
+		if (kinds.environment && await this.tableExists(ENVIRONMENT_TABLE)) {
+			const { where, params } = this.buildRowFilter(options, ENVIRONMENT_FILTER_COLUMNS);
+			targets.push({ table_name: ENVIRONMENT_TABLE, mac_address: null, where, params });
+		}
+		if (!kinds.devices) {
+			return targets;
+		}
+
+		if (!options.segments) {
+			const { where, params } = this.buildRowFilter(options);
+			return (await this.getExportTables(options.mac)).map(table => ({ ...table, where, params })).concat(targets);
+		}
+
+		for (const segment of options.segments) {
+			const range = this.intersectRange(options, segment);
+			if (!range) {
+				continue;
+			}
+			const { where, params } = this.buildRowFilter({ ...options, ...range });
+			(await this.getExportTables(segment.mac)).forEach(table => targets.push({ ...table, where, params }));
+		}
+		return targets;
+	}
+
+	/**
+	 * Count the rows a streaming read with the same options would return
+	 */
+	async countRows(options = {}) {
+		if (!this.isConnected) {
+			throw new Error('Database not connected');
+		}
+
+		let total = 0;
 
-		const exportData = {
+		for (const table of await this.getReadTargets(options)) {
+			const result = await this.get(`SELECT COUNT(*) as count FROM "${table.table_name}" WHERE ${table.where}`, table.params);
+			total += result.count;
+		}
+
+		return options.limit ? Math.min(total, options.limit) : total;
+	}
+
+	/**
+	 * Stream rows table by table in chunks, without loading the result set into memory.
+	 * Supports the same mac/dataType/startDate/endDate filters as queryData(), or
+	 * segments instead of mac (see getReadTargets()).
+	 */
+	async *streamRows(options = {}) {
+		if (!this.isConnected) {
+			throw new Error('Database not connected');
+		}
+
+		const { limit = null, chunkSize = 1000 } = options;
+		let remaining = limit || Infinity;
+
+		for (const table of await this.getReadTargets(options)) {
+			let lastId = 0;
+
+			while (remaining > 0) {
+				const rows = await this.all(`
+					SELECT * FROM "${table.table_name}"
+					WHERE ${table.where} AND id > ?
+					ORDER BY id ASC LIMIT ?
+				`, [...table.params, lastId, Math.min(chunkSize, remaining)]);
+
+				if (rows.length === 0) {
+					break;
+				}
+
+				for (const row of rows) {
+					yield row;
+				}
+
+				lastId = rows[rows.length - 1].id;
+				remaining -= rows.length;
+			}
+		}
+	}
+
+	/**
+	 * Stream rows to a writable stream in the given format (json, ndjson or csv),
+	 * gzip compressed if options.gzip is set.
+	 * options.onProgress({ written, total, done }) is called after every chunk.
+	 */
+	async exportToStream(output, options = {}) {
+		if (!this.isConnected) {
+			throw new Error('Database not connected');
+		}
+
+		const { format = 'json', gzip = false, onProgress, chunkSize = 1000, ...filters } = options;
+		const formatter = EXPORT_FORMATS[format];
+		if (!formatter) {
+			throw new Error(`Unknown export format "${format}" (expected ${Object.keys(EXPORT_FORMATS).join(', ')})`);
+		}
+
+		const total = onProgress ? await this.countRows(filters) : null;
+		const exportInfo = {
 			export_timestamp: new Date().toISOString(),
-			export_options: options,
-			record_count: data.length,
-			data: data
+			export_options: { format, ...filters },
+			record_count: 0,
+			gzip
 		};
 
-		fs.writeFileSync(filePath, JSON.stringify(exportData, null, 2));
-		this.log('success', `Exported ${data.length} records to ${filePath}`);
-		return exportData;
+		const storage = this;
+		async function* lines() {
+			yield formatter.header(exportInfo);
+
+			let first = true;
+			for await (const row of storage.streamRows({ ...filters, chunkSize })) {
+				yield formatter.row(row, first);
+				first = false;
+				exportInfo.record_count++;
+
+				if (onProgress && exportInfo.record_count % chunkSize === 0) {
+					onProgress({ written: exportInfo.record_count, total });
+				}
+			}
+
+			yield formatter.footer(exportInfo);
+		}
+
+		const stages = [Readable.from(lines())];
+		if (gzip) {
+			stages.push(zlib.createGzip());
+		}
+		stages.push(output);
+
+		await pipeline(...stages);
+
+		if (onProgress) {
+			onProgress({ written: exportInfo.record_count, total, done: true });
+		}
+
+		return exportInfo;
 	}
 
 	/**
-	 * Update metadata table
+	 * Stream rows to a file in the given format (json, ndjson or csv).
+	 * Compresses with gzip if options.gzip is set or the path ends in .gz.
+	 */
+	async exportToFile(filePath, options = {}) {
+		if (!this.isConnected) {
+			throw new Error('Database not connected');
+		}
+
+		const dir = path.dirname(filePath);
+		if (!fs.existsSync(dir)) {
+			fs.mkdirSync(dir, { recursive: true });
+		}
+
+		const gzip = Boolean(options.gzip || filePath.endsWith('.gz'));
+		const exportInfo = await this.exportToStream(fs.createWriteStream(filePath), { ...options, gzip });
+		exportInfo.file_path = filePath;
+
+		this.log('success', `Exported ${exportInfo.record_count} records to ${filePath}`);
+		return exportInfo;
+	}
+
+	/**
+	 * Get the content type of an export format
+	 */
+	getExportContentType(format) {
+		return EXPORT_FORMATS[format] ? EXPORT_FORMATS[format].contentType : null;
+	}
+
+	/**
+	 * Export data to JSON file
+	 */
+	async exportToJSON(filePath, options = {}) {
+		return this.exportToFile(filePath, { ...options, format: 'json' });
+	}
+
+	/**
+	 * Export data to newline delimited JSON file
+	 */
+	async exportToNDJSON(filePath, options = {}) {
+		return this.exportToFile(filePath, { ...options, format: 'ndjson' });
+	}
+
+	/**
+	 * Export data to CSV file with flattened reading columns
+	 */
+	async exportToCSV(filePath, options = {}) {
+		return this.exportToFile(filePath, { ...options, format: 'csv' });
+	}
+
+	/**
+	 * Read records from a file written by exportToFile() (json or ndjson, optionally gzipped).
+	 * Yields { record } for every parsed row or { error, line } for lines that can't be parsed.
+	 */
+	async *readExportFile(filePath) {
+		if (!fs.existsSync(filePath)) {
+			throw new Error(`File not found: ${filePath}`);
+		}
+
+		const openStream = () => {
+			const stream = fs.createReadStream(filePath);
+			return isGzipFile(filePath) ? stream.pipe(zlib.createGunzip()) : stream;
+		};
+
+		const lines = readline.createInterface({ input: openStream(), crlfDelay: Infinity });
+		let lineNumber = 0;
+		let legacyJson = false;
+
+		for await (const rawLine of lines) {
+			lineNumber++;
+			let line = rawLine.trim();
+
+			if (lineNumber === 1 && line.startsWith('{"export_timestamp"')) {
+				// Streaming JSON export: header line, one row per line, footer line
+				continue;
+			}
+			if (lineNumber === 1 && line === '{') {
+				// Pretty printed export written by older versions
+				legacyJson = true;
+				break;
+			}
+			if (!line || line.startsWith('],"record_count"')) {
+				continue;
+			}
+
+			if (line.endsWith(',')) {
+				line = line.slice(0, -1);
+			}
+
+			try {
+				yield { record: JSON.parse(line) };
+			} catch (error) {
+				yield { error: `Invalid JSON: ${error.message}`, line: lineNumber };
+			}
+		}
+
+		if (legacyJson) {
+			lines.close();
+			const chunks = [];
+			for await (const chunk of openStream()) {
+				chunks.push(chunk);
+			}
+			const parsed = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+			for (const record of parsed.data || []) {
+				yield { record };
+			}
+		}
+	}
+
+	/**
+	 * Convert an exported row back into a row for writeRows().
+	 * Returns null if the record is not a valid storage row.
+	 */
+	recordToRow(record) {
+		if (!record || typeof record !== 'object' || !IMPORT_DATA_TYPES.includes(record.data_type)) {
+			return null;
+		}
+
+		if (record.t !== null && record.t !== undefined && !Number.isFinite(Number(record.t))) {
+			return null;
+		}
+
+		const columnNames = record.data_type === 'environment' ? ENVIRONMENT_COLUMNS : DEVICE_COLUMNS;
+		const columns = { data_type: record.data_type };
+		for (const column of columnNames) {
+			if (record[column] !== undefined) {
+				columns[column] = record[column];
+			}
+		}
+
+		if (record.data_type === 'environment') {
+			// Exports of older versions have no station and only the timestamp
+			columns.station = getStationId(record);
+			if ((columns.t === null || columns.t === undefined) && record.timestamp) {
+				const t = Date.parse(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(record.timestamp)
+					? `${record.timestamp.replace(' ', 'T')}Z`
+					: record.timestamp);
+				columns.t = Number.isFinite(t) ? t : null;
+			}
+			if (columns.timestamp === undefined && columns.t !== null && columns.t !== undefined) {
+				columns.timestamp = toSqliteDatetime(Number(columns.t));
+			}
+			return { mac: null, dataType: 'environment', columns };
+		}
+
+		if (typeof record.mac_address !== 'string' || !record.mac_address) {
+			return null;
+		}
+
+		columns.mac_address = record.mac_address;
+		return { mac: record.mac_address, dataType: record.data_type, columns };
+	}
+
+	/**
+	 * Check whether a row is already stored (same mac or station + t + data_type,
+	 * plus the receiver for ANT rows).
+	 * Rows without a reading time fall back to created_at + raw_data.
+	 */
+	async rowExists(row) {
+		const tableName = row.mac ? this.sanitizeMacForTableName(row.mac) : ENVIRONMENT_TABLE;
+		if (!(await this.tableExists(tableName))) {
+			return false;
+		}
+
+		const { columns } = row;
+		// Environment rows are told apart by station, ANT distances by receiver
+		const extra = !row.mac
+			? { sql: ' AND station = ?', params: [columns.station] }
+			: row.dataType === 'ant'
+				? { sql: ' AND ant_mac IS ?', params: [firstDefined(columns.ant_mac)] }
+				: { sql: '', params: [] };
+		const found = columns.t !== null && columns.t !== undefined
+			? await this.get(`
+				SELECT 1 FROM "${tableName}" WHERE t = ? AND data_type = ?${extra.sql} LIMIT 1
+			`, [columns.t, row.dataType, ...extra.params])
+			: await this.get(`
+				SELECT 1 FROM "${tableName}" WHERE data_type = ? AND created_at IS ? AND raw_data IS ? LIMIT 1
+			`, [row.dataType, columns.created_at, columns.raw_data]);
+
+		return Boolean(found);
+	}
+
+	/**
+	 * Dedup key of a row within one import run
+	 */
+	rowKey(row) {
+		const { columns } = row;
+		const source = row.mac || columns.station;
+		const receiver = row.dataType === 'ant' ? `|${columns.ant_mac}` : '';
+		return columns.t !== null && columns.t !== undefined
+			? `${source}|${row.dataType}|${columns.t}${receiver}`
+			: `${source}|${row.dataType}|${columns.created_at}|${columns.raw_data}`;
+	}
+
+	/**
+	 * Import exported records into their per-MAC tables (or ENVIRONMENT_DATA),
+	 * skipping rows that are already stored. options.onRecord(record) is called
+	 * for every valid record, whether it was inserted or skipped.
+	 */
+	async importRecords(entries, options = {}) {
+		if (!this.isConnected) {
+			throw new Error('Database not connected');
+		}
+
+		const { batchSize = 500, onRecord, onProgress } = options;
+		const result = { inserted: 0, skipped: 0, invalid: 0, errors: [] };
+		const seen = new Set();
+		let batch = [];
+
+		const flushBatch = async () => {
+			if (batch.length > 0) {
+				result.inserted += await this.writeRows(batch);
+				batch = [];
+				seen.clear();
+				if (onProgress) {
+					onProgress({ ...result });
+				}
+			}
+		};
+
+		for await (const entry of entries) {
+			const row = entry.error ? null : this.recordToRow(entry.record);
+			if (!row) {
+				result.invalid++;
+				if (result.errors.length < 10) {
+					result.errors.push(entry.error
+						? `line ${entry.line}: ${entry.error}`
+						: `invalid record: ${JSON.stringify(entry.record).slice(0, 120)}`);
+				}
+				continue;
+			}
+
+			const key = this.rowKey(row);
+			if (seen.has(key) || await this.rowExists(row)) {
+				result.skipped++;
+			} else {
+				seen.add(key);
+				batch.push(row);
+			}
+
+			if (onRecord) {
+				await onRecord(entry.record);
+			}
+
+			if (batch.length >= batchSize) {
+				await flushBatch();
+			}
+		}
+
+		await flushBatch();
+		return result;
+	}
+
+	/**
+	 * Write built rows, skipping rows that are already stored (same mac + t + data_type)
+	 */
+	async writeRowsDeduplicated(rows) {
+		const seen = new Set();
+		const fresh = [];
+		let skipped = 0;
+
+		for (const row of rows) {
+			const key = this.rowKey(row);
+			if (seen.has(key) || await this.rowExists(row)) {
+				skipped++;
+			} else {
+				seen.add(key);
+				fresh.push(row);
+			}
+		}
+
+		const inserted = fresh.length > 0 ? await this.writeRows(fresh) : 0;
+		return { inserted, skipped };
+	}
+
+	/**
+	 * Get the MAC addresses of all device tables
+	 */
+	async getDeviceMacs() {
+		if (!this.isConnected) {
+			throw new Error('Database not connected');
+		}
+
+		const rows = await this.all(`
+			SELECT mac_address FROM biocv_metadata
+			WHERE table_name != '${ENVIRONMENT_TABLE}'
+			ORDER BY mac_address
+		`);
+		return rows.map(row => row.mac_address);
+	}
+
+	/**
+	 * Get the latest reading time (t) stored for a device, or null. With
+	 * before, only readings up to that time count.
+	 */
+	async getLastReadingTime(mac, dataType = null, before = null) {
+		if (!this.isConnected) {
+			throw new Error('Database not connected');
+		}
+
+		const tableName = this.sanitizeMacForTableName(mac);
+		const exists = await this.get(`
+			SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?
+		`, [tableName]);
+		if (!exists) {
+			return null;
+		}
+
+		const conditions = [];
+		const params = [];
+		if (dataType) {
+			conditions.push('data_type = ?');
+			params.push(dataType);
+		}
+		if (before !== null) {
+			conditions.push('t <= ?');
+			params.push(before);
+		}
+		const where = conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+		const result = await this.get(`SELECT MAX(t) as last FROM "${tableName}"${where}`, params);
+		return result ? result.last : null;
+	}
+
+	/**
+	 * Import a JSON export (streaming or legacy pretty printed, optionally gzipped)
+	 */
+	async importFromJSON(filePath, options = {}) {
+		const result = await this.importRecords(this.readExportFile(filePath), options);
+		this.log('success', `Imported ${filePath}: ${result.inserted} inserted, ${result.skipped} skipped, ${result.invalid} invalid`);
+		return result;
+	}
+
+	/**
+	 * Import an NDJSON export (optionally gzipped)
+	 */
+	async importFromNDJSON(filePath, options = {}) {
+		const result = await this.importRecords(this.readExportFile(filePath), options);
+		this.log('success', `Imported ${filePath}: ${result.inserted} inserted, ${result.skipped} skipped, ${result.invalid} invalid`);
+		return result;
+	}
+
+	/**
+	 * Resolve the row quota of each data type within a device table.
+	 * Configured quotas are fractions of max_table_size; data types without
+	 * a configured quota share whatever is left evenly.
+	 */
+	getDataTypeQuotas(dataTypes) {
+		const maxSize = this.config.max_table_size;
+		const configured = this.config.data_type_quotas || {};
+		const quotas = {};
+
+		let configuredShare = 0;
+		const unconfigured = [];
+		for (const dataType of dataTypes) {
+			if (typeof configured[dataType] === 'number' && configured[dataType] >= 0) {
+				configuredShare += configured[dataType];
+			} else {
+				unconfigured.push(dataType);
+			}
+		}
+
+		// Scale down over-committed quotas so they never exceed the table cap
+		const scale = configuredShare > 1 ? 1 / configuredShare : 1;
+		const remainingShare = Math.max(0, 1 - configuredShare * scale);
+
+		for (const dataType of dataTypes) {
+			const share = unconfigured.includes(dataType)
+				? remainingShare / unconfigured.length
+				: configured[dataType] * scale;
+			quotas[dataType] = Math.floor(maxSize * share);
+		}
+
+		return quotas;
+	}
+
+	/**
+	 * Evict the oldest rows of a device table once it exceeds max_table_size.
+	 * Only data types above their quota are evicted, so a chatty data type
+	 * can never push out the rows of another one.
+	 */
+	async enforceTableCap(tableName, mac, rowCount = null) {
+		const maxSize = this.config.max_table_size;
+		if (!maxSize || maxSize <= 0 || (rowCount !== null && rowCount <= maxSize)) {
+			return 0;
+		}
+
+		const counts = await this.all(`
+			SELECT data_type, COUNT(*) as count FROM "${tableName}" GROUP BY data_type
+		`);
+		const total = counts.reduce((sum, row) => sum + row.count, 0);
+		if (total <= maxSize) {
+			return 0;
+		}
+
+		const quotas = this.getDataTypeQuotas(counts.map(row => row.data_type));
+		const overQuota = counts
+			.map(row => ({ dataType: row.data_type, over: row.count - quotas[row.data_type] }))
+			.filter(entry => entry.over > 0)
+			.sort((a, b) => b.over - a.over);
+
+		let excess = total - maxSize;
+		const evicted = {};
+
+		for (const { dataType, over } of overQuota) {
+			if (excess <= 0) {
+				break;
+			}
+
+			const count = Math.min(over, excess);
+			const result = await this.run(`
+				DELETE FROM "${tableName}" WHERE id IN (
+					SELECT id FROM "${tableName}" WHERE data_type = ?
+					ORDER BY t ASC, id ASC LIMIT ?
+				)
+			`, [dataType, count]);
+
+			evicted[dataType] = result.changes;
+			excess -= result.changes;
+		}
+
+		const evictedTotal = Object.values(evicted).reduce((sum, count) => sum + count, 0);
+		if (evictedTotal > 0) {
+			await this.recordEviction(tableName, evicted, total - evictedTotal);
+			this.log('info', `Evicted ${evictedTotal} oldest records for ${mac} (cap ${maxSize})`);
+		}
+
+		return evictedTotal;
+	}
+
+	/**
+	 * Add eviction counts to the metadata of a device table
+	 */
+	async recordEviction(tableName, evicted, rowCount) {
+		const current = await this.get(`
+			SELECT evicted_count, evicted_by_type FROM biocv_metadata WHERE table_name = ?
+		`, [tableName]);
+
+		const byType = current ? JSON.parse(current.evicted_by_type || '{}') : {};
+		let total = current ? current.evicted_count || 0 : 0;
+
+		for (const [dataType, count] of Object.entries(evicted)) {
+			byType[dataType] = (byType[dataType] || 0) + count;
+			total += count;
+		}
+
+		await this.run(`
+			UPDATE biocv_metadata
+			SET evicted_count = ?, evicted_by_type = ?, row_count = ?, last_eviction = CURRENT_TIMESTAMP
+			WHERE table_name = ?
+		`, [total, JSON.stringify(byType), rowCount, tableName]);
+	}
+
+	/**
+	 * Incrementally update metadata after an insert, without counting the table.
+	 * Returns the new row count.
+	 */
+	async incrementMetadata(tableName, insertedCount, dataTypes) {
+		let known = this.tableDataTypes.get(tableName);
+		if (!known) {
+			const current = await this.get(`
+				SELECT data_types FROM biocv_metadata WHERE table_name = ?
+			`, [tableName]);
+			known = new Set(current ? JSON.parse(current.data_types || '[]') : []);
+			this.tableDataTypes.set(tableName, known);
+		}
+
+		dataTypes.forEach(dataType => known.add(dataType));
+
+		await this.run(`
+			UPDATE biocv_metadata
+			SET row_count = row_count + ?, data_types = ?, last_updated = CURRENT_TIMESTAMP
+			WHERE table_name = ?
+		`, [insertedCount, JSON.stringify([...known]), tableName]);
+
+		const updated = await this.get(`
+			SELECT row_count FROM biocv_metadata WHERE table_name = ?
+		`, [tableName]);
+		return updated ? updated.row_count : insertedCount;
+	}
+
+	/**
+	 * Update metadata table by recounting the table
 	 */
 	async updateMetadata(tableName, mac, dataType = null) {
 		// Get current data types
@@ -542,6 +1760,7 @@ class StandaloneSQLiteStorage {
 		if (dataType && !dataTypes.includes(dataType)) {
 			dataTypes.push(dataType);
 		}
+		this.tableDataTypes.set(tableName, new Set(dataTypes));
 
 		// Get row count
 		const count = await this.get(`SELECT COUNT(*) as count FROM "${tableName}"`);
@@ -551,6 +1770,8 @@ class StandaloneSQLiteStorage {
 			SET row_count = ?, data_types = ?, last_updated = CURRENT_TIMESTAMP
 			WHERE table_name = ?
 		`, [count.count, JSON.stringify(dataTypes), tableName]);
+
+		return count.count;
 	}
 
 	/**
@@ -605,6 +1826,7 @@ class StandaloneSQLiteStorage {
 		return {
 			database_path: this.config.database_path,
 			max_table_size: this.config.max_table_size,
+			data_type_quotas: this.config.data_type_quotas,
 			retention_days: this.config.retention_days,
 			auto_create_tables: this.config.auto_create_tables,
 			enable_logging: this.config.enable_logging,
@@ -621,17 +1843,18 @@ class StandaloneSQLiteStorage {
 	}
 
 	/**
-	 * Close database connection
+	 * Close database connection, rejects if SQLite fails to close it
 	 */
 	async close() {
-		return new Promise((resolve) => {
+		return new Promise((resolve, reject) => {
 			if (this.db) {
 				this.db.close((err) => {
 					if (err) {
 						this.log('error', 'Error closing database:', err.message);
-					} else {
-						this.log('info', 'Database connection closed');
+						reject(err);
+						return;
 					}
+					this.log('info', 'Database connection closed');
 					this.isConnected = false;
 					resolve();
 				});
@@ -642,4 +1865,9 @@ class StandaloneSQLiteStorage {
 	}
 }
 
+StandaloneSQLiteStorage.parseBucket = parseBucket;
+StandaloneSQLiteStorage.getStationId = getStationId;
+StandaloneSQLiteStorage.DEFAULT_STATION = DEFAULT_STATION;
+StandaloneSQLiteStorage.csvField = csvField;
+
 module.exports = StandaloneSQLiteStorage;
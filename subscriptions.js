@@ -0,0 +1,255 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * Subscription Manager
+ * Tracks which message types (optionally per device) the consumer subscribes to,
+ * builds the subscribe message for the BioCV Node and applies a client-side
+ * MAC allow/deny list before messages reach the handlers
+ */
+
+/**
+ * Short names accepted on the REPL and their WebSocket message types
+ */
+const MESSAGE_TYPES = {
+	sensor: 'sensorData',
+	battery: 'batteryData',
+	ant: 'antData',
+	environment: 'environmentData'
+};
+
+/**
+ * Normalize a MAC address for comparisons
+ */
+function normalizeMac(mac) {
+	return String(mac).trim().toUpperCase();
+}
+
+/**
+ * Resolve a short name or message type to the message type, or null
+ */
+function resolveType(type) {
+	if (type === 'all') {
+		return 'all';
+	}
+	if (MESSAGE_TYPES[type]) {
+		return MESSAGE_TYPES[type];
+	}
+	const messageType = Object.values(MESSAGE_TYPES).find(value => value.toLowerCase() === String(type).toLowerCase());
+	return messageType || null;
+}
+
+/**
+ * Get the device MAC a message is about, if any
+ */
+function getMessageMac(message) {
+	const data = message.data || {};
+	return data.mac || data.macTag || null;
+}
+
+class SubscriptionManager {
+	/**
+	 * @param {object} [config]
+	 * @param {string[]} [config.types] - subscribed types (default ['all'])
+	 * @param {string[]} [config.allow_macs] - only accept these devices (empty = all)
+	 * @param {string[]} [config.deny_macs] - never accept these devices
+	 */
+	constructor(config = {}) {
+		// message type (or 'all') -> Set of MACs, empty Set = every device
+		this.subscriptions = new Map();
+		this.allowMacs = new Set((config.allow_macs || []).map(normalizeMac));
+		this.denyMacs = new Set((config.deny_macs || []).map(normalizeMac));
+		this.stats = { accepted: 0, filtered: 0 };
+
+		const types = config.types && config.types.length > 0 ? config.types : ['all'];
+		this.subscribe(types);
+	}
+
+	/**
+	 * Subscribe to types, optionally restricted to some devices.
+	 * Throws on unknown types. Returns the resolved message types.
+	 */
+	subscribe(types, macs = []) {
+		const resolved = this.resolveTypes(types);
+		const devices = macs.map(normalizeMac);
+
+		for (const type of resolved) {
+			if (type === 'all' && devices.length === 0) {
+				// Subscribing to everything replaces the narrower subscriptions
+				this.subscriptions.clear();
+			} else if (this.isSubscribedToAll()) {
+				continue;
+			}
+			const existing = this.subscriptions.get(type);
+			if (devices.length === 0) {
+				this.subscriptions.set(type, new Set());
+			} else if (existing && existing.size === 0) {
+				// Already subscribed for every device
+				continue;
+			} else {
+				const set = existing || new Set();
+				devices.forEach(mac => set.add(mac));
+				this.subscriptions.set(type, set);
+			}
+		}
+
+		return resolved;
+	}
+
+	/**
+	 * Unsubscribe from types. With macs, only those devices are removed from the
+	 * given types (or from every subscription if no types are given).
+	 */
+	unsubscribe(types, macs = []) {
+		const devices = macs.map(normalizeMac);
+		const resolved = types.length > 0 ? this.resolveTypes(types) : [...this.subscriptions.keys()];
+		const removed = [];
+
+		if (this.isSubscribedToAll() && resolved.some(type => type !== 'all')) {
+			// Split 'all' into the individual types so single types can be dropped
+			this.subscriptions.clear();
+			Object.values(MESSAGE_TYPES).forEach(type => this.subscriptions.set(type, new Set()));
+		}
+
+		for (const type of resolved) {
+			if (type === 'all' && devices.length === 0) {
+				removed.push(...this.subscriptions.keys());
+				this.subscriptions.clear();
+				continue;
+			}
+
+			const set = this.subscriptions.get(type);
+			if (!set) {
+				continue;
+			}
+
+			if (devices.length === 0) {
+				this.subscriptions.delete(type);
+				removed.push(type);
+			} else {
+				devices.forEach(mac => set.delete(mac));
+				if (set.size === 0) {
+					this.subscriptions.delete(type);
+					removed.push(type);
+				}
+			}
+		}
+
+		return removed;
+	}
+
+	isSubscribedToAll() {
+		const macs = this.subscriptions.get('all');
+		return Boolean(macs && macs.size === 0);
+	}
+
+	resolveTypes(types) {
+		const resolved = types.map(type => ({ type, resolved: resolveType(type) }));
+		const unknown = resolved.filter(entry => !entry.resolved).map(entry => entry.type);
+		if (unknown.length > 0) {
+			throw new Error(`Unknown message type(s): ${unknown.join(', ')} (use ${Object.keys(MESSAGE_TYPES).join(', ')} or all)`);
+		}
+		return resolved.map(entry => entry.resolved);
+	}
+
+	allow(macs) {
+		macs.map(normalizeMac).forEach(mac => {
+			this.allowMacs.add(mac);
+			this.denyMacs.delete(mac);
+		});
+	}
+
+	deny(macs) {
+		macs.map(normalizeMac).forEach(mac => {
+			this.denyMacs.add(mac);
+			this.allowMacs.delete(mac);
+		});
+	}
+
+	clearFilters() {
+		this.allowMacs.clear();
+		this.denyMacs.clear();
+	}
+
+	/**
+	 * Build the subscribe message sent after every (re)connect
+	 */
+	getSubscriptionMessage() {
+		const message = { type: 'subscribe', subscriptions: [...this.subscriptions.keys()] };
+
+		const devices = {};
+		this.subscriptions.forEach((macs, type) => {
+			if (macs.size > 0) {
+				devices[type] = [...macs];
+			}
+		});
+		if (Object.keys(devices).length > 0) {
+			message.devices = devices;
+		}
+
+		return message;
+	}
+
+	/**
+	 * Decide whether an incoming data message should be processed
+	 */
+	accepts(message) {
+		const type = message.type;
+		if (!Object.values(MESSAGE_TYPES).includes(type)) {
+			// Control messages (connection, ...) are never filtered
+			return true;
+		}
+
+		const mac = getMessageMac(message);
+		const normalized = mac ? normalizeMac(mac) : null;
+		const accepted = this.matchesSubscription(type, normalized) && this.passesMacFilter(normalized);
+
+		if (accepted) {
+			this.stats.accepted++;
+		} else {
+			this.stats.filtered++;
+		}
+		return accepted;
+	}
+
+	matchesSubscription(type, mac) {
+		for (const key of ['all', type]) {
+			const macs = this.subscriptions.get(key);
+			if (macs && (macs.size === 0 || (mac && macs.has(mac)))) {
+				return true;
+			}
+		}
+		return false;
+	}
+
+	passesMacFilter(mac) {
+		if (!mac) {
+			return true;
+		}
+		if (this.denyMacs.has(mac)) {
+			return false;
+		}
+		return this.allowMacs.size === 0 || this.allowMacs.has(mac);
+	}
+
+	/**
+	 * Get the current subscriptions, filters and counters
+	 */
+	getStatus() {
+		const subscriptions = {};
+		this.subscriptions.forEach((macs, type) => {
+			subscriptions[type] = macs.size > 0 ? [...macs] : 'all devices';
+		});
+
+		return {
+			subscriptions,
+			allow_macs: [...this.allowMacs],
+			deny_macs: [...this.denyMacs],
+			...this.stats
+		};
+	}
+}
+
+SubscriptionManager.MESSAGE_TYPES = MESSAGE_TYPES;
+SubscriptionManager.normalizeMac = normalizeMac;
+
+module.exports = SubscriptionManager;
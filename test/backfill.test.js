@@ -0,0 +1,96 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * Gap backfill ranges
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StandaloneSQLiteStorage = require('../standalone-sqlite');
+const GapBackfill = require('../backfill');
+
+const SEEN = 'AA:BB:CC:DD:EE:01';
+const STORED = 'AA:BB:CC:DD:EE:02';
+
+async function openStorage(t) {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'biocv-backfill-'));
+	const storage = new StandaloneSQLiteStorage({ database_path: path.join(dir, 'test.db'), enable_logging: false });
+	await storage.initialize();
+	t.after(async () => {
+		await storage.close();
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+	return storage;
+}
+
+/**
+ * REST client that records the requested ranges and returns no readings
+ */
+function fakeClient() {
+	return {
+		ranges: {},
+		async *fetchReadingPages(mac, range) {
+			this.ranges[mac] = range;
+		}
+	};
+}
+
+test('a reconnect backfill starts at the readings before the drop', async (t) => {
+	const storage = await openStorage(t);
+	const client = fakeClient();
+	const backfill = new GapBackfill({ storage, client, config: { min_gap_ms: 0 } });
+	const before = Date.now() - 60000;
+
+	// Received before the drop: SEEN live, STORED only from an earlier run
+	const seenRow = storage.buildSensorRow(SEEN, { x: 1, t: before });
+	await storage.writeRows([seenRow, storage.buildSensorRow(STORED, { x: 1, t: before - 1000 })]);
+	backfill.noteReading(seenRow.mac, seenRow.columns.t);
+
+	backfill.markDisconnected();
+	const droppedAt = backfill.outage.at;
+	// A second failed attempt keeps the first drop
+	backfill.markDisconnected();
+	assert.strictEqual(backfill.outage.at, droppedAt);
+
+	// Live readings after the reconnect are stored before the backfill runs
+	const after = droppedAt + 30000;
+	await storage.writeRows([
+		storage.buildSensorRow(SEEN, { x: 2, t: after }),
+		storage.buildSensorRow(STORED, { x: 2, t: after })
+	]);
+
+	const outage = backfill.takeOutage();
+	assert.strictEqual(backfill.takeOutage(), null);
+	await backfill.run({ reason: 'reconnect', outage, to: after + 1000 });
+
+	assert.strictEqual(client.ranges[SEEN].from, before + 1);
+	assert.strictEqual(client.ranges[STORED].from, before - 1000 + 1);
+});
+
+test('devices first stored after the drop are fetched up to max_gap_hours back', async (t) => {
+	const storage = await openStorage(t);
+	const client = fakeClient();
+	const backfill = new GapBackfill({ storage, client, config: { min_gap_ms: 0, max_gap_hours: 1 } });
+
+	backfill.markDisconnected();
+	const outage = backfill.takeOutage();
+	await storage.writeRows([storage.buildSensorRow(SEEN, { x: 1, t: outage.at + 30000 })]);
+
+	const to = outage.at + 60000;
+	await backfill.run({ reason: 'reconnect', outage, to });
+	assert.strictEqual(client.ranges[SEEN].from, to - 60 * 60 * 1000);
+});
+
+test('a manual backfill starts at the last stored reading', async (t) => {
+	const storage = await openStorage(t);
+	const client = fakeClient();
+	const backfill = new GapBackfill({ storage, client, config: { min_gap_ms: 0 } });
+	const last = Date.now() - 60000;
+
+	await storage.writeRows([storage.buildSensorRow(SEEN, { x: 1, t: last })]);
+	await backfill.run({ macs: [SEEN] });
+	assert.strictEqual(client.ranges[SEEN].from, last + 1);
+});
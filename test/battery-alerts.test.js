@@ -0,0 +1,38 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * Battery alert writes
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const BatteryAlertEngine = require('../battery-alerts');
+
+const MAC = 'AA:BB:CC:DD:EE:01';
+
+test('an open battery alert is only written when it changes', () => {
+	const engine = new BatteryAlertEngine({ warning_level: 20, critical_level: 10, hysteresis: 5 });
+	let writes = 0;
+	engine.persist = () => {
+		writes++;
+	};
+
+	engine.evaluate(MAC, 15);
+	const opened = writes;
+	for (let i = 0; i < 100; i++) {
+		engine.evaluate(MAC, 15);
+	}
+	assert.strictEqual(writes, opened);
+	assert.strictEqual(engine.active.get(MAC).last_value, 15);
+
+	// New lowest reading
+	engine.evaluate(MAC, 14);
+	assert.strictEqual(writes, opened + 1);
+
+	// Back to warning after critical
+	engine.evaluate(MAC, 5);
+	const escalated = writes;
+	engine.evaluate(MAC, 16);
+	assert.strictEqual(engine.active.get(MAC).level, 'warning');
+	assert.strictEqual(writes, escalated + 1);
+});
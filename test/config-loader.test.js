@@ -0,0 +1,33 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * Environment variables of the config loader
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadConfig } = require('../config-loader');
+
+function load(env) {
+	return loadConfig({ argv: [], env });
+}
+
+test('DEBUG is read when it holds a boolean word', () => {
+	assert.strictEqual(load({ DEBUG: 'true' }).config.debug, true);
+	assert.strictEqual(load({ DEBUG: '1' }).config.debug, true);
+	assert.strictEqual(load({ DEBUG: 'off' }).config.debug, false);
+	assert.strictEqual(load({ DEBUG: 'true' }).sources.debug, 'env:DEBUG');
+});
+
+test('DEBUG namespaces of the debug module are ignored', () => {
+	const { config, sources } = load({ DEBUG: 'express:*' });
+	assert.strictEqual(config.debug, false);
+	assert.strictEqual(sources.debug, 'default');
+});
+
+test('BIOCV_DEBUG wins over DEBUG and must be a boolean', () => {
+	const { config, sources } = load({ DEBUG: 'true', BIOCV_DEBUG: 'false' });
+	assert.strictEqual(config.debug, false);
+	assert.strictEqual(sources.debug, 'env:BIOCV_DEBUG');
+	assert.throws(() => load({ BIOCV_DEBUG: 'express:*' }), /debug \(env:BIOCV_DEBUG\)/);
+});
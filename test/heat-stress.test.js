@@ -0,0 +1,61 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * Hourly THI aggregates
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StandaloneSQLiteStorage = require('../standalone-sqlite');
+const HeatStressMonitor = require('../heat-stress');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+async function openStorage(t) {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'biocv-heat-'));
+	const storage = new StandaloneSQLiteStorage({ database_path: path.join(dir, 'test.db'), enable_logging: false });
+	await storage.initialize();
+	t.after(async () => {
+		await storage.close();
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+	return storage;
+}
+
+async function startMonitor(storage) {
+	const monitor = new HeatStressMonitor({ alerts: false });
+	await monitor.setStorage(storage, null);
+	return monitor;
+}
+
+test('a restart mid-hour adds to the stored hourly aggregate', async (t) => {
+	const storage = await openStorage(t);
+	const hourStart = Math.floor(Date.now() / HOUR_MS) * HOUR_MS - 2 * HOUR_MS;
+	const thi = (temperature, humidity) => Math.round(HeatStressMonitor.calculateTHI(temperature, humidity) * 10) / 10;
+
+	const before = await startMonitor(storage);
+	before.addReading(20, 50, hourStart, 'barn-1');
+	before.addReading(30, 60, hourStart + 10 * MINUTE_MS, 'barn-1');
+	await before.flush();
+
+	// Restarted: the hour is new in memory but already stored
+	const after = await startMonitor(storage);
+	after.addReading(25, 40, hourStart + 20 * MINUTE_MS, 'barn-1');
+	after.addReading(25, 40, hourStart + 25 * MINUTE_MS, 'barn-1');
+	await after.flush();
+
+	const row = await storage.get('SELECT * FROM biocv_thi_hourly WHERE station = ? AND hour_start = ?', ['barn-1', hourStart]);
+	const values = [thi(20, 50), thi(30, 60), thi(25, 40), thi(25, 40)];
+	assert.strictEqual(row.readings, 4);
+	assert.strictEqual(row.thi_min, Math.min(...values));
+	assert.strictEqual(row.thi_max, Math.max(...values));
+	assert.ok(Math.abs(row.thi_avg - values.reduce((sum, value) => sum + value, 0) / 4) < 0.1);
+	assert.strictEqual(row.temperature_avg, 25);
+	// 10 minutes counted before the restart, 5 after
+	const timeInBand = ['none', 'mild', 'moderate', 'severe'].reduce((sum, band) => sum + row[`time_${band}_ms`], 0);
+	assert.strictEqual(timeInBand, 15 * MINUTE_MS);
+});
@@ -0,0 +1,85 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * HTTP API request handling
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const HttpApi = require('../http-api');
+const StandaloneSQLiteStorage = require('../standalone-sqlite');
+
+async function startApi(t, options = {}) {
+	const api = new HttpApi({
+		config: { port: 0 },
+		getStorage: () => null,
+		getLiveData: () => ({}),
+		...options
+	});
+	const address = await api.start();
+	t.after(() => api.stop());
+	return address.port;
+}
+
+/**
+ * Send a raw request and resolve with the status code and JSON body
+ */
+function rawRequest(port, requestLine) {
+	return new Promise((resolve, reject) => {
+		const socket = net.connect(port, '127.0.0.1', () => {
+			socket.write(`${requestLine}\r\nHost: localhost\r\nConnection: close\r\n\r\n`);
+		});
+		let response = '';
+		socket.setEncoding('utf8');
+		socket.on('data', chunk => {
+			response += chunk;
+		});
+		socket.on('error', reject);
+		socket.on('end', () => {
+			const [head, body] = response.split('\r\n\r\n');
+			resolve({ status: parseInt(head.split(' ')[1], 10), body: body ? JSON.parse(body) : null });
+		});
+	});
+}
+
+test('a malformed request target is answered with 400', async (t) => {
+	const port = await startApi(t);
+
+	const response = await rawRequest(port, 'GET http://[ HTTP/1.1');
+	assert.strictEqual(response.status, 400);
+	assert.match(response.body.error, /Invalid request target/);
+
+	// The server still answers afterwards
+	const health = await rawRequest(port, 'GET /api/health HTTP/1.1');
+	assert.strictEqual(health.status, 200);
+	assert.strictEqual(health.body.status, 'ok');
+});
+
+test('unknown devices are answered with 404 and malformed escapes with 400', async (t) => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'biocv-http-'));
+	const storage = new StandaloneSQLiteStorage({ database_path: path.join(dir, 'test.db'), enable_logging: false });
+	await storage.initialize();
+	t.after(async () => {
+		await storage.close();
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+	await storage.writeRows([storage.buildSensorRow('AA:BB:CC:DD:EE:01', { x: 1, t: 1000 })]);
+	const port = await startApi(t, { getStorage: () => storage });
+
+	const known = await rawRequest(port, 'GET /api/devices/AA:BB:CC:DD:EE:01/data HTTP/1.1');
+	assert.strictEqual(known.status, 200);
+	assert.strictEqual(known.body.data.length, 1);
+
+	for (const target of ['/api/devices/AA:BB:CC:DD:EE:02/data', '/api/devices/AA:BB:CC:DD:EE:02/stats', '/api/stats?mac=AA:BB:CC:DD:EE:02']) {
+		const response = await rawRequest(port, `GET ${target} HTTP/1.1`);
+		assert.strictEqual(response.status, 404, target);
+		assert.match(response.body.error, /Unknown device/);
+	}
+
+	const malformed = await rawRequest(port, 'GET /api/devices/%E0%A4%A/data HTTP/1.1');
+	assert.strictEqual(malformed.status, 400);
+});
@@ -0,0 +1,99 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * Import dedup and row building
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StandaloneSQLiteStorage = require('../standalone-sqlite');
+
+const MAC = 'AA:BB:CC:DD:EE:01';
+const TABLE = 'AA_BB_CC_DD_EE_01';
+
+async function openStorage(t) {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'biocv-import-'));
+	const storage = new StandaloneSQLiteStorage({ database_path: path.join(dir, 'test.db'), enable_logging: false });
+	await storage.initialize();
+	t.after(async () => {
+		await storage.close();
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+	return storage;
+}
+
+function entries(records) {
+	return records.map((record, index) => ({ record, line: index + 1 }));
+}
+
+const RECORDS = [
+	{ data_type: 'sensor', mac_address: MAC, x: 0, y: 0, z: 1, c: 38.5, t: 1000 },
+	{ data_type: 'battery', mac_address: MAC, battery_percentage: 0, t: 1000 },
+	{ data_type: 'ant', mac_address: MAC, ant_mac: '11:11:11:11:11:11', distance: 2.5, t: 2000 },
+	// Same tag and time, another receiver: not a duplicate
+	{ data_type: 'ant', mac_address: MAC, ant_mac: '22:22:22:22:22:22', distance: 4, t: 2000 },
+	{ data_type: 'environment', station: 'barn-1', temperature: 0, humidity: 50, t: 1000 },
+	{ data_type: 'environment', station: 'barn-2', temperature: 21, humidity: 60, t: 1000 }
+];
+
+test('importing the same records twice stores them once', async (t) => {
+	const storage = await openStorage(t);
+
+	const first = await storage.importRecords(entries(RECORDS));
+	assert.strictEqual(first.inserted, RECORDS.length);
+	assert.strictEqual(first.skipped, 0);
+
+	const second = await storage.importRecords(entries(RECORDS));
+	assert.strictEqual(second.inserted, 0);
+	assert.strictEqual(second.skipped, RECORDS.length);
+
+	const counts = await storage.all(`SELECT data_type, COUNT(*) AS count FROM ${TABLE} GROUP BY data_type ORDER BY data_type`);
+	assert.deepStrictEqual(counts.map(row => [row.data_type, row.count]), [['ant', 2], ['battery', 1], ['sensor', 1]]);
+	const stations = await storage.all('SELECT station FROM ENVIRONMENT_DATA ORDER BY station');
+	assert.deepStrictEqual(stations.map(row => row.station), ['barn-1', 'barn-2']);
+});
+
+test('duplicates within one import are skipped', async (t) => {
+	const storage = await openStorage(t);
+
+	const result = await storage.importRecords(entries([RECORDS[0], RECORDS[0], RECORDS[2], RECORDS[2]]));
+	assert.strictEqual(result.inserted, 2);
+	assert.strictEqual(result.skipped, 2);
+});
+
+test('zero values are stored as 0, not NULL', async (t) => {
+	const storage = await openStorage(t);
+
+	await storage.writeRows([
+		storage.buildSensorRow(MAC, { x: 0, y: 0, z: 0, T: 0, rssi: 0, t: 1000 }),
+		storage.buildBatteryRow(MAC, { battery_percentage: 0, t: 1000 }),
+		storage.buildAntRow('11:11:11:11:11:11', MAC, '0', 1000),
+		storage.buildEnvironmentRow({ temperature: 0, humidity: 0, t: 1000 })
+	]);
+
+	const sensor = await storage.get(`SELECT x, y, z, c, rssi FROM ${TABLE} WHERE data_type = 'sensor'`);
+	assert.deepStrictEqual({ ...sensor }, { x: 0, y: 0, z: 0, c: 0, rssi: 0 });
+	const battery = await storage.get(`SELECT battery_percentage FROM ${TABLE} WHERE data_type = 'battery'`);
+	assert.strictEqual(battery.battery_percentage, 0);
+	const ant = await storage.get(`SELECT distance FROM ${TABLE} WHERE data_type = 'ant'`);
+	assert.strictEqual(ant.distance, 0);
+	const environment = await storage.get('SELECT temperature, humidity FROM ENVIRONMENT_DATA');
+	assert.deepStrictEqual({ ...environment }, { temperature: 0, humidity: 0 });
+});
+
+test('live battery and ANT rows get a reading time', async (t) => {
+	const storage = await openStorage(t);
+	const before = Date.now();
+
+	await storage.writeRows([
+		storage.buildBatteryRow(MAC, { percentage: 80 }),
+		storage.buildAntRow('11:11:11:11:11:11', MAC, 3)
+	]);
+
+	const rows = await storage.queryData(MAC, { startDate: before });
+	assert.strictEqual(rows.length, 2);
+	rows.forEach(row => assert.ok(row.t >= before));
+});
@@ -0,0 +1,94 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * Retention cutoffs and rollups
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StandaloneSQLiteStorage = require('../standalone-sqlite');
+const RetentionManager = require('../retention');
+
+const MAC = 'AA:BB:CC:DD:EE:01';
+const TABLE = 'AA_BB_CC_DD_EE_01';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const NOW = Date.UTC(2025, 5, 15, 12, 0, 0);
+
+async function openStorage(t) {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'biocv-retention-'));
+	const storage = new StandaloneSQLiteStorage({ database_path: path.join(dir, 'test.db'), enable_logging: false });
+	await storage.initialize();
+	t.after(async () => {
+		await storage.close();
+		fs.rmSync(dir, { recursive: true, force: true });
+	});
+	return storage;
+}
+
+test('rows are deleted by reading time t against the cutoff of their data type', async (t) => {
+	const storage = await openStorage(t);
+	await storage.writeRows([
+		storage.buildSensorRow(MAC, { c: 38, t: NOW - 8 * DAY_MS }),
+		storage.buildSensorRow(MAC, { c: 39, t: NOW - 6 * DAY_MS }),
+		storage.buildBatteryRow(MAC, { percentage: 50, t: NOW - 8 * DAY_MS }),
+		storage.buildBatteryRow(MAC, { percentage: 40, t: NOW - 31 * DAY_MS })
+	]);
+
+	const retention = new RetentionManager(storage, { days: { sensor: 7, battery: 30 }, default_days: 7 });
+	const report = await retention.run({ now: NOW });
+
+	assert.deepStrictEqual(report.deleted_by_type, { sensor: 1, battery: 1 });
+	const left = await storage.all(`SELECT data_type, t FROM ${TABLE} ORDER BY data_type, t`);
+	assert.deepStrictEqual(left.map(row => [row.data_type, row.t]), [
+		['battery', NOW - 8 * DAY_MS],
+		['sensor', NOW - 6 * DAY_MS]
+	]);
+});
+
+test('0 days keeps a data type forever', async (t) => {
+	const storage = await openStorage(t);
+	await storage.writeRows([storage.buildSensorRow(MAC, { c: 38, t: NOW - 400 * DAY_MS })]);
+
+	const retention = new RetentionManager(storage, { days: { sensor: 0 }, default_days: 7 });
+	const report = await retention.run({ now: NOW });
+
+	assert.strictEqual(report.deleted, 0);
+	assert.strictEqual((await storage.get(`SELECT COUNT(*) AS count FROM ${TABLE}`)).count, 1);
+});
+
+test('deleted rows are rolled up first', async (t) => {
+	const storage = await openStorage(t);
+	const hour = Math.floor((NOW - 10 * DAY_MS) / 3600000) * 3600000;
+	await storage.writeRows([
+		storage.buildSensorRow(MAC, { c: 38, t: hour + 1000 }),
+		storage.buildSensorRow(MAC, { c: 40, t: hour + 2000 })
+	]);
+
+	const retention = new RetentionManager(storage, { default_days: 7 });
+	await retention.run({ now: NOW });
+
+	const rollups = await retention.getRollups({ source: MAC, field: 'c', period: 'hour', startDate: hour, endDate: hour + 3600000 });
+	assert.strictEqual(rollups.length, 1);
+	assert.strictEqual(rollups[0].count, 2);
+	assert.strictEqual(rollups[0].min, 38);
+	assert.strictEqual(rollups[0].max, 40);
+	assert.strictEqual(rollups[0].avg, 39);
+});
+
+test('environment rows expire per station by t', async (t) => {
+	const storage = await openStorage(t);
+	await storage.writeRows([
+		storage.buildEnvironmentRow({ station: 'barn-1', temperature: 20, humidity: 50, t: NOW - 8 * DAY_MS }),
+		storage.buildEnvironmentRow({ station: 'barn-2', temperature: 22, humidity: 55, t: NOW - 1 * DAY_MS })
+	]);
+
+	const retention = new RetentionManager(storage, { default_days: 7 });
+	const report = await retention.run({ now: NOW });
+
+	assert.strictEqual(report.deleted_by_type.environment, 1);
+	const left = await storage.all('SELECT station FROM ENVIRONMENT_DATA');
+	assert.deepStrictEqual(left.map(row => row.station), ['barn-2']);
+});
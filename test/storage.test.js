@@ -0,0 +1,28 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * Storage lifecycle
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StandaloneSQLiteStorage = require('../standalone-sqlite');
+
+test('close rejects when SQLite cannot close the database', async (t) => {
+	const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'biocv-storage-'));
+	t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+	const storage = new StandaloneSQLiteStorage({ database_path: path.join(dir, 'test.db'), enable_logging: false });
+	await storage.initialize();
+
+	// An unfinalized statement keeps the database busy
+	const statement = storage.db.prepare('SELECT 1');
+	await assert.rejects(storage.close(), /SQLITE_BUSY/);
+	assert.strictEqual(storage.isConnected, true);
+
+	await new Promise(resolve => statement.finalize(resolve));
+	await storage.close();
+	assert.strictEqual(storage.isConnected, false);
+});
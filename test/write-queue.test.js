@@ -0,0 +1,149 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * Write queue overflow policies, retries and spill recovery
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const WriteQueue = require('../write-queue');
+const StandaloneSQLiteStorage = require('../standalone-sqlite');
+
+/**
+ * In-memory stand-in for the storage, failing the first `failures` writes
+ */
+function memoryStorage(failures = 0) {
+	return {
+		rows: [],
+		async writeRows(rows) {
+			if (failures-- > 0) {
+				throw new Error('SQLITE_BUSY: database is locked');
+			}
+			this.rows.push(...rows);
+			return rows.length;
+		}
+	};
+}
+
+function tempDir() {
+	return fs.mkdtempSync(path.join(os.tmpdir(), 'biocv-write-queue-'));
+}
+
+test('block policy holds at most max_queue_size + block_headroom rows', async () => {
+	const storage = memoryStorage();
+	const queue = new WriteQueue(storage, { max_queue_size: 5, block_headroom: 3, batch_size: 100, overflow_policy: 'block' });
+	let full = 0;
+	let rejectedOnDrain = null;
+	queue.on('full', () => full++);
+	queue.on('drain', (stats, rejected) => {
+		rejectedOnDrain = rejected;
+	});
+
+	const accepted = Array.from({ length: 50 }, (_, i) => queue.enqueue({ i })).filter(Boolean).length;
+
+	assert.strictEqual(accepted, 8);
+	assert.strictEqual(queue.getStats().depth, 8);
+	assert.strictEqual(queue.getStats().rejected, 42);
+	assert.strictEqual(full, 1);
+
+	await queue.drain();
+	assert.strictEqual(storage.rows.length, 8);
+	assert.strictEqual(queue.getStats().blocked, false);
+	assert.strictEqual(rejectedOnDrain, 42);
+});
+
+test('drop-oldest keeps the newest rows', async () => {
+	const storage = memoryStorage();
+	const queue = new WriteQueue(storage, { max_queue_size: 3, batch_size: 100 });
+
+	[1, 2, 3, 4, 5].forEach(i => queue.enqueue({ i }));
+	await queue.drain();
+
+	assert.deepStrictEqual(storage.rows.map(row => row.i), [3, 4, 5]);
+	assert.strictEqual(queue.getStats().dropped, 2);
+});
+
+test('a failed batch is retried instead of lost', async () => {
+	const storage = memoryStorage(2);
+	const queue = new WriteQueue(storage, { flush_interval: 10 });
+	let retries = 0;
+	queue.on('retry', () => retries++);
+
+	[1, 2, 3].forEach(i => queue.enqueue({ i }));
+	await queue.drain();
+
+	assert.deepStrictEqual(storage.rows.map(row => row.i), [1, 2, 3]);
+	assert.strictEqual(retries, 2);
+	assert.strictEqual(queue.getStats().failed, 0);
+});
+
+test('rows failing max_retries times are spilled with the spill policy', async () => {
+	const dir = tempDir();
+	const spillPath = path.join(dir, 'spill.ndjson');
+	const queue = new WriteQueue(memoryStorage(Infinity), {
+		flush_interval: 10,
+		max_retries: 1,
+		overflow_policy: 'spill',
+		spill_path: spillPath
+	});
+	const errors = [];
+	queue.on('retry', () => {});
+	queue.on('error', (error, rowCount, spilled) => errors.push({ rowCount, spilled }));
+
+	queue.enqueue({ i: 1 });
+	queue.enqueue({ i: 2 });
+	await queue.drain();
+
+	assert.deepStrictEqual(errors, [{ rowCount: 2, spilled: true }]);
+	assert.strictEqual(fs.readFileSync(spillPath, 'utf8').trim().split('\n').length, 2);
+	assert.strictEqual(queue.getStats().failed, 0);
+	fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('spill recovery skips rows that are already stored', async () => {
+	const dir = tempDir();
+	const spillPath = path.join(dir, 'spill.ndjson');
+	const storage = new StandaloneSQLiteStorage({ database_path: path.join(dir, 'test.db'), enable_logging: false });
+	await storage.initialize();
+
+	const rows = [1000, 2000, 3000].map(t => storage.buildSensorRow('AA:BB:CC:DD:EE:01', { x: 0, t }));
+	// The first row was written before a crash interrupted the recovery
+	await storage.writeRows(rows.slice(0, 1));
+	fs.writeFileSync(`${spillPath}.processing`, rows.map(row => JSON.stringify(row)).join('\n') + '\n');
+	fs.writeFileSync(spillPath, '');
+
+	const queue = new WriteQueue(storage, { overflow_policy: 'spill', spill_path: spillPath });
+	// An empty spill file starts the recovery of the .processing file
+	await queue.flush();
+	await queue.drain();
+
+	const stored = await storage.all('SELECT t, x FROM AA_BB_CC_DD_EE_01 ORDER BY t');
+	assert.deepStrictEqual(stored.map(row => row.t), [1000, 2000, 3000]);
+	assert.strictEqual(stored[0].x, 0);
+	assert.strictEqual(queue.getStats().recovered, 2);
+	assert.strictEqual(fs.existsSync(`${spillPath}.processing`), false);
+
+	await storage.close();
+	fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a failing spill recovery is reported, not an unhandled rejection', async () => {
+	const dir = tempDir();
+	const spillPath = path.join(dir, 'spill.ndjson');
+	fs.writeFileSync(spillPath, '{"mac":"AA:BB:CC:DD:EE:01"}\n');
+	// Recovery cannot read a directory
+	fs.mkdirSync(`${spillPath}.processing`);
+
+	const queue = new WriteQueue(memoryStorage(), { overflow_policy: 'spill', spill_path: spillPath });
+	const errors = [];
+	queue.on('error', error => errors.push(error));
+
+	await queue.flush();
+	await queue.recovering;
+
+	assert.strictEqual(errors.length, 1);
+	fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,379 @@
+/**
+ * @copyright Copyright (c) 2025 BioCV GmbH
+ *
+ * Buffered Write Queue
+ * Collects rows built by StandaloneSQLiteStorage and writes them in batches,
+ * one transaction per table, on a size or time based flush
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const OVERFLOW_POLICIES = ['drop-oldest', 'block', 'spill'];
+
+/**
+ * Bounded, batching write queue in front of a StandaloneSQLiteStorage instance
+ *
+ * With the block policy the producer is expected to stop on 'full' and
+ * resume on 'drain'. Rows still on their way while it pauses are queued up
+ * to block_headroom rows past max_queue_size, rows beyond that are rejected
+ * (enqueue() returns false).
+ *
+ * Events:
+ *   'full'  - the queue reached max_queue_size (block policy: pause the producer)
+ *   'drain' - (stats, rejected) the queue went back below half of max_queue_size,
+ *             rejected is the number of rows rejected while it was full
+ *   'retry' - (error, rowCount) a batch failed and was queued again
+ *   'error' - (error, rowCount, spilled) a batch failed max_retries times and was
+ *             dropped, or moved to the spill file with the spill policy
+ */
+class WriteQueue extends EventEmitter {
+	constructor(storage, config = {}) {
+		super();
+
+		this.storage = storage;
+		this.config = {
+			batch_size: config.batch_size || 500,
+			flush_interval: config.flush_interval || 1000,
+			max_queue_size: config.max_queue_size || 10000,
+			overflow_policy: config.overflow_policy || 'drop-oldest',
+			spill_path: config.spill_path || './data/write_queue_spill.ndjson',
+			max_retries: 3,
+			block_headroom: 1000,
+			...config
+		};
+
+		if (!OVERFLOW_POLICIES.includes(this.config.overflow_policy)) {
+			throw new Error(`Unknown overflow policy "${this.config.overflow_policy}" (expected ${OVERFLOW_POLICIES.join(', ')})`);
+		}
+
+		this.queue = [];
+		this.flushing = null;
+		this.flushScheduled = false;
+		this.recovering = null;
+		this.blocked = false;
+		// Rows rejected since the block policy last emitted 'full'
+		this.blockRejected = 0;
+		this.timer = null;
+		this.inFlight = 0;
+		// row -> failed write attempts
+		this.attempts = new WeakMap();
+		// The last batch failed, back off until a write succeeds
+		this.failing = false;
+
+		this.stats = {
+			enqueued: 0,
+			written: 0,
+			dropped: 0,
+			spilled: 0,
+			recovered: 0,
+			rejected: 0,
+			retried: 0,
+			failed: 0,
+			flushes: 0,
+			max_depth: 0,
+			last_flush_ms: 0,
+			max_flush_ms: 0,
+			total_flush_ms: 0
+		};
+	}
+
+	/**
+	 * Start the periodic flush timer
+	 */
+	start() {
+		if (!this.timer) {
+			this.timer = setInterval(() => this.flush(), this.config.flush_interval);
+			this.timer.unref();
+		}
+		return this;
+	}
+
+	/**
+	 * Stop the periodic flush timer; queued rows stay queued until drain()
+	 */
+	stop() {
+		if (this.timer) {
+			clearInterval(this.timer);
+			this.timer = null;
+		}
+	}
+
+	/**
+	 * Queue a row built by storage.build*Row(). Returns false if the row was
+	 * not kept in memory (spilled to disk, or rejected by the block policy).
+	 */
+	enqueue(row) {
+		this.stats.enqueued++;
+
+		if (this.queue.length >= this.config.max_queue_size) {
+			if (this.handleOverflow(row)) {
+				return false;
+			}
+		}
+
+		this.queue.push(row);
+		this.stats.max_depth = Math.max(this.stats.max_depth, this.queue.length);
+
+		if (this.queue.length >= this.config.batch_size && !this.flushScheduled) {
+			this.flushScheduled = true;
+			setImmediate(() => {
+				this.flushScheduled = false;
+				this.flush();
+			});
+		}
+
+		return true;
+	}
+
+	/**
+	 * Apply the overflow policy. Returns true if the row has been taken care
+	 * of (spilled or rejected) and must not be queued.
+	 */
+	handleOverflow(row) {
+		switch (this.config.overflow_policy) {
+			case 'drop-oldest':
+				this.queue.shift();
+				this.stats.dropped++;
+				return false;
+			case 'block':
+				if (!this.blocked) {
+					this.blocked = true;
+					this.blockRejected = 0;
+					this.emit('full', this.getStats());
+				}
+				// Rows already on their way while the producer pauses use the headroom
+				if (this.queue.length < this.config.max_queue_size + this.config.block_headroom) {
+					return false;
+				}
+				this.stats.rejected++;
+				this.blockRejected++;
+				return true;
+			case 'spill':
+				this.spill(row);
+				return true;
+		}
+		return false;
+	}
+
+	/**
+	 * Append a row to the spill file
+	 */
+	spill(row) {
+		const dir = path.dirname(this.config.spill_path);
+		if (!fs.existsSync(dir)) {
+			fs.mkdirSync(dir, { recursive: true });
+		}
+
+		fs.appendFileSync(this.config.spill_path, JSON.stringify(row) + '\n');
+		this.stats.spilled++;
+	}
+
+	/**
+	 * Write everything currently queued. Concurrent calls share one flush.
+	 */
+	async flush() {
+		if (this.flushing) {
+			return this.flushing;
+		}
+
+		this.flushing = this.flushBatches().finally(() => {
+			this.flushing = null;
+		});
+		return this.flushing;
+	}
+
+	async flushBatches() {
+		while (this.queue.length > 0) {
+			const batch = this.queue.splice(0, this.config.batch_size);
+			// A failed batch is back in the queue, retry it on the next flush
+			if (!await this.writeBatch(batch)) {
+				break;
+			}
+		}
+
+		if (this.blocked && this.queue.length < this.config.max_queue_size / 2) {
+			this.blocked = false;
+			this.emit('drain', this.getStats(), this.blockRejected);
+		}
+
+		if (this.config.overflow_policy === 'spill' && !this.failing && !this.recovering && fs.existsSync(this.config.spill_path)) {
+			this.recovering = this.recoverSpill()
+				.catch(error => this.emitError(error, 0))
+				.finally(() => {
+					this.recovering = null;
+				});
+		}
+	}
+
+	/**
+	 * Write a batch. Returns false if it failed (it is then queued again,
+	 * spilled or dropped, see handleFailedBatch()).
+	 */
+	async writeBatch(batch, { deduplicate = false } = {}) {
+		const started = Date.now();
+		this.inFlight += batch.length;
+		let ok = true;
+
+		try {
+			if (deduplicate) {
+				const result = await this.storage.writeRowsDeduplicated(batch);
+				this.stats.written += result.inserted;
+			} else {
+				await this.storage.writeRows(batch);
+				this.stats.written += batch.length;
+			}
+		} catch (error) {
+			ok = false;
+			this.handleFailedBatch(batch, error);
+		} finally {
+			this.failing = !ok;
+			this.inFlight -= batch.length;
+		}
+
+		const elapsed = Date.now() - started;
+		this.stats.flushes++;
+		this.stats.last_flush_ms = elapsed;
+		this.stats.max_flush_ms = Math.max(this.stats.max_flush_ms, elapsed);
+		this.stats.total_flush_ms += elapsed;
+		return ok;
+	}
+
+	/**
+	 * Put a failed batch back at the head of the queue, until its rows failed
+	 * max_retries times. Then they are spilled (spill policy) or dropped.
+	 */
+	handleFailedBatch(batch, error) {
+		const retry = [];
+		const exhausted = [];
+		batch.forEach(row => {
+			const attempts = (this.attempts.get(row) || 0) + 1;
+			this.attempts.set(row, attempts);
+			(attempts <= this.config.max_retries ? retry : exhausted).push(row);
+		});
+
+		if (retry.length > 0) {
+			this.queue.unshift(...retry);
+			this.stats.retried += retry.length;
+			if (this.listenerCount('retry') > 0) {
+				this.emit('retry', error, retry.length);
+			}
+		}
+
+		if (exhausted.length > 0) {
+			const spilled = this.config.overflow_policy === 'spill';
+			if (spilled) {
+				exhausted.forEach(row => this.spill(row));
+			} else {
+				this.stats.failed += exhausted.length;
+			}
+			this.emitError(error, exhausted.length, spilled);
+		}
+	}
+
+	/**
+	 * Stream spilled rows back into storage in batches, keeping memory bounded
+	 */
+	async recoverSpill() {
+		const processingPath = `${this.config.spill_path}.processing`;
+
+		if (!fs.existsSync(processingPath)) {
+			fs.renameSync(this.config.spill_path, processingPath);
+		}
+
+		const lines = readline.createInterface({
+			input: fs.createReadStream(processingPath),
+			crlfDelay: Infinity
+		});
+
+		let batch = [];
+		for await (const line of lines) {
+			if (!line.trim()) {
+				continue;
+			}
+
+			try {
+				batch.push(JSON.parse(line));
+			} catch (error) {
+				this.stats.failed++;
+				continue;
+			}
+
+			if (batch.length >= this.config.batch_size) {
+				await this.recoverBatch(batch);
+				batch = [];
+			}
+		}
+
+		if (batch.length > 0) {
+			await this.recoverBatch(batch);
+		}
+
+		fs.unlinkSync(processingPath);
+	}
+
+	/**
+	 * Write recovered rows, skipping rows already stored: after a crash
+	 * during recovery the .processing file is read again from the start
+	 */
+	async recoverBatch(batch) {
+		const before = this.stats.written;
+		await this.writeBatch(batch, { deduplicate: true });
+		this.stats.recovered += this.stats.written - before;
+	}
+
+	emitError(error, rowCount, spilled = false) {
+		if (this.listenerCount('error') > 0) {
+			this.emit('error', error, rowCount, spilled);
+		}
+	}
+
+	/**
+	 * Flush until the queue and any spill recovery are empty
+	 */
+	async drain() {
+		while (this.queue.length > 0 || this.flushing || this.recovering) {
+			await this.flush();
+			if (this.recovering) {
+				await this.recovering;
+			}
+			// Give a failing database a moment instead of retrying right away
+			if (this.failing && this.queue.length > 0) {
+				await new Promise(resolve => setTimeout(resolve, this.config.flush_interval));
+			}
+		}
+	}
+
+	/**
+	 * Move the rows still queued to the spill file, where the next start
+	 * picks them up. Returns the number of rows moved.
+	 */
+	spillQueued() {
+		const rows = this.queue.splice(0);
+		rows.forEach(row => this.spill(row));
+		return rows.length;
+	}
+
+	/**
+	 * Get queue statistics
+	 */
+	getStats() {
+		return {
+			depth: this.queue.length,
+			in_flight: this.inFlight,
+			max_queue_size: this.config.max_queue_size,
+			overflow_policy: this.config.overflow_policy,
+			blocked: this.blocked,
+			...this.stats,
+			avg_flush_ms: this.stats.flushes > 0
+				? Math.round(this.stats.total_flush_ms / this.stats.flushes)
+				: 0
+		};
+	}
+}
+
+WriteQueue.OVERFLOW_POLICIES = OVERFLOW_POLICIES;
+
+module.exports = WriteQueue;